@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+// bin/chlorella-gen.js - Generar un dataset desde la línea de comandos, sin servidor
+//
+// Lee una configuración JSON o YAML con los campos de POST /generate-dataset, escribe el
+// dataset en la carpeta de salida e imprime sus estadísticas. Códigos de salida:
+//   0  dataset generado y validación científica superada
+//   1  dataset generado pero alguna comprobación de scientificValidation falla
+//   2  argumentos o configuración inválidos
+//   3  error durante la generación
+
+const path = require('path');
+const { loadConfig, generateDataset, validationPassed } = require('../src/index');
+
+const USAGE = `Uso: chlorella-gen <config.json|config.yaml> [opciones]
+
+Opciones:
+  -o, --out <carpeta>       carpeta de salida, vacía o inexistente (por defecto ./chlorella_<timestamp>)
+  -p, --profiles <carpeta>  perfiles de especie subidos (<id>.json) además de los integrados
+  -s, --seed <semilla>      sustituye la semilla de la configuración
+      --json                imprime las estadísticas completas en JSON
+  -q, --quiet               sin mensajes de progreso
+  -h, --help                muestra esta ayuda
+
+La configuración admite los mismos campos que POST /generate-dataset. Los mensajes de
+progreso van a stderr; stdout queda para las estadísticas.`;
+
+const EXIT = { ok: 0, validationFailed: 1, usage: 2, failed: 3 };
+
+// Opciones con valor: nombre largo por alias
+const VALUE_OPTIONS = { '-o': 'out', '--out': 'out', '-p': 'profiles', '--profiles': 'profiles', '-s': 'seed', '--seed': 'seed' };
+const FLAG_OPTIONS = { '--json': 'json', '-q': 'quiet', '--quiet': 'quiet', '-h': 'help', '--help': 'help' };
+
+function usageError(message) {
+    const error = new Error(message);
+    error.usage = true;
+    return error;
+}
+
+function parseArgs(argv) {
+    const options = { json: false, quiet: false, help: false };
+    const positional = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (VALUE_OPTIONS[arg]) {
+            if (i + 1 >= argv.length) throw usageError(`${arg} necesita un valor`);
+            options[VALUE_OPTIONS[arg]] = argv[++i];
+        } else if (FLAG_OPTIONS[arg]) {
+            options[FLAG_OPTIONS[arg]] = true;
+        } else if (arg.startsWith('-')) {
+            throw usageError(`Opción desconocida: ${arg}`);
+        } else {
+            positional.push(arg);
+        }
+    }
+    if (!options.help && positional.length !== 1) {
+        throw usageError('Indica un único fichero de configuración');
+    }
+    options.config = positional[0];
+    return options;
+}
+
+// Semilla de la línea de comandos: entera si lo parece (igual que en JSON), si no, texto
+function parseSeed(value) {
+    return /^-?\d+$/.test(value) ? Number(value) : value;
+}
+
+function printSummary(stats) {
+    const range = ({ min, max }, digits) => (min === null ? 'n/d' : `${min.toFixed(digits)} - ${max.toFixed(digits)}`);
+    const lines = [
+        `Dataset:      ${stats.outputDir}`,
+        `Filas:        ${stats.totalPoints} (train ${stats.trainingPoints}, validación ${stats.validationPoints}, test ${stats.testPoints})`,
+        `Escenarios:   ${stats.scenarios} × ${stats.duration}, cada ${stats.samplingIntervalMin} min`,
+        `Semilla:      ${stats.seed} (${stats.prng})`,
+        `Formatos:     ${stats.formats.join(', ')}`,
+        `Biomasa:      ${range(stats.biomassRange, 3)} g/L`,
+        `Temperatura:  ${range(stats.temperatureRange, 1)} °C`,
+        `pH:           ${range(stats.pHRange, 2)}`,
+        `μ:            ${range(stats.growthRateRange, 4)} 1/h`,
+        'Validación científica:',
+        ...Object.entries(stats.scientificValidation).map(([check, ok]) => `  ${ok ? '✔' : '✘'} ${check}`)
+    ];
+    process.stdout.write(`${lines.join('\n')}\n`);
+}
+
+async function main(argv) {
+    let options;
+    let config;
+    try {
+        options = parseArgs(argv);
+        if (options.help) {
+            process.stdout.write(`${USAGE}\n`);
+            return EXIT.ok;
+        }
+        config = loadConfig(options.config);
+        if (options.seed !== undefined) config.seed = parseSeed(options.seed);
+    } catch (error) {
+        process.stderr.write(`chlorella-gen: ${error.message}\n`);
+        if (error.usage) process.stderr.write(`\n${USAGE}\n`);
+        return EXIT.usage;
+    }
+
+    // El progreso del generador va a stderr para no mezclarse con las estadísticas
+    const log = options.quiet ? () => {} : message => process.stderr.write(`${message}\n`);
+
+    const outputDir = options.out || path.join(process.cwd(), `chlorella_${Date.now()}`);
+    let stats;
+    try {
+        stats = await generateDataset(config, outputDir, { profilesDir: options.profiles || null, log });
+    } catch (error) {
+        process.stderr.write(`chlorella-gen: ${error.message}\n`);
+        (error.details || []).forEach(detail => process.stderr.write(`  ${detail.field}: ${detail.message}\n`));
+        return error.status === 400 ? EXIT.usage : EXIT.failed;
+    }
+
+    if (options.json) {
+        process.stdout.write(`${JSON.stringify(stats, null, 2)}\n`);
+    } else {
+        printSummary(stats);
+    }
+    return validationPassed(stats) ? EXIT.ok : EXIT.validationFailed;
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
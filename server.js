@@ -1,7 +1,27 @@
 // server.js - Modelo científico REAL para Chlorella vulgaris
 const express = require('express');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const archiver = require('archiver');
+const { VARIABILITY_PRESETS, PARAMETER_LIMITS } = require('./src/scenarioConfig');
+const { OPERATION_MODES } = require('./src/reactor');
+const { SPLIT_STRATEGIES } = require('./src/splits');
+const { SENSOR_DEFAULTS } = require('./src/sensors');
+const { MODEL_VERSION } = require('./src/generator');
+const { createProfileRegistry, DEFAULT_PROFILE, PROFILE_SCHEMA } = require('./src/profiles');
+const { describeKineticModels } = require('./src/kinetics');
+const { createJobManager, JOB_STATUSES } = require('./src/jobs');
+const { FORMATS, FORMAT_NAMES, formatOf, findSource, convertDataset } = require('./src/formats');
+const { createCatalog, resolveRetentionConfig, isDatasetId } = require('./src/catalog');
+const { DESIGN_TYPES } = require('./src/design');
+const { CONTROL_DEFAULTS, PHOTOPERIOD_DEFAULTS, PHOTOPERIOD_LIMITS, PHOTOPERIOD_LIGHT_REGIMES } = require('./src/inputs');
+const { resolveCalibrationConfig, readObservations, calibrateInWorker } = require('./src/calibration');
+const { validateBody, resolveDatasetFile, METADATA_FILES } = require('./src/validation');
+const { requestError, resolveGenerateRequest } = require('./src/request');
+const { analyzeDataset, stratifiedSample, ANALYSIS_LIMITS } = require('./src/analytics');
+const { renderAnalysisReport } = require('./src/report');
+const { parseApiKeys, createApiKeyAuth, DEFAULT_RATE_LIMIT } = require('./src/auth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -10,270 +30,69 @@ const PORT = process.env.PORT || 3000;
 app.use(express.json({ limit: '50mb' }));
 app.use(express.static('public'));
 
-// Crear directorio para datasets
-const datasetsDir = path.join(__dirname, 'generated_datasets');
+// Crear directorio para datasets (DATASETS_DIR)
+const datasetsDir = process.env.DATASETS_DIR || path.join(__dirname, 'generated_datasets');
 if (!fs.existsSync(datasetsDir)) {
     fs.mkdirSync(datasetsDir, { recursive: true });
 }
 
-// PARÁMETROS CIENTÍFICOS REALES para Chlorella vulgaris
-const CHLORELLA_PARAMS = {
-    // Biomasa (g/L) - Valores científicos reales
-    biomass: {
-        initial: 0.05,      // 0.05 g/L inicial
-        max: 4.0,           // 4.0 g/L máximo (cultivos densos)
-        typical: 2.0        // 2.0 g/L típico
-    },
-    
-    // Temperatura (°C) - Basado en literatura
-    temperature: {
-        min: 20,
-        max: 35,
-        optimal: 28
-    },
-    
-    // pH - Basado en literatura
-    pH: {
-        min: 6.5,
-        max: 9.0,
-        optimal: 8.0
-    },
-    
-    // Luz PAR (μmol/m²/s) - Basado en literatura
-    light: {
-        min: 0,
-        max: 400,
-        optimal: 150
-    },
-    
-    // Tasa de crecimiento (h⁻¹) - Científicamente realista
-    growth: {
-        min: 0.001,
-        max: 0.05,
-        optimal: 0.025
-    }
+// Perfiles de especie subidos por los usuarios (PROFILES_DIR; los integrados no se guardan en disco)
+const profiles = createProfileRegistry(process.env.PROFILES_DIR || path.join(__dirname, 'profiles'));
+
+// Campos admitidos en el cuerpo de /calibrate; `generate` son campos de /generate-dataset
+const CALIBRATE_REQUEST_SCHEMA = {
+    csv: { type: 'string' },
+    scenario: { type: ['string', 'integer'] },
+    profile: { type: 'string' },
+    kinetics: { type: 'object' },
+    fit: { type: 'array' },
+    columns: { type: 'object' },
+    confidence: { type: 'number', min: 0.5, max: 0.999 },
+    generate: { type: 'object' }
 };
 
-// Función para generar datos científicamente CORRECTOS
-function generateRealisticData(scenarios, totalDays) {
-    console.log(`🧬 Generando datos REALES: ${scenarios} escenarios, ${totalDays} días`);
-    
-    const data = [];
-    const hoursTotal = totalDays * 24;
-    
-    for (let s = 1; s <= scenarios; s++) {
-        console.log(`Generando escenario ${s}/${scenarios}`);
-        
-        // Parámetros únicos por escenario - REALISTAS
-        const scenarioParams = {
-            baseTemp: CHLORELLA_PARAMS.temperature.optimal + (Math.random() - 0.5) * 8,
-            basePH: CHLORELLA_PARAMS.pH.optimal + (Math.random() - 0.5) * 1.5,
-            maxPAR: 100 + Math.random() * 200,
-            initialBiomass: CHLORELLA_PARAMS.biomass.initial + Math.random() * 0.05,
-            maxBiomass: 1.5 + Math.random() * 2.5,
-            muMax: 0.015 + Math.random() * 0.025,
-            lightRegime: Math.random() > 0.5 ? 'continuous' : 'cyclic'
-        };
-        
-        // Estado inicial del cultivo
-        let biomass = scenarioParams.initialBiomass;
-        let nutrients = 1.0;
-        let cultureAge = 0;
-        
-        for (let h = 0; h < hoursTotal; h++) {
-            const dayOfExperiment = Math.floor(h / 24) + 1;
-            const hourOfDay = h % 24;
-            cultureAge = h;
-            
-            // === CONDICIONES AMBIENTALES REALISTAS ===
-            
-            // Temperatura con variación circadiana
-            let temperature = scenarioParams.baseTemp;
-            temperature += Math.sin((hourOfDay - 6) * Math.PI / 12) * 2; // Variación diaria
-            temperature += (Math.random() - 0.5) * 1; // Ruido
-            temperature = Math.max(CHLORELLA_PARAMS.temperature.min, 
-                          Math.min(CHLORELLA_PARAMS.temperature.max, temperature));
-            
-            // pH con deriva gradual
-            let pH = scenarioParams.basePH;
-            pH += (biomass - scenarioParams.initialBiomass) * 0.1; // Sube con biomasa
-            pH += (Math.random() - 0.5) * 0.1; // Ruido pequeño
-            pH = Math.max(CHLORELLA_PARAMS.pH.min, 
-                 Math.min(CHLORELLA_PARAMS.pH.max, pH));
-            
-            // Luz PAR con ciclos día/noche
-            let lightIntensity = 0;
-            if (scenarioParams.lightRegime === 'continuous') {
-                lightIntensity = scenarioParams.maxPAR * (0.9 + 0.2 * Math.random());
-            } else {
-                // Ciclo día/noche 16:8
-                if (hourOfDay >= 6 && hourOfDay < 22) {
-                    const lightPhase = (hourOfDay - 6) / 16;
-                    const lightCurve = Math.sin(lightPhase * Math.PI);
-                    lightIntensity = scenarioParams.maxPAR * lightCurve * (0.8 + 0.4 * Math.random());
-                }
-            }
-            lightIntensity = Math.max(0, Math.min(CHLORELLA_PARAMS.light.max, lightIntensity));
-            
-            // Nutrientes con depleción gradual
-            const nutrientConsumption = biomass * 0.001;
-            nutrients = Math.max(0.1, nutrients - nutrientConsumption);
-            
-            // Oxígeno disuelto
-            const dissolvedO2 = 6 + Math.random() * 4;
-            
-            // === MODELO CINÉTICO CIENTÍFICO ===
-            
-            // Efecto de temperatura (función cardinal)
-            let tempEffect = 0;
-            if (temperature >= 15 && temperature <= 40) {
-                const tempOptimal = CHLORELLA_PARAMS.temperature.optimal;
-                const tempDiff = Math.abs(temperature - tempOptimal);
-                tempEffect = Math.exp(-Math.pow(tempDiff / 8, 2));
-            }
-            
-            // Efecto de pH
-            let pHEffect = 0;
-            if (pH >= 6.0 && pH <= 10.0) {
-                const pHOptimal = CHLORELLA_PARAMS.pH.optimal;
-                const pHDiff = Math.abs(pH - pHOptimal);
-                pHEffect = Math.exp(-Math.pow(pHDiff / 1.5, 2));
-            }
-            
-            // Efecto de luz (Monod + fotoinhibición)
-            let lightEffect = 0;
-            if (lightIntensity > 0) {
-                const saturationEffect = lightIntensity / (lightIntensity + 100);
-                const inhibitionEffect = lightIntensity > 300 ? 
-                                       Math.exp(-(lightIntensity - 300) / 100) : 1.0;
-                lightEffect = saturationEffect * inhibitionEffect;
-            }
-            
-            // Efecto de nutrientes
-            const nutrientEffect = nutrients / (nutrients + 0.1);
-            
-            // Efecto de densidad (logístico)
-            const densityEffect = Math.max(0, (scenarioParams.maxBiomass - biomass) / scenarioParams.maxBiomass);
-            
-            // Tasa específica de crecimiento
-            const combinedEffect = lightEffect * tempEffect * pHEffect * nutrientEffect * densityEffect;
-            let mu = scenarioParams.muMax * combinedEffect;
-            
-            // Limitar tasa de crecimiento
-            mu = Math.max(0, Math.min(CHLORELLA_PARAMS.growth.max, mu));
-            
-            // Aplicar crecimiento
-            const mortalityRate = 0.001; // Mortalidad constante baja
-            const netGrowthRate = mu - mortalityRate;
-            const biomassIncrement = netGrowthRate * biomass;
-            
-            // Actualizar biomasa
-            biomass = Math.max(0.01, biomass + biomassIncrement);
-            biomass = Math.min(scenarioParams.maxBiomass, biomass);
-            
-            // Concentración celular (correlacionada con biomasa)
-            const cellConcentration = biomass * 2.5e6; // 2.5M células por g/L
-            
-            // Productividad
-            const instantProductivity = Math.max(0, biomassIncrement * 24); // g/L/día
-            
-            // Determinar fase de crecimiento
-            let growthPhase = 'lag';
-            if (mu > scenarioParams.muMax * 0.8) {
-                growthPhase = 'exponential';
-            } else if (mu > scenarioParams.muMax * 0.4) {
-                growthPhase = 'linear';
-            } else if (mu > scenarioParams.muMax * 0.1) {
-                growthPhase = 'stationary';
-            } else {
-                growthPhase = 'decline';
-            }
-            
-            // Composición bioquímica
-            const proteinContent = 40 + 15 * nutrientEffect + 5 * Math.random();
-            const lipidContent = 15 + 10 * (1 - nutrientEffect) + 5 * Math.random();
-            const carbohydrateContent = 100 - proteinContent - lipidContent;
-            
-            // === CREAR PUNTO DE DATOS ===
-            const dataPoint = {
-                // Identificadores
-                Scenario: s,
-                Time_h: h,
-                Time_days: parseFloat((h / 24).toFixed(2)),
-                DateTime: new Date(Date.now() + h * 3600000).toISOString(),
-                
-                // Estado del cultivo
-                Culture_Age_h: cultureAge,
-                Growth_Phase: growthPhase,
-                
-                // Condiciones ambientales
-                Temperature_C: parseFloat(temperature.toFixed(2)),
-                pH: parseFloat(pH.toFixed(2)),
-                PAR_umol_m2_s: parseFloat(lightIntensity.toFixed(1)),
-                Dissolved_O2_mg_L: parseFloat(dissolvedO2.toFixed(2)),
-                
-                // Biomasa y células
-                Biomass_g_L: parseFloat(biomass.toFixed(4)),
-                Cell_Concentration_cells_mL: parseFloat(cellConcentration.toFixed(0)),
-                Cell_Density_10E6_mL: parseFloat((cellConcentration / 1e6).toFixed(2)),
-                
-                // Cinética
-                Specific_Growth_Rate_h: parseFloat(mu.toFixed(5)),
-                Growth_Rate_mu_h: parseFloat(mu.toFixed(5)),
-                
-                // Productividad
-                Instantaneous_Productivity_g_L_d: parseFloat(instantProductivity.toFixed(4)),
-                
-                // Nutrientes
-                Nutrients_g_L: parseFloat(nutrients.toFixed(3)),
-                
-                // Composición bioquímica
-                Protein_Content_percent: parseFloat(proteinContent.toFixed(1)),
-                Lipid_Content_percent: parseFloat(lipidContent.toFixed(1)),
-                Carbohydrate_Content_percent: parseFloat(carbohydrateContent.toFixed(1)),
-                
-                // Efectos del modelo
-                Temperature_Effect: parseFloat(tempEffect.toFixed(3)),
-                pH_Effect: parseFloat(pHEffect.toFixed(3)),
-                Light_Effect: parseFloat(lightEffect.toFixed(3)),
-                Nutrient_Effect: parseFloat(nutrientEffect.toFixed(3)),
-                Density_Effect: parseFloat(densityEffect.toFixed(3)),
-                
-                // Condiciones experimentales
-                Light_Regime: scenarioParams.lightRegime,
-                
-                // Calidad de datos
-                Data_Quality_Score: parseFloat((0.95 + Math.random() * 0.05).toFixed(3))
-            };
-            
-            data.push(dataPoint);
-        }
-        
-        console.log(`✅ Escenario ${s}: ${biomass.toFixed(3)} g/L biomasa final`);
-    }
-    
-    console.log(`🎯 Dataset generado: ${data.length} registros`);
-    return data;
+// API keys opcionales (API_KEYS="clave:peticiones_por_minuto,..."); sin claves, acceso libre
+const { keys: apiKeys, errors: apiKeyErrors } = parseApiKeys(process.env.API_KEYS, 
+    process.env.API_RATE_LIMIT === undefined ? DEFAULT_RATE_LIMIT : Number(process.env.API_RATE_LIMIT));
+if (apiKeyErrors.length) {
+    throw new Error(`Configuración de API keys inválida: ${apiKeyErrors.map(e => `${e.field} ${e.message}`).join('; ')}`);
 }
 
-// Convertir a CSV
-function toCSV(data) {
-    if (!data.length) return '';
-    
-    const headers = Object.keys(data[0]);
-    const rows = [headers.join(',')];
-    
-    data.forEach(row => {
-        const values = headers.map(header => {
-            let value = row[header];
-            if (value === null || value === undefined) return '';
-            if (typeof value === 'string' && value.includes(',')) return `"${value}"`;
-            return value;
-        });
-        rows.push(values.join(','));
+// Trabajos de generación en worker threads (uno menos que núcleos, mínimo uno), cada uno con
+// su propio límite de memoria (JOB_MAX_MEMORY_MB)
+const jobs = createJobManager({
+    concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || Math.max(1, os.cpus().length - 1),
+    maxMemoryMB: parseInt(process.env.JOB_MAX_MEMORY_MB, 10) || undefined
+});
+
+// Retención de datasets: RETENTION_MAX_DATASETS, RETENTION_MAX_AGE_DAYS, RETENTION_MAX_SIZE_MB (0 = sin límite)
+const retentionOverrides = {};
+[['maxDatasets', 'RETENTION_MAX_DATASETS'], ['maxAgeDays', 'RETENTION_MAX_AGE_DAYS'], ['maxSizeMB', 'RETENTION_MAX_SIZE_MB']]
+    .forEach(([name, variable]) => {
+        if (process.env[variable] !== undefined) retentionOverrides[name] = Number(process.env[variable]);
     });
-    
-    return rows.join('\n');
+const { config: retention, errors: retentionErrors } = resolveRetentionConfig(retentionOverrides);
+if (retentionErrors.length) {
+    throw new Error(`Configuración de retención inválida: ${retentionErrors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+}
+
+// Catálogo de datasets: las carpetas de trabajos en cola o en curso no cuentan
+const catalog = createCatalog(datasetsDir, {
+    retention,
+    isActive: id => jobs.list().some(job => job.folderName === id && !jobs.isFinal(job.status))
+});
+
+function applyRetention() {
+    catalog.enforceRetention().forEach(({ id, reason }) => {
+        console.log(`🧹 Dataset ${id} borrado por la política de retención (${reason})`);
+    });
+}
+
+// Carpeta única por trabajo aunque se envíen varios en el mismo milisegundo
+let lastFolderTimestamp = 0;
+function nextFolderName() {
+    lastFolderTimestamp = Math.max(Date.now(), lastFolderTimestamp + 1);
+    return `chlorella_${lastFolderTimestamp}`;
 }
 
 // Health check
@@ -282,182 +101,364 @@ app.get('/health', (req, res) => {
         status: 'OK', 
         message: 'Chlorella Generator - Modelo Científico Real',
         timestamp: new Date().toISOString(),
-        version: '3.0_realistic'
+        version: MODEL_VERSION
     });
 });
 
 // Test endpoint
 app.get('/test', (req, res) => {
+    const profile = profiles.get(DEFAULT_PROFILE);
     res.json({ 
         success: true,
         message: 'Servidor Chlorella - Modelo Científico Real', 
         time: new Date().toISOString(),
-        version: '3.0_realistic',
+        version: MODEL_VERSION,
         ranges: {
-            biomass: `${CHLORELLA_PARAMS.biomass.initial}-${CHLORELLA_PARAMS.biomass.max} g/L`,
-            temperature: `${CHLORELLA_PARAMS.temperature.min}-${CHLORELLA_PARAMS.temperature.max} °C`,
-            pH: `${CHLORELLA_PARAMS.pH.min}-${CHLORELLA_PARAMS.pH.max}`,
-            PAR: `${CHLORELLA_PARAMS.light.min}-${CHLORELLA_PARAMS.light.max} μmol/m²/s`
+            biomass: `${profile.biomass.initial}-${profile.biomass.max} g/L`,
+            temperature: `${profile.temperature.culture.min}-${profile.temperature.culture.max} °C`,
+            pH: `${profile.pH.culture.min}-${profile.pH.culture.max}`,
+            PAR: `0-${profile.light.max} μmol/m²/s`
         }
     });
 });
 
-// Endpoint principal
-app.post('/generate-dataset', (req, res) => {
+// A partir de aquí las rutas requieren API key si hay claves configuradas
+// (/health, /test y los ficheros estáticos de la interfaz quedan libres)
+app.use(createApiKeyAuth(apiKeys));
+
+// Los datasets se identifican por el nombre de su carpeta (chlorella_<timestamp>):
+// cualquier otro valor se rechaza antes de tocar el disco
+app.param('folder', (req, res, next, folder) => {
+    if (!isDatasetId(folder)) {
+        return res.status(400).json({ success: false, error: 'Identificador de dataset inválido' });
+    }
+    next();
+});
+
+// Espacio de parámetros: presets de variabilidad y límites admitidos
+app.get('/scenario-presets', (req, res) => {
+    res.json({
+        presets: VARIABILITY_PRESETS,
+        limits: PARAMETER_LIMITS,
+        operationModes: OPERATION_MODES,
+        splitStrategies: SPLIT_STRATEGIES,
+        sensors: SENSOR_DEFAULTS,
+        profiles: profiles.list().map(profile => profile.id),
+        kinetics: describeKineticModels(),
+        designTypes: DESIGN_TYPES,
+        inputs: {
+            control: CONTROL_DEFAULTS,
+            // Solo los escenarios de estos regímenes de luz siguen el fotoperiodo
+            photoperiod: { defaults: PHOTOPERIOD_DEFAULTS, limits: PHOTOPERIOD_LIMITS, lightRegimes: PHOTOPERIOD_LIGHT_REGIMES }
+        },
+        formats: FORMAT_NAMES
+    });
+});
+
+// Perfiles de especie/cepa: integrados (literatura) y subidos por los usuarios
+app.get('/profiles', (req, res) => {
+    res.json({ 
+        success: true, 
+        default: DEFAULT_PROFILE,
+        profiles: profiles.list(),
+        schema: PROFILE_SCHEMA
+    });
+});
+
+app.get('/profiles/:id', (req, res) => {
+    const profile = profiles.get(req.params.id);
+    if (!profile) {
+        return res.status(404).json({ success: false, error: 'Perfil no encontrado' });
+    }
+    res.json({ success: true, profile });
+});
+
+// Subir un perfil (JSON completo, o parcial con `base` para heredar del resto)
+app.post('/profiles', (req, res) => {
     try {
-        const { 
-            scenarios = 10, 
-            totalDays = 15,
-            variabilityLevel = 'medium' 
-        } = req.body;
-        
-        // Validaciones
-        if (scenarios < 1 || scenarios > 100) {
+        const { profile, errors } = profiles.add(req.body);
+        if (errors.length) {
             return res.status(400).json({ 
                 success: false, 
-                error: 'Escenarios debe estar entre 1 y 100' 
+                error: 'Perfil inválido',
+                details: errors
             });
         }
+        console.log(`🧫 Perfil ${profile.id} registrado`);
+        res.status(201).json({ success: true, profile });
         
-        if (totalDays < 1 || totalDays > 60) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Días debe estar entre 1 y 60' 
-            });
+    } catch (error) {
+        console.error('Error registrando perfil:', error);
+        res.status(error.status || 500).json({ 
+            success: false, 
+            error: error.status ? error.message : 'Error interno' 
+        });
+    }
+});
+
+app.delete('/profiles/:id', (req, res) => {
+    try {
+        if (!profiles.remove(req.params.id)) {
+            return res.status(404).json({ success: false, error: 'Perfil no encontrado' });
         }
+        console.log(`🗑️ Perfil ${req.params.id} borrado`);
+        res.json({ success: true, id: req.params.id, message: 'Perfil borrado' });
         
-        console.log(`🚀 Generando ${scenarios} escenarios de ${totalDays} días`);
-        
-        // Generar datos REALES
-        const data = generateRealisticData(scenarios, totalDays);
-        
-        // Dividir datos
-        const shuffled = data.sort(() => Math.random() - 0.5);
-        const trainSize = Math.floor(shuffled.length * 0.7);
-        const validSize = Math.floor(shuffled.length * 0.15);
+    } catch (error) {
+        console.error('Error borrando perfil:', error);
+        res.status(error.status || 500).json({ 
+            success: false, 
+            error: error.status ? error.message : 'Error interno' 
+        });
+    }
+});
+
+// Encolar una generación ya resuelta; devuelve el cuerpo de la respuesta 202
+function submitGeneration(params) {
+    const job = jobs.submit(params, path.join(datasetsDir, nextFolderName()));
+    console.log(`📥 Trabajo ${job.id} en cola: ${params.scenarios} escenarios de ${params.totalDays} días`);
+    
+    // Cada dataset nuevo puede dejar fuera de la política de retención a los más antiguos
+    const unsubscribe = jobs.subscribe(job.id, current => {
+        if (!jobs.isFinal(current.status)) return;
+        unsubscribe();
+        if (current.status === 'completed') applyRetention();
+    });
+    
+    return { 
+        success: true, 
+        jobId: job.id,
+        job,
+        links: {
+            status: `/jobs/${job.id}`,
+            events: `/jobs/${job.id}/events`,
+            cancel: `/jobs/${job.id}/cancel`
+        },
+        message: 'Generación en cola'
+    };
+}
+
+// Endpoint principal
+app.post('/generate-dataset', (req, res) => {
+    try {
+        res.status(202).json(submitGeneration(resolveGenerateRequest(req.body, profiles)));
         
-        const train = shuffled.slice(0, trainSize);
-        const valid = shuffled.slice(trainSize, trainSize + validSize);
-        const test = shuffled.slice(trainSize + validSize);
+    } catch (error) {
+        if (!error.status) console.error('❌ Error generando dataset:', error);
+        res.status(error.status || 500).json({ 
+            success: false, 
+            error: error.message,
+            details: error.details
+        });
+    }
+});
+
+const calibrationOptions = {
+    maxConcurrent: parseInt(process.env.CALIBRATION_CONCURRENCY, 10) || undefined,
+    maxMemoryMB: parseInt(process.env.JOB_MAX_MEMORY_MB, 10) || undefined
+};
+
+// Calibración: ajustar el modelo a una serie medida (CSV) y, con `generate`, encolar
+// escenarios muestreados alrededor de los valores calibrados (ver src/calibration.js).
+// El CSV va en el campo `csv` de un cuerpo JSON, o como cuerpo text/csv con las opciones
+// simples en la query (?scenario=&profile=&fit=muMax,maxBiomass&confidence=0.9).
+// El ajuste corre en un worker thread; con demasiadas calibraciones en curso responde 503
+app.post('/calibrate', express.text({ type: 'text/csv', limit: '50mb' }), async (req, res) => {
+    try {
+        const body = typeof req.body === 'string' ? { ...calibrationQuery(req.query), csv: req.body } : req.body;
+        const bodyErrors = validateBody(CALIBRATE_REQUEST_SCHEMA, body);
+        if (!bodyErrors.length && typeof body.csv !== 'string') {
+            bodyErrors.push({ field: 'csv', message: 'falta el CSV con la serie medida' });
+        }
+        if (bodyErrors.length) {
+            throw requestError('Petición inválida', bodyErrors);
+        }
         
-        // Crear directorio
-        const timestamp = Date.now();
-        const folderName = `chlorella_${timestamp}`;
-        const folder = path.join(datasetsDir, folderName);
-        fs.mkdirSync(folder, { recursive: true });
+        const { csv, generate, ...overrides } = body;
+        const { config, errors: configErrors } = resolveCalibrationConfig(overrides, profiles.definitions());
+        if (configErrors.length) {
+            throw requestError('Configuración de calibración inválida', configErrors);
+        }
         
-        // Guardar archivos
-        fs.writeFileSync(path.join(folder, 'complete_dataset.csv'), toCSV(data));
-        fs.writeFileSync(path.join(folder, 'training_data.csv'), toCSV(train));
-        fs.writeFileSync(path.join(folder, 'validation_data.csv'), toCSV(valid));
-        fs.writeFileSync(path.join(folder, 'test_data.csv'), toCSV(test));
+        const { observations, errors: dataErrors } = readObservations(csv, config);
+        if (dataErrors.length) {
+            throw requestError('Datos de calibración inválidos', dataErrors);
+        }
         
-        // Estadísticas REALES
-        const biomassValues = data.map(d => d.Biomass_g_L);
-        const tempValues = data.map(d => d.Temperature_C);
-        const pHValues = data.map(d => d.pH);
-        const growthRates = data.map(d => d.Specific_Growth_Rate_h);
+        const calibration = await calibrateInWorker(observations, config, calibrationOptions);
+        console.log(`📐 Calibración (${config.profile}): ${calibration.goodnessOfFit.n} puntos, R² ${calibration.goodnessOfFit.r2}`);
         
-        const stats = {
-            totalPoints: data.length,
-            trainingPoints: train.length,
-            validationPoints: valid.length,
-            testPoints: test.length,
-            scenarios: scenarios,
-            duration: `${totalDays} days`,
-            
-            biomassRange: {
-                min: Math.min(...biomassValues),
-                max: Math.max(...biomassValues),
-                mean: biomassValues.reduce((a, b) => a + b, 0) / biomassValues.length
-            },
-            
-            temperatureRange: {
-                min: Math.min(...tempValues),
-                max: Math.max(...tempValues),
-                mean: tempValues.reduce((a, b) => a + b, 0) / tempValues.length
-            },
-            
-            pHRange: {
-                min: Math.min(...pHValues),
-                max: Math.max(...pHValues),
-                mean: pHValues.reduce((a, b) => a + b, 0) / pHValues.length
-            },
-            
-            growthRateRange: {
-                min: Math.min(...growthRates),
-                max: Math.max(...growthRates),
-                mean: growthRates.reduce((a, b) => a + b, 0) / growthRates.length
-            },
-            
-            outputDir: folder,
-            folderName: folderName,
-            
-            scientificValidation: {
-                biomassRealistic: biomassValues.every(v => v >= 0.01 && v <= 5.0),
-                temperatureRealistic: tempValues.every(v => v >= 15 && v <= 40),
-                pHRealistic: pHValues.every(v => v >= 6.0 && v <= 10.0),
-                growthRateRealistic: growthRates.every(v => v >= 0 && v <= 0.1)
-            }
-        };
+        // Con `generate` (campos de /generate-dataset) se encola directamente la generación
+        let generation = null;
+        if (generate) {
+            const request = { 
+                ...calibration.generateRequest, 
+                ...generate,
+                scenarioConfig: { ...calibration.generateRequest.scenarioConfig, ...generate.scenarioConfig },
+                kinetics: { ...calibration.generateRequest.kinetics, ...generate.kinetics }
+            };
+            generation = submitGeneration(resolveGenerateRequest(request, profiles));
+        }
         
-        console.log('✅ Dataset científico generado exitosamente');
-        console.log(`📊 Biomasa: ${stats.biomassRange.min.toFixed(3)} - ${stats.biomassRange.max.toFixed(3)} g/L`);
-        console.log(`🌡️ Temperatura: ${stats.temperatureRange.min.toFixed(1)} - ${stats.temperatureRange.max.toFixed(1)} °C`);
-        console.log(`🔬 pH: ${stats.pHRange.min.toFixed(2)} - ${stats.pHRange.max.toFixed(2)}`);
+        res.json({ success: true, ...calibration, generation });
         
-        res.json({ 
-            success: true, 
-            stats, 
-            outputDir: folder,
-            message: 'Dataset científico generado correctamente'
+    } catch (error) {
+        if (!error.status) console.error('❌ Error calibrando:', error);
+        res.status(error.status || 500).json({ 
+            success: false, 
+            error: error.status ? error.message : 'Error interno',
+            details: error.details
+        });
+    }
+});
+
+// Opciones de /calibrate en la query cuando el CSV llega como text/csv
+function calibrationQuery(query) {
+    const options = {};
+    if (query.scenario !== undefined) options.scenario = query.scenario;
+    if (query.profile !== undefined) options.profile = query.profile;
+    if (query.fit !== undefined) options.fit = String(query.fit).split(',').filter(Boolean);
+    if (query.confidence !== undefined) options.confidence = Number(query.confidence);
+    return options;
+}
+
+// Lista de trabajos (?status=queued|running|completed|failed|cancelled)
+app.get('/jobs', (req, res) => {
+    const { status } = req.query;
+    if (status !== undefined && !JOB_STATUSES.includes(status)) {
+        return res.status(400).json({ 
+            success: false, 
+            error: `status debe ser uno de: ${JOB_STATUSES.join(', ')}` 
+        });
+    }
+    
+    const list = jobs.list(status);
+    const counts = {};
+    JOB_STATUSES.forEach(name => { counts[name] = jobs.list(name).length; });
+    res.json({ success: true, jobs: list, counts });
+});
+
+// Estado y progreso de un trabajo
+app.get('/jobs/:id', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Trabajo no encontrado' });
+    }
+    res.json({ success: true, job });
+});
+
+// Progreso en tiempo real (Server-Sent Events). Cada evento `progress` lleva el trabajo completo;
+// el último es `completed`, `failed` o `cancelled` y cierra el stream.
+app.get('/jobs/:id/events', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Trabajo no encontrado' });
+    }
+    
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    
+    let unsubscribe = () => {};
+    const send = current => {
+        const event = jobs.isFinal(current.status) ? current.status : 'progress';
+        res.write(`event: ${event}\ndata: ${JSON.stringify(current)}\n\n`);
+        if (event !== 'progress') {
+            unsubscribe();
+            res.end();
+        }
+    };
+    
+    unsubscribe = jobs.subscribe(job.id, send);
+    req.on('close', () => unsubscribe());
+    send(job);
+});
+
+// Cancelar un trabajo en cola o en curso (se borra lo que hubiera escrito)
+app.post('/jobs/:id/cancel', (req, res) => {
+    const current = jobs.get(req.params.id);
+    if (!current) {
+        return res.status(404).json({ success: false, error: 'Trabajo no encontrado' });
+    }
+    if (jobs.isFinal(current.status)) {
+        return res.status(409).json({ 
+            success: false, 
+            error: `El trabajo ya terminó (${current.status})`,
+            job: current
         });
+    }
+    
+    const job = jobs.cancel(req.params.id);
+    console.log(`🛑 Trabajo ${job.id} cancelado`);
+    res.json({ success: true, job });
+});
+
+// Catálogo de datasets generados (del más reciente al más antiguo)
+app.get('/datasets', (req, res) => {
+    const datasets = catalog.list();
+    res.json({ 
+        success: true, 
+        datasets,
+        totals: {
+            count: datasets.length,
+            sizeBytes: datasets.reduce((total, dataset) => total + dataset.sizeBytes, 0)
+        },
+        retention: catalog.retention
+    });
+});
+
+// Un dataset con su manifiesto (configuración, esquema, tamaños, estadísticas y checksums)
+app.get('/datasets/:folder', (req, res) => {
+    const dataset = catalog.get(req.params.folder);
+    if (!dataset) {
+        return res.status(404).json({ success: false, error: 'Dataset no encontrado' });
+    }
+    res.json({ success: true, dataset });
+});
+
+app.delete('/datasets/:folder', (req, res) => {
+    try {
+        if (!catalog.remove(req.params.folder)) {
+            return res.status(404).json({ success: false, error: 'Dataset no encontrado' });
+        }
+        console.log(`🗑️ Dataset ${req.params.folder} borrado`);
+        res.json({ success: true, id: req.params.folder, message: 'Dataset borrado' });
         
     } catch (error) {
-        console.error('❌ Error generando dataset:', error);
-        res.status(500).json({ 
+        console.error('Error borrando dataset:', error);
+        res.status(error.status || 500).json({ 
             success: false, 
-            error: error.message
+            error: error.status ? error.message : 'Error interno' 
         });
     }
 });
 
-// Endpoint para obtener muestra
-app.get('/sample-data/:folder', (req, res) => {
+// Muestra estratificada por escenario y fase de crecimiento sobre todas las filas del dataset
+// (?size=1000&seed=; sin semilla, la del dataset: la misma petición da la misma muestra)
+app.get('/sample-data/:folder', async (req, res) => {
     try {
-        const filePath = path.join(datasetsDir, req.params.folder, 'complete_dataset.csv');
+        const { options, errors } = analysisQuery(req.query, ['size', 'seed']);
+        if (errors.length) {
+            return res.status(400).json({ success: false, error: 'Parámetros inválidos', details: errors });
+        }
         
-        if (!fs.existsSync(filePath)) {
+        const sample = catalog.has(req.params.folder) ? 
+            await stratifiedSample(path.join(datasetsDir, req.params.folder), options) : null;
+        if (!sample) {
             return res.status(404).json({ 
                 error: 'Dataset no encontrado'
             });
         }
         
-        const csv = fs.readFileSync(filePath, 'utf8');
-        const lines = csv.split('\n').filter(line => line.trim());
-        const headers = lines[0].split(',');
-        
-        // Tomar muestra estratificada
-        const sampleSize = Math.min(1000, lines.length - 1);
-        const data = [];
-        
-        for (let i = 1; i <= sampleSize; i++) {
-            if (lines[i] && lines[i].trim()) {
-                const values = lines[i].split(',');
-                const row = {};
-                headers.forEach((header, idx) => {
-                    const value = values[idx];
-                    row[header] = isNaN(value) ? value : parseFloat(value);
-                });
-                data.push(row);
-            }
-        }
-        
         res.json({
-            data: data,
-            sampleSize: data.length,
-            totalRows: lines.length - 1,
-            headers: headers
+            data: sample.rows,
+            sampleSize: sample.rows.length,
+            totalRows: sample.totalRows,
+            headers: sample.headers,
+            seed: sample.seed,
+            strata: sample.strata
         });
         
     } catch (error) {
@@ -468,24 +469,180 @@ app.get('/sample-data/:folder', (req, res) => {
     }
 });
 
-// Endpoint para descargar
-app.get('/download/:folder/:filename', (req, res) => {
+// Análisis del dataset completo: distribuciones, correlaciones, balance de fases, resumen por
+// escenario, desplazamiento entre conjuntos y fidelidad (ver src/analytics.js). ?bins=20
+app.get('/analysis/:folder', async (req, res) => {
+    await sendAnalysis(req, res, analysis => res.json({ success: true, ...analysis }));
+});
+
+// El mismo análisis como informe descargable (?format=html|json)
+app.get('/analysis/:folder/report', async (req, res) => {
+    const format = req.query.format || 'html';
+    if (!['html', 'json'].includes(format)) {
+        return res.status(400).json({ success: false, error: 'format debe ser uno de: html, json' });
+    }
+    await sendAnalysis(req, res, analysis => {
+        res.setHeader('Content-Disposition', `attachment; filename="analysis_${req.params.folder}.${format}"`);
+        if (format === 'html') {
+            res.type('html').send(renderAnalysisReport(analysis));
+        } else {
+            res.type('json').send(JSON.stringify(analysis, null, 2));
+        }
+    });
+});
+
+async function sendAnalysis(req, res, send) {
     try {
-        const filePath = path.join(datasetsDir, req.params.folder, req.params.filename);
+        const { options, errors } = analysisQuery(req.query, ['bins']);
+        if (errors.length) {
+            return res.status(400).json({ success: false, error: 'Parámetros inválidos', details: errors });
+        }
         
-        if (!fs.existsSync(filePath)) {
+        const analysis = catalog.has(req.params.folder) ? 
+            await analyzeDataset(path.join(datasetsDir, req.params.folder), options) : null;
+        if (!analysis) {
+            return res.status(404).json({ success: false, error: 'Dataset no encontrado' });
+        }
+        send(analysis);
+        
+    } catch (error) {
+        console.error('Error analizando dataset:', error);
+        res.status(500).json({ success: false, error: 'Error analizando el dataset' });
+    }
+}
+
+// Opciones numéricas de /analysis y /sample-data en la query (`seed` se pasa tal cual)
+function analysisQuery(query, names) {
+    const options = {};
+    const errors = [];
+    names.forEach(name => {
+        const value = query[name];
+        if (value === undefined) return;
+        if (name === 'seed') {
+            options.seed = /^-?\d+$/.test(value) ? Number(value) : String(value);
+            return;
+        }
+        const { min, max } = ANALYSIS_LIMITS[name];
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < min || number > max) {
+            errors.push({ field: name, message: `debe ser un entero entre ${min} y ${max}` });
+        } else {
+            options[name] = number;
+        }
+    });
+    return { options, errors };
+}
+
+// Ficheros de datos de un dataset (rutas relativas, incluidos los folds), sin temporales
+function listDataFiles(folder) {
+    const files = [];
+    ['', 'folds'].forEach(dir => {
+        const absolute = path.join(folder, dir);
+        if (!fs.existsSync(absolute)) return;
+        fs.readdirSync(absolute)
+            .filter(name => /^[A-Za-z0-9_]+\.[a-z]+$/.test(name) && formatOf(name) && !METADATA_FILES.includes(name))
+            .forEach(name => files.push(path.join(dir, name)));
+    });
+    return files;
+}
+
+// Archivo zip con todos los conjuntos (y folds) más los metadatos JSON.
+// `?format=` incluye solo ese formato, convirtiendo los que falten.
+app.get('/download/:folder/archive.zip', async (req, res) => {
+    try {
+        const folder = path.join(datasetsDir, req.params.folder);
+        const { format } = req.query;
+        
+        if (!catalog.has(req.params.folder)) {
+            return res.status(404).json({ 
+                error: 'Dataset no encontrado'
+            });
+        }
+        if (format !== undefined && !FORMAT_NAMES.includes(format)) {
+            return res.status(400).json({ 
+                error: `format debe ser uno de: ${FORMAT_NAMES.join(', ')}`
+            });
+        }
+        
+        let files = listDataFiles(folder);
+        if (format) {
+            const bases = [...new Set(files.map(file => file.slice(0, -path.extname(file).length)))];
+            files = [];
+            for (const base of bases) {
+                const target = base + FORMATS[format].extension;
+                if (!fs.existsSync(path.join(folder, target))) {
+                    await convertDataset(path.join(folder, base), format);
+                }
+                files.push(target);
+            }
+        }
+        const metadata = METADATA_FILES.filter(name => fs.existsSync(path.join(folder, name)));
+        
+        res.setHeader('Content-Disposition', `attachment; filename="${req.params.folder}.zip"`);
+        res.setHeader('Content-Type', 'application/zip');
+        
+        const archive = archiver('zip', { zlib: { level: 6 } });
+        archive.on('error', error => {
+            console.error('Error comprimiendo:', error);
+            res.destroy(error);
+        });
+        archive.pipe(res);
+        [...files, ...metadata].forEach(file => archive.file(path.join(folder, file), { name: file }));
+        await archive.finalize();
+        
+    } catch (error) {
+        console.error('Error descarga:', error);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Error interno' });
+    }
+});
+
+// Endpoint para descargar. `?format=` sirve el conjunto en ese formato: si no se generó,
+// se convierte desde otro formato legible y queda guardado para las siguientes descargas.
+// Solo se sirven los nombres de src/validation.js (conjuntos, folds y metadatos).
+app.get('/download/:folder/:filename', async (req, res) => {
+    try {
+        const folder = path.join(datasetsDir, req.params.folder);
+        const requested = req.query.format;
+        
+        if (requested !== undefined && !FORMAT_NAMES.includes(requested)) {
+            return res.status(400).json({ 
+                error: `format debe ser uno de: ${FORMAT_NAMES.join(', ')}`
+            });
+        }
+        
+        // `training_data.csv?format=parquet` y `training_data?format=parquet` son equivalentes
+        const file = resolveDatasetFile(req.params.filename, requested);
+        if (!file) {
+            return res.status(400).json({ 
+                error: 'Nombre de archivo no permitido'
+            });
+        }
+        
+        if (!catalog.has(req.params.folder)) {
+            return res.status(404).json({ 
+                error: 'Dataset no encontrado'
+            });
+        }
+        
+        if (file.format && !fs.existsSync(path.join(folder, file.path))) {
+            await convertDataset(path.join(folder, file.baseName), file.format);
+        }
+        
+        if (!fs.existsSync(path.join(folder, file.path))) {
             return res.status(404).json({ 
                 error: 'Archivo no encontrado'
             });
         }
         
-        res.setHeader('Content-Disposition', `attachment; filename="${req.params.filename}"`);
-        res.setHeader('Content-Type', 'text/csv');
-        res.sendFile(filePath);
+        res.setHeader('Content-Disposition', `attachment; filename="${path.basename(file.path)}"`);
+        const metadataType = path.extname(file.path) === '.csv' ? FORMATS.csv.contentType : 'application/json; charset=utf-8';
+        res.setHeader('Content-Type', file.format ? FORMATS[file.format].contentType : metadataType);
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.sendFile(file.path, { root: folder, dotfiles: 'deny' });
         
     } catch (error) {
         console.error('Error descarga:', error);
-        res.status(500).json({ error: 'Error interno' });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Error interno' });
     }
 });
 
@@ -521,6 +678,14 @@ app.get('/', (req, res) => {
 
 // Manejo de errores
 app.use((err, req, res, next) => {
+    // Cuerpo que no es JSON válido o que supera el límite de express.json
+    if (err.type === 'entity.parse.failed' || err.type === 'entity.too.large') {
+        return res.status(err.status).json({ 
+            success: false, 
+            error: err.type === 'entity.too.large' ? 'Cuerpo de la petición demasiado grande' : 'JSON inválido',
+            details: [{ field: 'body', message: err.message }]
+        });
+    }
     console.error('Error:', err);
     res.status(500).json({ error: 'Error interno' });
 });
@@ -529,12 +694,20 @@ app.use('*', (req, res) => {
     res.status(404).json({ error: 'Ruta no encontrada' });
 });
 
-// Iniciar servidor
-app.listen(PORT, '0.0.0.0', () => {
-    console.log(`🚀 Servidor Chlorella v3.0 - Modelo Científico Real`);
-    console.log(`🌐 Puerto: ${PORT}`);
-    console.log(`📊 Rangos científicos configurados`);
-    console.log(`✅ Listo para generar datos realistas`);
-});
+// Iniciar servidor (solo al ejecutar `node server.js`: al importarlo se obtiene la app sin escuchar)
+function start(port = PORT) {
+    return app.listen(port, '0.0.0.0', () => {
+        console.log(`🚀 Servidor Chlorella v3.0 - Modelo Científico Real`);
+        console.log(`🌐 Puerto: ${port}`);
+        console.log(`📊 Rangos científicos configurados`);
+        console.log(`✅ Listo para generar datos realistas`);
+        applyRetention();
+    });
+}
+
+if (require.main === module) {
+    start();
+}
 
 module.exports = app;
+module.exports.start = start;
@@ -0,0 +1,554 @@
+// src/analytics.js - Análisis de un dataset generado sobre todas sus filas
+//
+// Lee el dataset completo en streaming (cualquier formato legible, ver src/formats.js) en dos
+// pasadas: la primera acumula estadísticas por columna, la matriz de correlaciones (por pares
+// de valores presentes), los resúmenes por escenario, el balance de fases, la fidelidad de los
+// sensores (<Columna>_true frente a <Columna>_measured); la segunda, con los rangos ya
+// conocidos, los histogramas. La muestra estratificada (por escenario y fase) cuenta los estratos
+// en una pasada y sortea las filas de cada uno en otra.
+// Los conjuntos train/validation/test se leen una vez para comparar sus distribuciones con las
+// de entrenamiento (los folds de validación cruzada no se analizan).
+
+const path = require('path');
+const { FORMATS, findSource } = require('./formats');
+const { columnType } = require('./schema');
+const { createRunningStats } = require('./stats');
+const { createRNG } = require('./random');
+const { readManifest } = require('./manifest');
+
+const DEFAULT_BINS = 20;
+const DEFAULT_SAMPLE_SIZE = 1000;
+const ANALYSIS_LIMITS = {
+    bins: { min: 5, max: 100 },
+    size: { min: 1, max: 100000 }
+};
+
+// Columnas que identifican la fila, no la describen
+const IDENTIFIER_COLUMNS = ['Scenario'];
+// Categóricas con más valores distintos que estos no se cuentan (p. ej. combinaciones de fallos)
+const MAX_CATEGORIES = 50;
+const PHASE_COLUMN = 'Growth_Phase';
+const SCENARIO_COLUMNS = ['Biomass_g_L', 'Specific_Growth_Rate_h', 'Temperature_C', 'pH', 'PAR_umol_m2_s', 'Dissolved_O2_mg_L'];
+const SPLIT_SETS = { train: 'training_data', validation: 'validation_data', test: 'test_data' };
+
+// Umbrales habituales del índice de estabilidad de la población (PSI)
+const PSI_LEVELS = { moderate: 0.1, significant: 0.25 };
+const QUANTILES = { p05: 0.05, p25: 0.25, p50: 0.5, p75: 0.75, p95: 0.95 };
+
+function round(value, digits = 6) {
+    return value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(digits));
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && !Number.isNaN(value);
+}
+
+// Origen legible de un conjunto del dataset, o null
+function datasetSource(folder, baseName) {
+    const source = findSource(path.join(folder, baseName));
+    return source && FORMATS[source.format].readRows ? source : null;
+}
+
+async function forEachRow(source, callback) {
+    for await (const row of FORMATS[source.format].readRows(source.filePath)) {
+        callback(row);
+    }
+}
+
+// Clasificar las columnas con la primera fila: numéricas y categóricas (sin marcas de tiempo)
+function classifyColumns(row) {
+    const numeric = [];
+    const categorical = [];
+    Object.keys(row).forEach(name => {
+        if (IDENTIFIER_COLUMNS.includes(name)) return;
+        const type = columnType(name, [row[name]]);
+        if (type === 'int' || type === 'float') numeric.push(name);
+        else if (type === 'string') categorical.push(name);
+    });
+    return { numeric, categorical };
+}
+
+// Correlación de Pearson por pares con los valores presentes en ambas columnas (Welford)
+function createCorrelationMatrix(columns) {
+    const p = columns.length;
+    const size = p * p;
+    const n = new Float64Array(size);
+    const meanX = new Float64Array(size);
+    const meanY = new Float64Array(size);
+    const m2X = new Float64Array(size);
+    const m2Y = new Float64Array(size);
+    const comoment = new Float64Array(size);
+    const present = new Int32Array(p);
+    const values = new Float64Array(p);
+
+    return {
+        add(row) {
+            let k = 0;
+            for (let i = 0; i < p; i++) {
+                const value = row[columns[i]];
+                if (isNumber(value)) {
+                    present[k] = i;
+                    values[k++] = value;
+                }
+            }
+            for (let a = 0; a < k; a++) {
+                const base = present[a] * p;
+                const x = values[a];
+                for (let b = a + 1; b < k; b++) {
+                    const idx = base + present[b];
+                    const y = values[b];
+                    const count = ++n[idx];
+                    const dx = x - meanX[idx];
+                    meanX[idx] += dx / count;
+                    const dy = y - meanY[idx];
+                    meanY[idx] += dy / count;
+                    m2X[idx] += dx * (x - meanX[idx]);
+                    m2Y[idx] += dy * (y - meanY[idx]);
+                    comoment[idx] += dx * (y - meanY[idx]);
+                }
+            }
+        },
+        // Matriz simétrica; null si un par no tiene varianza o tiene menos de 3 valores
+        matrix() {
+            return columns.map((_, i) => columns.map((__, j) => {
+                if (i === j) return 1;
+                const idx = i < j ? i * p + j : j * p + i;
+                if (n[idx] < 3 || m2X[idx] <= 0 || m2Y[idx] <= 0) return null;
+                return round(comoment[idx] / Math.sqrt(m2X[idx] * m2Y[idx]), 4);
+            }));
+        }
+    };
+}
+
+// Histograma con bordes fijos; los valores fuera de rango van al primer o último intervalo
+function createHistogram(min, max, bins) {
+    const width = max > min ? (max - min) / bins : 0;
+    const counts = new Array(width ? bins : 1).fill(0);
+    const edges = width ? Array.from({ length: bins + 1 }, (_, i) => round(min + i * width)) : [round(min), round(max)];
+
+    return {
+        add(value) {
+            if (!isNumber(value)) return;
+            const bin = width ? Math.floor((value - min) / width) : 0;
+            counts[Math.max(0, Math.min(counts.length - 1, bin))]++;
+        },
+        result() {
+            return { edges, counts: counts.slice() };
+        }
+    };
+}
+
+// Cuantil aproximado interpolando dentro del intervalo del histograma
+function histogramQuantile({ edges, counts }, q) {
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    if (!total) return null;
+    const target = q * total;
+    let cumulative = 0;
+    for (let i = 0; i < counts.length; i++) {
+        if (cumulative + counts[i] >= target && counts[i] > 0) {
+            const fraction = (target - cumulative) / counts[i];
+            return edges[i] + fraction * (edges[i + 1] - edges[i]);
+        }
+        cumulative += counts[i];
+    }
+    return edges[edges.length - 1];
+}
+
+function createCategoryCounter() {
+    const counts = new Map();
+    let overflow = false;
+    return {
+        add(value) {
+            if (value === null || value === undefined || overflow) return;
+            const key = String(value);
+            if (!counts.has(key) && counts.size >= MAX_CATEGORIES) {
+                overflow = true;
+                return;
+            }
+            counts.set(key, (counts.get(key) || 0) + 1);
+        },
+        result() {
+            return overflow ? null : Object.fromEntries([...counts.entries()].sort((a, b) => b[1] - a[1]));
+        }
+    };
+}
+
+// Recuentos, proporciones y cociente entre la clase más y la menos frecuente
+function classBalance(counts) {
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const values = Object.values(counts);
+    return {
+        counts,
+        proportions: Object.fromEntries(Object.entries(counts).map(([name, count]) => [name, round(count / total, 4)])),
+        imbalanceRatio: values.length ? round(Math.max(...values) / Math.min(...values), 2) : null
+    };
+}
+
+// === MUESTRA ESTRATIFICADA ===
+
+// Reparto proporcional del tamaño de muestra entre estratos (restos mayores), con al menos una
+// fila por estrato cuando la muestra tiene sitio para todos
+function allocateSample(strataSizes, size) {
+    const total = strataSizes.reduce((sum, count) => sum + count, 0);
+    if (size >= total) return strataSizes.slice();
+
+    const exact = strataSizes.map(count => size * count / total);
+    const allocation = exact.map((value, i) => Math.min(strataSizes[i], Math.floor(value)));
+    if (size >= strataSizes.length) {
+        allocation.forEach((value, i) => { if (value === 0 && strataSizes[i] > 0) allocation[i] = 1; });
+    }
+
+    let assigned = allocation.reduce((sum, value) => sum + value, 0);
+    // Sobran filas (por el mínimo de una): se quitan de los estratos con más asignadas
+    while (assigned > size) {
+        const largest = allocation.reduce((best, value, i) => (value > allocation[best] ? i : best), 0);
+        allocation[largest]--;
+        assigned--;
+    }
+    // Faltan filas: a los estratos con mayor resto que aún tengan filas
+    const order = exact.map((value, i) => i).sort((a, b) => (exact[b] - Math.floor(exact[b])) - (exact[a] - Math.floor(exact[a])));
+    while (assigned < size) {
+        const next = order.find(i => allocation[i] < strataSizes[i] && allocation[i] <= exact[i]) ??
+                     order.find(i => allocation[i] < strataSizes[i]);
+        allocation[next]++;
+        assigned++;
+    }
+    return allocation;
+}
+
+function stratumKey(row) {
+    return `${row.Scenario}|${row[PHASE_COLUMN] ?? 'none'}`;
+}
+
+// Muestreo de reservorio por estrato; las filas se devuelven en el orden del dataset
+function createStratifiedSampler(strataSizes, size, rng) {
+    const keys = Object.keys(strataSizes);
+    const allocation = allocateSample(keys.map(key => strataSizes[key]), size);
+    const strata = new Map(keys.map((key, i) => [key, { quota: allocation[i], seen: 0, rows: [] }]));
+    let index = 0;
+
+    return {
+        add(row) {
+            const stratum = strata.get(stratumKey(row));
+            const position = index++;
+            if (!stratum || !stratum.quota) return;
+            stratum.seen++;
+            if (stratum.rows.length < stratum.quota) {
+                stratum.rows.push({ position, row });
+            } else {
+                const j = Math.floor(rng.random() * stratum.seen);
+                if (j < stratum.quota) stratum.rows[j] = { position, row };
+            }
+        },
+        result() {
+            const rows = [...strata.values()].flatMap(stratum => stratum.rows)
+                .sort((a, b) => a.position - b.position)
+                .map(entry => entry.row);
+            const summary = [...strata.entries()].map(([key, stratum]) => {
+                const [scenario, phase] = key.split('|');
+                return { scenario: Number(scenario), phase, rows: strataSizes[key], sampled: stratum.quota };
+            });
+            return { rows, strata: summary };
+        }
+    };
+}
+
+// Muestra estratificada por escenario y fase de crecimiento del dataset completo (dos pasadas).
+// `seed` por defecto es la del dataset, así la misma petición devuelve la misma muestra.
+async function stratifiedSample(folder, { size = DEFAULT_SAMPLE_SIZE, seed } = {}) {
+    const source = datasetSource(folder, 'complete_dataset');
+    if (!source) return null;
+
+    const strataSizes = {};
+    let headers = null;
+    let totalRows = 0;
+    await forEachRow(source, row => {
+        if (!headers) headers = Object.keys(row);
+        totalRows++;
+        const key = stratumKey(row);
+        strataSizes[key] = (strataSizes[key] || 0) + 1;
+    });
+
+    // Sin manifiesto (datasets antiguos) la semilla por defecto es el nombre de la carpeta
+    const manifest = readManifest(folder);
+    const sampleSeed = seed !== undefined ? seed : manifest ? manifest.seed.seed : path.basename(folder);
+    const rng = createRNG(sampleSeed, manifest ? manifest.seed.prng : undefined).fork('sample');
+    const sampler = createStratifiedSampler(strataSizes, size, rng);
+    await forEachRow(source, row => sampler.add(row));
+    return { ...sampler.result(), totalRows, headers: headers || [], seed: sampleSeed };
+}
+
+// === DESPLAZAMIENTO ENTRE CONJUNTOS ===
+
+// PSI, estadístico KS (con los intervalos del histograma) y diferencia de medias estandarizada
+function compareDistributions(reference, other) {
+    const total = counts => counts.reduce((sum, count) => sum + count, 0);
+    const refTotal = total(reference.histogram.counts);
+    const otherTotal = total(other.histogram.counts);
+    if (!refTotal || !otherTotal) return null;
+
+    const epsilon = 1e-4;
+    let psi = 0;
+    let ks = 0;
+    let refCumulative = 0;
+    let otherCumulative = 0;
+    reference.histogram.counts.forEach((count, i) => {
+        const p = Math.max(count / refTotal, epsilon);
+        const q = Math.max(other.histogram.counts[i] / otherTotal, epsilon);
+        psi += (q - p) * Math.log(q / p);
+        refCumulative += count / refTotal;
+        otherCumulative += other.histogram.counts[i] / otherTotal;
+        ks = Math.max(ks, Math.abs(refCumulative - otherCumulative));
+    });
+
+    const pooled = Math.sqrt(((reference.std || 0) ** 2 + (other.std || 0) ** 2) / 2);
+    const smd = pooled > 0 ? (other.mean - reference.mean) / pooled : null;
+    const level = psi >= PSI_LEVELS.significant ? 'significant' : psi >= PSI_LEVELS.moderate ? 'moderate' : 'none';
+    return { mean: round(other.mean), std: round(other.std), smd: round(smd, 4), psi: round(psi, 4), ks: round(ks, 4), level };
+}
+
+// Distancia de variación total entre dos distribuciones de clases
+function totalVariation(a, b) {
+    const totalA = Object.values(a).reduce((sum, count) => sum + count, 0);
+    const totalB = Object.values(b).reduce((sum, count) => sum + count, 0);
+    if (!totalA || !totalB) return null;
+    const classes = new Set([...Object.keys(a), ...Object.keys(b)]);
+    let distance = 0;
+    classes.forEach(name => { distance += Math.abs((a[name] || 0) / totalA - (b[name] || 0) / totalB); });
+    return round(distance / 2, 4);
+}
+
+// Estadísticas de un conjunto de la partición con los intervalos del dataset completo
+async function summarizeSplit(source, numeric, ranges, bins) {
+    const columns = Object.fromEntries(numeric.map(name => [name, {
+        stats: createRunningStats(),
+        histogram: createHistogram(ranges[name].min, ranges[name].max, bins)
+    }]));
+    const phases = {};
+    let rows = 0;
+    await forEachRow(source, row => {
+        rows++;
+        numeric.forEach(name => {
+            columns[name].stats.add(row[name]);
+            columns[name].histogram.add(row[name]);
+        });
+        const phase = row[PHASE_COLUMN];
+        if (phase !== undefined && phase !== null) phases[phase] = (phases[phase] || 0) + 1;
+    });
+    const distributions = {};
+    numeric.forEach(name => {
+        const { stats, histogram } = columns[name];
+        distributions[name] = { mean: stats.range().mean, std: stats.std(), histogram: histogram.result() };
+    });
+    return { rows, distributions, phases };
+}
+
+// === ANÁLISIS COMPLETO ===
+
+// Análisis de la carpeta de un dataset; null si no tiene un dataset completo legible.
+// `bins` es el número de intervalos de los histogramas.
+async function analyzeDataset(folder, { bins = DEFAULT_BINS } = {}) {
+    const source = datasetSource(folder, 'complete_dataset');
+    if (!source) return null;
+
+    // Primera pasada
+    let columns = null;
+    let columnStats = null;
+    let categories = null;
+    let correlation = null;
+    let sensorPairs = [];
+    const scenarios = new Map();
+    const phases = {};
+    const anomalyLabels = {};
+    let totalRows = 0;
+
+    await forEachRow(source, row => {
+        if (!columns) {
+            columns = classifyColumns(row);
+            columnStats = Object.fromEntries(columns.numeric.map(name => [name, createRunningStats()]));
+            categories = Object.fromEntries(columns.categorical.map(name => [name, createCategoryCounter()]));
+            correlation = createCorrelationMatrix(columns.numeric);
+            sensorPairs = columns.numeric
+                .filter(name => name.endsWith('_true') && columns.numeric.includes(name.replace(/_true$/, '_measured')))
+                .map(name => ({ base: name.replace(/_true$/, ''), n: 0, missing: 0, sum: 0, sumAbs: 0, sumSq: 0,
+                                stats: createCorrelationMatrix([name, name.replace(/_true$/, '_measured')]) }));
+        }
+        totalRows++;
+
+        columns.numeric.forEach(name => columnStats[name].add(row[name]));
+        columns.categorical.forEach(name => categories[name].add(row[name]));
+        correlation.add(row);
+
+        const phase = row[PHASE_COLUMN];
+        if (phase !== undefined && phase !== null) phases[phase] = (phases[phase] || 0) + 1;
+        if (isNumber(row.Anomaly_Label)) anomalyLabels[row.Anomaly_Label] = (anomalyLabels[row.Anomaly_Label] || 0) + 1;
+
+        sensorPairs.forEach(pair => {
+            const truth = row[`${pair.base}_true`];
+            const measured = row[`${pair.base}_measured`];
+            if (!isNumber(truth)) return;
+            if (!isNumber(measured)) {
+                pair.missing++;
+                return;
+            }
+            const error = measured - truth;
+            pair.n++;
+            pair.sum += error;
+            pair.sumAbs += Math.abs(error);
+            pair.sumSq += error * error;
+            pair.stats.add(row);
+        });
+
+        if (!scenarios.has(row.Scenario)) {
+            scenarios.set(row.Scenario, {
+                scenario: row.Scenario,
+                profile: row.Profile ?? null,
+                operationMode: row.Operation_Mode ?? null,
+                lightRegime: row.Light_Regime ?? null,
+                rows: 0,
+                duration_h: 0,
+                initialBiomass: null,
+                finalBiomass: null,
+                anomalyRows: 0,
+                phases: {},
+                stats: Object.fromEntries(SCENARIO_COLUMNS.filter(name => columns.numeric.includes(name))
+                    .map(name => [name, createRunningStats()]))
+            });
+        }
+        const scenario = scenarios.get(row.Scenario);
+        scenario.rows++;
+        if (isNumber(row.Time_h)) scenario.duration_h = Math.max(scenario.duration_h, row.Time_h);
+        if (isNumber(row.Biomass_g_L)) {
+            if (scenario.initialBiomass === null) scenario.initialBiomass = row.Biomass_g_L;
+            scenario.finalBiomass = row.Biomass_g_L;
+        }
+        if (row.Anomaly_Label === 1) scenario.anomalyRows++;
+        if (phase !== undefined && phase !== null) scenario.phases[phase] = (scenario.phases[phase] || 0) + 1;
+        Object.entries(scenario.stats).forEach(([name, stats]) => stats.add(row[name]));
+    });
+
+    if (!columns) {
+        columns = { numeric: [], categorical: [] };
+        columnStats = {};
+        categories = {};
+        correlation = createCorrelationMatrix([]);
+    }
+
+    // Segunda pasada: histogramas con el rango de cada columna
+    const ranges = {};
+    columns.numeric.forEach(name => {
+        const { min, max } = columnStats[name].range();
+        ranges[name] = { min: min ?? 0, max: max ?? 0 };
+    });
+    const histograms = Object.fromEntries(columns.numeric.map(name =>
+        [name, createHistogram(ranges[name].min, ranges[name].max, bins)]));
+    await forEachRow(source, row => {
+        columns.numeric.forEach(name => histograms[name].add(row[name]));
+    });
+
+    const summary = {};
+    const histogramResults = {};
+    columns.numeric.forEach(name => {
+        const stats = columnStats[name];
+        const { min, max, mean } = stats.range();
+        const histogram = histograms[name].result();
+        histogramResults[name] = histogram;
+        summary[name] = {
+            count: stats.count,
+            missing: totalRows - stats.count,
+            mean: round(mean),
+            std: round(stats.std()),
+            min: round(min),
+            max: round(max),
+            quantiles: Object.fromEntries(Object.entries(QUANTILES).map(([label, q]) =>
+                [label, stats.count ? round(histogramQuantile(histogram, q)) : null]))
+        };
+    });
+
+    const matrix = correlation.matrix();
+    const topPairs = [];
+    columns.numeric.forEach((a, i) => columns.numeric.forEach((b, j) => {
+        if (j > i && matrix[i][j] !== null) topPairs.push({ a, b, r: matrix[i][j] });
+    }));
+    topPairs.sort((x, y) => Math.abs(y.r) - Math.abs(x.r));
+
+    // Conjuntos de la partición frente a entrenamiento
+    const splits = {};
+    for (const [name, baseName] of Object.entries(SPLIT_SETS)) {
+        const splitSource = datasetSource(folder, baseName);
+        if (splitSource) splits[name] = await summarizeSplit(splitSource, columns.numeric, ranges, bins);
+    }
+    const splitShift = splits.train ? {
+        reference: 'train',
+        rows: Object.fromEntries(Object.entries(splits).map(([name, split]) => [name, split.rows])),
+        splits: Object.fromEntries(Object.entries(splits).filter(([name]) => name !== 'train').map(([name, split]) => {
+            const compared = {};
+            columns.numeric.forEach(column => {
+                const result = compareDistributions(splits.train.distributions[column], split.distributions[column]);
+                if (result) compared[column] = result;
+            });
+            return [name, {
+                rows: split.rows,
+                phaseDistance: totalVariation(splits.train.phases, split.phases),
+                shifted: Object.keys(compared).filter(column => compared[column].level === 'significant'),
+                columns: compared
+            }];
+        }))
+    } : null;
+
+    const manifest = readManifest(folder);
+    const balance = classBalance(phases);
+    balance.splits = Object.fromEntries(Object.entries(splits).map(([name, split]) => [name, classBalance(split.phases)]));
+
+    return {
+        id: path.basename(folder),
+        analyzedAt: new Date().toISOString(),
+        source: { format: source.format, rows: totalRows },
+        columns,
+        summary,
+        categories: Object.fromEntries(Object.entries(categories).map(([name, counter]) => [name, counter.result()])),
+        histograms: histogramResults,
+        correlations: {
+            columns: columns.numeric,
+            matrix,
+            strongest: topPairs.slice(0, 20)
+        },
+        classBalance: {
+            column: PHASE_COLUMN,
+            ...balance,
+            anomalyLabel: Object.keys(anomalyLabels).length ? classBalance(anomalyLabels) : null
+        },
+        scenarios: [...scenarios.values()].sort((a, b) => a.scenario - b.scenario).map(({ stats, ...scenario }) => ({
+            ...scenario,
+            duration_h: round(scenario.duration_h, 4),
+            variables: Object.fromEntries(Object.entries(stats).map(([name, columnStatsOf]) => {
+                const { min, max, mean } = columnStatsOf.range();
+                return [name, { mean: round(mean), min: round(min), max: round(max) }];
+            }))
+        })),
+        splitShift,
+        fidelity: {
+            scientificValidation: manifest ? manifest.stats.scientificValidation : null,
+            kinetics: manifest && manifest.kinetics ?
+                Object.fromEntries(Object.entries(manifest.kinetics.models).map(([factor, { model }]) => [factor, model])) : null,
+            sensors: Object.fromEntries(sensorPairs.map(pair => [pair.base, {
+                samples: pair.n,
+                missingRate: round(pair.missing / Math.max(1, pair.n + pair.missing), 4),
+                bias: pair.n ? round(pair.sum / pair.n) : null,
+                mae: pair.n ? round(pair.sumAbs / pair.n) : null,
+                rmse: pair.n ? round(Math.sqrt(pair.sumSq / pair.n)) : null,
+                correlation: pair.stats.matrix()[0][1]
+            }]))
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_BINS,
+    DEFAULT_SAMPLE_SIZE,
+    ANALYSIS_LIMITS,
+    PSI_LEVELS,
+    analyzeDataset,
+    stratifiedSample,
+    allocateSample
+};
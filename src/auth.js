@@ -0,0 +1,104 @@
+// src/auth.js - Autenticación opcional por API key con límite de peticiones por clave
+//
+// Se activa con la variable API_KEYS: lista separada por comas de `clave` o `clave:límite`,
+// donde el límite son peticiones por minuto (por defecto API_RATE_LIMIT, 60).
+//
+//   API_KEYS="equipo-a:120,equipo-b,ci:600"
+//
+// La clave se envía en la cabecera `X-API-Key`, como `Authorization: Bearer <clave>` o,
+// para los enlaces de descarga y EventSource (que no admiten cabeceras), en `?apiKey=`.
+// Los contadores son por ventana fija de un minuto y viven en memoria.
+
+const crypto = require('crypto');
+
+const DEFAULT_RATE_LIMIT = 60;
+const WINDOW_MS = 60 * 1000;
+
+// Las claves se guardan y se comparan por su hash: el tiempo de búsqueda no depende
+// de cuántos caracteres de una clave válida acierte el cliente
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Lee la lista de claves. Devuelve { keys: Map(hash -> { id, limit }), errors }.
+function parseApiKeys(text = '', defaultLimit = DEFAULT_RATE_LIMIT) {
+    const keys = new Map();
+    const errors = [];
+
+    if (!Number.isInteger(defaultLimit) || defaultLimit < 1) {
+        errors.push({ field: 'API_RATE_LIMIT', message: 'debe ser un entero >= 1' });
+    }
+
+    text.split(',').map(entry => entry.trim()).filter(Boolean).forEach((entry, i) => {
+        const [key, limitText] = entry.split(':');
+        const limit = limitText === undefined ? defaultLimit : Number(limitText);
+        if (!key || key.length < 8) {
+            errors.push({ field: `API_KEYS[${i}]`, message: 'la clave debe tener al menos 8 caracteres' });
+        } else if (!Number.isInteger(limit) || limit < 1) {
+            errors.push({ field: `API_KEYS[${i}]`, message: 'el límite debe ser un entero >= 1 (peticiones por minuto)' });
+        } else {
+            // Identificador para los registros sin exponer la clave
+            keys.set(hashKey(key), { id: `key-${i + 1}`, limit });
+        }
+    });
+
+    return { keys, errors };
+}
+
+function presentedKey(req) {
+    const header = req.get('X-API-Key');
+    if (header) return header;
+    const authorization = req.get('Authorization');
+    if (authorization && authorization.startsWith('Bearer ')) return authorization.slice(7).trim();
+    return typeof req.query.apiKey === 'string' ? req.query.apiKey : null;
+}
+
+// Middleware de Express. Con `keys` vacío no hace nada (autenticación desactivada).
+function createApiKeyAuth(keys, now = Date.now) {
+    const windows = new Map();   // hash -> { start, count }
+
+    return function apiKeyAuth(req, res, next) {
+        if (!keys.size) return next();
+
+        const key = presentedKey(req);
+        if (!key) {
+            return res.status(401).json({ success: false, error: 'API key requerida' });
+        }
+        const hash = hashKey(key);
+        const client = keys.get(hash);
+        if (!client) {
+            return res.status(401).json({ success: false, error: 'API key no válida' });
+        }
+
+        const time = now();
+        let window = windows.get(hash);
+        if (!window || time - window.start >= WINDOW_MS) {
+            window = { start: time, count: 0 };
+            windows.set(hash, window);
+        }
+        window.count++;
+
+        const resetSec = Math.ceil((window.start + WINDOW_MS - time) / 1000);
+        res.setHeader('X-RateLimit-Limit', client.limit);
+        res.setHeader('X-RateLimit-Remaining', Math.max(0, client.limit - window.count));
+        res.setHeader('X-RateLimit-Reset', resetSec);
+
+        if (window.count > client.limit) {
+            res.setHeader('Retry-After', resetSec);
+            return res.status(429).json({
+                success: false,
+                error: `Límite de ${client.limit} peticiones por minuto superado`,
+                retryAfterSec: resetSec
+            });
+        }
+
+        req.apiClient = client.id;
+        next();
+    };
+}
+
+module.exports = {
+    DEFAULT_RATE_LIMIT,
+    parseApiKeys,
+    createApiKeyAuth
+};
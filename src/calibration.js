@@ -0,0 +1,554 @@
+// src/calibration.js - Calibración del modelo cinético con series medidas en laboratorio
+//
+// Ajusta por mínimos cuadrados (ver src/leastSquares.js) los parámetros de un escenario
+// (muMax, maxBiomass, initialBiomass) y, si se piden, constantes de los efectos con el
+// nombre `<factor>.<parámetro>` ('temperature.Topt', 'light.Ks'...) a una serie de biomasa
+// medida. La temperatura, el pH y la PAR medidos son entradas del modelo (interpolación
+// lineal entre muestras); sin alguna de esas columnas su efecto vale 1. Se integra solo la
+// ecuación de biomasa de computeKinetics (ver src/generator.js) con nutrientes no limitantes:
+// la química del medio y el reactor no se calibran.
+//
+// El resultado incluye la petición de /generate-dataset que muestrea escenarios nuevos
+// alrededor de los valores calibrados (normales con media el valor ajustado y desviación
+// su error típico).
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { parseCSVLine } = require('./csv');
+const { rk45 } = require('./ode');
+const { levenbergMarquardt, covarianceMatrix, studentTQuantile } = require('./leastSquares');
+const { PARAMETER_LIMITS } = require('./scenarioConfig');
+const { BUILT_IN_PROFILES, DEFAULT_PROFILE } = require('./profiles');
+const { KINETIC_MODELS, DEFAULT_KINETICS, resolveKineticsConfig, scenarioKinetics, checkKinetics,
+        factorEffect, averageLight } = require('./kinetics');
+const { MORTALITY_RATE } = require('./generator');
+
+// Parámetros del escenario calibrables y los que se ajustan si la petición no dice otra cosa
+const SCENARIO_FIT_PARAMETERS = ['muMax', 'maxBiomass', 'initialBiomass'];
+
+// Factores cuyas constantes se pueden calibrar (los nutrientes no intervienen en el ajuste)
+const FIT_FACTORS = ['temperature', 'pH', 'light', 'attenuation'];
+
+const MAX_OBSERVATIONS = 20000;
+
+// El ajuste (decenas de simulaciones RK45 por iteración) corre en un worker para no bloquear
+// el servidor; con más calibraciones simultáneas que núcleos la petición se rechaza
+const CALIBRATION_WORKER = path.join(__dirname, 'calibrationWorker.js');
+const CALIBRATION_DEFAULTS = {
+    maxConcurrent: Math.max(1, os.cpus().length - 1),
+    maxMemoryMB: 512,
+    timeoutMs: 120000
+};
+let runningCalibrations = 0;
+
+// Columnas de cada variable por orden de preferencia: la del dataset, la lectura del sensor
+// y el estado real de la capa de medida (ver src/sensors.js)
+const VARIABLES = {
+    time: ['Time_h', 'DateTime'],
+    biomass: ['Biomass_g_L', 'Biomass_g_L_measured', 'Biomass_g_L_true'],
+    temperature: ['Temperature_C', 'Temperature_C_measured', 'Temperature_C_true'],
+    pH: ['pH', 'pH_measured', 'pH_true'],
+    par: ['PAR_umol_m2_s', 'PAR_umol_m2_s_measured', 'PAR_umol_m2_s_true']
+};
+
+// Efecto del modelo que depende de cada entrada medida
+const FORCING_FACTORS = { temperature: 'temperature', pH: 'pH', par: 'light' };
+
+// Unidades de las constantes de los efectos (por parámetro o por factor)
+const CONSTANT_UNITS = {
+    temperature: '°C',
+    pH: 'pH',
+    light: 'μmol/m²/s',
+    'attenuation.depth_m': 'm',
+    'attenuation.specificExtinction': 'm²/g',
+    'attenuation.backgroundExtinction': 'm⁻¹'
+};
+
+// Integración más estricta que la del generador: el jacobiano se obtiene por diferencias finitas
+const ODE_OPTIONS = { rtol: 1e-8, atol: 1e-10, hInit: 0.1, hMax: 1.0 };
+
+// Correlación a partir de la cual se avisa de parámetros que el ajuste no separa bien
+const HIGH_CORRELATION = 0.95;
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function round(value, digits = 6) {
+    return parseFloat(value.toPrecision(digits));
+}
+
+// Nombres calibrables con los modelos elegidos: los del escenario y las constantes de los efectos
+function fitParameterNames(kineticsConfig, profile) {
+    const kinetics = scenarioKinetics(kineticsConfig, profile);
+    return [
+        ...SCENARIO_FIT_PARAMETERS,
+        ...FIT_FACTORS.flatMap(factor => Object.keys(kinetics[factor].parameters).map(name => `${factor}.${name}`))
+    ];
+}
+
+// Igual que el resto de configuraciones: { config, errors }. `profiles` son las definiciones
+// de perfil disponibles por id (por defecto las integradas).
+function resolveCalibrationConfig(overrides = {}, profiles = BUILT_IN_PROFILES) {
+    const errors = [];
+    const {
+        profile = DEFAULT_PROFILE,
+        kinetics = {},
+        fit = SCENARIO_FIT_PARAMETERS,
+        columns = {},
+        scenario = null,
+        confidence = 0.95
+    } = overrides;
+
+    const definition = typeof profile === 'string' && Object.prototype.hasOwnProperty.call(profiles, profile) ?
+                       profiles[profile] : null;
+    if (!definition) {
+        errors.push({ field: 'profile', message: `debe ser uno de: ${Object.keys(profiles).join(', ')}` });
+    }
+
+    const { config: kineticsConfig, errors: kineticsErrors } = resolveKineticsConfig(kinetics);
+    errors.push(...kineticsErrors);
+    if (definition && kineticsConfig) {
+        errors.push(...checkKinetics(kineticsConfig, [definition]));
+    }
+
+    if (!Array.isArray(fit) || !fit.length) {
+        errors.push({ field: 'fit', message: 'debe ser una lista no vacía de parámetros' });
+    } else if (definition && kineticsConfig) {
+        const available = fitParameterNames(kineticsConfig, definition);
+        fit.forEach((name, i) => {
+            if (!available.includes(name)) {
+                errors.push({ field: `fit.${i}`, message: `parámetro no calibrable (${available.join(', ')})` });
+            } else if (fit.indexOf(name) !== i) {
+                errors.push({ field: `fit.${i}`, message: `${name} está repetido` });
+            }
+        });
+    }
+
+    if (!columns || typeof columns !== 'object' || Array.isArray(columns)) {
+        errors.push({ field: 'columns', message: `debe ser un objeto { ${Object.keys(VARIABLES).join(', ')} }` });
+    } else {
+        Object.entries(columns).forEach(([variable, name]) => {
+            if (!VARIABLES[variable]) {
+                errors.push({ field: `columns.${variable}`, message: `variable desconocida (${Object.keys(VARIABLES).join(', ')})` });
+            } else if (typeof name !== 'string' || !name) {
+                errors.push({ field: `columns.${variable}`, message: 'debe ser el nombre de una columna' });
+            }
+        });
+    }
+
+    if (scenario !== null && typeof scenario !== 'string' && !isNumber(scenario)) {
+        errors.push({ field: 'scenario', message: 'debe ser el valor de la columna Scenario' });
+    }
+
+    if (!isNumber(confidence) || confidence < 0.5 || confidence >= 1) {
+        errors.push({ field: 'confidence', message: 'debe ser un número entre 0.5 y 1 (sin incluir 1)' });
+    }
+
+    return {
+        config: errors.length ? null : { profile, definition, kinetics: kineticsConfig, fit, columns, scenario, confidence },
+        errors
+    };
+}
+
+function parseNumber(text) {
+    if (text === undefined || text.trim() === '') return null;
+    const value = Number(text);
+    return Number.isFinite(value) ? value : null;
+}
+
+// Leer la serie del CSV subido. Devuelve { observations, errors }; `observations` tiene
+// los tiempos (h desde la primera muestra), la biomasa medida y las entradas disponibles
+// como series { time, value } (null si falta la columna).
+function readObservations(text, config) {
+    const fail = (field, message) => ({ observations: null, errors: [{ field, message }] });
+
+    const lines = String(text).split(/\r?\n/).filter(line => line.trim());
+    if (lines.length < 2) {
+        return fail('csv', 'el CSV debe tener una cabecera y al menos una fila');
+    }
+    if (lines.length - 1 > MAX_OBSERVATIONS) {
+        return fail('csv', `el CSV tiene ${lines.length - 1} filas (máximo ${MAX_OBSERVATIONS})`);
+    }
+
+    // Las hojas de cálculo suelen exportar con BOM
+    const headers = parseCSVLine(lines[0].replace(/^\uFEFF/, '')).map(header => header.trim());
+    const errors = [];
+    const columns = {};
+    Object.entries(VARIABLES).forEach(([variable, candidates]) => {
+        const requested = config.columns[variable];
+        if (requested && !headers.includes(requested)) {
+            errors.push({ field: `columns.${variable}`, message: `el CSV no tiene la columna ${requested}` });
+        }
+        columns[variable] = requested || candidates.find(name => headers.includes(name)) || null;
+    });
+    if (!columns.time) errors.push({ field: 'csv', message: `falta la columna de tiempo (${VARIABLES.time.join(' o ')})` });
+    if (!columns.biomass) errors.push({ field: 'csv', message: `falta la columna de biomasa (${VARIABLES.biomass.join(' o ')})` });
+    if (errors.length) return { observations: null, errors };
+
+    let rows = lines.slice(1).map(line => {
+        const fields = parseCSVLine(line);
+        const row = {};
+        headers.forEach((header, i) => { row[header] = fields[i]; });
+        return row;
+    });
+
+    // Un CSV del generador trae varios escenarios: se calibra uno
+    let scenario = config.scenario === null ? null : String(config.scenario);
+    if (headers.includes('Scenario')) {
+        const ids = [...new Set(rows.map(row => row.Scenario))];
+        if (scenario === null && ids.length > 1) {
+            return fail('scenario', `el CSV tiene ${ids.length} escenarios: indica cuál calibrar (${ids.slice(0, 20).join(', ')})`);
+        }
+        if (scenario !== null && !ids.includes(scenario)) {
+            return fail('scenario', `el escenario no está en el CSV (${ids.slice(0, 20).join(', ')})`);
+        }
+        scenario = scenario === null ? ids[0] : scenario;
+        rows = rows.filter(row => row.Scenario === scenario);
+    } else if (scenario !== null) {
+        return fail('scenario', 'el CSV no tiene columna Scenario');
+    }
+
+    // Tiempo en horas: Time_h tal cual, DateTime relativo a la primera fila
+    const toHours = columns.time === 'DateTime' ?
+                    text => (text ? Date.parse(text) / 3600000 : NaN) :
+                    text => { const value = parseNumber(text); return value === null ? NaN : value; };
+
+    const points = [];
+    let skipped = 0;
+    rows.forEach(row => {
+        const time = toHours(row[columns.time]);
+        const biomass = parseNumber(row[columns.biomass]);
+        // Filas sin tiempo o sin biomasa (muestras perdidas) no entran en el ajuste
+        if (!Number.isFinite(time) || biomass === null) {
+            skipped++;
+            return;
+        }
+        const point = { time, biomass };
+        Object.keys(FORCING_FACTORS).forEach(variable => {
+            point[variable] = columns[variable] ? parseNumber(row[columns[variable]]) : null;
+        });
+        points.push(point);
+    });
+    points.sort((a, b) => a.time - b.time);
+
+    if (points.length <= config.fit.length + 1) {
+        return fail('csv', `hay ${points.length} observaciones válidas: se necesitan más que parámetros a ajustar (${config.fit.length})`);
+    }
+    if (points.some((point, i) => i > 0 && point.time === points[i - 1].time)) {
+        return fail('csv', 'hay instantes de tiempo repetidos');
+    }
+
+    const origin = points[0].time;
+    const forcing = {};
+    Object.keys(FORCING_FACTORS).forEach(variable => {
+        const samples = points.filter(point => point[variable] !== null);
+        forcing[variable] = samples.length ?
+                            { time: samples.map(point => point.time - origin), value: samples.map(point => point[variable]) } :
+                            null;
+        if (!samples.length) columns[variable] = null;
+    });
+
+    return {
+        observations: {
+            scenario,
+            columns,
+            skipped,
+            time: points.map(point => point.time - origin),
+            biomass: points.map(point => point.biomass),
+            forcing
+        },
+        errors: []
+    };
+}
+
+// Interpolación lineal (constante fuera del rango medido)
+function interpolate(series, t) {
+    const { time, value } = series;
+    if (t <= time[0]) return value[0];
+    const last = time.length - 1;
+    if (t >= time[last]) return value[last];
+    let low = 0;
+    let high = last;
+    while (high - low > 1) {
+        const mid = (low + high) >> 1;
+        if (time[mid] <= t) low = mid; else high = mid;
+    }
+    const fraction = (t - time[low]) / (time[high] - time[low]);
+    return value[low] + fraction * (value[high] - value[low]);
+}
+
+// Biomasa del modelo en los instantes observados con unos parámetros del escenario
+// { muMax, maxBiomass, initialBiomass } y unos modelos cinéticos ya completos
+function simulateBiomass(observations, profile, kinetics, params) {
+    const { forcing } = observations;
+
+    const derivative = (t, y) => {
+        const biomass = y[0];
+        let effect = Math.max(0, (params.maxBiomass - biomass) / params.maxBiomass);
+        if (forcing.temperature) effect *= factorEffect(kinetics, 'temperature', interpolate(forcing.temperature, t));
+        if (forcing.pH) effect *= factorEffect(kinetics, 'pH', interpolate(forcing.pH, t));
+        if (forcing.par) {
+            const incident = Math.max(0, interpolate(forcing.par, t));
+            effect *= factorEffect(kinetics, 'light', averageLight(kinetics, incident, biomass));
+        }
+        const mu = Math.max(0, Math.min(profile.growth.maxRate, params.muMax * effect));
+        return [(mu - MORTALITY_RATE) * Math.max(0, biomass)];
+    };
+
+    const { time } = observations;
+    const predicted = [params.initialBiomass];
+    let y = [params.initialBiomass];
+    let h = ODE_OPTIONS.hInit;
+    for (let i = 1; i < time.length; i++) {
+        ({ y, h } = rk45(derivative, time[i - 1], y, time[i], { ...ODE_OPTIONS, hInit: h }));
+        predicted.push(y[0]);
+    }
+    return predicted;
+}
+
+// Parámetros del escenario y modelos cinéticos con los valores de un vector del ajuste
+function applyParameters(names, values, start, baseKinetics) {
+    const params = { ...start };
+    const kinetics = JSON.parse(JSON.stringify(baseKinetics));
+    names.forEach((name, i) => {
+        const [factor, constant] = name.split('.');
+        if (constant) kinetics[factor].parameters[constant] = values[i];
+        else params[name] = values[i];
+    });
+    return { params, kinetics };
+}
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Calibrar con la configuración resuelta (ver resolveCalibrationConfig) y la serie leída
+// (ver readObservations). Devuelve valores, errores típicos e intervalos de confianza,
+// métricas del ajuste, la serie observada frente a la predicha y la petición de generación.
+function calibrate(observations, config) {
+    const { definition: profile, fit, confidence } = config;
+    const baseKinetics = scenarioKinetics(config.kinetics, profile);
+    const observed = observations.biomass;
+
+    // Valores iniciales: los del perfil, con la biomasa inicial de la propia serie y una
+    // biomasa máxima por encima de la medida
+    const clampLimit = (name, value) => Math.min(PARAMETER_LIMITS[name].max, Math.max(PARAMETER_LIMITS[name].min, value));
+    const start = {
+        muMax: clampLimit('muMax', profile.growth.muMax),
+        maxBiomass: clampLimit('maxBiomass', Math.max(profile.biomass.max, Math.max(...observed) * 1.1)),
+        initialBiomass: clampLimit('initialBiomass', observed[0])
+    };
+    const initial = fit.map(name => {
+        const [factor, constant] = name.split('.');
+        return constant ? baseKinetics[factor].parameters[constant] : start[name];
+    });
+    const lower = fit.map(name => (PARAMETER_LIMITS[name] ? PARAMETER_LIMITS[name].min : 1e-9));
+    const upper = fit.map(name => (PARAMETER_LIMITS[name] ? PARAMETER_LIMITS[name].max : Infinity));
+
+    const predict = values => {
+        const { params, kinetics } = applyParameters(fit, values, start, baseKinetics);
+        return simulateBiomass(observations, profile, kinetics, params);
+    };
+    const result = levenbergMarquardt(values => predict(values).map((value, i) => value - observed[i]), initial,
+                                      { lower, upper });
+
+    // Incertidumbre (aproximación lineal en el óptimo) y métricas del ajuste
+    const n = observed.length;
+    const p = fit.length;
+    const degreesOfFreedom = n - p;
+    const covariance = covarianceMatrix(result.jacobian, result.ssr);
+    const t = studentTQuantile((1 + confidence) / 2, degreesOfFreedom);
+    const warnings = [];
+
+    const parameters = {};
+    fit.forEach((name, i) => {
+        const estimate = result.params[i];
+        const standardError = covariance ? Math.sqrt(covariance[i][i]) : null;
+        const factor = name.split('.')[0];
+        parameters[name] = {
+            estimate: round(estimate),
+            standardError: standardError === null ? null : round(standardError),
+            confidenceInterval: standardError === null ? null :
+                                [round(estimate - t * standardError), round(estimate + t * standardError)],
+            initial: round(initial[i]),
+            unit: PARAMETER_LIMITS[name] ? PARAMETER_LIMITS[name].unit : CONSTANT_UNITS[name] || CONSTANT_UNITS[factor] || null
+        };
+        if (estimate <= lower[i] || estimate >= upper[i]) {
+            warnings.push(`${name} ha quedado en el límite admitido (${lower[i]} - ${upper[i]})`);
+        }
+    });
+
+    let correlation = null;
+    if (covariance) {
+        correlation = covariance.map((row, i) => row.map((value, j) =>
+            round(value / Math.sqrt(covariance[i][i] * covariance[j][j]) || 0, 4)));
+        fit.forEach((a, i) => fit.forEach((b, j) => {
+            if (j > i && Math.abs(correlation[i][j]) > HIGH_CORRELATION) {
+                warnings.push(`${a} y ${b} están muy correlacionados (${correlation[i][j]}): los datos no los separan bien`);
+            }
+        }));
+    } else {
+        warnings.push('JᵀJ es singular: algún parámetro no es identificable con estos datos y no hay intervalos de confianza');
+    }
+    if (!result.converged) {
+        warnings.push(`el ajuste no ha convergido (${result.message})`);
+    }
+
+    // Los valores ajustados deben seguir siendo válidos para los modelos (p. ej. CTMI)
+    const { params: fittedScenario, kinetics: fittedKinetics } = applyParameters(fit, result.params, start, baseKinetics);
+    FIT_FACTORS.forEach(factor => {
+        const { model, parameters: values } = fittedKinetics[factor];
+        const check = KINETIC_MODELS[factor][model].check;
+        const message = check ? check(values) : null;
+        if (message) warnings.push(`kinetics.${factor}: ${message} con los valores calibrados`);
+    });
+
+    const predicted = simulateBiomass(observations, profile, fittedKinetics, fittedScenario);
+    const ssr = result.ssr;
+    const observedMean = mean(observed);
+    const sst = observed.reduce((sum, value) => sum + Math.pow(value - observedMean, 2), 0);
+    const goodnessOfFit = {
+        n,
+        parameters: p,
+        degreesOfFreedom,
+        ssr: round(ssr),
+        rmse: round(Math.sqrt(ssr / n)),
+        mae: round(mean(observed.map((value, i) => Math.abs(value - predicted[i])))),
+        r2: sst > 0 ? round(1 - ssr / sst) : null,
+        aic: round(n * Math.log(ssr / n) + 2 * p),
+        bic: round(n * Math.log(ssr / n) + p * Math.log(n))
+    };
+
+    const assumptions = ['nutrientes no limitantes: solo se integra la ecuación de biomasa'];
+    Object.entries(FORCING_FACTORS).forEach(([variable, factor]) => {
+        if (!observations.forcing[variable]) {
+            assumptions.push(`sin columna de ${variable}: efecto de ${factor} = 1`);
+        }
+    });
+
+    return {
+        profile: config.profile,
+        kinetics: Object.fromEntries(Object.entries(baseKinetics).map(([factor, { model }]) => [factor, model])),
+        observations: {
+            scenario: observations.scenario,
+            points: n,
+            skippedRows: observations.skipped,
+            timeSpan_h: round(observations.time[n - 1]),
+            columns: observations.columns
+        },
+        assumptions,
+        fit: {
+            converged: result.converged,
+            iterations: result.iterations,
+            message: result.message,
+            confidence
+        },
+        parameters,
+        correlation: correlation ? { parameters: fit, matrix: correlation } : null,
+        goodnessOfFit,
+        warnings,
+        series: observations.time.map((time, i) => ({
+            Time_h: round(time),
+            observed: observed[i],
+            predicted: round(predicted[i]),
+            residual: round(observed[i] - predicted[i])
+        })),
+        generateRequest: generationRequest(parameters, observations, config)
+    };
+}
+
+function calibrationError(message, status) {
+    const error = new Error(message);
+    if (status) error.status = status;
+    return error;
+}
+
+// calibrate() en un worker thread. Devuelve una promesa con el mismo resultado; se rechaza
+// con status 503 si ya hay `maxConcurrent` calibraciones en curso (por defecto núcleos - 1)
+// o si se supera `timeoutMs`. Los errores sin status son internos (500 en la ruta)
+function calibrateInWorker(observations, config, options = {}) {
+    const maxConcurrent = options.maxConcurrent || CALIBRATION_DEFAULTS.maxConcurrent;
+    const maxMemoryMB = options.maxMemoryMB || CALIBRATION_DEFAULTS.maxMemoryMB;
+    const timeoutMs = options.timeoutMs || CALIBRATION_DEFAULTS.timeoutMs;
+    if (runningCalibrations >= maxConcurrent) {
+        return Promise.reject(calibrationError(`Hay ${runningCalibrations} calibraciones en curso; inténtalo más tarde`, 503));
+    }
+
+    runningCalibrations++;
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(CALIBRATION_WORKER, {
+            workerData: { observations, config },
+            resourceLimits: { maxOldGenerationSizeMb: maxMemoryMB }
+        });
+        let settled = false;
+        const settle = (callback, value) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            runningCalibrations--;
+            callback(value);
+        };
+        const timer = setTimeout(() => {
+            settle(reject, calibrationError(`La calibración superó ${timeoutMs / 1000} s`, 503));
+            worker.terminate();
+        }, timeoutMs);
+
+        worker.on('message', message => {
+            if (message.type === 'completed') settle(resolve, message.calibration);
+            else settle(reject, calibrationError(message.error, message.status));
+        });
+        worker.on('error', error => settle(reject, error));
+        worker.on('exit', () => settle(reject, calibrationError('El worker terminó sin completar la calibración')));
+    });
+}
+
+// Petición de /generate-dataset con escenarios alrededor de la calibración: parámetros
+// ajustados como normales (media = valor, sd = error típico), condiciones de cultivo
+// tomadas de la serie y constantes de los efectos fijadas a los valores calibrados
+function generationRequest(parameters, observations, config) {
+    const limit = (name, value) => round(Math.min(PARAMETER_LIMITS[name].max, Math.max(PARAMETER_LIMITS[name].min, value)));
+    const { forcing } = observations;
+    const scenarioConfig = {};
+
+    if (config.profile !== DEFAULT_PROFILE) scenarioConfig.profile = config.profile;
+    if (forcing.temperature) scenarioConfig.baseTemp = { value: limit('baseTemp', mean(forcing.temperature.value)) };
+    // basePH es el pH del medio al inocular
+    if (forcing.pH) scenarioConfig.basePH = { value: limit('basePH', forcing.pH.value[0]) };
+    if (forcing.par) {
+        scenarioConfig.maxPAR = { value: limit('maxPAR', Math.max(...forcing.par.value)) };
+        scenarioConfig.lightRegime = Math.min(...forcing.par.value) > 0 ? 'continuous' : 'cyclic';
+    }
+
+    const kinetics = {};
+    Object.entries(config.kinetics).forEach(([factor, spec]) => {
+        if (spec.model !== DEFAULT_KINETICS[factor] || Object.keys(spec).length > 1) kinetics[factor] = { ...spec };
+    });
+
+    Object.entries(parameters).forEach(([name, { estimate, standardError }]) => {
+        const [factor, constant] = name.split('.');
+        if (constant) {
+            kinetics[factor] = { ...(kinetics[factor] || config.kinetics[factor]), [constant]: estimate };
+        } else {
+            const value = limit(name, estimate);
+            scenarioConfig[name] = standardError ?
+                                   { distribution: 'normal', mean: value, sd: standardError } :
+                                   { value };
+        }
+    });
+
+    return { scenarioConfig, kinetics };
+}
+
+module.exports = {
+    SCENARIO_FIT_PARAMETERS,
+    MAX_OBSERVATIONS,
+    VARIABLES,
+    fitParameterNames,
+    resolveCalibrationConfig,
+    readObservations,
+    simulateBiomass,
+    calibrate,
+    calibrateInWorker
+};
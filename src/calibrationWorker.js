@@ -0,0 +1,16 @@
+// src/calibrationWorker.js - Punto de entrada de los worker threads de calibración
+//
+// Recibe { observations, config } en workerData (ver readObservations y resolveCalibrationConfig)
+// y comunica al hilo principal:
+//   { type: 'completed', calibration }
+//   { type: 'failed', error, status }
+
+const { parentPort, workerData } = require('worker_threads');
+const { calibrate } = require('./calibration');
+
+try {
+    parentPort.postMessage({ type: 'completed', calibration: calibrate(workerData.observations, workerData.config) });
+} catch (error) {
+    if (!error.status) console.error('❌ Error calibrando:', error);
+    parentPort.postMessage({ type: 'failed', error: error.message, status: error.status });
+}
@@ -0,0 +1,225 @@
+// src/catalog.js - Catálogo de los datasets generados y política de retención
+//
+// Cada carpeta `chlorella_<timestamp>` del directorio de datasets es un dataset; su id es
+// el nombre de la carpeta. Los que tienen manifest.json se describen a partir de él; los
+// anteriores a los manifiestos, a partir de seed.json y de los ficheros que contienen.
+// Las carpetas de trabajos aún en curso no forman parte del catálogo (has() devuelve false).
+//
+// Retención (null = sin límite):
+//   maxDatasets  número máximo de datasets; se borran primero los más antiguos
+//   maxAgeDays   antigüedad máxima
+//   maxSizeMB    espacio total máximo en disco (el dataset más reciente se conserva siempre)
+
+const fs = require('fs');
+const path = require('path');
+const { readManifest, listFiles } = require('./manifest');
+
+const DATASET_ID_PATTERN = /^chlorella_\d+$/;
+
+const RETENTION_DEFAULTS = {
+    maxDatasets: 100,
+    maxAgeDays: null,
+    maxSizeMB: null
+};
+
+const DAY_MS = 24 * 3600 * 1000;
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Igual que el resto de configuraciones: { config, errors } con un error por campo.
+// 0 equivale a null (sin límite).
+function resolveRetentionConfig(overrides = {}) {
+    const errors = [];
+    const config = { ...RETENTION_DEFAULTS, ...overrides };
+
+    Object.keys(overrides).forEach(name => {
+        if (!(name in RETENTION_DEFAULTS)) {
+            errors.push({ field: `retention.${name}`, message: 'parámetro desconocido' });
+        }
+    });
+
+    Object.keys(RETENTION_DEFAULTS).forEach(name => {
+        const value = config[name];
+        if (value === null || value === 0) {
+            config[name] = null;
+        } else if (!isNumber(value) || value < 0) {
+            errors.push({ field: `retention.${name}`, message: 'debe ser un número > 0 (0 o null = sin límite)' });
+        } else if (name === 'maxDatasets' && !Number.isInteger(value)) {
+            errors.push({ field: `retention.${name}`, message: 'debe ser un entero' });
+        }
+    });
+
+    return { config: errors.length ? null : config, errors };
+}
+
+function isDatasetId(id) {
+    return typeof id === 'string' && DATASET_ID_PATTERN.test(id);
+}
+
+function readJSON(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+// `rootDir`    directorio de los datasets
+// `retention`  configuración ya resuelta (ver resolveRetentionConfig)
+// `isActive`   id => true si un trabajo todavía está escribiendo en esa carpeta
+function createCatalog(rootDir, options = {}) {
+    const retention = options.retention || RETENTION_DEFAULTS;
+    const isActive = options.isActive || (() => false);
+
+    function folderOf(id) {
+        return path.join(rootDir, id);
+    }
+
+    function exists(id) {
+        if (!isDatasetId(id) || isActive(id)) return false;
+        const folder = folderOf(id);
+        return fs.existsSync(folder) && fs.statSync(folder).isDirectory();
+    }
+
+    function filesOf(id) {
+        const folder = folderOf(id);
+        return listFiles(folder).map(name => ({ path: name, bytes: fs.statSync(path.join(folder, name)).size }));
+    }
+
+    // Resumen para el listado; `files` y `manifest` se reutilizan en get()
+    function summarize(id, files, manifest) {
+        const folder = folderOf(id);
+        const createdAt = manifest ? manifest.createdAt
+            : new Date(Number(id.slice('chlorella_'.length)) || fs.statSync(folder).mtimeMs).toISOString();
+
+        let summary;
+        if (manifest) {
+            summary = {
+                scenarios: manifest.stats.scenarios,
+                totalDays: manifest.request.totalDays,
+                samplingIntervalMin: manifest.stats.samplingIntervalMin,
+                totalPoints: manifest.stats.totalPoints,
+                formats: manifest.formats,
+                seed: manifest.seed.seed,
+                prng: manifest.seed.prng,
+                splitStrategy: manifest.split.strategy
+            };
+        } else {
+            // Sin manifiesto: lo que se pueda recuperar de seed.json
+            const seed = readJSON(path.join(folder, 'seed.json'));
+            const request = (seed && seed.request) || {};
+            summary = {
+                scenarios: request.scenarios ?? null,
+                totalDays: request.totalDays ?? null,
+                samplingIntervalMin: request.samplingIntervalMin ?? null,
+                totalPoints: null,
+                formats: null,
+                seed: seed ? seed.seed : null,
+                prng: seed ? seed.prng : null,
+                splitStrategy: null
+            };
+        }
+
+        return {
+            id,
+            createdAt,
+            sizeBytes: files.reduce((total, file) => total + file.bytes, 0),
+            fileCount: files.length,
+            hasManifest: manifest !== null,
+            ...summary
+        };
+    }
+
+    // Datasets terminados, del más reciente al más antiguo
+    function list() {
+        if (!fs.existsSync(rootDir)) return [];
+        return fs.readdirSync(rootDir)
+            .filter(exists)
+            .map(id => summarize(id, filesOf(id), readManifest(folderOf(id))))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // Dataset con su manifiesto completo y los ficheros que hay en disco. Los ficheros
+    // convertidos al descargar no están en el manifiesto (`inManifest: false`).
+    function get(id) {
+        if (!exists(id)) return null;
+        const manifest = readManifest(folderOf(id));
+        const files = filesOf(id);
+        const listed = new Set(manifest ? manifest.files.map(file => file.path) : []);
+        return {
+            ...summarize(id, files, manifest),
+            files: files.map(file => ({ ...file, inManifest: listed.has(file.path) })),
+            manifest
+        };
+    }
+
+    // Borrar un dataset. Devuelve false si no existe; lanza un error 409 si un trabajo
+    // todavía está escribiendo en él.
+    function remove(id) {
+        if (isDatasetId(id) && isActive(id)) {
+            const error = new Error('El dataset se está generando: cancela el trabajo antes de borrarlo');
+            error.status = 409;
+            throw error;
+        }
+        if (!exists(id)) return false;
+        fs.rmSync(folderOf(id), { recursive: true, force: true });
+        return true;
+    }
+
+    // Aplicar la política de retención. Devuelve los datasets borrados con el motivo.
+    function enforceRetention(now = Date.now()) {
+        const removed = [];
+        const drop = (dataset, reason) => {
+            fs.rmSync(folderOf(dataset.id), { recursive: true, force: true });
+            removed.push({ id: dataset.id, reason });
+        };
+
+        // Del más antiguo al más reciente
+        let remaining = list().reverse();
+
+        if (retention.maxAgeDays !== null) {
+            const limit = now - retention.maxAgeDays * DAY_MS;
+            remaining = remaining.filter(dataset => {
+                if (new Date(dataset.createdAt).getTime() >= limit) return true;
+                drop(dataset, 'maxAgeDays');
+                return false;
+            });
+        }
+
+        if (retention.maxDatasets !== null) {
+            while (remaining.length > retention.maxDatasets) {
+                drop(remaining.shift(), 'maxDatasets');
+            }
+        }
+
+        if (retention.maxSizeMB !== null) {
+            const limit = retention.maxSizeMB * 1024 * 1024;
+            let total = remaining.reduce((sum, dataset) => sum + dataset.sizeBytes, 0);
+            while (total > limit && remaining.length > 1) {
+                const dataset = remaining.shift();
+                total -= dataset.sizeBytes;
+                drop(dataset, 'maxSizeMB');
+            }
+        }
+
+        return removed;
+    }
+
+    return {
+        retention,
+        has: exists,
+        list,
+        get,
+        remove,
+        enforceRetention
+    };
+}
+
+module.exports = {
+    RETENTION_DEFAULTS,
+    resolveRetentionConfig,
+    isDatasetId,
+    createCatalog
+};
@@ -0,0 +1,240 @@
+// src/chemistry.js - Balances de materia: nutrientes, carbono inorgánico y oxígeno disuelto
+//
+// Subsistema acoplado al modelo cinético:
+//   - Consumo de N y P con coeficientes de rendimiento (g biomasa / g nutriente)
+//   - Fotosíntesis (produce O2, consume CO2) y respiración (consume O2, libera CO2)
+//   - Química del carbonato (CO2 / HCO3⁻ / CO3²⁻) que determina el pH por balance de cargas
+//   - Intercambio gaseoso con el aire de aireación (kLa)
+
+// PARÁMETROS DEL MEDIO Y ESTEQUIOMETRÍA (medio tipo BG-11 modificado)
+const CHEMISTRY_PARAMS = {
+    // Nutrientes iniciales (mg/L)
+    initialNitrogen: 250,       // N-NO3
+    initialPhosphorus: 20,      // P-PO4
+
+    // Rendimientos (g biomasa / g nutriente) - Chlorella ~8% N, ~0.6% P
+    yieldNitrogen: 12.5,
+    yieldPhosphorus: 170,
+
+    // Constantes de semisaturación
+    kNitrogen: 5,               // mg N/L
+    kPhosphorus: 0.2,           // mg P/L
+    kCarbon: 0.05,              // mmol DIC/L
+
+    // Carbono: 50% de la biomasa seca -> mmol C por g de biomasa
+    carbonContent: 0.5 / 12.011 * 1000,
+
+    // Cocientes fotosintético (mol O2 / mol C fijado, con nitrato) y respiratorio
+    photosyntheticQuotient: 1.4,
+    respiratoryQuotient: 1.0,
+
+    // Transferencia de gases (h⁻¹); kLa(CO2) ≈ 0.89·kLa(O2) por difusividad
+    kLaO2: 20,
+    kLaCO2: 17.8,
+
+    // Aireación enriquecida con CO2 (fracción molar) y presión (atm)
+    co2Fraction: 0.01,
+    o2Fraction: 0.2095,
+    pressure: 1.0
+};
+
+const MW_O2 = 31.998;   // g/mol
+const MW_N = 14.007;
+const MW_P = 30.974;
+
+// === EQUILIBRIOS DEL CARBONATO (dependientes de T) ===
+
+// Constantes de disociación en agua dulce (Harned & Davis 1943; Harned & Scholes 1941)
+function carbonateConstants(temperature) {
+    const T = temperature + 273.15;
+    const pK1 = 3404.71 / T + 0.032786 * T - 14.8435;
+    const pK2 = 2902.39 / T + 0.02379 * T - 6.498;
+    const pKw = 4470.99 / T - 6.0875 + 0.01706 * T;
+    return {
+        K1: Math.pow(10, -pK1),
+        K2: Math.pow(10, -pK2),
+        Kw: Math.pow(10, -pKw)
+    };
+}
+
+// Constante de Henry del CO2 (mol/L/atm), van't Hoff desde 25 °C
+function henryCO2(temperature) {
+    const T = temperature + 273.15;
+    return 0.034 * Math.exp(2400 * (1 / T - 1 / 298.15));
+}
+
+// Saturación de O2 con aire (mg/L), ajuste polinómico APHA
+function oxygenSaturation(temperature) {
+    const t = temperature;
+    const airSaturation = 14.62 - 0.3898 * t + 0.006969 * t * t - 0.00005897 * t * t * t;
+    return airSaturation * (CHEMISTRY_PARAMS.o2Fraction / 0.2095) * CHEMISTRY_PARAMS.pressure;
+}
+
+// CO2 disuelto en equilibrio con el gas de aireación (mmol/L)
+function co2Saturation(temperature) {
+    return henryCO2(temperature) * CHEMISTRY_PARAMS.co2Fraction * CHEMISTRY_PARAMS.pressure * 1000;
+}
+
+// Fracciones de especiación para un [H⁺] dado
+function speciation(H, K) {
+    const denominator = H * H + K.K1 * H + K.K1 * K.K2;
+    return {
+        alpha0: H * H / denominator,
+        alpha1: K.K1 * H / denominator,
+        alpha2: K.K1 * K.K2 / denominator
+    };
+}
+
+// Alcalinidad (meq/L) que corresponde a un DIC (mmol/L) y pH dados
+function alkalinityFromPH(dic, pH, temperature) {
+    const K = carbonateConstants(temperature);
+    const H = Math.pow(10, -pH);
+    const { alpha1, alpha2 } = speciation(H, K);
+    return dic * (alpha1 + 2 * alpha2) + (K.Kw / H - H) * 1000;
+}
+
+// Resolver el pH por balance de cargas a partir de DIC y alcalinidad
+// (Newton sobre [H⁺] protegido con bisección logarítmica)
+function solvePH(dic, alkalinity, temperature) {
+    const K = carbonateConstants(temperature);
+    const total = Math.max(0, dic);
+    let low = 1e-13;    // [H⁺] mínimo (pH 13)
+    let high = 1e-2;    // [H⁺] máximo (pH 2)
+    let H = 1e-8;
+
+    for (let i = 0; i < 60; i++) {
+        const D = H * H + K.K1 * H + K.K1 * K.K2;
+        const N = K.K1 * H + 2 * K.K1 * K.K2;
+        const f = total * N / D + (K.Kw / H - H) * 1000 - alkalinity;
+        const df = total * (K.K1 * D - N * (2 * H + K.K1)) / (D * D) - (K.Kw / (H * H) + 1) * 1000;
+
+        // La alcalinidad calculada decrece con [H⁺]
+        if (f > 0) {
+            low = H;
+        } else {
+            high = H;
+        }
+
+        let next = H - f / df;
+        if (!(next > low && next < high)) {
+            next = Math.sqrt(low * high);
+        }
+        if (Math.abs(next - H) <= 1e-12 * H) {
+            H = next;
+            break;
+        }
+        H = next;
+    }
+
+    return -Math.log10(H);
+}
+
+// Estado químico inicial: DIC en equilibrio con el gas de aireación al pH base
+function initialChemistry(basePH, temperature) {
+    const K = carbonateConstants(temperature);
+    const H = Math.pow(10, -basePH);
+    const { alpha0 } = speciation(H, K);
+    const dic = co2Saturation(temperature) / alpha0;
+
+    return {
+        nitrogen: CHEMISTRY_PARAMS.initialNitrogen,
+        phosphorus: CHEMISTRY_PARAMS.initialPhosphorus,
+        dic,
+        alkalinity: alkalinityFromPH(dic, basePH, temperature),
+        dissolvedO2: oxygenSaturation(temperature)
+    };
+}
+
+// Efectos limitantes de nutrientes (Monod) - se combinan por ley del mínimo de Liebig.
+// `params` permite las constantes de otra especie (ver chemistryParams en src/profiles.js).
+function nutrientLimitation(nitrogen, phosphorus, dic, params = CHEMISTRY_PARAMS) {
+    const n = Math.max(0, nitrogen);
+    const p = Math.max(0, phosphorus);
+    const c = Math.max(0, dic);
+    const nitrogenEffect = n / (n + params.kNitrogen);
+    const phosphorusEffect = p / (p + params.kPhosphorus);
+    const carbonEffect = c / (c + params.kCarbon);
+
+    return {
+        nitrogenEffect,
+        phosphorusEffect,
+        carbonEffect,
+        nutrientEffect: Math.min(nitrogenEffect, phosphorusEffect, carbonEffect)
+    };
+}
+
+// Derivadas del subsistema químico.
+// `pH` viene de solvePH() sobre el mismo estado; `growth` y `respiration` son
+// flujos de biomasa (g/L/h) calculados por el modelo cinético.
+// `co2SupplyFactor` escala el CO2 del gas de aireación (1 = enriquecimiento normal);
+// `params` lleva los rendimientos y el contenido en carbono de la especie.
+// `nitrogenUptake` (mg/L/h), si se da, sustituye al consumo proporcional al crecimiento
+// (cuota celular del modelo de Droop, ver src/kinetics.js).
+function chemistryRates(chem, pH, growth, respiration, temperature, co2SupplyFactor = 1, 
+                        params = CHEMISTRY_PARAMS, nitrogenUptake = null) {
+    const p = params;
+    const K = carbonateConstants(temperature);
+    const { alpha0 } = speciation(Math.pow(10, -pH), K);
+    const co2 = Math.max(0, chem.dic) * alpha0;
+
+    // Consumo de nutrientes (mg/L/h)
+    if (nitrogenUptake === null) nitrogenUptake = growth / p.yieldNitrogen * 1000;
+    const phosphorusUptake = growth / p.yieldPhosphorus * 1000;
+
+    // Carbono fijado y liberado (mmol C/L/h)
+    const carbonFixation = growth * p.carbonContent;
+    const carbonRelease = respiration * p.carbonContent;
+
+    // Oxígeno (mmol O2 · g/mol = mg/L/h)
+    const o2Production = carbonFixation * p.photosyntheticQuotient * MW_O2;
+    const o2Consumption = carbonRelease / p.respiratoryQuotient * MW_O2;
+
+    // Intercambio gaseoso
+    const co2Transfer = p.kLaCO2 * (co2Saturation(temperature) * co2SupplyFactor - co2);
+    const o2Transfer = p.kLaO2 * (oxygenSaturation(temperature) - chem.dissolvedO2);
+
+    // Asimilar nitrato consume H⁺ (sube la alcalinidad 1 eq/mol); el fosfato la baja
+    const alkalinityChange = nitrogenUptake / MW_N - phosphorusUptake / MW_P;
+
+    return {
+        derivatives: {
+            nitrogen: -nitrogenUptake,
+            phosphorus: -phosphorusUptake,
+            dic: carbonRelease - carbonFixation + co2Transfer,
+            alkalinity: alkalinityChange,
+            dissolvedO2: o2Production - o2Consumption + o2Transfer
+        },
+        fluxes: {
+            nitrogenUptake,
+            phosphorusUptake,
+            o2Production,
+            o2Consumption,
+            co2Transfer
+        }
+    };
+}
+
+// Especiación completa para las columnas de salida
+function carbonateSpeciation(dic, alkalinity, temperature) {
+    const pH = solvePH(dic, alkalinity, temperature);
+    const K = carbonateConstants(temperature);
+    const { alpha0, alpha1, alpha2 } = speciation(Math.pow(10, -pH), K);
+    const total = Math.max(0, dic);
+    return {
+        pH,
+        co2: total * alpha0,
+        bicarbonate: total * alpha1,
+        carbonate: total * alpha2
+    };
+}
+
+module.exports = {
+    CHEMISTRY_PARAMS,
+    initialChemistry,
+    nutrientLimitation,
+    chemistryRates,
+    carbonateSpeciation,
+    oxygenSaturation,
+    co2Saturation,
+    solvePH
+};
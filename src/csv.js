@@ -0,0 +1,124 @@
+// src/csv.js - CSV según RFC 4180: escritura por lotes y lectura fila a fila
+//
+// Los campos con coma, comillas o saltos de línea van entre comillas dobles y las
+// comillas internas se duplican. Cada registro termina en CRLF.
+
+const fs = require('fs');
+const readline = require('readline');
+const { createFileStream } = require('./fileStream');
+
+const NEEDS_QUOTES = /[",\r\n]/;
+
+function formatCSVField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return NEEDS_QUOTES.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Separar una línea en campos (sin saltos de línea dentro de campos entrecomillados)
+function parseCSVLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+// Escritor por lotes de filas (objetos con las mismas columnas). Con `schema` (columnas de
+// describeColumns) la cabecera sale del esquema, también en un fichero sin filas.
+function createCSVWriter(filePath, schema = null) {
+    const file = createFileStream(filePath);
+    let headers = schema ? schema.map(column => column.name) : null;
+    let headerWritten = false;
+    let rows = 0;
+
+    function write(batch) {
+        if (!batch.length) return Promise.resolve();
+
+        const lines = [];
+        if (!headers) headers = Object.keys(batch[0]);
+        if (!headerWritten) {
+            lines.push(headers.map(formatCSVField).join(','));
+            headerWritten = true;
+        }
+        batch.forEach(row => lines.push(headers.map(header => formatCSVField(row[header])).join(',')));
+        rows += batch.length;
+
+        return file.write(lines.join('\r\n') + '\r\n');
+    }
+
+    // Sin filas, un fichero con esquema lleva al menos la cabecera
+    async function close() {
+        if (headers && !headerWritten) {
+            await file.write(headers.map(formatCSVField).join(',') + '\r\n');
+            headerWritten = true;
+        }
+        await file.close();
+        return rows;
+    }
+
+    return {
+        filePath,
+        write,
+        close,
+        abort: file.abort,
+        get rows() {
+            return rows;
+        }
+    };
+}
+
+// Leer un CSV fila a fila como objetos. `convert(header, text)` tipa cada campo
+// (por defecto: vacío -> null, numérico -> número).
+async function* readCSVRows(filePath, convert = defaultConvert) {
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+    let headers = null;
+
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        const fields = parseCSVLine(line);
+        if (!headers) {
+            headers = fields;
+            continue;
+        }
+        const row = {};
+        headers.forEach((header, i) => {
+            row[header] = convert(header, fields[i] === undefined ? '' : fields[i]);
+        });
+        yield row;
+    }
+}
+
+function defaultConvert(header, text) {
+    if (text === '') return null;
+    const value = Number(text);
+    return Number.isNaN(value) ? text : value;
+}
+
+module.exports = {
+    createCSVWriter,
+    readCSVRows,
+    parseCSVLine,
+    formatCSVField
+};
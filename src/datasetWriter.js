@@ -0,0 +1,305 @@
+// src/datasetWriter.js - Escritura de un dataset completo en su carpeta
+//
+// Genera escenario a escenario, reparte cada lote entre los conjuntos de la partición y lo
+// escribe en los ficheros abiertos (uno por formato pedido); al final guarda scenarios.csv
+// (parámetros de cada escenario), split.json, seed.json, anomalies.json y manifest.json
+// (ver src/manifest.js) y devuelve las estadísticas.
+// Se ejecuta dentro de un worker (ver src/jobWorker.js).
+
+const fs = require('fs');
+const path = require('path');
+const { createRNG } = require('./random');
+const { createSplitter } = require('./splits');
+const { FAULT_TYPES } = require('./faults');
+const { createDatasetWriter, DEFAULT_FORMAT } = require('./formats');
+const { createRunningStats } = require('./stats');
+const { createCSVWriter } = require('./csv');
+const { describeColumns } = require('./schema');
+const { writeManifest } = require('./manifest');
+const { generateRealisticData } = require('./generator');
+const { BUILT_IN_PROFILES, DEFAULT_PROFILE, cardinalRange } = require('./profiles');
+const { KINETIC_MODELS, resolveKineticsConfig, scenarioKinetics } = require('./kinetics');
+
+// Biomasa realista para el perfil de referencia; para otro perfil el máximo se escala con su
+// biomass.max, igual que maxBiomass en los presets (ver presetForProfile)
+const REALISTIC_BIOMASS = { min: 0.01, max: 5.0 };
+
+// Criterios de la validación científica a partir de las estadísticas (createRunningStats) de
+// las columnas reales: biomasa entre 0.01 g/L y el máximo realista del perfil de mayor capacidad
+// (5 g/L para Chlorella), temperatura y pH dentro de los cardinales de los perfiles usados
+// (15-40 °C y pH 6-10 para Chlorella) y μ entre 0 y 0.1 1/h
+function scientificValidation({ biomass, temperature, pH, growthRate }, profiles) {
+    const realisticTemp = cardinalRange(profiles, 'temperature');
+    const realisticPH = cardinalRange(profiles, 'pH');
+    const reference = BUILT_IN_PROFILES[DEFAULT_PROFILE].biomass.max;
+    const realisticBiomassMax = Math.max(...profiles.map(profile => REALISTIC_BIOMASS.max * profile.biomass.max / reference));
+    return {
+        biomassRealistic: biomass.within(REALISTIC_BIOMASS.min, realisticBiomassMax),
+        temperatureRealistic: temperature.within(realisticTemp.min, realisticTemp.max),
+        pHRealistic: pH.within(realisticPH.min, realisticPH.max),
+        growthRateRealistic: growthRate.within(0, 0.1)
+    };
+}
+
+// Rejilla temporal común a todos los escenarios (horizonte con el mismo redondeo que Time_h)
+function splitLayout(scenarios, totalDays, samplingIntervalMin) {
+    const dt = samplingIntervalMin / 60;
+    const samplesTotal = Math.round(totalDays * 24 / dt);
+    return {
+        scenarioIds: Array.from({ length: scenarios }, (_, i) => i + 1),
+        horizon_h: parseFloat(((samplesTotal - 1) * dt).toFixed(4))
+    };
+}
+
+// Partición decidida de antemano; los sorteos usan su propio sub-generador y son reproducibles.
+// Lanza un error con status 400 si la configuración no cabe en el dataset (pocos escenarios o bloques).
+function createDatasetSplitter(params) {
+    const rng = createRNG(params.seed, params.prng);
+    const layout = splitLayout(params.scenarios, params.totalDays, params.samplingIntervalMin);
+    return createSplitter(params.splitConfig, layout, rng.fork('split'));
+}
+
+// `params` contiene la petición ya validada: scenarios, totalDays, variabilityLevel, seed, prng,
+// startDate, samplingIntervalMin, formats (ver src/formats.js), las configuraciones resueltas
+// (scenarioConfig, reactorConfig, faultConfig, splitConfig, sensorConfig, kineticsConfig, designConfig,
+// inputsConfig) y `request`
+// con los campos tal como llegaron (para seed.json).
+// `onProgress({ completedScenarios, totalScenarios, rows })` se llama al terminar cada escenario
+// y `log(mensaje)` recibe el progreso en texto (por defecto console.log).
+async function writeDataset(params, folder, onProgress = () => {}, log = console.log) {
+    const { scenarios, totalDays, variabilityLevel, seed, prng, startDate, samplingIntervalMin,
+            scenarioConfig, reactorConfig, faultConfig, sensorConfig = null, designConfig = null,
+            inputsConfig = null } = params;
+    const kineticsConfig = params.kineticsConfig || resolveKineticsConfig().config;
+    const formats = params.formats || [DEFAULT_FORMAT];
+    let writers = [];
+    // Si la carpeta ya existía (p. ej. vacía, desde generateDataset) un fallo solo borra lo escrito aquí
+    const existing = fs.existsSync(folder) ? new Set(fs.readdirSync(folder)) : null;
+
+    try {
+        log(`🚀 Generando ${scenarios} escenarios de ${totalDays} días (semilla ${seed}, ${prng})`);
+        
+        const rng = createRNG(seed, prng);
+        const splitter = createDatasetSplitter(params);
+        
+        fs.mkdirSync(folder, { recursive: true });
+        
+        // Un fichero abierto por conjunto (y por fold de validación cruzada) en cada formato pedido,
+        // todos con el esquema del dataset (se abren con el primer lote, cuando se conoce)
+        let output = null;
+        const openOutput = columns => {
+            const open = baseName => createDatasetWriter(path.join(folder, baseName), formats, columns);
+            output = {
+                complete: open('complete_dataset'),
+                train: open('training_data'),
+                validation: open('validation_data'),
+                test: open('test_data'),
+                folds: []
+            };
+            if (splitter.folds.length) {
+                fs.mkdirSync(path.join(folder, 'folds'), { recursive: true });
+                output.folds = splitter.folds.map(name => ({
+                    train: open(path.join('folds', `${name}_train`)),
+                    validation: open(path.join('folds', `${name}_validation`))
+                }));
+            }
+            writers = [output.complete, output.train, output.validation, output.test,
+                       ...output.folds.flatMap(fold => [fold.train, fold.validation])];
+        };
+        
+        // Estadísticas REALES acumuladas lote a lote (las muestras perdidas por fallos de sensor quedan fuera)
+        const biomassStats = createRunningStats();
+        const tempStats = createRunningStats();
+        const pHStats = createRunningStats();
+        const growthStats = createRunningStats();
+        let labeledRows = 0;
+        let completedScenarios = 0;
+        const profileCounts = {};
+        const scenarioRows = [];
+        let columns = null;
+        
+        // Generar datos REALES y escribirlos a medida que salen
+        const anomalies = [];
+        const batches = generateRealisticData(scenarios, totalDays, { 
+            rng, startDate, scenarioConfig, reactorConfig, faultConfig, sensorConfig, kineticsConfig, designConfig,
+            inputsConfig, anomalies, samplingIntervalMin, log 
+        });
+        
+        for (const { rows, scenarioCompleted, parameters } of batches) {
+            if (!columns && rows.length) {
+                columns = describeColumns(Object.keys(rows[0]), rows);
+                openOutput(columns);
+            }
+            rows.forEach(row => {
+                biomassStats.add(row.Biomass_g_L);
+                tempStats.add(row.Temperature_C);
+                pHStats.add(row.pH);
+                growthStats.add(row.Specific_Growth_Rate_h);
+                if (row.Anomaly_Label === 1) labeledRows++;
+            });
+            
+            const parts = splitter.assign(rows);
+            await output.complete.write(rows);
+            await output.train.write(parts.train);
+            await output.validation.write(parts.validation);
+            await output.test.write(parts.test);
+            for (let i = 0; i < output.folds.length; i++) {
+                await output.folds[i].train.write(parts.folds[i].train);
+                await output.folds[i].validation.write(parts.folds[i].validation);
+            }
+            
+            if (scenarioCompleted) {
+                const profileId = rows[rows.length - 1].Profile;
+                profileCounts[profileId] = (profileCounts[profileId] || 0) + 1;
+                scenarioRows.push(parameters);
+                completedScenarios++;
+                onProgress({ completedScenarios, totalScenarios: scenarios, rows: output.complete.rows });
+            }
+        }
+        
+        if (!output) openOutput(null);
+        await Promise.all(writers.map(writer => writer.close()));
+        
+        // Parámetros de cada escenario (y su punto del diseño) para análisis de sensibilidad
+        const scenarioTable = createCSVWriter(path.join(folder, 'scenarios.csv'));
+        await scenarioTable.write(scenarioRows);
+        await scenarioTable.close();
+        
+        // Registro de la estrategia de partición
+        const splitSummary = splitter.summary();
+        fs.writeFileSync(path.join(folder, 'split.json'), JSON.stringify(splitSummary, null, 2));
+        
+        // Registrar la semilla: con estos valores se reconstruyen exactamente los mismos ficheros
+        const reproducibility = { 
+            seed, 
+            prng, 
+            startDate, 
+            request: params.request,
+            resolvedScenarioConfig: scenarioConfig,
+            resolvedReactorConfig: reactorConfig,
+            resolvedFaultConfig: faultConfig,
+            resolvedSensorConfig: sensorConfig,
+            resolvedKineticsConfig: kineticsConfig,
+            resolvedDesignConfig: designConfig,
+            resolvedInputsConfig: inputsConfig
+        };
+        fs.writeFileSync(path.join(folder, 'seed.json'), JSON.stringify(reproducibility, null, 2));
+        
+        // Manifiesto de anomalías inyectadas (verdad de referencia por evento)
+        fs.writeFileSync(path.join(folder, 'anomalies.json'), JSON.stringify({ 
+            faultTypes: FAULT_TYPES,
+            totalEvents: anomalies.length,
+            labeledRows,
+            events: anomalies 
+        }, null, 2));
+        
+        // Perfiles usados: sus cardinales son los rangos realistas de la validación científica
+        const usedProfiles = scenarioConfig.profiles ? 
+            Object.keys(profileCounts).map(id => scenarioConfig.profiles[id]) : [BUILT_IN_PROFILES[DEFAULT_PROFILE]];
+        
+        // Estructura del modelo: modelo y referencia de cada efecto, con los parámetros
+        // efectivos de cada perfil usado (para comparar desajustes de estructura)
+        const kineticModels = {};
+        Object.entries(kineticsConfig).forEach(([factor, { model }]) => {
+            kineticModels[factor] = { model, reference: KINETIC_MODELS[factor][model].reference };
+        });
+        const kineticParameters = {};
+        usedProfiles.forEach(profile => {
+            const kinetics = scenarioKinetics(kineticsConfig, profile);
+            kineticParameters[profile.id] = {};
+            Object.entries(kinetics).forEach(([factor, { parameters }]) => {
+                kineticParameters[profile.id][factor] = parameters;
+            });
+        });
+        
+        const stats = {
+            totalPoints: output.complete.rows,
+            trainingPoints: output.train.rows,
+            validationPoints: output.validation.rows,
+            testPoints: output.test.rows,
+            scenarios: scenarios,
+            duration: `${totalDays} days`,
+            samplingIntervalMin: samplingIntervalMin,
+            formats: formats,
+            
+            biomassRange: biomassStats.range(),
+            temperatureRange: tempStats.range(),
+            pHRange: pHStats.range(),
+            growthRateRange: growthStats.range(),
+            
+            outputDir: folder,
+            folderName: path.basename(folder),
+            seed: seed,
+            prng: prng,
+            variabilityLevel: variabilityLevel,
+            scenarioConfig: scenarioConfig,
+            reactor: reactorConfig,
+            anomalyEvents: anomalies.length,
+            sensors: sensorConfig ? Object.keys(sensorConfig) : [],
+            profiles: profileCounts,
+            kinetics: Object.fromEntries(Object.entries(kineticModels).map(([factor, { model }]) => [factor, model])),
+            design: designConfig ? {
+                type: designConfig.type,
+                factors: designConfig.factors ? designConfig.factors.map(factor => factor.name) :
+                         [...new Set(designConfig.points.flatMap(point => Object.keys(point)))],
+                replicates: designConfig.replicates
+            } : null,
+            split: {
+                strategy: splitSummary.strategy,
+                ratios: splitSummary.ratios,
+                folds: splitSummary.folds.length
+            },
+            
+            scientificValidation: scientificValidation({
+                biomass: biomassStats, temperature: tempStats, pH: pHStats, growthRate: growthStats
+            }, usedProfiles)
+        };
+        
+        // Un rango sin valores (sensor perdido todo el experimento) tiene min/max null
+        const fmt = (value, digits) => value === null ? 'n/d' : value.toFixed(digits);
+        log('✅ Dataset científico generado exitosamente');
+        log(`📊 Biomasa: ${fmt(stats.biomassRange.min, 3)} - ${fmt(stats.biomassRange.max, 3)} g/L`);
+        log(`🌡️ Temperatura: ${fmt(stats.temperatureRange.min, 1)} - ${fmt(stats.temperatureRange.max, 1)} °C`);
+        log(`🔬 pH: ${fmt(stats.pHRange.min, 2)} - ${fmt(stats.pHRange.max, 2)}`);
+        
+        // Manifiesto con la procedencia y las sumas de comprobación (el último fichero en escribirse)
+        await writeManifest(folder, {
+            params,
+            columns: columns || [],
+            sizes: {
+                strategy: splitSummary.strategy,
+                complete: output.complete.rows,
+                train: output.train.rows,
+                validation: output.validation.rows,
+                test: output.test.rows,
+                folds: splitter.folds.map((name, i) => ({
+                    name,
+                    trainRows: output.folds[i].train.rows,
+                    validationRows: output.folds[i].validation.rows
+                }))
+            },
+            kinetics: { models: kineticModels, parameters: kineticParameters },
+            stats
+        });
+        
+        return stats;
+        
+    } catch (error) {
+        // No dejar un dataset a medio escribir
+        writers.forEach(writer => writer.abort());
+        if (existing) {
+            fs.readdirSync(folder)
+                .filter(name => !existing.has(name))
+                .forEach(name => fs.rmSync(path.join(folder, name), { recursive: true, force: true }));
+        } else {
+            fs.rmSync(folder, { recursive: true, force: true });
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    writeDataset,
+    createDatasetSplitter,
+    scientificValidation
+};
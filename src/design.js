@@ -0,0 +1,316 @@
+// src/design.js - Diseño de experimentos: puntos del espacio de parámetros por escenario
+//
+// Sin diseño, cada escenario sortea sus parámetros de forma independiente (ver
+// src/scenarioConfig.js). Con `design` los factores elegidos siguen una muestra estructurada
+// y el resto se sigue sorteando igual:
+//
+//   { type: 'factorial', factors: { baseTemp: [24, 28, 32], muMax: { min: 0.02, max: 0.04, levels: 3 },
+//                                   lightRegime: ['continuous', 'cyclic'] }, replicates: 2 }
+//   { type: 'lhs',    factors: { baseTemp: {}, maxPAR: { min: 100, max: 300 } } }
+//   { type: 'sobol',  factors: { baseTemp: {}, basePH: {}, muMax: {} } }
+//   { type: 'list',   points: [{ baseTemp: 25, lightRegime: 'cyclic' }, { baseTemp: 30 }], replicates: 3 }
+//
+// Un factor numérico es una lista de niveles o un rango { min, max } (por defecto el del
+// scenarioConfig, el mismo para todos los perfiles); en el factorial un rango necesita
+// `levels` (niveles equiespaciados).
+// Los factores categóricos (lightRegime, profile) son listas de opciones; por defecto las
+// de la mezcla del scenarioConfig. El factorial y la lista fijan el número de escenarios
+// (puntos × réplicas); el hipercubo latino y Sobol toman un punto por escenario.
+
+const { PARAMETER_LIMITS, LIGHT_REGIMES } = require('./scenarioConfig');
+const { DEFAULT_PROFILE } = require('./profiles');
+
+const DESIGN_TYPES = ['factorial', 'lhs', 'sobol', 'list'];
+const NUMERIC_FACTORS = Object.keys(PARAMETER_LIMITS);
+const CATEGORICAL_FACTORS = ['lightRegime', 'profile'];
+
+// Números de dirección de Sobol (Joe & Kuo, new-joe-kuo-6.21201) de la dimensión 2 en
+// adelante: { s: grado, a: coeficientes del polinomio primitivo, m: valores iniciales }.
+// La dimensión 1 es la secuencia de van der Corput.
+const SOBOL_DIRECTIONS = [
+    { s: 1, a: 0, m: [1] },
+    { s: 2, a: 1, m: [1, 3] },
+    { s: 3, a: 1, m: [1, 3, 1] },
+    { s: 3, a: 2, m: [1, 1, 1] },
+    { s: 4, a: 1, m: [1, 1, 3, 3] },
+    { s: 4, a: 4, m: [1, 3, 5, 13] },
+    { s: 5, a: 2, m: [1, 1, 5, 5, 17] }
+];
+const SOBOL_BITS = 32;
+
+// Niveles de un rango en el factorial: cada nivel es al menos un escenario, así que más de
+// MAX_SCENARIOS (src/request.js) nunca cabe; se rechaza antes de construir la lista
+const MAX_LEVELS = 1000;
+const MAX_DIMENSIONS = SOBOL_DIRECTIONS.length + 1;
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Opciones de un factor categórico con la configuración de escenarios ya resuelta
+function categoricalOptions(name, scenarioConfig) {
+    if (name === 'lightRegime') return LIGHT_REGIMES;
+    return scenarioConfig.profile ? Object.keys(scenarioConfig.profile) : [DEFAULT_PROFILE];
+}
+
+// Valor de un punto o nivel de un factor; devuelve un mensaje de error o null
+function checkValue(name, value, scenarioConfig) {
+    if (CATEGORICAL_FACTORS.includes(name)) {
+        const options = categoricalOptions(name, scenarioConfig);
+        if (options.includes(value)) return null;
+        return name === 'profile' ?
+               `debe ser uno de: ${options.join(', ')} (los perfiles del diseño deben estar en scenarioConfig.profile)` :
+               `debe ser uno de: ${options.join(', ')}`;
+    }
+    const limits = PARAMETER_LIMITS[name];
+    if (!isNumber(value)) return 'debe ser un número';
+    if (value < limits.min || value > limits.max) return `debe estar entre ${limits.min} y ${limits.max} ${limits.unit}`;
+    return null;
+}
+
+// Resolver un factor: { name, levels } (lista de valores) o { name, min, max } (rango continuo)
+function resolveFactor(name, spec, type, scenarioConfig, errors) {
+    const field = `design.factors.${name}`;
+
+    if (!NUMERIC_FACTORS.includes(name) && !CATEGORICAL_FACTORS.includes(name)) {
+        errors.push({ field, message: `factor desconocido (${[...NUMERIC_FACTORS, ...CATEGORICAL_FACTORS].join(', ')})` });
+        return null;
+    }
+
+    if (Array.isArray(spec)) {
+        if (!spec.length) {
+            errors.push({ field, message: 'debe tener al menos un nivel' });
+            return null;
+        }
+        const before = errors.length;
+        spec.forEach((value, i) => {
+            const message = checkValue(name, value, scenarioConfig);
+            if (message) errors.push({ field: `${field}.${i}`, message });
+        });
+        if (new Set(spec).size !== spec.length) errors.push({ field, message: 'hay niveles repetidos' });
+        return errors.length > before ? null : { name, levels: spec.slice() };
+    }
+
+    if (!isPlainObject(spec)) {
+        errors.push({ field, message: 'debe ser una lista de niveles o un objeto { min, max, levels }' });
+        return null;
+    }
+
+    // Categórico sin lista: todas las opciones del scenarioConfig
+    if (CATEGORICAL_FACTORS.includes(name)) {
+        if (Object.keys(spec).length) {
+            errors.push({ field, message: 'un factor categórico es una lista de opciones' });
+            return null;
+        }
+        return { name, levels: categoricalOptions(name, scenarioConfig).slice() };
+    }
+
+    const unknown = Object.keys(spec).filter(key => !['min', 'max', 'levels'].includes(key));
+    if (unknown.length) {
+        errors.push({ field: `${field}.${unknown[0]}`, message: 'parámetro desconocido (min, max, levels)' });
+        return null;
+    }
+
+    // Rango por defecto: el del scenarioConfig (uniforme, o normal con min y max)
+    const configured = scenarioConfig[name];
+    let { min, max } = spec;
+    if (min === undefined && max === undefined) {
+        if (!configured || !isNumber(configured.min) || !isNumber(configured.max)) {
+            errors.push({ field, message: 'scenarioConfig no define un rango { min, max } para este parámetro: indícalo aquí' });
+            return null;
+        }
+        ({ min, max } = configured);
+    }
+
+    const before = errors.length;
+    [['min', min], ['max', max]].forEach(([key, value]) => {
+        const message = checkValue(name, value, scenarioConfig);
+        if (message) errors.push({ field: `${field}.${key}`, message });
+    });
+    if (errors.length === before && min >= max) {
+        errors.push({ field, message: 'min debe ser menor que max' });
+    }
+
+    const { levels } = spec;
+    if (levels !== undefined && (!Number.isInteger(levels) || levels < 2 || levels > MAX_LEVELS)) {
+        errors.push({ field: `${field}.levels`, message: `debe ser un entero entre 2 y ${MAX_LEVELS}` });
+    } else if (levels === undefined && type === 'factorial') {
+        errors.push({ field: `${field}.levels`, message: 'el diseño factorial necesita el número de niveles del rango' });
+    }
+    if (errors.length > before) return null;
+
+    // Niveles equiespaciados en el rango (incluidos los extremos)
+    if (levels !== undefined) {
+        return { name, levels: Array.from({ length: levels }, (_, i) => parseFloat((min + (max - min) * i / (levels - 1)).toPrecision(12))) };
+    }
+    return { name, min, max };
+}
+
+// Igual que el resto de configuraciones: { config, errors }. `scenarioConfig` es la
+// configuración de escenarios ya resuelta (rangos y opciones por defecto de los factores).
+// `config.size` es el número de escenarios que fija el diseño (null en lhs y sobol).
+function resolveDesignConfig(overrides, scenarioConfig) {
+    if (!isPlainObject(overrides)) {
+        return { config: null, errors: [{ field: 'design', message: 'debe ser un objeto' }] };
+    }
+
+    const errors = [];
+    const { type, factors, points, replicates = 1, ...unknown } = overrides;
+    Object.keys(unknown).forEach(key => {
+        errors.push({ field: `design.${key}`, message: 'parámetro desconocido (type, factors, points, replicates)' });
+    });
+
+    if (!DESIGN_TYPES.includes(type)) {
+        errors.push({ field: 'design.type', message: `debe ser uno de: ${DESIGN_TYPES.join(', ')}` });
+        return { config: null, errors };
+    }
+
+    if (!Number.isInteger(replicates) || replicates < 1) {
+        errors.push({ field: 'design.replicates', message: 'debe ser un entero >= 1' });
+    } else if (replicates > 1 && (type === 'lhs' || type === 'sobol')) {
+        errors.push({ field: 'design.replicates', message: 'solo se admite en los diseños factorial y list' });
+    }
+
+    const config = { type, replicates };
+
+    if (type === 'list') {
+        if (factors !== undefined) errors.push({ field: 'design.factors', message: 'el diseño list usa `points`' });
+        if (!Array.isArray(points) || !points.length) {
+            errors.push({ field: 'design.points', message: 'debe ser una lista no vacía de puntos { parámetro: valor }' });
+        } else {
+            points.forEach((point, i) => {
+                if (!isPlainObject(point) || !Object.keys(point).length) {
+                    errors.push({ field: `design.points.${i}`, message: 'debe ser un objeto { parámetro: valor } no vacío' });
+                    return;
+                }
+                Object.entries(point).forEach(([name, value]) => {
+                    const field = `design.points.${i}.${name}`;
+                    if (!NUMERIC_FACTORS.includes(name) && !CATEGORICAL_FACTORS.includes(name)) {
+                        errors.push({ field, message: 'parámetro desconocido' });
+                    } else {
+                        const message = checkValue(name, value, scenarioConfig);
+                        if (message) errors.push({ field, message });
+                    }
+                });
+            });
+        }
+        config.points = Array.isArray(points) ? points.map(point => ({ ...point })) : [];
+        config.size = config.points.length * replicates;
+    } else {
+        if (points !== undefined) errors.push({ field: 'design.points', message: 'solo se admite en el diseño list' });
+        if (!isPlainObject(factors) || !Object.keys(factors).length) {
+            errors.push({ field: 'design.factors', message: 'debe ser un objeto no vacío { factor: niveles o rango }' });
+            return { config: null, errors };
+        }
+        if (type === 'sobol' && Object.keys(factors).length > MAX_DIMENSIONS) {
+            errors.push({ field: 'design.factors', message: `la secuencia de Sobol admite hasta ${MAX_DIMENSIONS} factores` });
+        }
+        config.factors = Object.entries(factors)
+            .map(([name, spec]) => resolveFactor(name, spec, type, scenarioConfig, errors))
+            .filter(Boolean);
+        config.size = type === 'factorial' ?
+                      config.factors.reduce((size, factor) => size * factor.levels.length, 1) * replicates : null;
+    }
+
+    return { config: errors.length ? null : config, errors };
+}
+
+// Primeros `n` puntos de la secuencia de Sobol en `dimensions` dimensiones (en [0, 1))
+function sobolSequence(n, dimensions) {
+    const directions = [];
+    for (let d = 0; d < dimensions; d++) {
+        const v = new Array(SOBOL_BITS + 1);
+        if (d === 0) {
+            for (let k = 1; k <= SOBOL_BITS; k++) v[k] = (1 << (SOBOL_BITS - k)) >>> 0;
+        } else {
+            const { s, a, m } = SOBOL_DIRECTIONS[d - 1];
+            for (let k = 1; k <= s; k++) v[k] = (m[k - 1] << (SOBOL_BITS - k)) >>> 0;
+            for (let k = s + 1; k <= SOBOL_BITS; k++) {
+                let value = (v[k - s] ^ (v[k - s] >>> s)) >>> 0;
+                for (let i = 1; i < s; i++) {
+                    if ((a >>> (s - 1 - i)) & 1) value = (value ^ v[k - i]) >>> 0;
+                }
+                v[k] = value;
+            }
+        }
+        directions.push(v);
+    }
+
+    // Construcción con código Gray: cada punto cambia una dirección respecto al anterior
+    const points = [];
+    const x = new Array(dimensions).fill(0);
+    for (let i = 0; i < n; i++) {
+        points.push(x.map(value => value / Math.pow(2, SOBOL_BITS)));
+        let c = 1;
+        let index = i;
+        while (index & 1) {
+            index >>>= 1;
+            c++;
+        }
+        for (let d = 0; d < dimensions; d++) x[d] = (x[d] ^ directions[d][c]) >>> 0;
+    }
+    return points;
+}
+
+// Hipercubo latino: cada factor divide [0, 1) en n estratos y usa cada uno una vez
+function latinHypercube(n, dimensions, random) {
+    const columns = [];
+    for (let d = 0; d < dimensions; d++) {
+        const strata = Array.from({ length: n }, (_, i) => i);
+        for (let i = n - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [strata[i], strata[j]] = [strata[j], strata[i]];
+        }
+        columns.push(strata.map(stratum => (stratum + random()) / n));
+    }
+    return Array.from({ length: n }, (_, i) => columns.map(column => column[i]));
+}
+
+// Valor de un factor para una coordenada u en [0, 1)
+function factorValue(factor, u) {
+    if (factor.levels) {
+        return factor.levels[Math.min(factor.levels.length - 1, Math.floor(u * factor.levels.length))];
+    }
+    return factor.min + u * (factor.max - factor.min);
+}
+
+// Puntos del diseño, uno por escenario: { point, values } con `point` el índice (desde 1)
+// del punto del diseño, que se repite en las réplicas. `rng` solo lo usa el hipercubo latino.
+function designPoints(config, scenarios, rng) {
+    let base;
+    if (config.type === 'list') {
+        base = config.points;
+    } else if (config.type === 'factorial') {
+        // El primer factor varía más despacio (orden lexicográfico de los niveles)
+        base = config.factors.reduce((combinations, factor) =>
+            combinations.flatMap(combination => factor.levels.map(level => ({ ...combination, [factor.name]: level }))), [{}]);
+    } else {
+        const unit = config.type === 'lhs' ?
+                     latinHypercube(scenarios, config.factors.length, rng.random) :
+                     sobolSequence(scenarios, config.factors.length);
+        base = unit.map(coordinates => {
+            const values = {};
+            config.factors.forEach((factor, d) => { values[factor.name] = factorValue(factor, coordinates[d]); });
+            return values;
+        });
+    }
+
+    // Réplicas por bloques: todos los puntos, luego todos otra vez
+    const points = [];
+    for (let r = 0; r < config.replicates; r++) {
+        base.forEach((values, i) => points.push({ point: i + 1, values }));
+    }
+    return points.slice(0, scenarios);
+}
+
+module.exports = {
+    DESIGN_TYPES,
+    resolveDesignConfig,
+    designPoints,
+    sobolSequence,
+    latinHypercube
+};
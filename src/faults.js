@@ -0,0 +1,325 @@
+// src/faults.js - Inyección de fallos y anomalías con etiquetas de verdad
+//
+// Dos categorías:
+//   - Sensor: solo alteran las columnas medidas (deriva, sensor bloqueado, picos, muestras perdidas);
+//     con la capa de medida (src/sensors.js) activa para ese sensor, su columna _measured
+//   - Proceso: alteran la dinámica real del cultivo (contaminación/depredadores, fallo del
+//     control de pH por pérdida de CO2, fallo de lámparas, excursión de temperatura)
+//
+// Configuración (campo `faults` de /generate-dataset):
+//   events   lista explícita [{ type, scenario, start_h, duration_h, target, magnitude }]
+//            (sin `scenario` el evento se aplica a todos los escenarios)
+//   random   { ratePerDay, types, duration_h: { min, max } } - fallos aleatorios por escenario
+
+const SENSOR_FAULTS = ['sensor_drift', 'stuck_sensor', 'spike', 'missing'];
+const PROCESS_FAULTS = ['contamination', 'ph_control_failure', 'lamp_failure', 'temperature_excursion'];
+const FAULT_TYPES = [...SENSOR_FAULTS, ...PROCESS_FAULTS];
+
+// Sensores que pueden fallar y la columna que ocupan en el dataset
+const SENSOR_COLUMNS = {
+    temperature: 'Temperature_C',
+    pH: 'pH',
+    dissolvedO2: 'Dissolved_O2_mg_L',
+    par: 'PAR_umol_m2_s',
+    biomass: 'Biomass_g_L'
+};
+const SENSORS = Object.keys(SENSOR_COLUMNS);
+
+// Magnitudes por defecto (unidades del sensor o del proceso)
+const DEFAULT_MAGNITUDES = {
+    sensor_drift: { temperature: 0.05, pH: 0.01, dissolvedO2: 0.05, par: 1, biomass: 0.005 },  // por hora
+    spike: { temperature: 5, pH: 1, dissolvedO2: 4, par: 150, biomass: 0.5 },
+    contamination: 0.05,            // h⁻¹ de pérdida adicional de biomasa
+    ph_control_failure: 1,          // fracción del enriquecimiento de CO2 perdida
+    lamp_failure: 1,                // fracción de luz perdida
+    temperature_excursion: 8        // °C
+};
+
+// Penalización de Data_Quality_Score por fallo de sensor activo
+const QUALITY_PENALTY = {
+    sensor_drift: 0.1,
+    stuck_sensor: 0.2,
+    spike: 0.3,
+    missing: 0.5
+};
+
+// Fracción de CO2 en aire frente a la aireación enriquecida (ver CHEMISTRY_PARAMS.co2Fraction)
+const AIR_CO2_RATIO = 0.04;
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function validateFaultEvent(event, field) {
+    const errors = [];
+    if (!event || typeof event !== 'object' || Array.isArray(event)) {
+        return [{ field, message: 'debe ser un objeto' }];
+    }
+    if (!FAULT_TYPES.includes(event.type)) {
+        errors.push({ field: `${field}.type`, message: `debe ser uno de: ${FAULT_TYPES.join(', ')}` });
+    }
+    if (event.scenario !== undefined && (!Number.isInteger(event.scenario) || event.scenario < 1)) {
+        errors.push({ field: `${field}.scenario`, message: 'debe ser un entero >= 1' });
+    }
+    if (!isNumber(event.start_h) || event.start_h < 0) {
+        errors.push({ field: `${field}.start_h`, message: 'debe ser un número >= 0' });
+    }
+    if (event.duration_h !== undefined && (!isNumber(event.duration_h) || event.duration_h <= 0)) {
+        errors.push({ field: `${field}.duration_h`, message: 'debe ser un número > 0' });
+    }
+    if (event.magnitude !== undefined && !isNumber(event.magnitude)) {
+        errors.push({ field: `${field}.magnitude`, message: 'debe ser un número' });
+    }
+    if (SENSOR_FAULTS.includes(event.type) && event.target !== undefined &&
+        !SENSORS.includes(event.target) && !(event.type === 'missing' && event.target === 'all')) {
+        errors.push({ field: `${field}.target`, message: `debe ser uno de: ${SENSORS.join(', ')}` });
+    }
+    return errors;
+}
+
+// Valida la configuración de fallos. Devuelve { config, errors }.
+function resolveFaultConfig(overrides = {}) {
+    const errors = [];
+    const config = { events: [], random: null };
+
+    if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return { config: null, errors: [{ field: 'faults', message: 'debe ser un objeto' }] };
+    }
+
+    Object.keys(overrides).forEach(name => {
+        if (!['events', 'random'].includes(name)) {
+            errors.push({ field: `faults.${name}`, message: 'parámetro desconocido' });
+        }
+    });
+
+    if (overrides.events !== undefined) {
+        if (!Array.isArray(overrides.events)) {
+            errors.push({ field: 'faults.events', message: 'debe ser un array de eventos' });
+        } else {
+            overrides.events.forEach((event, i) => errors.push(...validateFaultEvent(event, `faults.events[${i}]`)));
+            config.events = overrides.events;
+        }
+    }
+
+    if (overrides.random !== undefined) {
+        const random = overrides.random;
+        const field = 'faults.random';
+        if (!random || typeof random !== 'object' || Array.isArray(random)) {
+            errors.push({ field, message: 'debe ser un objeto { ratePerDay, types, duration_h }' });
+        } else {
+            const resolved = {
+                ratePerDay: random.ratePerDay !== undefined ? random.ratePerDay : 0.1,
+                types: random.types || FAULT_TYPES,
+                duration_h: random.duration_h || { min: 1, max: 24 }
+            };
+            if (!isNumber(resolved.ratePerDay) || resolved.ratePerDay < 0 || resolved.ratePerDay > 24) {
+                errors.push({ field: `${field}.ratePerDay`, message: 'debe estar entre 0 y 24 fallos/día' });
+            }
+            if (!Array.isArray(resolved.types) || !resolved.types.length ||
+                resolved.types.some(type => !FAULT_TYPES.includes(type))) {
+                errors.push({ field: `${field}.types`, message: `debe ser una lista no vacía de: ${FAULT_TYPES.join(', ')}` });
+            }
+            const duration = resolved.duration_h;
+            if (!duration || !isNumber(duration.min) || !isNumber(duration.max) ||
+                duration.min <= 0 || duration.min > duration.max) {
+                errors.push({ field: `${field}.duration_h`, message: 'debe ser { min, max } con 0 < min <= max' });
+            }
+            config.random = resolved;
+        }
+    }
+
+    return { config: errors.length ? null : config, errors };
+}
+
+// Completar un evento con valores por defecto y su ventana temporal
+function normalizeEvent(event, id, scenario) {
+    const category = SENSOR_FAULTS.includes(event.type) ? 'sensor' : 'process';
+    const target = category === 'sensor' ? (event.target || 'pH') : null;
+    const duration = event.duration_h || (event.type === 'spike' ? 0 : 12);
+
+    let magnitude = event.magnitude;
+    if (magnitude === undefined) {
+        const defaults = DEFAULT_MAGNITUDES[event.type];
+        magnitude = defaults && typeof defaults === 'object' ? defaults[target] : defaults;
+    }
+
+    return {
+        id,
+        scenario,
+        type: event.type,
+        category,
+        target,
+        start_h: event.start_h,
+        end_h: event.start_h + duration,
+        magnitude: magnitude === undefined ? null : magnitude
+    };
+}
+
+// Fallos concretos de un escenario: explícitos + aleatorios (proceso de Poisson)
+function planScenarioFaults(config, scenario, horizon, rng) {
+    const faults = [];
+    let counter = 0;
+    const nextId = () => `S${scenario}-F${++counter}`;
+
+    config.events
+        .filter(event => event.scenario === undefined || event.scenario === scenario)
+        .forEach(event => faults.push(normalizeEvent(event, nextId(), scenario)));
+
+    if (config.random && config.random.ratePerDay > 0) {
+        const ratePerHour = config.random.ratePerDay / 24;
+        let t = -Math.log(1 - rng.random()) / ratePerHour;
+        while (t < horizon) {
+            const type = rng.pick(config.random.types);
+            const event = {
+                type,
+                start_h: t,
+                duration_h: rng.uniform(config.random.duration_h.min, config.random.duration_h.max),
+                target: rng.pick(SENSORS)
+            };
+            if (type === 'spike') {
+                delete event.duration_h;
+            }
+            if (type === 'spike' || type === 'temperature_excursion') {
+                // Signo aleatorio de la perturbación
+                const base = normalizeEvent(event, '', scenario).magnitude;
+                event.magnitude = rng.random() < 0.5 ? -base : base;
+            }
+            faults.push(normalizeEvent(event, nextId(), scenario));
+            t += -Math.log(1 - rng.random()) / ratePerHour;
+        }
+    }
+
+    return faults.sort((a, b) => a.start_h - b.start_h);
+}
+
+function isActive(fault, t) {
+    return t >= fault.start_h && t < fault.end_h;
+}
+
+// Modificadores de la dinámica real por fallos de proceso activos en t
+function processModifiers(faults, t) {
+    const modifiers = {
+        extraMortality: 0,
+        lightFactor: 1,
+        temperatureOffset: 0,
+        co2SupplyFactor: 1,
+        active: false
+    };
+
+    for (const fault of faults) {
+        if (fault.category !== 'process' || !isActive(fault, t)) continue;
+        modifiers.active = true;
+        switch (fault.type) {
+            case 'contamination':
+                modifiers.extraMortality += fault.magnitude;
+                break;
+            case 'lamp_failure':
+                modifiers.lightFactor *= Math.max(0, 1 - fault.magnitude);
+                break;
+            case 'temperature_excursion':
+                modifiers.temperatureOffset += fault.magnitude;
+                break;
+            case 'ph_control_failure':
+                modifiers.co2SupplyFactor *= 1 - Math.max(0, Math.min(1, fault.magnitude)) * (1 - AIR_CO2_RATIO);
+                break;
+        }
+    }
+
+    return modifiers;
+}
+
+// Instantes en que cambia la dinámica (para que el integrador no salte un fallo corto)
+function faultBreakpoints(faults) {
+    const times = [];
+    faults.filter(fault => fault.category === 'process').forEach(fault => {
+        times.push(fault.start_h, fault.end_h);
+    });
+    return times;
+}
+
+// Aplicar fallos de sensor a una fila ya medida. `memory` guarda los valores bloqueados
+// y los picos ya emitidos entre filas del mismo escenario. `columns` indica qué columna
+// lee cada sensor (por defecto las del dataset; la capa de sensores pasa las *_measured,
+// ver src/sensors.js); los sensores sin columna se ignoran.
+// Las pérdidas (`missing`) se deciden antes que el resto y se aplican al final, de modo que
+// el resultado no depende del orden de los fallos: un pico solo se consume (y se etiqueta)
+// cuando cae en una muestra con valor, y un sensor bloqueado retiene la primera lectura
+// con valor de su ventana.
+// Devuelve las etiquetas de la fila.
+function applySensorFaults(row, faults, t, memory, columns = SENSOR_COLUMNS) {
+    const active = [];
+
+    const lost = new Set();
+    faults.forEach(fault => {
+        if (fault.type !== 'missing' || !isActive(fault, t)) return;
+        if (fault.target === 'all') Object.values(columns).forEach(name => lost.add(name));
+        else if (columns[fault.target]) lost.add(columns[fault.target]);
+    });
+    const hasValue = column => !lost.has(column) && row[column] !== null;
+
+    for (const fault of faults) {
+        if (fault.category === 'process') {
+            if (isActive(fault, t)) active.push(fault);
+            continue;
+        }
+
+        const column = columns[fault.target];
+        if (!column && fault.target !== 'all') continue;
+
+        if (fault.type === 'spike') {
+            // El pico afecta a la primera muestra con valor en o tras el inicio
+            if (t >= fault.start_h && !memory.spikes.has(fault.id) && hasValue(column)) {
+                memory.spikes.add(fault.id);
+                row[column] = parseFloat((row[column] + fault.magnitude).toFixed(4));
+                active.push(fault);
+            }
+            continue;
+        }
+
+        if (!isActive(fault, t)) continue;
+        active.push(fault);
+
+        switch (fault.type) {
+            case 'sensor_drift':
+                if (!hasValue(column)) break;
+                row[column] = parseFloat((row[column] + fault.magnitude * (t - fault.start_h)).toFixed(4));
+                break;
+            case 'stuck_sensor':
+                if (!memory.stuck.has(fault.id) && hasValue(column)) memory.stuck.set(fault.id, row[column]);
+                if (memory.stuck.has(fault.id)) row[column] = memory.stuck.get(fault.id);
+                break;
+        }
+    }
+
+    lost.forEach(name => { row[name] = null; });
+
+    return {
+        active,
+        quality: faultQuality(active)
+    };
+}
+
+// Calidad de una fila (0-1) con los fallos activos: cada fallo de sensor resta su penalización
+function faultQuality(active) {
+    const penalty = active.reduce((total, fault) => total + (QUALITY_PENALTY[fault.type] || 0), 0);
+    return Math.max(0, 1 - penalty);
+}
+
+function createSensorMemory() {
+    return { stuck: new Map(), spikes: new Set() };
+}
+
+module.exports = {
+    FAULT_TYPES,
+    SENSOR_FAULTS,
+    PROCESS_FAULTS,
+    SENSORS,
+    SENSOR_COLUMNS,
+    resolveFaultConfig,
+    planScenarioFaults,
+    processModifiers,
+    faultBreakpoints,
+    applySensorFaults,
+    faultQuality,
+    createSensorMemory
+};
@@ -0,0 +1,51 @@
+// src/fileStream.js - Stream de escritura a fichero con contrapresión
+//
+// `write` no se resuelve hasta que el buffer del stream tiene sitio (evento 'drain'),
+// de modo que la generación nunca adelanta al disco.
+
+const fs = require('fs');
+
+function createFileStream(filePath) {
+    const stream = fs.createWriteStream(filePath);
+    let failure = null;
+
+    stream.on('error', error => {
+        failure = error;
+    });
+
+    function write(chunk) {
+        if (failure) return Promise.reject(failure);
+        if (stream.write(chunk)) return Promise.resolve();
+        return new Promise((resolve, reject) => {
+            const onDrain = () => {
+                stream.off('error', onError);
+                resolve();
+            };
+            const onError = error => {
+                stream.off('drain', onDrain);
+                reject(error);
+            };
+            stream.once('drain', onDrain);
+            stream.once('error', onError);
+        });
+    }
+
+    // Cerrar el fichero; se resuelve cuando todo está en disco
+    function close() {
+        if (failure) return Promise.reject(failure);
+        return new Promise((resolve, reject) => {
+            stream.once('error', reject);
+            stream.end(resolve);
+        });
+    }
+
+    return {
+        write,
+        close,
+        abort: () => stream.destroy()
+    };
+}
+
+module.exports = {
+    createFileStream
+};
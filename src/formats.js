@@ -0,0 +1,145 @@
+// src/formats.js - Formatos de exportación del dataset
+//
+//   csv      CSV según RFC 4180
+//   jsonl    JSON Lines (un objeto por fila)
+//   parquet  Apache Parquet con esquema tipado
+//   npz      tensores NumPy [escenario, tiempo, variable]
+//
+// Todos los escritores comparten la interfaz { write(rows), close(), abort(), rows } y se crean
+// con createWriter(filePath, columns) (esquema opcional; el JSON Lines no lo necesita).
+// Los formatos con lector (`readRows`) sirven de origen para convertir a los demás
+// al descargar; el .npz solo se puede generar, no leer.
+
+const fs = require('fs');
+const path = require('path');
+const { createCSVWriter, readCSVRows } = require('./csv');
+const { createJSONLWriter, readJSONLRows } = require('./jsonl');
+const { createParquetWriter, readParquetRows } = require('./parquet');
+const { createNPZWriter } = require('./npz');
+const { parseField } = require('./schema');
+
+const FORMATS = {
+    csv: {
+        extension: '.csv',
+        contentType: 'text/csv; charset=utf-8',
+        createWriter: createCSVWriter,
+        readRows: filePath => readCSVRows(filePath, parseField)
+    },
+    jsonl: {
+        extension: '.jsonl',
+        contentType: 'application/x-ndjson; charset=utf-8',
+        createWriter: createJSONLWriter,
+        readRows: readJSONLRows
+    },
+    parquet: {
+        extension: '.parquet',
+        contentType: 'application/vnd.apache.parquet',
+        createWriter: createParquetWriter,
+        readRows: readParquetRows
+    },
+    npz: {
+        extension: '.npz',
+        contentType: 'application/octet-stream',
+        createWriter: createNPZWriter,
+        readRows: null
+    }
+};
+
+const FORMAT_NAMES = Object.keys(FORMATS);
+const DEFAULT_FORMAT = 'csv';
+
+// Orden de preferencia como origen de una conversión (el más rápido de leer primero)
+const SOURCE_PREFERENCE = ['jsonl', 'csv', 'parquet'];
+
+// Valida el campo `format`: un formato o una lista. Devuelve { formats, errors }.
+function resolveFormats(value = DEFAULT_FORMAT) {
+    const list = Array.isArray(value) ? value : [value];
+    if (!list.length) {
+        return { formats: null, errors: [{ field: 'format', message: 'debe indicar al menos un formato' }] };
+    }
+
+    const errors = [];
+    list.forEach((name, i) => {
+        if (!FORMAT_NAMES.includes(name)) {
+            const field = Array.isArray(value) ? `format[${i}]` : 'format';
+            errors.push({ field, message: `debe ser uno de: ${FORMAT_NAMES.join(', ')}` });
+        }
+    });
+
+    return { formats: errors.length ? null : [...new Set(list)], errors };
+}
+
+// Formato de un fichero según su extensión (null si no es un fichero de datos)
+function formatOf(fileName) {
+    const extension = path.extname(fileName).toLowerCase();
+    return FORMAT_NAMES.find(name => FORMATS[name].extension === extension) || null;
+}
+
+// Un escritor por formato para el mismo conjunto: `basePath` sin extensión. `columns` es el
+// esquema del dataset (ver describeColumns): todos los conjuntos, también los vacíos, lo comparten
+function createDatasetWriter(basePath, formats, columns = null) {
+    const writers = formats.map(name => FORMATS[name].createWriter(basePath + FORMATS[name].extension, columns));
+
+    return {
+        async write(rows) {
+            for (const writer of writers) {
+                await writer.write(rows);
+            }
+        },
+        close: () => Promise.all(writers.map(writer => writer.close())),
+        abort: () => writers.forEach(writer => writer.abort()),
+        get rows() {
+            return writers[0].rows;
+        }
+    };
+}
+
+// Fichero desde el que se puede obtener `basePath` en otro formato, o null
+function findSource(basePath) {
+    const name = SOURCE_PREFERENCE.find(format => fs.existsSync(basePath + FORMATS[format].extension));
+    return name ? { format: name, filePath: basePath + FORMATS[name].extension } : null;
+}
+
+// Convertir `basePath` al formato `target`. Se escribe en un temporal y se renombra al terminar,
+// así nunca se sirve un fichero a medias. Devuelve la ruta del fichero convertido.
+async function convertDataset(basePath, target, batchRows = 5000) {
+    const targetPath = basePath + FORMATS[target].extension;
+    const source = findSource(basePath);
+    if (!source) {
+        const error = new Error(`No hay un fichero de origen (${SOURCE_PREFERENCE.join(', ')}) para convertir a ${target}`);
+        error.status = 404;
+        throw error;
+    }
+
+    const tempBase = `${basePath}.converting-${process.pid}-${Date.now()}`;
+    const writer = FORMATS[target].createWriter(tempBase + FORMATS[target].extension);
+    try {
+        let batch = [];
+        for await (const row of FORMATS[source.format].readRows(source.filePath)) {
+            batch.push(row);
+            if (batch.length >= batchRows) {
+                await writer.write(batch);
+                batch = [];
+            }
+        }
+        await writer.write(batch);
+        await writer.close();
+        fs.renameSync(tempBase + FORMATS[target].extension, targetPath);
+        return targetPath;
+    } catch (error) {
+        writer.abort();
+        fs.rmSync(tempBase + FORMATS[target].extension, { force: true });
+        throw error;
+    }
+}
+
+module.exports = {
+    FORMATS,
+    FORMAT_NAMES,
+    DEFAULT_FORMAT,
+    resolveFormats,
+    formatOf,
+    createDatasetWriter,
+    findSource,
+    convertDataset
+};
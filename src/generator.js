@@ -0,0 +1,605 @@
+// src/generator.js - Modelo cinético de microalgas y generación de series por escenario
+//
+// Los parámetros biológicos (valores cardinales, luz, rendimientos, composición) vienen del
+// perfil de especie de cada escenario (ver src/profiles.js); por defecto, Chlorella vulgaris.
+// La forma de cada efecto (temperatura, pH, luz, atenuación, nutrientes) la elige la
+// configuración de cinética (ver src/kinetics.js). Las consignas, el fotoperiodo y los lazos
+// de control opcionales vienen de la configuración de entradas (ver src/inputs.js).
+// Sin dependencias de Express: lo usan tanto el servidor como los workers de generación
+// (ver src/jobs.js), que ejecutan generateRealisticData fuera del hilo principal.
+
+const { createRNG, randomSeed } = require('./random');
+const { rk45 } = require('./ode');
+const { initialChemistry, nutrientLimitation, chemistryRates, carbonateSpeciation, 
+        oxygenSaturation, solvePH } = require('./chemistry');
+const { resolveScenarioConfig, sampleScenarioParams, sampleMix, PARAMETER_LIMITS } = require('./scenarioConfig');
+const { designPoints } = require('./design');
+const { BUILT_IN_PROFILES, DEFAULT_PROFILE, chemistryParams } = require('./profiles');
+const { resolveKineticsConfig, scenarioKinetics, factorEffect, averageLight, droopNitrogen } = require('./kinetics');
+const { resolveReactorConfig, sampleReactorParams, flowRates, scheduleEvents, applyEvent } = require('./reactor');
+const { resolveFaultConfig, planScenarioFaults, processModifiers, faultBreakpoints, 
+        SENSOR_COLUMNS, applySensorFaults, faultQuality, createSensorMemory } = require('./faults');
+const { createSensorBank } = require('./sensors');
+const { scenarioInputs, setpointAt, photoperiodFactor, inputBreakpoints, controlTimes, 
+        createControllers } = require('./inputs');
+
+// Versión del modelo científico (la publican /health y los manifiestos de los datasets)
+const MODEL_VERSION = '3.0_realistic';
+
+// Filas por lote entregado por el generador a los ficheros de salida
+const BATCH_ROWS = 5000;
+
+// Mortalidad constante baja (h⁻¹)
+const MORTALITY_RATE = 0.001;
+
+// Tolerancias del integrador adaptativo RK45 (tiempo en horas)
+const ODE_OPTIONS = { rtol: 1e-6, atol: 1e-9, hInit: 0.1, hMax: 1.0 };
+
+// === CONDICIONES AMBIENTALES (sin ruido, continuas en el tiempo) ===
+// Con `scenarioParams.inputs` (ver src/inputs.js) una consigna de temperatura sin calefacción
+// controlada fija la temperatura, la de PAR sustituye a maxPAR y el fotoperiodo al ciclo 16:8.
+// Con calefacción controlada `temperature` es la del ambiente con el que intercambia calor el cultivo.
+function environmentalConditions(t, scenarioParams) {
+    const hourOfDay = t % 24;
+    const inputs = scenarioParams.inputs;
+    
+    // Temperatura con variación circadiana
+    let temperature = scenarioParams.baseTemp + Math.sin((hourOfDay - 6) * Math.PI / 12) * 2;
+    if (inputs && inputs.temperature && !(inputs.control && inputs.control.heating)) {
+        temperature = setpointAt(inputs.temperature, t);
+    }
+    
+    // Luz PAR con ciclos día/noche
+    const maxPAR = inputs && inputs.par ? setpointAt(inputs.par, t) : scenarioParams.maxPAR;
+    let lightIntensity = 0;
+    if (scenarioParams.lightRegime === 'continuous') {
+        lightIntensity = maxPAR;
+    } else if (inputs && inputs.photoperiod) {
+        lightIntensity = maxPAR * photoperiodFactor(inputs.photoperiod, t);
+    } else if (hourOfDay >= 6 && hourOfDay < 22) {
+        // Ciclo día/noche 16:8
+        const lightPhase = (hourOfDay - 6) / 16;
+        lightIntensity = maxPAR * Math.sin(lightPhase * Math.PI);
+    }
+    
+    return { temperature, lightIntensity };
+}
+
+// Consignas del escenario en t; sin perfil, la base sorteada del escenario
+function inputSetpoints(t, scenarioParams) {
+    const { inputs } = scenarioParams;
+    return {
+        temperature: inputs.temperature ? setpointAt(inputs.temperature, t) : scenarioParams.baseTemp,
+        pH: inputs.pH ? setpointAt(inputs.pH, t) : scenarioParams.basePH,
+        par: inputs.par ? setpointAt(inputs.par, t) : scenarioParams.maxPAR
+    };
+}
+
+function heatingControlled(inputs) {
+    return Boolean(inputs && inputs.control && inputs.control.heating);
+}
+
+// Columnas de entradas del dataset, decididas con la configuración para que todos los
+// escenarios tengan las mismas
+function inputColumnFlags(inputsConfig) {
+    if (!inputsConfig) return null;
+    const scheduled = variable => Boolean(inputsConfig[variable]) || 
+        Object.values(inputsConfig.scenarios).some(schedules => Boolean(schedules[variable]));
+    const control = inputsConfig.control || {};
+    return {
+        temperatureSetpoint: scheduled('temperature') || Boolean(control.heating),
+        parSetpoint: scheduled('par'),
+        co2: Boolean(control.co2),
+        heating: Boolean(control.heating)
+    };
+}
+
+function inputColumnValues(flags, t, scenarioParams) {
+    if (!flags) return {};
+    const setpoints = inputSetpoints(t, scenarioParams);
+    const outputs = scenarioParams.controllers ? scenarioParams.controllers.outputs : null;
+    return {
+        ...(flags.temperatureSetpoint && { Temperature_Setpoint_C: parseFloat(setpoints.temperature.toFixed(2)) }),
+        ...(flags.parSetpoint && { PAR_Setpoint_umol_m2_s: parseFloat(setpoints.par.toFixed(1)) }),
+        ...(flags.co2 && {
+            pH_Setpoint: parseFloat(setpoints.pH.toFixed(2)),
+            CO2_Gas_Fraction: parseFloat(outputs.co2Fraction.toFixed(5))
+        }),
+        ...(flags.heating && { Heating_Rate_C_h: parseFloat(outputs.heating.toFixed(3)) })
+    };
+}
+
+// === MODELO CINÉTICO CIENTÍFICO ===
+// Variables de estado integradas (orden del vector del ODE)
+const STATE_VARIABLES = ['biomass', 'nitrogen', 'phosphorus', 'dic', 'alkalinity', 'dissolvedO2', 
+                         'volume', 'harvestedBiomass'];
+
+// Con el modelo de Droop se integra además la cuota celular de N (g N / g biomasa) y con
+// calefacción controlada, la temperatura del cultivo (°C)
+function stateVariables(kinetics, inputs = null) {
+    const variables = kinetics.nutrients.model === 'droop' ? [...STATE_VARIABLES, 'nitrogenQuota'] : STATE_VARIABLES;
+    return heatingControlled(inputs) ? [...variables, 'temperature'] : variables;
+}
+
+function unpackState(y, variables = STATE_VARIABLES) {
+    const state = {};
+    variables.forEach((name, i) => { state[name] = y[i]; });
+    return state;
+}
+
+function packState(state, variables = STATE_VARIABLES) {
+    return variables.map(name => state[name]);
+}
+
+// Estado: biomasa (g/L), N y P (mg/L), DIC (mmol/L), alcalinidad (meq/L), O2 disuelto (mg/L),
+// volumen (L) y biomasa cosechada acumulada (g)
+// `scenarioParams.profile` es el perfil de especie (Chlorella vulgaris si falta),
+// `scenarioParams.chemistry` sus constantes químicas ya calculadas (ver chemistryParams) y
+// `scenarioParams.kinetics` los modelos de cada efecto (ver scenarioKinetics);
+// `scenarioParams.inputs` las consignas y `scenarioParams.controllers` las salidas retenidas de
+// los lazos de control (ver src/inputs.js).
+function computeKinetics(t, y, scenarioParams) {
+    const profile = scenarioParams.profile || BUILT_IN_PROFILES[DEFAULT_PROFILE];
+    const chemistryConstants = scenarioParams.chemistry || chemistryParams(profile);
+    const kinetics = scenarioParams.kinetics || scenarioKinetics(resolveKineticsConfig().config, profile);
+    const heating = heatingControlled(scenarioParams.inputs);
+    const actuators = scenarioParams.controllers ? scenarioParams.controllers.outputs : null;
+    const state = unpackState(y, stateVariables(kinetics, scenarioParams.inputs));
+    const biomass = state.biomass;
+    const env = environmentalConditions(t, scenarioParams);
+    
+    // Fallos de proceso activos (ver src/faults.js)
+    const modifiers = processModifiers(scenarioParams.faults, t);
+    
+    const culture = profile.temperature.culture;
+    const cultureTemperature = heating ? state.temperature : env.temperature;
+    const temperature = Math.max(culture.min, Math.min(culture.max, cultureTemperature)) + modifiers.temperatureOffset;
+    const lightIntensity = Math.max(0, Math.min(profile.light.max, env.lightIntensity)) * modifiers.lightFactor;
+    
+    // pH por equilibrio del carbonato (balance de cargas)
+    const pH = solvePH(state.dic, state.alkalinity, temperature);
+    
+    // Efectos de temperatura y pH (funciones cardinales)
+    const tempEffect = factorEffect(kinetics, 'temperature', temperature);
+    const pHEffect = factorEffect(kinetics, 'pH', pH);
+    
+    // Efecto de luz sobre la luz que recibe el cultivo (incidente o media en la profundidad)
+    const cultureLight = averageLight(kinetics, lightIntensity, biomass);
+    const lightEffect = factorEffect(kinetics, 'light', cultureLight);
+    
+    // Efecto de nutrientes (N, P y carbono inorgánico - ley del mínimo); con Droop el
+    // nitrógeno limita a través de la cuota celular y su captación deja de seguir al crecimiento
+    const limitation = nutrientLimitation(state.nitrogen, state.phosphorus, state.dic, chemistryConstants);
+    let droop = null;
+    if (kinetics.nutrients.model === 'droop') {
+        droop = droopNitrogen(kinetics.nutrients.parameters, state.nitrogenQuota, state.nitrogen);
+        limitation.nitrogenEffect = droop.effect;
+        limitation.nutrientEffect = Math.min(droop.effect, limitation.phosphorusEffect, limitation.carbonEffect);
+    }
+    const nutrientEffect = limitation.nutrientEffect;
+    
+    // Efecto de densidad (logístico)
+    const densityEffect = Math.max(0, (scenarioParams.maxBiomass - biomass) / scenarioParams.maxBiomass);
+    
+    // Tasa específica de crecimiento
+    const combinedEffect = lightEffect * tempEffect * pHEffect * nutrientEffect * densityEffect;
+    let mu = scenarioParams.muMax * combinedEffect;
+    
+    // Limitar tasa de crecimiento
+    mu = Math.max(0, Math.min(profile.growth.maxRate, mu));
+    
+    // Flujos de biomasa: crecimiento fotosintético y pérdida respiratoria
+    const growth = mu * Math.max(0, biomass);
+    const respiration = (MORTALITY_RATE + modifiers.extraMortality) * Math.max(0, biomass);
+    
+    // Balances de N, P, carbono inorgánico y O2 acoplados al crecimiento
+    const nitrogenUptake = droop ? droop.uptake * Math.max(0, biomass) * 1000 : null;
+    // Con dosificación controlada el gas lleva la fracción de CO2 que fija el controlador
+    const co2Supply = actuators ? 
+                      modifiers.co2SupplyFactor * actuators.co2Fraction / chemistryConstants.co2Fraction : 
+                      modifiers.co2SupplyFactor;
+    const chemistry = chemistryRates(state, pH, growth, respiration, temperature, 
+                                     co2Supply, chemistryConstants, nitrogenUptake);
+    
+    // Caudales del reactor: el medio entrante diluye el cultivo hacia la composición de alimentación
+    const { reactor, feedMedium } = scenarioParams;
+    const flows = flowRates(reactor, state.volume, biomass);
+    const feedDilution = flows.inflow / state.volume;
+    
+    const rates = { biomass: growth - respiration, ...chemistry.derivatives };
+    rates.biomass -= feedDilution * biomass;
+    Object.keys(feedMedium).forEach(name => {
+        rates[name] += feedDilution * (feedMedium[name] - state[name]);
+    });
+    rates.volume = flows.inflow - flows.outflow;
+    rates.harvestedBiomass = flows.outflow * Math.max(0, biomass);
+    // Cuota celular: captación menos dilución por crecimiento
+    if (droop) rates.nitrogenQuota = droop.uptake - mu * state.nitrogenQuota;
+    // Balance de calor: intercambio con el ambiente más la calefacción
+    if (heating) {
+        rates.temperature = (env.temperature - state.temperature) / scenarioParams.inputs.control.heating.ambientTau_h + 
+                            actuators.heating;
+    }
+    
+    const derivatives = packState(rates, stateVariables(kinetics, scenarioParams.inputs));
+    
+    return {
+        derivatives,
+        state,
+        temperature,
+        pH,
+        lightIntensity,
+        cultureLight,
+        mu,
+        flows,
+        modifiers,
+        fluxes: chemistry.fluxes,
+        effects: { 
+            tempEffect, pHEffect, lightEffect, nutrientEffect, densityEffect,
+            nitrogenEffect: limitation.nitrogenEffect,
+            phosphorusEffect: limitation.phosphorusEffect,
+            carbonEffect: limitation.carbonEffect
+        }
+    };
+}
+
+// Función para generar datos científicamente CORRECTOS
+// `rng` es el generador determinista (ver src/random.js); `startDate` fija el origen de DateTime;
+// `scenarioConfig` es el espacio de parámetros ya validado, con el perfil de cada escenario
+// (ver src/scenarioConfig.js);
+// `samplingIntervalMin` es la resolución de salida en minutos (el integrador RK45 es independiente);
+// `reactorConfig` define los modos de operación (ver src/reactor.js);
+// `faultConfig` define los fallos inyectados y `anomalies` recoge su manifiesto (ver src/faults.js);
+// `sensorConfig` activa la capa de medida con columnas *_true / *_measured (ver src/sensors.js);
+// `kineticsConfig` elige los modelos de cada efecto (ver src/kinetics.js);
+// `designConfig` fija los parámetros de cada escenario con un diseño de experimentos (ver src/design.js);
+// `inputsConfig` define consignas, fotoperiodo y lazos de control (ver src/inputs.js).
+// Genera escenario a escenario y entrega lotes de hasta `batchRows` filas
+// { scenario, rows, scenarioCompleted }, de modo que nunca hay más de un lote en memoria.
+// El último lote de cada escenario lleva además `parameters`, su fila de scenarios.csv.
+// `log(mensaje)` recibe el progreso en texto (por defecto console.log).
+function* generateRealisticData(scenarios, totalDays, options = {}) {
+    const rng = options.rng || createRNG(randomSeed());
+    const scenarioConfig = options.scenarioConfig || resolveScenarioConfig('medium').config;
+    const reactorConfig = options.reactorConfig || resolveReactorConfig().config;
+    const faultConfig = options.faultConfig || resolveFaultConfig().config;
+    const anomalies = options.anomalies || [];
+    const sensorConfig = options.sensorConfig || null;
+    const kineticsConfig = options.kineticsConfig || resolveKineticsConfig().config;
+    const design = options.designConfig ? designPoints(options.designConfig, scenarios, rng.fork('design')) : null;
+    const inputsConfig = options.inputsConfig || null;
+    const inputColumns = inputColumnFlags(inputsConfig);
+    const startTime = options.startDate ? new Date(options.startDate).getTime() : Date.now();
+    const samplingIntervalMin = options.samplingIntervalMin || 60;
+    const batchRows = options.batchRows || BATCH_ROWS;
+    const log = options.log || console.log;
+    
+    log(`🧬 Generando datos REALES: ${scenarios} escenarios, ${totalDays} días cada ${samplingIntervalMin} min (semilla ${rng.seed})`);
+    
+    let totalRows = 0;
+    const dt = samplingIntervalMin / 60;
+    const samplesTotal = Math.round(totalDays * 24 / dt);
+    
+    for (let s = 1; s <= scenarios; s++) {
+        log(`Generando escenario ${s}/${scenarios}`);
+        
+        // Generador propio del escenario: no depende de cuántos números consumieron los anteriores
+        const random = rng.fork(`scenario-${s}`).random;
+        
+        // Punto del diseño de experimentos: sus valores sustituyen a los sorteados
+        const designPoint = design ? design[s - 1] : null;
+        const designValues = designPoint ? designPoint.values : {};
+        
+        // Perfil de especie del escenario (sorteo con generador propio: sin `profile` no se sortea)
+        let profileId = DEFAULT_PROFILE;
+        if (designValues.profile) {
+            profileId = designValues.profile;
+        } else if (scenarioConfig.profile) {
+            profileId = sampleMix(scenarioConfig.profile, rng.fork(`profile-${s}`).random);
+        }
+        const profile = scenarioConfig.profiles ? scenarioConfig.profiles[profileId] : BUILT_IN_PROFILES[DEFAULT_PROFILE];
+        
+        // Parámetros únicos por escenario - muestreados del espacio configurado
+        const scenarioParams = sampleScenarioParams(scenarioConfig, random, profileId);
+        Object.entries(designValues).forEach(([name, value]) => {
+            if (name !== 'profile') scenarioParams[name] = value;
+        });
+        scenarioParams.profile = profile;
+        scenarioParams.chemistry = chemistryParams(profile);
+        scenarioParams.kinetics = scenarioKinetics(kineticsConfig, profile);
+        scenarioParams.inputs = scenarioInputs(inputsConfig, s, scenarioParams);
+        const controllers = scenarioParams.inputs && scenarioParams.inputs.control ? 
+                            createControllers(scenarioParams.inputs.control) : null;
+        scenarioParams.controllers = controllers;
+        const variables = stateVariables(scenarioParams.kinetics, scenarioParams.inputs);
+        const droopParameters = scenarioParams.kinetics.nutrients.model === 'droop' ? 
+                                scenarioParams.kinetics.nutrients.parameters : null;
+        scenarioParams.reactor = sampleReactorParams(reactorConfig, random);
+        
+        // Estado inicial del cultivo: medio fresco en equilibrio con el gas de aireación
+        // (con calefacción controlada el cultivo arranca en la consigna)
+        const initialTemp = heatingControlled(scenarioParams.inputs) ? 
+                            inputSetpoints(0, scenarioParams).temperature : 
+                            environmentalConditions(0, scenarioParams).temperature;
+        const freshMedium = initialChemistry(scenarioParams.basePH, initialTemp);
+        scenarioParams.feedMedium = { ...freshMedium, ...scenarioParams.reactor.feed };
+        let state = packState({
+            biomass: scenarioParams.initialBiomass,
+            ...freshMedium,
+            volume: scenarioParams.reactor.initialVolume,
+            harvestedBiomass: 0,
+            nitrogenQuota: droopParameters ? droopParameters.initialQuota : undefined,
+            temperature: initialTemp
+        }, variables);
+        let stepSize = ODE_OPTIONS.hInit;
+        const rhs = (t, y) => computeKinetics(t, y, scenarioParams).derivatives;
+        
+        // Fallos inyectados en este escenario (generador propio para no alterar el resto)
+        const horizon = (samplesTotal - 1) * dt;
+        const faults = planScenarioFaults(faultConfig, s, horizon, rng.fork(`faults-${s}`));
+        scenarioParams.faults = faults;
+        const sensorMemory = createSensorMemory();
+        const sensorBank = sensorConfig ? createSensorBank(sensorConfig, rng.fork(`sensors-${s}`), dt) : null;
+        // Los sensores de la capa de medida reciben sus fallos en la columna _measured
+        const faultColumns = Object.fromEntries(Object.entries(SENSOR_COLUMNS)
+            .filter(([sensor]) => !sensorBank || !sensorBank.faultSensors.includes(sensor)));
+        const affectedRows = new Map();
+        let batch = [];
+        
+        // Eventos programados de alimentación y cosecha, más los cambios de dinámica por fallos y
+        // por las entradas, y las actualizaciones de los controladores
+        const schedule = scheduleEvents(scenarioParams.reactor, horizon);
+        faultBreakpoints(faults).forEach(time => schedule.push({ type: 'breakpoint', time }));
+        if (scenarioParams.inputs) {
+            inputBreakpoints(scenarioParams.inputs, horizon).forEach(time => schedule.push({ type: 'breakpoint', time }));
+        }
+        if (controllers) {
+            controlTimes(scenarioParams.inputs.control, horizon).forEach(time => schedule.push({ type: 'control', time }));
+        }
+        schedule.sort((a, b) => a.time - b.time);
+        let nextEvent = 0;
+        
+        for (let i = 0; i < samplesTotal; i++) {
+            const h = i * dt;
+            const eventsInInterval = [];
+            
+            // Integrar desde la muestra anterior hasta este instante, deteniéndose en cada evento
+            let t = i > 0 ? h - dt : 0;
+            while (nextEvent < schedule.length && schedule[nextEvent].time <= h) {
+                const event = schedule[nextEvent++];
+                if (event.time > t) {
+                    const result = rk45(rhs, t, state, event.time, { ...ODE_OPTIONS, hInit: stepSize });
+                    state = result.y;
+                    stepSize = result.h;
+                    t = event.time;
+                }
+                if (event.type === 'breakpoint') continue;
+                if (event.type === 'control') {
+                    // El controlador lee el estado real y retiene su salida hasta la siguiente muestra
+                    const measured = computeKinetics(t, state, scenarioParams);
+                    const setpoints = inputSetpoints(t, scenarioParams);
+                    controllers.update({
+                        temperature: measured.temperature,
+                        temperatureSetpoint: setpoints.temperature,
+                        pH: measured.pH,
+                        pHSetpoint: setpoints.pH
+                    });
+                    continue;
+                }
+                state = packState(applyEvent(event, unpackState(state, variables), scenarioParams.reactor, 
+                                             scenarioParams.feedMedium), variables);
+                eventsInInterval.push(event.type);
+            }
+            if (h > t) {
+                const result = rk45(rhs, t, state, h, { ...ODE_OPTIONS, hInit: stepSize });
+                state = result.y;
+                stepSize = result.h;
+            }
+            
+            const kinetics = computeKinetics(h, state, scenarioParams);
+            const { tempEffect, pHEffect, lightEffect, nutrientEffect, densityEffect,
+                    nitrogenEffect, phosphorusEffect, carbonEffect } = kinetics.effects;
+            const mu = kinetics.mu;
+            const current = kinetics.state;
+            const biomass = Math.min(scenarioParams.maxBiomass, Math.max(0.01, current.biomass));
+            const carbonate = carbonateSpeciation(current.dic, current.alkalinity, kinetics.temperature);
+            const o2Saturation = oxygenSaturation(kinetics.temperature);
+            const cultureAge = h;
+            
+            // === CONDICIONES MEDIDAS (estado + ruido de sensor) ===
+            
+            // Durante un fallo de proceso los sensores registran el rango cardinal completo del perfil
+            const tempLimits = kinetics.modifiers.active ? profile.temperature : profile.temperature.culture;
+            const pHLimits = kinetics.modifiers.active ? profile.pH : profile.pH.culture;
+            
+            let temperature = kinetics.temperature + (random() - 0.5) * 1; // Ruido
+            temperature = Math.max(tempLimits.min, Math.min(tempLimits.max, temperature));
+            
+            let pH = kinetics.pH + (random() - 0.5) * 0.1; // Ruido pequeño
+            pH = Math.max(pHLimits.min, Math.min(pHLimits.max, pH));
+            
+            let lightIntensity = kinetics.lightIntensity;
+            if (lightIntensity > 0) {
+                const flicker = scenarioParams.lightRegime === 'continuous' ? 
+                                0.9 + 0.2 * random() : 0.8 + 0.4 * random();
+                lightIntensity *= flicker;
+            }
+            lightIntensity = Math.max(0, Math.min(profile.light.max, lightIntensity));
+            
+            // Oxígeno disuelto (balance fotosíntesis - respiración - transferencia + ruido de sonda)
+            const dissolvedO2 = Math.max(0, current.dissolvedO2 + (random() - 0.5) * 0.2);
+            
+            // Concentración celular (correlacionada con biomasa)
+            const cellConcentration = biomass * profile.cellsPerGL;
+            
+            // Productividad instantánea
+            const instantProductivity = Math.max(0, kinetics.derivatives[0] * 24); // g/L/día
+            
+            // Determinar fase de crecimiento
+            let growthPhase = 'lag';
+            if (mu > scenarioParams.muMax * 0.8) {
+                growthPhase = 'exponential';
+            } else if (mu > scenarioParams.muMax * 0.4) {
+                growthPhase = 'linear';
+            } else if (mu > scenarioParams.muMax * 0.1) {
+                growthPhase = 'stationary';
+            } else {
+                growthPhase = 'decline';
+            }
+            
+            // Composición bioquímica (la limitación por N desplaza proteína hacia lípidos)
+            const { protein, lipid, variability } = profile.composition;
+            const proteinContent = protein.base + protein.nitrogenReplete * nitrogenEffect + variability * random();
+            const lipidContent = lipid.base + lipid.nitrogenStarved * (1 - nitrogenEffect) + variability * random();
+            const carbohydrateContent = 100 - proteinContent - lipidContent;
+            
+            // === CREAR PUNTO DE DATOS ===
+            const dataPoint = {
+                // Identificadores
+                Scenario: s,
+                Time_h: parseFloat(h.toFixed(4)),
+                Time_days: parseFloat((h / 24).toFixed(4)),
+                DateTime: new Date(startTime + Math.round(h * 3600000)).toISOString(),
+                
+                // Estado del cultivo
+                Culture_Age_h: parseFloat(cultureAge.toFixed(4)),
+                Growth_Phase: growthPhase,
+                
+                // Condiciones ambientales
+                Temperature_C: parseFloat(temperature.toFixed(2)),
+                pH: parseFloat(pH.toFixed(2)),
+                PAR_umol_m2_s: parseFloat(lightIntensity.toFixed(1)),
+                ...(scenarioParams.kinetics.attenuation.model !== 'none' && {
+                    PAR_Average_umol_m2_s: parseFloat(kinetics.cultureLight.toFixed(1))
+                }),
+                Dissolved_O2_mg_L: parseFloat(dissolvedO2.toFixed(2)),
+                DO_Saturation_percent: parseFloat((current.dissolvedO2 / o2Saturation * 100).toFixed(1)),
+                
+                // Biomasa y células
+                Biomass_g_L: parseFloat(biomass.toFixed(4)),
+                Cell_Concentration_cells_mL: parseFloat(cellConcentration.toFixed(0)),
+                Cell_Density_10E6_mL: parseFloat((cellConcentration / 1e6).toFixed(2)),
+                
+                // Cinética
+                Specific_Growth_Rate_h: parseFloat(mu.toFixed(5)),
+                Growth_Rate_mu_h: parseFloat(mu.toFixed(5)),
+                
+                // Productividad
+                Instantaneous_Productivity_g_L_d: parseFloat(instantProductivity.toFixed(4)),
+                
+                // Nutrientes
+                Nitrogen_mg_L: parseFloat(Math.max(0, current.nitrogen).toFixed(2)),
+                Phosphorus_mg_L: parseFloat(Math.max(0, current.phosphorus).toFixed(3)),
+                Nitrogen_Uptake_mg_L_h: parseFloat(kinetics.fluxes.nitrogenUptake.toFixed(4)),
+                Phosphorus_Uptake_mg_L_h: parseFloat(kinetics.fluxes.phosphorusUptake.toFixed(5)),
+                ...(droopParameters && { 
+                    Nitrogen_Quota_g_g: parseFloat(current.nitrogenQuota.toFixed(5)) 
+                }),
+                
+                // Carbono inorgánico (química del carbonato)
+                DIC_mmol_L: parseFloat(Math.max(0, current.dic).toFixed(4)),
+                CO2_aq_mmol_L: parseFloat(carbonate.co2.toFixed(4)),
+                HCO3_mmol_L: parseFloat(carbonate.bicarbonate.toFixed(4)),
+                CO3_mmol_L: parseFloat(carbonate.carbonate.toFixed(4)),
+                Alkalinity_meq_L: parseFloat(current.alkalinity.toFixed(4)),
+                CO2_Transfer_mmol_L_h: parseFloat(kinetics.fluxes.co2Transfer.toFixed(4)),
+                
+                // Balance de oxígeno
+                O2_Production_mg_L_h: parseFloat(kinetics.fluxes.o2Production.toFixed(4)),
+                O2_Consumption_mg_L_h: parseFloat(kinetics.fluxes.o2Consumption.toFixed(4)),
+                
+                // Composición bioquímica
+                Protein_Content_percent: parseFloat(proteinContent.toFixed(1)),
+                Lipid_Content_percent: parseFloat(lipidContent.toFixed(1)),
+                Carbohydrate_Content_percent: parseFloat(carbohydrateContent.toFixed(1)),
+                
+                // Efectos del modelo
+                Temperature_Effect: parseFloat(tempEffect.toFixed(3)),
+                pH_Effect: parseFloat(pHEffect.toFixed(3)),
+                Light_Effect: parseFloat(lightEffect.toFixed(3)),
+                Nutrient_Effect: parseFloat(nutrientEffect.toFixed(3)),
+                Density_Effect: parseFloat(densityEffect.toFixed(3)),
+                Nitrogen_Effect: parseFloat(nitrogenEffect.toFixed(3)),
+                Phosphorus_Effect: parseFloat(phosphorusEffect.toFixed(3)),
+                Carbon_Effect: parseFloat(carbonEffect.toFixed(3)),
+                
+                // Operación del reactor
+                Operation_Mode: scenarioParams.reactor.operationMode,
+                Volume_L: parseFloat(current.volume.toFixed(3)),
+                Dilution_Rate_h: parseFloat(kinetics.flows.dilutionRate.toFixed(5)),
+                Harvested_Biomass_g: parseFloat(current.harvestedBiomass.toFixed(4)),
+                Reactor_Event: eventsInInterval.length ? eventsInInterval.join('+') : 'none',
+                
+                // Entradas: consignas y acciones de control (mismas columnas en todos los escenarios)
+                ...inputColumnValues(inputColumns, h, scenarioParams),
+                
+                // Condiciones experimentales
+                Light_Regime: scenarioParams.lightRegime,
+                Profile: profile.id,
+                
+                // Calidad de datos (se recalcula con los fallos de sensor)
+                Data_Quality_Score: 1
+            };
+            
+            // === FALLOS DE SENSOR Y CAPA DE MEDIDA: estado real frente a lectura de cada sensor ===
+            const labels = applySensorFaults(dataPoint, faults, h, sensorMemory, faultColumns);
+            const measurement = sensorBank ? sensorBank.measure({
+                temperature: kinetics.temperature,
+                pH: kinetics.pH,
+                dissolvedO2: Math.max(0, current.dissolvedO2),
+                par: kinetics.lightIntensity,
+                biomass,
+                cells: cellConcentration,
+                nitrogen: Math.max(0, current.nitrogen),
+                phosphorus: Math.max(0, current.phosphorus)
+            }, h, faults) : null;
+            
+            // === ETIQUETAS DE VERDAD (un fallo `all` puede llegar por las dos vías) ===
+            const active = measurement
+                ? [...labels.active, ...measurement.active.filter(fault => !labels.active.includes(fault))]
+                : labels.active;
+            active.forEach(fault => affectedRows.set(fault.id, (affectedRows.get(fault.id) || 0) + 1));
+            dataPoint.Data_Quality_Score = parseFloat(faultQuality(active).toFixed(3));
+            dataPoint.Anomaly_Label = active.length ? 1 : 0;
+            dataPoint.Anomaly_Type = active.length ? 
+                [...new Set(active.map(fault => fault.type))].join('+') : 'none';
+            dataPoint.Anomaly_ID = active.length ? active.map(fault => fault.id).join('+') : 'none';
+            if (measurement) Object.assign(dataPoint, measurement.columns);
+            
+            batch.push(dataPoint);
+            if (batch.length >= batchRows && i < samplesTotal - 1) {
+                totalRows += batch.length;
+                yield { scenario: s, rows: batch, scenarioCompleted: false };
+                batch = [];
+            }
+        }
+        
+        faults.forEach(fault => anomalies.push({ ...fault, affectedRows: affectedRows.get(fault.id) || 0 }));
+        
+        log(`✅ Escenario ${s}: ${state[0].toFixed(3)} g/L biomasa final`);
+        // Fila del escenario en scenarios.csv: punto del diseño y parámetros efectivos
+        const parameters = {
+            Scenario: s,
+            ...(designPoint && { Design_Point: designPoint.point }),
+            Profile: profile.id,
+            Light_Regime: scenarioParams.lightRegime,
+            Operation_Mode: scenarioParams.reactor.operationMode
+        };
+        Object.keys(PARAMETER_LIMITS).forEach(name => {
+            parameters[name] = parseFloat(scenarioParams[name].toFixed(6));
+        });
+        
+        totalRows += batch.length;
+        yield { scenario: s, rows: batch, scenarioCompleted: true, parameters };
+    }
+    
+    log(`🎯 Dataset generado: ${totalRows} registros`);
+}
+
+module.exports = {
+    MODEL_VERSION,
+    MORTALITY_RATE,
+    environmentalConditions,
+    computeKinetics,
+    generateRealisticData
+};
@@ -0,0 +1,73 @@
+// src/index.js - Uso del generador como librería (sin servidor HTTP)
+//
+//   const { generateDataset } = require('chlorella-generator');
+//   const stats = await generateDataset({ scenarios: 5, totalDays: 10, seed: 42 }, './salida');
+//
+// La configuración tiene los mismos campos que el cuerpo de POST /generate-dataset y se valida
+// igual (ver src/request.js); la generación corre en el hilo que llama, sin cola de trabajos.
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { resolveGenerateRequest, requestError } = require('./request');
+const { writeDataset, createDatasetSplitter } = require('./datasetWriter');
+const { generateRealisticData, MODEL_VERSION } = require('./generator');
+const { createProfileRegistry, BUILT_IN_PROFILES } = require('./profiles');
+const { createRNG } = require('./random');
+const { readManifest } = require('./manifest');
+const { analyzeDataset, stratifiedSample } = require('./analytics');
+const { renderAnalysisReport } = require('./report');
+
+// Leer una configuración JSON o YAML (por extensión: .yaml/.yml, el resto JSON)
+function loadConfig(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const yaml = ['.yaml', '.yml'].includes(path.extname(filePath).toLowerCase());
+    let config;
+    try {
+        config = yaml ? YAML.parse(text) : JSON.parse(text);
+    } catch (error) {
+        throw requestError(`${filePath} no es ${yaml ? 'YAML' : 'JSON'} válido: ${error.message}`);
+    }
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+        throw requestError(`${filePath} debe contener un objeto con los campos de la petición`);
+    }
+    return config;
+}
+
+// Los cuatro criterios de scientificValidation de las estadísticas se cumplen
+function validationPassed(stats) {
+    return Object.values(stats.scientificValidation).every(Boolean);
+}
+
+// Generar un dataset completo en `outputDir` y devolver sus estadísticas.
+// `profilesDir` es la carpeta de perfiles subidos (por defecto solo los integrados) y
+// `onProgress` recibe { completedScenarios, totalScenarios, rows } al terminar cada escenario.
+// `log(mensaje)` recibe el progreso en texto; por defecto no se escribe nada (p. ej. `log: console.log`).
+// Una configuración inválida lanza un error con `status` 400 y `details` por campo.
+async function generateDataset(config, outputDir, { profilesDir = null, onProgress, log = () => {} } = {}) {
+    const profiles = createProfileRegistry(profilesDir);
+    const params = resolveGenerateRequest(config, profiles);
+    const folder = path.resolve(outputDir);
+    if (fs.existsSync(folder) && fs.readdirSync(folder).length) {
+        throw requestError(`La carpeta de salida ${folder} no está vacía`);
+    }
+    return writeDataset(params, folder, onProgress, log);
+}
+
+module.exports = {
+    MODEL_VERSION,
+    BUILT_IN_PROFILES,
+    loadConfig,
+    generateDataset,
+    validationPassed,
+    resolveGenerateRequest,
+    writeDataset,
+    createDatasetSplitter,
+    generateRealisticData,
+    createProfileRegistry,
+    createRNG,
+    readManifest,
+    analyzeDataset,
+    stratifiedSample,
+    renderAnalysisReport
+};
@@ -0,0 +1,387 @@
+// src/inputs.js - Entradas variables en el tiempo: consignas, fotoperiodo y control PID
+//
+// Configuración (campo `inputs` de /generate-dataset):
+//   temperature, pH, par   perfiles de consigna por tramos, comunes a todos los escenarios:
+//                          { setpoints: [{ time_h, value }], interpolation: 'step' | 'linear',
+//                            relative: false }
+//                          Con `relative` los valores se suman a la base sorteada del escenario
+//                          (baseTemp, basePH, maxPAR). Antes del primer punto vale el primero
+//                          y después del último, el último.
+//   photoperiod            ciclo de luz de los escenarios con lightRegime 'cyclic'; los 'continuous'
+//                          lo ignoran y siguen con luz constante. Sin él, el ciclo es el 16:8
+//                          senoidal que empieza a las 6 h (ver environmentalConditions):
+//                          { light_h, period_h: 24, onset_h: 6, shape: 'sine' | 'square' } (period_h de 1 a 168 h)
+//   control                PID discretos con retención entre muestras (cada sampleTime_min):
+//                          heating   calefacción que sigue la consigna de temperatura; el cultivo
+//                                    intercambia calor con el ambiente (baseTemp + ciclo diario)
+//                          co2       dosificación de CO2 en el gas de aireación que sigue la
+//                                    consigna de pH (solo puede bajarlo)
+//                          `true` usa las ganancias por defecto; un objeto las sustituye.
+//   scenarios              perfiles propios de algunos escenarios: { "3": { temperature: {...} } }
+//
+// Sin control, la consigna de temperatura es la temperatura del cultivo (control ideal) y la de
+// PAR la intensidad de las lámparas. El pH sale de la química del carbonato, así que una consigna
+// de pH necesita control.co2. Sin control la consigna de un lazo es la base del escenario.
+
+const { PARAMETER_LIMITS } = require('./scenarioConfig');
+const { CHEMISTRY_PARAMS } = require('./chemistry');
+
+// Variables con consigna: límites de sus valores y parámetro del escenario que hace de base
+const INPUT_VARIABLES = {
+    temperature: { base: 'baseTemp', limits: PARAMETER_LIMITS.baseTemp },
+    pH: { base: 'basePH', limits: PARAMETER_LIMITS.basePH },
+    par: { base: 'maxPAR', limits: PARAMETER_LIMITS.maxPAR }
+};
+const INTERPOLATIONS = ['step', 'linear'];
+const PHOTOPERIOD_SHAPES = ['square', 'sine'];
+
+// Por defecto la misma forma y fase que el ciclo 16:8 del modelo: { light_h: 16 } lo reproduce
+const PHOTOPERIOD_DEFAULTS = { period_h: 24, onset_h: 6, shape: 'sine' };
+// Cada ciclo cuadrado añade dos cambios de dinámica al integrador: ciclos de al menos una hora
+const PHOTOPERIOD_LIMITS = { period_h: { min: 1, max: 168 } };
+// Regímenes de luz a los que se aplica el fotoperiodo
+const PHOTOPERIOD_LIGHT_REGIMES = ['cyclic'];
+
+// Ganancias y límites por defecto de cada lazo
+const CONTROL_DEFAULTS = {
+    sampleTime_min: 5,
+    // Error en °C, salida en °C/h de calentamiento
+    heating: { kp: 2, ki: 0.5, kd: 0, maxRate_C_h: 5, ambientTau_h: 4 },
+    // Error en unidades de pH (pH - consigna), salida en fracción molar de CO2 del gas
+    co2: { kp: 0.05, ki: 0.05, kd: 0, minFraction: 0.0004, maxFraction: 0.1 }
+};
+
+const CONTROL_LIMITS = {
+    sampleTime_min: { min: 0.5, max: 60 },
+    heating: {
+        kp: { min: 0, max: 100 }, ki: { min: 0, max: 100 }, kd: { min: 0, max: 100 },
+        maxRate_C_h: { min: 0.1, max: 50 }, ambientTau_h: { min: 0.1, max: 100 }
+    },
+    co2: {
+        kp: { min: 0, max: 10 }, ki: { min: 0, max: 10 }, kd: { min: 0, max: 10 },
+        minFraction: { min: 0, max: 1 }, maxFraction: { min: 0, max: 1 }
+    }
+};
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateSchedule(field, spec, variable) {
+    if (!isPlainObject(spec)) {
+        return [{ field, message: 'debe ser un objeto { setpoints, interpolation, relative }' }];
+    }
+
+    const errors = [];
+    const { setpoints, interpolation = 'step', relative = false, ...unknown } = spec;
+    Object.keys(unknown).forEach(key => {
+        errors.push({ field: `${field}.${key}`, message: 'parámetro desconocido (setpoints, interpolation, relative)' });
+    });
+    if (!INTERPOLATIONS.includes(interpolation)) {
+        errors.push({ field: `${field}.interpolation`, message: `debe ser uno de: ${INTERPOLATIONS.join(', ')}` });
+    }
+    if (typeof relative !== 'boolean') {
+        errors.push({ field: `${field}.relative`, message: 'debe ser true o false' });
+    }
+
+    if (!Array.isArray(setpoints) || !setpoints.length) {
+        errors.push({ field: `${field}.setpoints`, message: 'debe ser una lista no vacía de { time_h, value }' });
+        return errors;
+    }
+
+    const { limits } = INPUT_VARIABLES[variable];
+    setpoints.forEach((point, i) => {
+        const pointField = `${field}.setpoints[${i}]`;
+        if (!isPlainObject(point)) {
+            errors.push({ field: pointField, message: 'debe ser un objeto { time_h, value }' });
+            return;
+        }
+        if (!isNumber(point.time_h) || point.time_h < 0) {
+            errors.push({ field: `${pointField}.time_h`, message: 'debe ser un número >= 0' });
+        } else if (i > 0 && isPlainObject(setpoints[i - 1]) && point.time_h <= setpoints[i - 1].time_h) {
+            errors.push({ field: `${pointField}.time_h`, message: 'los tiempos deben ser crecientes' });
+        }
+        if (!isNumber(point.value)) {
+            errors.push({ field: `${pointField}.value`, message: 'debe ser un número' });
+        } else if (relative !== true && (point.value < limits.min || point.value > limits.max)) {
+            errors.push({ field: `${pointField}.value`, message: `debe estar entre ${limits.min} y ${limits.max} ${limits.unit}` });
+        }
+        Object.keys(point).filter(key => key !== 'time_h' && key !== 'value').forEach(key => {
+            errors.push({ field: `${pointField}.${key}`, message: 'parámetro desconocido (time_h, value)' });
+        });
+    });
+    return errors;
+}
+
+function validatePhotoperiod(spec) {
+    const field = 'inputs.photoperiod';
+    if (!isPlainObject(spec)) {
+        return [{ field, message: 'debe ser un objeto { light_h, period_h, onset_h, shape }' }];
+    }
+
+    const errors = [];
+    const { light_h, period_h, onset_h, shape, ...unknown } = { ...PHOTOPERIOD_DEFAULTS, ...spec };
+    Object.keys(unknown).forEach(key => {
+        errors.push({ field: `${field}.${key}`, message: 'parámetro desconocido (light_h, period_h, onset_h, shape)' });
+    });
+    const periodLimits = PHOTOPERIOD_LIMITS.period_h;
+    if (!isNumber(period_h) || period_h < periodLimits.min || period_h > periodLimits.max) {
+        errors.push({ field: `${field}.period_h`, message: `debe ser un número entre ${periodLimits.min} y ${periodLimits.max}` });
+    } else {
+        if (!isNumber(light_h) || light_h <= 0 || light_h >= period_h) {
+            errors.push({ field: `${field}.light_h`, message: `debe ser un número entre 0 y period_h (${period_h}), exclusivos` });
+        }
+        if (!isNumber(onset_h) || onset_h < 0 || onset_h >= period_h) {
+            errors.push({ field: `${field}.onset_h`, message: `debe ser un número >= 0 y menor que period_h (${period_h})` });
+        }
+    }
+    if (!PHOTOPERIOD_SHAPES.includes(shape)) {
+        errors.push({ field: `${field}.shape`, message: `debe ser uno de: ${PHOTOPERIOD_SHAPES.join(', ')}` });
+    }
+    return errors;
+}
+
+// Lazo de control: `true` (ganancias por defecto) u objeto con las que se sustituyen
+function resolveLoop(name, spec, errors) {
+    const field = `inputs.control.${name}`;
+    if (spec === true) return { ...CONTROL_DEFAULTS[name] };
+    if (!isPlainObject(spec)) {
+        errors.push({ field, message: 'debe ser true o un objeto con ganancias y límites' });
+        return null;
+    }
+
+    const loop = { ...CONTROL_DEFAULTS[name] };
+    Object.entries(spec).forEach(([key, value]) => {
+        const limits = CONTROL_LIMITS[name][key];
+        if (!limits) {
+            errors.push({ field: `${field}.${key}`, message: `parámetro desconocido (${Object.keys(CONTROL_LIMITS[name]).join(', ')})` });
+        } else if (!isNumber(value) || value < limits.min || value > limits.max) {
+            errors.push({ field: `${field}.${key}`, message: `debe ser un número entre ${limits.min} y ${limits.max}` });
+        } else {
+            loop[key] = value;
+        }
+    });
+    if (name === 'co2' && loop.minFraction >= loop.maxFraction) {
+        errors.push({ field, message: 'minFraction debe ser menor que maxFraction' });
+    }
+    return loop;
+}
+
+function resolveControl(spec, errors) {
+    if (!isPlainObject(spec)) {
+        errors.push({ field: 'inputs.control', message: 'debe ser un objeto { heating, co2, sampleTime_min }' });
+        return null;
+    }
+
+    const control = { sampleTime_min: CONTROL_DEFAULTS.sampleTime_min, heating: null, co2: null };
+    Object.entries(spec).forEach(([key, value]) => {
+        if (key === 'sampleTime_min') {
+            const limits = CONTROL_LIMITS.sampleTime_min;
+            if (!isNumber(value) || value < limits.min || value > limits.max) {
+                errors.push({ field: 'inputs.control.sampleTime_min', message: `debe ser un número entre ${limits.min} y ${limits.max}` });
+            } else {
+                control.sampleTime_min = value;
+            }
+        } else if (key === 'heating' || key === 'co2') {
+            if (value !== false) control[key] = resolveLoop(key, value, errors);
+        } else {
+            errors.push({ field: `inputs.control.${key}`, message: 'parámetro desconocido (heating, co2, sampleTime_min)' });
+        }
+    });
+    return control;
+}
+
+// Igual que el resto de configuraciones: { config, errors }. Sin `inputs` la configuración es
+// null y las condiciones siguen siendo las históricas (base + ciclo diario / 16:8).
+function resolveInputsConfig(overrides) {
+    if (overrides === undefined) return { config: null, errors: [] };
+    if (!isPlainObject(overrides)) {
+        return { config: null, errors: [{ field: 'inputs', message: 'debe ser un objeto' }] };
+    }
+
+    const errors = [];
+    const config = { temperature: null, pH: null, par: null, photoperiod: null, control: null, scenarios: {} };
+
+    Object.entries(overrides).forEach(([name, spec]) => {
+        const field = `inputs.${name}`;
+        if (INPUT_VARIABLES[name]) {
+            errors.push(...validateSchedule(field, spec, name));
+            config[name] = spec;
+        } else if (name === 'photoperiod') {
+            errors.push(...validatePhotoperiod(spec));
+            config.photoperiod = { ...PHOTOPERIOD_DEFAULTS, ...spec };
+        } else if (name === 'control') {
+            config.control = resolveControl(spec, errors);
+        } else if (name === 'scenarios') {
+            if (!isPlainObject(spec)) {
+                errors.push({ field, message: 'debe ser un objeto { "<escenario>": { temperature, pH, par } }' });
+                return;
+            }
+            Object.entries(spec).forEach(([id, schedules]) => {
+                const scenarioField = `${field}.${id}`;
+                if (!/^[1-9]\d*$/.test(id)) {
+                    errors.push({ field: scenarioField, message: 'la clave debe ser un número de escenario (desde 1)' });
+                } else if (!isPlainObject(schedules)) {
+                    errors.push({ field: scenarioField, message: 'debe ser un objeto { temperature, pH, par }' });
+                } else {
+                    Object.entries(schedules).forEach(([variable, schedule]) => {
+                        if (!INPUT_VARIABLES[variable]) {
+                            errors.push({ field: `${scenarioField}.${variable}`, message: `variable desconocida (${Object.keys(INPUT_VARIABLES).join(', ')})` });
+                        } else {
+                            errors.push(...validateSchedule(`${scenarioField}.${variable}`, schedule, variable));
+                        }
+                    });
+                    config.scenarios[id] = schedules;
+                }
+            });
+        } else {
+            errors.push({ field, message: 'parámetro desconocido (temperature, pH, par, photoperiod, control, scenarios)' });
+        }
+    });
+
+    // El pH no se puede imponer: lo fija la química del carbonato salvo que lo controle el CO2
+    const usesPH = config.pH || Object.values(config.scenarios).some(schedules => schedules && schedules.pH);
+    if (usesPH && !(config.control && config.control.co2)) {
+        errors.push({ field: 'inputs.pH', message: 'una consigna de pH necesita control.co2 (el pH sale de la química del carbonato)' });
+    }
+
+    return { config: errors.length ? null : config, errors };
+}
+
+// Perfil de consigna de un escenario con valores absolutos (los relativos se suman a la base)
+function absoluteSchedule(schedule, base, limits) {
+    const interpolation = schedule.interpolation || 'step';
+    const points = schedule.setpoints.map(({ time_h, value }) => ({
+        time_h,
+        value: schedule.relative ? Math.max(limits.min, Math.min(limits.max, base + value)) : value
+    }));
+    return { interpolation, points };
+}
+
+// Entradas de un escenario ya sorteado: consignas absolutas de cada variable (las propias del
+// escenario o las comunes), fotoperiodo y lazos de control. null sin configuración de entradas.
+function scenarioInputs(config, scenarioId, scenarioParams) {
+    if (!config) return null;
+
+    const own = config.scenarios[String(scenarioId)] || {};
+    const inputs = { photoperiod: config.photoperiod, control: config.control };
+    Object.entries(INPUT_VARIABLES).forEach(([variable, { base, limits }]) => {
+        const schedule = own[variable] || config[variable];
+        inputs[variable] = schedule ? absoluteSchedule(schedule, scenarioParams[base], limits) : null;
+    });
+    return inputs;
+}
+
+// Valor de una consigna en el instante t
+function setpointAt(schedule, t) {
+    const { points, interpolation } = schedule;
+    if (t <= points[0].time_h) return points[0].value;
+    for (let i = points.length - 1; i >= 0; i--) {
+        if (t >= points[i].time_h) {
+            const next = points[i + 1];
+            if (!next || interpolation === 'step') return points[i].value;
+            const fraction = (t - points[i].time_h) / (next.time_h - points[i].time_h);
+            return points[i].value + fraction * (next.value - points[i].value);
+        }
+    }
+    return points[0].value;
+}
+
+// Fracción de la intensidad máxima (0-1) en el instante t con un fotoperiodo
+function photoperiodFactor(photoperiod, t) {
+    const { light_h, period_h, onset_h, shape } = photoperiod;
+    const phase = ((t - onset_h) % period_h + period_h) % period_h;
+    if (phase >= light_h) return 0;
+    return shape === 'sine' ? Math.sin(phase / light_h * Math.PI) : 1;
+}
+
+// Instantes en los que las entradas cambian de forma brusca (puntos de las consignas y, con
+// fotoperiodo cuadrado, encendido y apagado): el integrador se detiene en ellos
+function inputBreakpoints(inputs, horizon) {
+    const times = [];
+    Object.keys(INPUT_VARIABLES).forEach(variable => {
+        if (inputs[variable]) inputs[variable].points.forEach(point => times.push(point.time_h));
+    });
+    const { photoperiod } = inputs;
+    if (photoperiod && photoperiod.shape === 'square') {
+        for (let start = photoperiod.onset_h - photoperiod.period_h; start <= horizon; start += photoperiod.period_h) {
+            times.push(start, start + photoperiod.light_h);
+        }
+    }
+    return times.filter(time => time > 0 && time <= horizon);
+}
+
+// Instantes de actualización de los controladores (desde t = 0, cada sampleTime_min)
+function controlTimes(control, horizon) {
+    const dt = control.sampleTime_min / 60;
+    const count = Math.floor(horizon / dt + 1e-9);
+    return Array.from({ length: count + 1 }, (_, k) => parseFloat((k * dt).toFixed(9)));
+}
+
+// PID discreto en forma posicional con antisaturación por integración condicional:
+// el término integral no crece mientras la salida está saturada en la dirección del error
+function createPID({ kp, ki, kd, min, max, bias = 0 }, dt) {
+    let integral = 0;
+    let lastError = null;
+
+    return {
+        update(error) {
+            const derivative = lastError === null ? 0 : (error - lastError) / dt;
+            lastError = error;
+            const candidate = integral + error * dt;
+            const raw = bias + kp * error + ki * candidate + kd * derivative;
+            const output = Math.max(min, Math.min(max, raw));
+            if (raw === output || (raw > max && error < 0) || (raw < min && error > 0)) {
+                integral = candidate;
+            }
+            return output;
+        }
+    };
+}
+
+// Controladores de un escenario: update({ temperature, temperatureSetpoint, pH, pHSetpoint }) fija
+// las salidas retenidas hasta la siguiente muestra. `outputs.heating` en °C/h y `outputs.co2Fraction` en fracción molar.
+function createControllers(control) {
+    const dt = control.sampleTime_min / 60;
+    const heating = control.heating ?
+        createPID({ kp: control.heating.kp, ki: control.heating.ki, kd: control.heating.kd,
+                    min: 0, max: control.heating.maxRate_C_h }, dt) : null;
+    // Sin error, el gas lleva el enriquecimiento habitual
+    const co2 = control.co2 ?
+        createPID({ kp: control.co2.kp, ki: control.co2.ki, kd: control.co2.kd,
+                    min: control.co2.minFraction, max: control.co2.maxFraction,
+                    bias: CHEMISTRY_PARAMS.co2Fraction }, dt) : null;
+
+    const outputs = {
+        heating: 0,
+        co2Fraction: CHEMISTRY_PARAMS.co2Fraction
+    };
+
+    return {
+        outputs,
+        update({ temperature, temperatureSetpoint, pH, pHSetpoint }) {
+            if (heating) outputs.heating = heating.update(temperatureSetpoint - temperature);
+            if (co2) outputs.co2Fraction = co2.update(pH - pHSetpoint);
+        }
+    };
+}
+
+module.exports = {
+    INPUT_VARIABLES,
+    CONTROL_DEFAULTS,
+    PHOTOPERIOD_DEFAULTS,
+    PHOTOPERIOD_LIMITS,
+    PHOTOPERIOD_LIGHT_REGIMES,
+    resolveInputsConfig,
+    scenarioInputs,
+    setpointAt,
+    photoperiodFactor,
+    inputBreakpoints,
+    controlTimes,
+    createPID,
+    createControllers
+};
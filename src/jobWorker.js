@@ -0,0 +1,18 @@
+// src/jobWorker.js - Punto de entrada de los worker threads de generación
+//
+// Recibe { params, folder } en workerData y comunica al hilo principal:
+//   { type: 'progress', completedScenarios, totalScenarios, rows }
+//   { type: 'completed', stats }
+//   { type: 'failed', error, status }
+
+const { parentPort, workerData } = require('worker_threads');
+const { writeDataset } = require('./datasetWriter');
+
+writeDataset(workerData.params, workerData.folder, progress => {
+    parentPort.postMessage({ type: 'progress', ...progress });
+})
+    .then(stats => parentPort.postMessage({ type: 'completed', stats }))
+    .catch(error => {
+        console.error('❌ Error generando dataset:', error);
+        parentPort.postMessage({ type: 'failed', error: error.message, status: error.status || 500 });
+    });
@@ -0,0 +1,193 @@
+// src/jobs.js - Cola de trabajos de generación ejecutados en worker threads
+//
+// Cada petición de /generate-dataset se convierte en un trabajo con id propio:
+//   queued -> running -> completed | failed | cancelled
+// Como máximo `concurrency` workers a la vez; el resto espera en cola (FIFO).
+// El hilo principal solo recibe mensajes de progreso, así que /health y las
+// descargas siguen respondiendo mientras se genera.
+
+const { Worker } = require('worker_threads');
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const WORKER_SCRIPT = path.join(__dirname, 'jobWorker.js');
+const DEFAULT_WORKER_MEMORY_MB = 1024;
+
+// `concurrency`  workers simultáneos
+// `maxFinished`  trabajos terminados que se recuerdan (los más antiguos se olvidan; sus ficheros no se tocan)
+// `maxMemoryMB`  heap máximo de cada worker: si un trabajo lo agota falla él solo, no el servidor
+function createJobManager(options = {}) {
+    const concurrency = options.concurrency || 1;
+    const maxFinished = options.maxFinished || 100;
+    const maxMemoryMB = options.maxMemoryMB || DEFAULT_WORKER_MEMORY_MB;
+    const jobs = new Map();
+    const queue = [];
+    const workers = new Map();
+    const events = new EventEmitter();
+    events.setMaxListeners(0);
+
+    // Vista pública del trabajo (sin los parámetros resueltos completos)
+    function describe(job) {
+        return {
+            id: job.id,
+            status: job.status,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            folderName: path.basename(job.folder),
+            request: {
+                scenarios: job.params.scenarios,
+                totalDays: job.params.totalDays,
+                samplingIntervalMin: job.params.samplingIntervalMin,
+                seed: job.params.seed,
+                prng: job.params.prng
+            },
+            progress: { ...job.progress },
+            stats: job.stats,
+            error: job.error
+        };
+    }
+
+    function notify(job) {
+        events.emit(job.id, describe(job));
+    }
+
+    function isFinal(job) {
+        return FINAL_STATUSES.includes(job.status);
+    }
+
+    function finish(job, status, fields = {}) {
+        if (isFinal(job)) return;
+        Object.assign(job, fields, { status, finishedAt: new Date().toISOString() });
+        notify(job);
+        forgetOldJobs();
+    }
+
+    function forgetOldJobs() {
+        const finished = [...jobs.values()].filter(isFinal);
+        finished.slice(0, Math.max(0, finished.length - maxFinished)).forEach(job => jobs.delete(job.id));
+    }
+
+    function start(job) {
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        notify(job);
+
+        const worker = new Worker(WORKER_SCRIPT, {
+            workerData: { params: job.params, folder: job.folder },
+            resourceLimits: { maxOldGenerationSizeMb: maxMemoryMB }
+        });
+        workers.set(job.id, worker);
+
+        worker.on('message', message => {
+            if (message.type === 'progress') {
+                job.progress = {
+                    completedScenarios: message.completedScenarios,
+                    totalScenarios: message.totalScenarios,
+                    rows: message.rows,
+                    percent: Math.round(message.completedScenarios / message.totalScenarios * 1000) / 10
+                };
+                notify(job);
+            } else if (message.type === 'completed') {
+                finish(job, 'completed', { stats: message.stats });
+            } else if (message.type === 'failed') {
+                finish(job, 'failed', { error: { message: message.error, status: message.status } });
+            }
+        });
+
+        worker.on('error', error => {
+            finish(job, 'failed', { error: { message: error.message, status: 500 } });
+        });
+
+        worker.on('exit', () => {
+            workers.delete(job.id);
+            finish(job, 'failed', { error: { message: 'El worker terminó sin completar el trabajo', status: 500 } });
+            // Cancelado o fallido: borrar lo escrito, una vez que el worker ya no puede escribir más
+            if (job.status !== 'completed') {
+                fs.rmSync(job.folder, { recursive: true, force: true });
+            }
+            pump();
+        });
+    }
+
+    function pump() {
+        while (workers.size < concurrency && queue.length) {
+            start(queue.shift());
+        }
+    }
+
+    // Encolar un trabajo. `params` es la petición validada (ver src/datasetWriter.js)
+    // y `folder` la carpeta donde se escribirá el dataset.
+    function submit(params, folder) {
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'queued',
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            folder,
+            params,
+            progress: { completedScenarios: 0, totalScenarios: params.scenarios, rows: 0, percent: 0 },
+            stats: null,
+            error: null
+        };
+        jobs.set(job.id, job);
+        queue.push(job);
+        pump();
+        return describe(job);
+    }
+
+    function get(id) {
+        const job = jobs.get(id);
+        return job ? describe(job) : null;
+    }
+
+    // Trabajos en orden de envío, opcionalmente filtrados por estado
+    function list(status) {
+        return [...jobs.values()]
+            .filter(job => !status || job.status === status)
+            .map(describe);
+    }
+
+    // Cancelar un trabajo en cola o en curso. Devuelve la vista actualizada,
+    // o null si no existe. Un trabajo ya terminado se devuelve sin cambios.
+    function cancel(id) {
+        const job = jobs.get(id);
+        if (!job) return null;
+        if (isFinal(job)) return describe(job);
+
+        if (job.status === 'queued') {
+            queue.splice(queue.indexOf(job), 1);
+            finish(job, 'cancelled');
+        } else {
+            finish(job, 'cancelled');
+            workers.get(job.id).terminate();
+        }
+        return describe(job);
+    }
+
+    // Escuchar los cambios de un trabajo; devuelve la función para dejar de escuchar
+    function subscribe(id, listener) {
+        events.on(id, listener);
+        return () => events.off(id, listener);
+    }
+
+    return {
+        submit,
+        get,
+        list,
+        cancel,
+        subscribe,
+        isFinal: status => FINAL_STATUSES.includes(status)
+    };
+}
+
+module.exports = {
+    JOB_STATUSES,
+    createJobManager
+};
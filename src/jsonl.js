@@ -0,0 +1,38 @@
+// src/jsonl.js - JSON Lines: un objeto JSON por línea (los valores ausentes quedan como null)
+
+const fs = require('fs');
+const readline = require('readline');
+const { createFileStream } = require('./fileStream');
+
+function createJSONLWriter(filePath) {
+    const file = createFileStream(filePath);
+    let rows = 0;
+
+    function write(batch) {
+        if (!batch.length) return Promise.resolve();
+        rows += batch.length;
+        return file.write(batch.map(row => JSON.stringify(row)).join('\n') + '\n');
+    }
+
+    return {
+        filePath,
+        write,
+        close: () => file.close().then(() => rows),
+        abort: file.abort,
+        get rows() {
+            return rows;
+        }
+    };
+}
+
+async function* readJSONLRows(filePath) {
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (line.trim()) yield JSON.parse(line);
+    }
+}
+
+module.exports = {
+    createJSONLWriter,
+    readJSONLRows
+};
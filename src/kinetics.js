@@ -0,0 +1,331 @@
+// src/kinetics.js - Modelos cinéticos seleccionables para cada factor del crecimiento
+//
+// Cada factor (temperatura, pH, luz, atenuación de la luz y nutrientes) puede usar uno de
+// los modelos publicados del registro KINETIC_MODELS. Los parámetros por defecto salen del
+// perfil de especie del escenario (ver src/profiles.js) y se pueden fijar en la petición:
+//
+//   kinetics: { temperature: 'ctmi', light: { model: 'haldane', Ki: 1200 },
+//               attenuation: { model: 'beer_lambert', depth_m: 0.1 }, nutrients: 'droop' }
+//
+// Los modelos por defecto son los históricos del generador (campanas gaussianas, Monod con
+// inhibición exponencial, luz incidente sin atenuar y Monod con ley del mínimo), de modo que
+// sin `kinetics` los datasets no cambian. Los modelos con fotoinhibición se normalizan para
+// que su máximo sea 1 y alcance en el `inhibitionOnset` del perfil: muMax conserva su
+// significado al cambiar de modelo.
+
+const { BUILT_IN_PROFILES, DEFAULT_PROFILE } = require('./profiles');
+
+const FACTORS = ['temperature', 'pH', 'light', 'attenuation', 'nutrients'];
+
+// Perfil con el que se obtienen los nombres de parámetro de cada modelo (no dependen del perfil)
+const REFERENCE_PROFILE = BUILT_IN_PROFILES[DEFAULT_PROFILE];
+
+// Modelo de Droop: cuotas de N como múltiplos de la cuota típica (1 / rendimiento sobre N)
+const DROOP_MIN_QUOTA = 0.4;
+const DROOP_MAX_QUOTA = 1.25;
+
+// Función cardinal de Rosso (CTMI con n = 2 para temperatura, CPM con n = 1 para pH)
+function cardinalModel(x, min, opt, max, n) {
+    if (x <= min || x >= max) return 0;
+    const denominator = Math.pow(opt - min, n - 1) *
+        ((opt - min) * (x - opt) - (opt - max) * ((n - 1) * opt + min - n * x));
+    return (x - max) * Math.pow(x - min, n) / denominator;
+}
+
+// Curva de Platt con inhibición (máximo en I* = Ik·ln(1 + Ib/Ik))
+function plattCurve(I, p) {
+    return (1 - Math.exp(-I / p.Ik)) * Math.exp(-I / p.Ib);
+}
+
+const KINETIC_MODELS = {
+    temperature: {
+        gaussian: {
+            description: 'Campana gaussiana alrededor del óptimo, nula fuera del rango cardinal (histórico)',
+            reference: null,
+            defaults: profile => ({
+                Tmin: profile.temperature.min,
+                Topt: profile.temperature.optimal,
+                Tmax: profile.temperature.max,
+                width: profile.temperature.width
+            }),
+            effect: (T, p) => {
+                if (T < p.Tmin || T > p.Tmax) return 0;
+                return Math.exp(-Math.pow(Math.abs(T - p.Topt) / p.width, 2));
+            }
+        },
+        ctmi: {
+            description: 'Modelo cardinal de temperatura con inflexión (CTMI)',
+            reference: 'Rosso et al. (1993) J. Theor. Biol. 162:447-463; Bernard & Rémond (2012) Bioresour. Technol. 123:520-527',
+            defaults: profile => ({
+                Tmin: profile.temperature.min,
+                Topt: profile.temperature.optimal,
+                Tmax: profile.temperature.max
+            }),
+            // Con Topt por debajo del punto medio la curva tiene un polo dentro de (Tmin, Tmax)
+            check: p => p.Topt > (p.Tmin + p.Tmax) / 2 && p.Topt < p.Tmax ? null : 
+                        'CTMI requiere (Tmin + Tmax) / 2 < Topt < Tmax',
+            effect: (T, p) => cardinalModel(T, p.Tmin, p.Topt, p.Tmax, 2)
+        }
+    },
+    pH: {
+        gaussian: {
+            description: 'Campana gaussiana alrededor del pH óptimo, nula fuera del rango cardinal (histórico)',
+            reference: null,
+            defaults: profile => ({
+                pHmin: profile.pH.min,
+                pHopt: profile.pH.optimal,
+                pHmax: profile.pH.max,
+                width: profile.pH.width
+            }),
+            effect: (pH, p) => {
+                if (pH < p.pHmin || pH > p.pHmax) return 0;
+                return Math.exp(-Math.pow(Math.abs(pH - p.pHopt) / p.width, 2));
+            }
+        },
+        ctmi: {
+            description: 'Modelo cardinal de pH (CPM, forma de Rosso con n = 1)',
+            reference: 'Rosso et al. (1995) Appl. Environ. Microbiol. 61:610-616',
+            defaults: profile => ({
+                pHmin: profile.pH.min,
+                pHopt: profile.pH.optimal,
+                pHmax: profile.pH.max
+            }),
+            check: p => p.pHmin < p.pHopt && p.pHopt < p.pHmax ? null : 'debe cumplirse pHmin < pHopt < pHmax',
+            effect: (pH, p) => cardinalModel(pH, p.pHmin, p.pHopt, p.pHmax, 1)
+        }
+    },
+    light: {
+        monod_inhibition: {
+            description: 'Monod con inhibición exponencial por encima de Ion (histórico)',
+            reference: null,
+            defaults: profile => ({
+                Ks: profile.light.saturation,
+                Ion: profile.light.inhibitionOnset,
+                Iscale: profile.light.inhibitionScale
+            }),
+            effect: (I, p) => {
+                if (I <= 0) return 0;
+                const saturationEffect = I / (I + p.Ks);
+                const inhibitionEffect = I > p.Ion ? Math.exp(-(I - p.Ion) / p.Iscale) : 1.0;
+                return saturationEffect * inhibitionEffect;
+            }
+        },
+        monod: {
+            description: 'Saturación hiperbólica sin fotoinhibición',
+            reference: 'Tamiya et al. (1953) en Algal Culture: From Laboratory to Pilot Plant, 204-232',
+            defaults: profile => ({ Ks: profile.light.saturation }),
+            effect: (I, p) => I > 0 ? I / (I + p.Ks) : 0
+        },
+        steele: {
+            description: 'Steele: máximo en Iopt y fotoinhibición exponencial',
+            reference: 'Steele (1962) Limnol. Oceanogr. 7:137-150',
+            defaults: profile => ({ Iopt: profile.light.inhibitionOnset }),
+            effect: (I, p) => I > 0 ? I / p.Iopt * Math.exp(1 - I / p.Iopt) : 0
+        },
+        haldane: {
+            description: 'Haldane (Andrews) normalizado: máximo 1 en I* = √(Ks·Ki)',
+            reference: 'Andrews (1968) Biotechnol. Bioeng. 10:707-723',
+            defaults: profile => ({
+                Ks: profile.light.saturation,
+                Ki: Math.pow(profile.light.inhibitionOnset, 2) / profile.light.saturation
+            }),
+            effect: (I, p) => {
+                if (I <= 0) return 0;
+                const peak = 1 / (1 + 2 * Math.sqrt(p.Ks / p.Ki));
+                return I / (p.Ks + I + I * I / p.Ki) / peak;
+            }
+        },
+        platt: {
+            description: 'Platt con fotoinhibición, normalizado a máximo 1',
+            reference: 'Platt, Gallegos & Harrison (1980) J. Mar. Res. 38:687-701',
+            defaults: profile => ({
+                Ik: profile.light.saturation,
+                Ib: profile.light.saturation * (Math.exp(profile.light.inhibitionOnset / profile.light.saturation) - 1)
+            }),
+            effect: (I, p) => {
+                if (I <= 0) return 0;
+                const peak = plattCurve(p.Ik * Math.log(1 + p.Ib / p.Ik), p);
+                return plattCurve(I, p) / peak;
+            }
+        }
+    },
+    attenuation: {
+        none: {
+            description: 'El cultivo recibe la luz incidente (histórico)',
+            reference: null,
+            defaults: () => ({}),
+            averageLight: I0 => I0
+        },
+        beer_lambert: {
+            description: 'Luz media en la profundidad del cultivo con extinción de Beer-Lambert',
+            reference: 'Bernard (2011) J. Process Control 21:1378-1389',
+            defaults: () => ({
+                depth_m: 0.05,              // m - paso de luz del fotobiorreactor
+                specificExtinction: 0.15,   // m²/g biomasa
+                backgroundExtinction: 5     // m⁻¹ - medio y paredes
+            }),
+            // Iav = I0·(1 − e^(−K·L)) / (K·L), con K = Kbg + ka·X (X en g/m³)
+            averageLight: (I0, biomass, p) => {
+                const optical = (p.backgroundExtinction + p.specificExtinction * Math.max(0, biomass) * 1000) * p.depth_m;
+                return optical > 1e-9 ? I0 * (1 - Math.exp(-optical)) / optical : I0;
+            }
+        }
+    },
+    nutrients: {
+        monod: {
+            description: 'Monod sobre N, P y carbono inorgánico con ley del mínimo (histórico)',
+            reference: 'Monod (1949) Annu. Rev. Microbiol. 3:371-394',
+            defaults: () => ({})
+        },
+        droop: {
+            description: 'Cuota celular de N (Droop) con captación saturante; P y carbono siguen con Monod',
+            reference: 'Droop (1968) J. Mar. Biol. Assoc. UK 48:689-733; Bernard (2011) J. Process Control 21:1378-1389',
+            defaults: profile => {
+                const typicalQuota = 1 / profile.yields.nitrogen;
+                const Qmax = DROOP_MAX_QUOTA * typicalQuota;
+                return {
+                    Q0: DROOP_MIN_QUOTA * typicalQuota,         // g N / g biomasa
+                    Qmax,
+                    rhoMax: 2 * profile.growth.muMax * Qmax,    // g N / g biomasa / h
+                    KN: profile.halfSaturation.nitrogen,        // mg N/L
+                    initialQuota: Qmax
+                };
+            },
+            check: p => p.Q0 < p.initialQuota && p.initialQuota <= p.Qmax ? null : 'debe cumplirse Q0 < initialQuota <= Qmax'
+        }
+    }
+};
+
+const DEFAULT_KINETICS = {
+    temperature: 'gaussian',
+    pH: 'gaussian',
+    light: 'monod_inhibition',
+    attenuation: 'none',
+    nutrients: 'monod'
+};
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Igual que el resto de configuraciones: { config, errors }. Cada factor queda como
+// { model, ...parámetros fijados }; los demás parámetros salen del perfil de cada escenario.
+function resolveKineticsConfig(overrides = {}) {
+    if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return { config: null, errors: [{ field: 'kinetics', message: 'debe ser un objeto' }] };
+    }
+
+    const errors = [];
+    const config = {};
+    FACTORS.forEach(factor => { config[factor] = { model: DEFAULT_KINETICS[factor] }; });
+
+    Object.entries(overrides).forEach(([factor, spec]) => {
+        const field = `kinetics.${factor}`;
+        const models = KINETIC_MODELS[factor];
+        if (!models) {
+            errors.push({ field, message: `factor desconocido (${FACTORS.join(', ')})` });
+            return;
+        }
+
+        if (typeof spec !== 'string' && (!spec || typeof spec !== 'object' || Array.isArray(spec))) {
+            errors.push({ field, message: 'debe ser un modelo o un objeto { model, ...parámetros }' });
+            return;
+        }
+        const { model, ...parameters } = typeof spec === 'string' ? { model: spec } : spec;
+        const definition = Object.prototype.hasOwnProperty.call(models, model) ? models[model] : null;
+        if (!definition) {
+            errors.push({ field: `${field}.model`, message: `debe ser uno de: ${Object.keys(models).join(', ')}` });
+            return;
+        }
+
+        // Los nombres admitidos son los de los parámetros por defecto del modelo
+        const names = Object.keys(definition.defaults(REFERENCE_PROFILE));
+        Object.entries(parameters).forEach(([name, value]) => {
+            if (!names.includes(name)) {
+                errors.push({
+                    field: `${field}.${name}`,
+                    message: names.length ? `parámetro desconocido (${names.join(', ')})` : 'el modelo no tiene parámetros'
+                });
+            } else if (!isNumber(value) || value <= 0) {
+                errors.push({ field: `${field}.${name}`, message: 'debe ser un número > 0' });
+            }
+        });
+        config[factor] = { model, ...parameters };
+    });
+
+    return { config: errors.length ? null : config, errors };
+}
+
+// Modelos y parámetros completos de un escenario: defaults del perfil + los fijados en la config
+function scenarioKinetics(config, profile) {
+    const kinetics = {};
+    FACTORS.forEach(factor => {
+        const { model, ...fixed } = config[factor];
+        const definition = KINETIC_MODELS[factor][model];
+        kinetics[factor] = { model, parameters: { ...definition.defaults(profile), ...fixed } };
+    });
+    return kinetics;
+}
+
+// Comprobar que los parámetros de cada perfil elegido son válidos para los modelos
+// (p. ej. CTMI con un óptimo demasiado bajo). Devuelve la lista de errores { field, message }.
+function checkKinetics(config, profiles) {
+    const errors = [];
+    profiles.forEach(profile => {
+        const kinetics = scenarioKinetics(config, profile);
+        FACTORS.forEach(factor => {
+            const { model, parameters } = kinetics[factor];
+            const check = KINETIC_MODELS[factor][model].check;
+            const message = check ? check(parameters) : null;
+            if (message) errors.push({ field: `kinetics.${factor}`, message: `${message} (perfil ${profile.id})` });
+        });
+    });
+    return errors;
+}
+
+// Efecto (0-1) de un factor con los modelos del escenario
+function factorEffect(kinetics, factor, value) {
+    const { model, parameters } = kinetics[factor];
+    return KINETIC_MODELS[factor][model].effect(value, parameters);
+}
+
+function averageLight(kinetics, incident, biomass) {
+    const { model, parameters } = kinetics.attenuation;
+    return KINETIC_MODELS.attenuation[model].averageLight(incident, biomass, parameters);
+}
+
+// Modelo de Droop: efecto de la cuota de N sobre el crecimiento (1 en Qmax) y captación de N
+function droopNitrogen(parameters, quota, nitrogen) {
+    const { Q0, Qmax, rhoMax, KN } = parameters;
+    const effect = Math.max(0, (1 - Q0 / quota) / (1 - Q0 / Qmax));
+    const n = Math.max(0, nitrogen);
+    const uptake = rhoMax * n / (n + KN) * Math.max(0, (Qmax - quota) / (Qmax - Q0));
+    return { effect: Math.min(1, effect), uptake };
+}
+
+// Catálogo para /scenario-presets: modelos de cada factor con su referencia y parámetros
+function describeKineticModels() {
+    const catalog = {};
+    FACTORS.forEach(factor => {
+        catalog[factor] = Object.entries(KINETIC_MODELS[factor]).map(([name, definition]) => ({
+            model: name,
+            default: DEFAULT_KINETICS[factor] === name,
+            description: definition.description,
+            reference: definition.reference,
+            parameters: Object.keys(definition.defaults(REFERENCE_PROFILE))
+        }));
+    });
+    return catalog;
+}
+
+module.exports = {
+    KINETIC_MODELS,
+    DEFAULT_KINETICS,
+    resolveKineticsConfig,
+    scenarioKinetics,
+    checkKinetics,
+    factorEffect,
+    averageLight,
+    droopNitrogen,
+    describeKineticModels
+};
@@ -0,0 +1,305 @@
+// src/leastSquares.js - Mínimos cuadrados no lineales (Levenberg-Marquardt)
+//
+// Ajusta un vector de parámetros minimizando la suma de cuadrados de `residuals(params)`.
+// El jacobiano se aproxima por diferencias finitas (el modelo es una integración numérica,
+// sin derivadas analíticas) y los parámetros se mantienen dentro de sus límites.
+// La incertidumbre sale de la aproximación lineal en el óptimo: cov = s²·(JᵀJ)⁻¹.
+
+const DEFAULT_OPTIONS = {
+    maxIterations: 100,
+    tolerance: 1e-8,        // cambio relativo de la suma de cuadrados o de los parámetros
+    lambda: 1e-3,           // amortiguamiento inicial de Marquardt
+    maxLambda: 1e10,
+    relativeStep: 1e-4      // paso de las diferencias finitas, relativo al parámetro
+};
+
+function sumOfSquares(values) {
+    return values.reduce((sum, value) => sum + value * value, 0);
+}
+
+// Residuos de un candidato; los que no se pueden evaluar (integración fallida) no se aceptan
+function evaluate(residuals, params) {
+    try {
+        const values = residuals(params);
+        const ssr = sumOfSquares(values);
+        return Number.isFinite(ssr) ? { values, ssr } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Resolver A·x = b por eliminación gaussiana con pivote parcial; null si A es singular
+function solveLinear(A, b) {
+    const n = b.length;
+    const M = A.map((row, i) => [...row, b[i]]);
+    const scale = Math.max(...A.map(row => Math.max(...row.map(Math.abs))));
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+        }
+        if (!(Math.abs(M[pivot][col]) > scale * 1e-14)) return null;
+        [M[col], M[pivot]] = [M[pivot], M[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = M[row][col] / M[col][col];
+            for (let k = col; k <= n; k++) M[row][k] -= factor * M[col][k];
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = M[row][n];
+        for (let k = row + 1; k < n; k++) sum -= M[row][k] * x[k];
+        x[row] = sum / M[row][row];
+    }
+    return x;
+}
+
+// Inversa por columnas de la identidad; null si la matriz es singular
+function invert(A) {
+    const n = A.length;
+    const columns = [];
+    for (let j = 0; j < n; j++) {
+        const column = solveLinear(A, A.map((row, i) => (i === j ? 1 : 0)));
+        if (!column) return null;
+        columns.push(column);
+    }
+    return A.map((row, i) => columns.map(column => column[i]));
+}
+
+// Jacobiano de los residuos (filas: observaciones, columnas: parámetros) por diferencias
+// centrales; junto a un límite, diferencia hacia el interior
+function jacobian(residuals, params, current, lower, upper, relativeStep) {
+    const columns = params.map((value, j) => {
+        const h = relativeStep * Math.max(Math.abs(value), 1e-3);
+        const forward = value + h <= upper[j];
+        const backward = value - h >= lower[j];
+        const at = offset => {
+            const shifted = params.slice();
+            shifted[j] = value + offset;
+            return residuals(shifted);
+        };
+        if (forward && backward) {
+            const plus = at(h);
+            const minus = at(-h);
+            return plus.map((r, i) => (r - minus[i]) / (2 * h));
+        }
+        const step = forward ? h : -h;
+        return at(step).map((r, i) => (r - current[i]) / step);
+    });
+    return current.map((r, i) => columns.map(column => column[i]));
+}
+
+function normalEquations(J, r) {
+    const p = J[0].length;
+    const JtJ = Array.from({ length: p }, () => new Array(p).fill(0));
+    const Jtr = new Array(p).fill(0);
+    J.forEach((row, i) => {
+        for (let a = 0; a < p; a++) {
+            Jtr[a] += row[a] * r[i];
+            for (let b = a; b < p; b++) JtJ[a][b] += row[a] * row[b];
+        }
+    });
+    for (let a = 0; a < p; a++) {
+        for (let b = 0; b < a; b++) JtJ[a][b] = JtJ[b][a];
+    }
+    return { JtJ, Jtr };
+}
+
+// Ajuste de Levenberg-Marquardt. `lower`/`upper` son los límites de cada parámetro.
+// Devuelve { params, residuals, ssr, jacobian, iterations, converged, message }.
+function levenbergMarquardt(residuals, initial, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const lower = opts.lower || initial.map(() => -Infinity);
+    const upper = opts.upper || initial.map(() => Infinity);
+    const clamp = params => params.map((value, j) => Math.min(upper[j], Math.max(lower[j], value)));
+
+    let params = clamp(initial);
+    let current = evaluate(residuals, params);
+    if (!current) {
+        throw new Error('El modelo no se puede evaluar con los valores iniciales');
+    }
+
+    let lambda = opts.lambda;
+    let J = jacobian(residuals, params, current.values, lower, upper, opts.relativeStep);
+    let iterations = 0;
+    let converged = false;
+    let message = 'máximo de iteraciones alcanzado';
+
+    while (iterations < opts.maxIterations) {
+        iterations++;
+        const { JtJ, Jtr } = normalEquations(J, current.values);
+        if (Jtr.every(value => value === 0)) {
+            converged = true;
+            message = 'gradiente nulo';
+            break;
+        }
+
+        // Marquardt: amortiguamiento proporcional a la diagonal (invariante a la escala)
+        const damped = JtJ.map((row, a) => row.map((value, b) =>
+            (a === b ? value + lambda * Math.max(value, 1e-12) : value)));
+        const delta = solveLinear(damped, Jtr.map(value => -value));
+        const candidate = delta ? clamp(params.map((value, j) => value + delta[j])) : null;
+        const next = candidate ? evaluate(residuals, candidate) : null;
+
+        if (next && next.ssr < current.ssr) {
+            const ssrChange = (current.ssr - next.ssr) / Math.max(current.ssr, Number.MIN_VALUE);
+            const stepChange = Math.max(...candidate.map((value, j) =>
+                Math.abs(value - params[j]) / Math.max(Math.abs(params[j]), 1e-12)));
+            params = candidate;
+            current = next;
+            lambda = Math.max(lambda / 10, 1e-12);
+            J = jacobian(residuals, params, current.values, lower, upper, opts.relativeStep);
+            if (ssrChange < opts.tolerance || stepChange < opts.tolerance) {
+                converged = true;
+                message = ssrChange < opts.tolerance ? 'suma de cuadrados estable' : 'parámetros estables';
+                break;
+            }
+        } else {
+            lambda *= 10;
+            // Ningún paso mejora el ajuste: estamos en un mínimo (local)
+            if (lambda > opts.maxLambda) {
+                converged = true;
+                message = 'no hay paso que reduzca la suma de cuadrados';
+                break;
+            }
+        }
+    }
+
+    return { params, residuals: current.values, ssr: current.ssr, jacobian: J, iterations, converged, message };
+}
+
+// Matriz de covarianza de los parámetros, s²·(JᵀJ)⁻¹ con s² = SSR / (n - p);
+// null si los parámetros no son identificables (JᵀJ singular)
+function covarianceMatrix(J, ssr) {
+    const n = J.length;
+    const p = J[0].length;
+    if (n <= p) return null;
+    const inverse = invert(normalEquations(J, new Array(n).fill(0)).JtJ);
+    if (!inverse) return null;
+    const variance = ssr / (n - p);
+    const covariance = inverse.map(row => row.map(value => value * variance));
+    return covariance.every((row, i) => row[i] >= 0) ? covariance : null;
+}
+
+// Cuantil de la normal estándar (aproximación racional de Acklam, error < 1.2e-9)
+function normalQuantile(p) {
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const low = 0.02425;
+
+    if (p < low) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+               ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - low) return -normalQuantile(1 - p);
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+           (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Función de distribución de la normal estándar (erfc de Numerical Recipes, error relativo
+// < 1.2e-7 también en las colas)
+function normalCDF(x) {
+    const z = Math.abs(x) / Math.SQRT2;
+    const t = 1 / (1 + 0.5 * z);
+    const erfc = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+        t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 + t * (-0.82215223 + t * 0.17087277)))))))));
+    return x >= 0 ? 1 - erfc / 2 : erfc / 2;
+}
+
+// Logaritmo de la función gamma (aproximación de Lanczos, g = 7, error < 1e-15)
+function logGamma(x) {
+    const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+               -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+               1.5056327351493116e-7];
+    if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    x -= 1;
+    let sum = c[0];
+    for (let i = 1; i < 9; i++) sum += c[i] / (x + i);
+    const t = x + 7.5;
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+// Fracción continua de la beta incompleta (algoritmo de Lentz modificado)
+function betaContinuedFraction(x, a, b) {
+    const tiny = 1e-300;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    if (Math.abs(d) < tiny) d = tiny;
+    d = 1 / d;
+    let h = d;
+    for (let m = 1; m <= 300; m++) {
+        const m2 = 2 * m;
+        let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+        d = 1 + aa * d;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = 1 + aa / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        h *= d * c;
+        aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+        d = 1 + aa * d;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = 1 + aa / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-15) break;
+    }
+    return h;
+}
+
+// Beta incompleta regularizada I_x(a, b)
+function regularizedBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    return x < (a + 1) / (a + b + 2) ?
+        front * betaContinuedFraction(x, a, b) / a :
+        1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+// Función de distribución de la t de Student
+function studentTCDF(t, degreesOfFreedom) {
+    const v = degreesOfFreedom;
+    const tail = 0.5 * regularizedBeta(v / (v + t * t), v / 2, 0.5);
+    return t >= 0 ? 1 - tail : tail;
+}
+
+// Cuantil de la t de Student: inversa exacta de la distribución por bisección (las
+// aproximaciones asintóticas fallan con los pocos grados de libertad de una serie corta)
+function studentTQuantile(p, degreesOfFreedom) {
+    if (p === 0.5) return 0;
+    if (p < 0.5) return -studentTQuantile(1 - p, degreesOfFreedom);
+    let low = 0;
+    let high = 1;
+    while (studentTCDF(high, degreesOfFreedom) < p) {
+        low = high;
+        high *= 2;
+    }
+    for (let i = 0; i < 200 && high - low > 1e-12 * high; i++) {
+        const middle = (low + high) / 2;
+        if (studentTCDF(middle, degreesOfFreedom) < p) low = middle;
+        else high = middle;
+    }
+    return (low + high) / 2;
+}
+
+module.exports = {
+    levenbergMarquardt,
+    covarianceMatrix,
+    solveLinear,
+    normalQuantile,
+    normalCDF,
+    studentTCDF,
+    studentTQuantile
+};
@@ -0,0 +1,122 @@
+// src/manifest.js - manifest.json: descripción completa de un dataset generado
+//
+// Recoge en un único fichero lo necesario para saber de dónde sale un dataset y comprobar
+// que está íntegro: la petición y su configuración resuelta, la versión del generador,
+// la semilla, los modelos cinéticos y sus parámetros, el esquema de columnas (tipo y unidad), el tamaño de cada conjunto,
+// las estadísticas y el SHA-256 de cada fichero.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { MODEL_VERSION } = require('./generator');
+const { formatOf } = require('./formats');
+const packageInfo = require('../package.json');
+
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+
+function sha256File(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+// Ficheros de la carpeta (rutas relativas con '/', incluidas subcarpetas), sin el propio manifiesto
+function listFiles(folder, dir = '') {
+    return fs.readdirSync(path.join(folder, dir), { withFileTypes: true })
+        .flatMap(entry => {
+            const relative = dir ? `${dir}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) return listFiles(folder, relative);
+            return relative === MANIFEST_FILE ? [] : [relative];
+        })
+        .sort();
+}
+
+// Tamaño y suma de comprobación de cada fichero del dataset
+async function checksumFiles(folder) {
+    const files = [];
+    for (const name of listFiles(folder)) {
+        const filePath = path.join(folder, name);
+        files.push({
+            path: name,
+            format: formatOf(name) || path.extname(name).slice(1),
+            bytes: fs.statSync(filePath).size,
+            sha256: await sha256File(filePath)
+        });
+    }
+    return files;
+}
+
+// Escribir manifest.json al final de la generación, cuando ya están todos los ficheros.
+// `params` es la petición validada (ver src/datasetWriter.js), `columns` el esquema de
+// las columnas escritas (ver src/schema.js), `sizes` las filas de cada conjunto y fold y
+// `kinetics` los modelos de cada efecto con sus parámetros por perfil (ver src/kinetics.js).
+async function writeManifest(folder, { params, columns, sizes, kinetics = null, stats }) {
+    // La ruta absoluta en el servidor no forma parte de la descripción del dataset
+    const { outputDir, ...publicStats } = stats;
+
+    const manifest = {
+        manifestVersion: MANIFEST_VERSION,
+        id: path.basename(folder),
+        createdAt: new Date().toISOString(),
+        generator: {
+            name: packageInfo.name,
+            version: packageInfo.version,
+            model: MODEL_VERSION,
+            node: process.version
+        },
+        seed: {
+            seed: params.seed,
+            prng: params.prng,
+            startDate: params.startDate
+        },
+        request: params.request,
+        resolvedConfig: {
+            scenarioConfig: params.scenarioConfig,
+            reactorConfig: params.reactorConfig,
+            faultConfig: params.faultConfig,
+            splitConfig: params.splitConfig,
+            sensorConfig: params.sensorConfig || null,
+            kineticsConfig: params.kineticsConfig || null,
+            designConfig: params.designConfig || null,
+            inputsConfig: params.inputsConfig || null
+        },
+        kinetics,
+        formats: stats.formats,
+        columns,
+        split: sizes,
+        stats: publicStats,
+        files: await checksumFiles(folder)
+    };
+
+    fs.writeFileSync(path.join(folder, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+    return manifest;
+}
+
+// Manifiesto de una carpeta, o null si no tiene (datasets anteriores a los manifiestos).
+// Un manifest.json ilegible o sin las secciones que usan el catálogo y el análisis (p. ej.
+// truncado al llenarse el disco) se trata igual que si no existiera
+function readManifest(folder) {
+    const filePath = path.join(folder, MANIFEST_FILE);
+    if (!fs.existsSync(filePath)) return null;
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+    const valid = manifest !== null && typeof manifest === 'object' && Array.isArray(manifest.files) &&
+        ['request', 'seed', 'split', 'stats'].every(section => manifest[section] !== null && typeof manifest[section] === 'object');
+    return valid ? manifest : null;
+}
+
+module.exports = {
+    MANIFEST_FILE,
+    writeManifest,
+    readManifest,
+    listFiles
+};
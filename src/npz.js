@@ -0,0 +1,153 @@
+// src/npz.js - Tensores NumPy (.npz) con forma [escenario, tiempo, variable]
+//
+// Contenido del archivo (np.load):
+//   X              float32 [S, T, F] - variables numéricas; las series más cortas se rellenan con NaN
+//   lengths        int32   [S]       - muestras reales de cada escenario (el resto de T es relleno)
+//   scenarios      int32   [S]       - identificador de cada escenario
+//   feature_names  str     [F]       - nombre de cada variable del último eje
+// Las columnas de texto (fase, modo, tipo de anomalía...) no forman parte del tensor. Las variables
+// salen del esquema del dataset (`columns`, ver describeColumns) o, sin él, del primer lote.
+//
+// Como T no se conoce hasta el final, las filas se acumulan en un fichero temporal
+// (float32 por escenario, en orden) y el .npz se compone al cerrar sin cargarlo en memoria.
+
+const fs = require('fs');
+const { Readable } = require('stream');
+const archiver = require('archiver');
+const { createFileStream } = require('./fileStream');
+const { describeColumns } = require('./schema');
+
+const PADDING_CHUNK_VALUES = 262144;
+
+// Cabecera .npy versión 1.0 (alineada a 64 bytes)
+function npyHeader(descr, shape) {
+    const shapeText = shape.length === 1 ? `(${shape[0]},)` : `(${shape.join(', ')})`;
+    let header = `{'descr': '${descr}', 'fortran_order': False, 'shape': ${shapeText}, }`;
+    header += ' '.repeat((64 - (10 + header.length + 1) % 64) % 64) + '\n';
+
+    const prefix = Buffer.alloc(10);
+    prefix[0] = 0x93;
+    prefix.write('NUMPY', 1, 'latin1');
+    prefix[6] = 1;
+    prefix[7] = 0;
+    prefix.writeUInt16LE(header.length, 8);
+    return Buffer.concat([prefix, Buffer.from(header, 'latin1')]);
+}
+
+function int32Array(values) {
+    const data = Buffer.from(Int32Array.from(values).buffer);
+    return Buffer.concat([npyHeader('<i4', [values.length]), data]);
+}
+
+// Array de texto de NumPy: UTF-32LE con ancho fijo
+function stringArray(values) {
+    const width = Math.max(1, ...values.map(value => [...value].length));
+    const data = Buffer.alloc(values.length * width * 4);
+    values.forEach((value, i) => {
+        [...value].forEach((char, j) => data.writeUInt32LE(char.codePointAt(0), (i * width + j) * 4));
+    });
+    return Buffer.concat([npyHeader(`<U${width}`, [values.length]), data]);
+}
+
+// Nombres de las variables numéricas del tensor
+function featureNames(columns) {
+    return columns
+        .filter(column => (column.type === 'int' || column.type === 'float') && column.name !== 'Scenario')
+        .map(column => column.name);
+}
+
+function createNPZWriter(filePath, schema = null) {
+    const tempPath = `${filePath}.part`;
+    const temp = createFileStream(tempPath);
+    const segments = [];     // [{ scenario, rows }] en orden de llegada
+    let features = schema ? featureNames(schema) : null;
+    let rows = 0;
+
+    function write(batch) {
+        if (!batch.length) return Promise.resolve();
+
+        if (!features) features = featureNames(describeColumns(Object.keys(batch[0]), batch));
+
+        const values = new Float32Array(batch.length * features.length);
+        batch.forEach((row, i) => {
+            let segment = segments[segments.length - 1];
+            if (!segment || segment.scenario !== row.Scenario) {
+                if (segments.some(previous => previous.scenario === row.Scenario)) {
+                    throw new Error(`Filas del escenario ${row.Scenario} no contiguas: no se puede formar el tensor`);
+                }
+                segment = { scenario: row.Scenario, rows: 0 };
+                segments.push(segment);
+            }
+            segment.rows++;
+
+            features.forEach((name, j) => {
+                const value = row[name];
+                values[i * features.length + j] = typeof value === 'number' ? value : NaN;
+            });
+        });
+        rows += batch.length;
+
+        return temp.write(Buffer.from(values.buffer));
+    }
+
+    // Bytes del tensor X: cabecera, y por escenario sus filas seguidas del relleno NaN
+    async function* tensorChunks(steps, width) {
+        yield npyHeader('<f4', [segments.length, steps, width]);
+        const rowBytes = width * 4;
+        let offset = 0;
+        for (const segment of segments) {
+            if (segment.rows > 0 && rowBytes > 0) {
+                yield* fs.createReadStream(tempPath, { start: offset, end: offset + segment.rows * rowBytes - 1 });
+                offset += segment.rows * rowBytes;
+            }
+            let padding = (steps - segment.rows) * width;
+            while (padding > 0) {
+                const count = Math.min(padding, PADDING_CHUNK_VALUES);
+                yield Buffer.from(new Float32Array(count).fill(NaN).buffer);
+                padding -= count;
+            }
+        }
+    }
+
+    async function close() {
+        await temp.close();
+
+        const width = features ? features.length : 0;
+        const steps = segments.reduce((max, segment) => Math.max(max, segment.rows), 0);
+
+        const archive = archiver('zip', { zlib: { level: 6 } });
+        const output = fs.createWriteStream(filePath);
+        const finished = new Promise((resolve, reject) => {
+            output.on('close', resolve);
+            output.on('error', reject);
+            archive.on('error', reject);
+        });
+        archive.pipe(output);
+        archive.append(Readable.from(tensorChunks(steps, width)), { name: 'X.npy' });
+        archive.append(int32Array(segments.map(segment => segment.rows)), { name: 'lengths.npy' });
+        archive.append(int32Array(segments.map(segment => segment.scenario)), { name: 'scenarios.npy' });
+        archive.append(stringArray(features || []), { name: 'feature_names.npy' });
+        await archive.finalize();
+        await finished;
+
+        fs.rmSync(tempPath, { force: true });
+        return rows;
+    }
+
+    return {
+        filePath,
+        write,
+        close,
+        abort: () => {
+            temp.abort();
+            fs.rmSync(tempPath, { force: true });
+        },
+        get rows() {
+            return rows;
+        }
+    };
+}
+
+module.exports = {
+    createNPZWriter
+};
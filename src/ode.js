@@ -0,0 +1,113 @@
+// src/ode.js - Integrador adaptativo Dormand-Prince 5(4) ("RK45", el de ode45/solve_ivp)
+//
+// Avanza con la solución de orden 5 y estima el error con la de orden 4; la última etapa de un
+// paso aceptado es la primera del siguiente (FSAL), así que cada paso cuesta seis evaluaciones.
+//
+// El modelo cinético se integra en tiempo continuo con paso adaptativo,
+// independiente del intervalo de muestreo con el que se escriben las filas.
+
+// Coeficientes de Dormand-Prince (tabla de Butcher)
+const C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+const A = [
+    [],
+    [1 / 5],
+    [3 / 40, 9 / 40],
+    [44 / 45, -56 / 15, 32 / 9],
+    [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+    [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+    [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+];
+// Solución de orden 5 (igual a la última fila de A: propiedad FSAL)
+const B5 = [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0];
+// Solución de orden 4 para estimar el error
+const B4 = [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40];
+
+const DEFAULT_OPTIONS = {
+    rtol: 1e-6,
+    atol: 1e-9,
+    hInit: 0.1,     // h - paso inicial
+    hMax: 1.0,      // h - paso máximo (no saltar ciclos de luz)
+    hMin: 1e-8,     // h - paso mínimo antes de abortar
+    maxSteps: 100000
+};
+
+function addScaled(y, k, coefficients, h) {
+    const out = y.slice();
+    for (let s = 0; s < coefficients.length; s++) {
+        const a = coefficients[s];
+        if (a === 0) continue;
+        const ks = k[s];
+        for (let i = 0; i < out.length; i++) {
+            out[i] += h * a * ks[i];
+        }
+    }
+    return out;
+}
+
+// Integra dy/dt = f(t, y) desde t0 hasta tEnd.
+// Devuelve { y, h } donde `h` es el paso sugerido para continuar la integración.
+function rk45(f, t0, y0, tEnd, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    let t = t0;
+    let y = y0.slice();
+    let h = Math.min(opts.hInit, opts.hMax, tEnd - t0);
+    let steps = 0;
+    let rejected = 0;
+
+    if (tEnd <= t0) {
+        return { y, h: opts.hInit, steps, rejected };
+    }
+
+    let k1 = f(t, y);
+    let hSuggested = h;
+
+    while (t < tEnd) {
+        if (steps++ > opts.maxSteps) {
+            throw new Error(`RK45: demasiados pasos integrando hasta t=${tEnd}`);
+        }
+
+        // No sobrepasar el instante final
+        const lastStep = t + h >= tEnd;
+        const hStep = lastStep ? tEnd - t : h;
+
+        const k = [k1];
+        for (let s = 1; s < 7; s++) {
+            k.push(f(t + C[s] * hStep, addScaled(y, k, A[s], hStep)));
+        }
+
+        const y5 = addScaled(y, k, B5, hStep);
+        const y4 = addScaled(y, k, B4, hStep);
+
+        // Error relativo normalizado (norma RMS)
+        let errSum = 0;
+        for (let i = 0; i < y.length; i++) {
+            const scale = opts.atol + opts.rtol * Math.max(Math.abs(y[i]), Math.abs(y5[i]));
+            const e = (y5[i] - y4[i]) / scale;
+            errSum += e * e;
+        }
+        const err = Math.sqrt(errSum / y.length);
+
+        // Nuevo paso con factor de seguridad 0.9 y límites [0.2, 5]
+        const factor = err === 0 ? 5 : Math.min(5, Math.max(0.2, 0.9 * Math.pow(err, -1 / 5)));
+
+        if (err <= 1 || hStep <= opts.hMin) {
+            t = lastStep ? tEnd : t + hStep;
+            y = y5;
+            k1 = k[6];
+            // Un último paso recortado no debe encoger el paso sugerido para el siguiente tramo
+            hSuggested = lastStep ? Math.max(h, hStep * factor) : hStep * factor;
+        } else {
+            rejected++;
+            hSuggested = hStep * factor;
+        }
+
+        h = Math.max(opts.hMin, Math.min(opts.hMax, hSuggested));
+    }
+
+    return { y, h, steps, rejected };
+}
+
+module.exports = {
+    rk45,
+    DEFAULT_OPTIONS
+};
@@ -0,0 +1,109 @@
+// src/parquet.js - Apache Parquet con esquema tipado (ver src/schema.js)
+//
+// int -> INT32, float -> DOUBLE, string -> UTF8, timestamp -> TIMESTAMP_MILLIS.
+// Todas las columnas son opcionales: las muestras perdidas por fallos de sensor se guardan como nulos.
+// El esquema es el del dataset (`columns`, ver describeColumns) si se conoce de antemano, así todos
+// los ficheros de un dataset lo comparten aunque estén vacíos; si no, se fija con el primer lote
+// (un fichero sin filas lleva entonces el esquema completo de src/schema.js).
+
+const parquet = require('parquetjs-lite');
+const { COLUMNS, describeColumns } = require('./schema');
+
+const PARQUET_TYPES = {
+    int: 'INT32',
+    float: 'DOUBLE',
+    string: 'UTF8',
+    timestamp: 'TIMESTAMP_MILLIS'
+};
+
+const ROW_GROUP_SIZE = 10000;
+
+function parquetSchema(columns) {
+    const fields = {};
+    columns.forEach(column => {
+        fields[column.name] = { type: PARQUET_TYPES[column.type], optional: true, compression: 'SNAPPY' };
+        // parquetjs-lite no sabe volver a leer las estadísticas INT64 de las marcas de tiempo
+        if (column.type === 'timestamp') fields[column.name].statistics = false;
+    });
+    return new parquet.ParquetSchema(fields);
+}
+
+function createParquetWriter(filePath, schema = null) {
+    let writer = null;
+    let columns = null;
+    let rows = 0;
+
+    async function open(sample) {
+        columns = schema || (sample.length ? describeColumns(Object.keys(sample[0]), sample) : COLUMNS);
+        writer = await parquet.ParquetWriter.openFile(parquetSchema(columns), filePath);
+        writer.setRowGroupSize(ROW_GROUP_SIZE);
+    }
+
+    async function write(batch) {
+        if (!batch.length) return;
+        if (!writer) await open(batch);
+
+        for (const row of batch) {
+            const record = {};
+            columns.forEach(({ name, type }) => {
+                const value = row[name];
+                if (value === null || value === undefined) return;
+                record[name] = type === 'timestamp' ? new Date(value) : value;
+            });
+            await writer.appendRow(record);
+        }
+        rows += batch.length;
+    }
+
+    async function close() {
+        if (!writer) await open([]);
+        await writer.close();
+        return rows;
+    }
+
+    return {
+        filePath,
+        write,
+        close,
+        // El fichero a medias se borra con la carpeta del dataset
+        abort: () => {},
+        get rows() {
+            return rows;
+        }
+    };
+}
+
+async function* readParquetRows(filePath) {
+    const reader = await parquet.ParquetReader.openFile(filePath);
+    const cursor = reader.getCursor();
+    const fields = reader.getSchema().fieldList;
+    const names = fields.map(field => field.name);
+
+    // parquetjs-lite lee INT64 como BigInt y su conversión a Date falla con ellos:
+    // las marcas de tiempo se leen como enteros y se convierten aquí
+    fields.filter(field => field.originalType === 'TIMESTAMP_MILLIS').forEach(field => {
+        delete field.originalType;
+    });
+
+    try {
+        let record;
+        while ((record = await cursor.next())) {
+            // Columnas ausentes en el registro = nulos; fechas de vuelta a ISO 8601
+            const row = {};
+            names.forEach(name => {
+                const value = record[name];
+                row[name] = value === undefined ? null
+                    : typeof value === 'bigint' ? new Date(Number(value)).toISOString()
+                    : value;
+            });
+            yield row;
+        }
+    } finally {
+        await reader.close();
+    }
+}
+
+module.exports = {
+    createParquetWriter,
+    readParquetRows
+};
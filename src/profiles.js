@@ -0,0 +1,474 @@
+// src/profiles.js - Perfiles de especie/cepa: parámetros biológicos del modelo cinético
+//
+// Un perfil reúne lo que el modelo necesita saber de la microalga:
+//   temperature / pH  valores cardinales (crecimiento nulo fuera de [min, max], campana de
+//                     anchura `width` alrededor de `optimal`) y rango de control del cultivo
+//   light             saturación (Monod) y fotoinhibición por encima de `inhibitionOnset`
+//   growth / biomass  tasa máxima típica y límite, biomasa inicial y máxima de referencia
+//   yields            rendimientos sobre N y P y fracción de carbono de la biomasa
+//   halfSaturation    constantes de semisaturación de N, P y carbono inorgánico
+//   cellsPerGL        células/mL por cada g/L de biomasa
+//   composition       proteína y lípidos en función de la limitación por nitrógeno
+//
+// Los perfiles integrados salen de la literatura; el de Chlorella vulgaris reproduce
+// exactamente las constantes históricas del generador. Los perfiles subidos por el usuario
+// se validan con el mismo esquema y se guardan como JSON en el directorio del registro.
+// Un perfil subido puede heredar de otro con `base` y dar solo los campos que cambian.
+
+const fs = require('fs');
+const path = require('path');
+const { CHEMISTRY_PARAMS } = require('./chemistry');
+
+const DEFAULT_PROFILE = 'chlorella_vulgaris';
+const PROFILE_ID_PATTERN = /^[a-z][a-z0-9_]{2,63}$/;
+
+const BUILT_IN_PROFILES = {
+    chlorella_vulgaris: {
+        id: 'chlorella_vulgaris',
+        name: 'Chlorella vulgaris',
+        description: 'Clorofita de agua dulce; perfil de referencia del generador',
+        references: [
+            'Converti et al. (2009) Chem. Eng. Process. 48:1146-1151',
+            'Bernard & Rémond (2012) Bioresour. Technol. 123:520-527'
+        ],
+        temperature: { min: 15, optimal: 28, max: 40, width: 8, culture: { min: 20, max: 35 } },
+        pH: { min: 6.0, optimal: 8.0, max: 10.0, width: 1.5, culture: { min: 6.5, max: 9.0 } },
+        light: { saturation: 100, inhibitionOnset: 300, inhibitionScale: 100, max: 400 },
+        growth: { muMax: 0.025, maxRate: 0.05 },
+        biomass: { initial: 0.05, max: 4.0 },
+        yields: { nitrogen: 12.5, phosphorus: 170, carbonFraction: 0.5 },
+        halfSaturation: { nitrogen: 5, phosphorus: 0.2, carbon: 0.05 },
+        cellsPerGL: 2.5e6,
+        composition: {
+            protein: { base: 40, nitrogenReplete: 15 },
+            lipid: { base: 15, nitrogenStarved: 10 },
+            variability: 5
+        }
+    },
+    nannochloropsis_oceanica: {
+        id: 'nannochloropsis_oceanica',
+        name: 'Nannochloropsis oceanica',
+        description: 'Eustigmatofita marina oleaginosa; células de 2-3 µm, acumula lípidos sin nitrógeno',
+        references: [
+            'Converti et al. (2009) Chem. Eng. Process. 48:1146-1151',
+            'Rodolfi et al. (2009) Biotechnol. Bioeng. 102:100-112'
+        ],
+        temperature: { min: 10, optimal: 25, max: 35, width: 7, culture: { min: 18, max: 30 } },
+        pH: { min: 6.5, optimal: 8.2, max: 10.0, width: 1.2, culture: { min: 7.5, max: 9.0 } },
+        light: { saturation: 150, inhibitionOnset: 350, inhibitionScale: 150, max: 400 },
+        growth: { muMax: 0.021, maxRate: 0.045 },
+        biomass: { initial: 0.05, max: 3.5 },
+        yields: { nitrogen: 15, phosphorus: 110, carbonFraction: 0.52 },
+        halfSaturation: { nitrogen: 3, phosphorus: 0.1, carbon: 0.05 },
+        cellsPerGL: 1.0e7,
+        composition: {
+            protein: { base: 30, nitrogenReplete: 12 },
+            lipid: { base: 20, nitrogenStarved: 25 },
+            variability: 5
+        }
+    },
+    arthrospira_platensis: {
+        id: 'arthrospira_platensis',
+        name: 'Spirulina (Arthrospira platensis)',
+        description: 'Cianobacteria filamentosa alcalófila y termófila, rica en proteína; ' +
+                     'cellsPerGL cuenta tricomas',
+        references: [
+            'Vonshak (1997) Spirulina platensis (Arthrospira): Physiology, Cell-biology and Biotechnology',
+            'Zarrouk (1966) Tesis doctoral, Université de Paris'
+        ],
+        temperature: { min: 15, optimal: 35, max: 44, width: 7, culture: { min: 25, max: 40 } },
+        pH: { min: 8.0, optimal: 9.8, max: 11.5, width: 1.0, culture: { min: 8.5, max: 10.8 } },
+        light: { saturation: 180, inhibitionOnset: 380, inhibitionScale: 200, max: 400 },
+        growth: { muMax: 0.03, maxRate: 0.06 },
+        biomass: { initial: 0.05, max: 3.0 },
+        yields: { nitrogen: 9.5, phosphorus: 100, carbonFraction: 0.47 },
+        halfSaturation: { nitrogen: 8, phosphorus: 0.5, carbon: 0.1 },
+        cellsPerGL: 1.5e5,
+        composition: {
+            protein: { base: 50, nitrogenReplete: 15 },
+            lipid: { base: 6, nitrogenStarved: 6 },
+            variability: 4
+        }
+    },
+    scenedesmus_obliquus: {
+        id: 'scenedesmus_obliquus',
+        name: 'Scenedesmus obliquus',
+        description: 'Clorofita de agua dulce en cenobios, robusta y de crecimiento rápido',
+        references: [
+            'Mandal & Mallick (2009) Appl. Microbiol. Biotechnol. 84:281-291',
+            'Bernard & Rémond (2012) Bioresour. Technol. 123:520-527'
+        ],
+        temperature: { min: 10, optimal: 30, max: 40, width: 8, culture: { min: 20, max: 35 } },
+        pH: { min: 5.5, optimal: 7.5, max: 10.0, width: 1.6, culture: { min: 6.5, max: 9.0 } },
+        light: { saturation: 120, inhibitionOnset: 330, inhibitionScale: 120, max: 400 },
+        growth: { muMax: 0.03, maxRate: 0.06 },
+        biomass: { initial: 0.05, max: 4.5 },
+        yields: { nitrogen: 13.5, phosphorus: 140, carbonFraction: 0.5 },
+        halfSaturation: { nitrogen: 4, phosphorus: 0.15, carbon: 0.05 },
+        cellsPerGL: 1.2e6,
+        composition: {
+            protein: { base: 42, nitrogenReplete: 12 },
+            lipid: { base: 13, nitrogenStarved: 15 },
+            variability: 5
+        }
+    }
+};
+
+// === ESQUEMA ===
+// Hojas numéricas con sus límites admitidos; `exclusiveMin` para magnitudes estrictamente positivas
+function number(min, max, unit, exclusiveMin = false) {
+    return { type: 'number', min, max, unit, exclusiveMin };
+}
+
+const cardinalTemperature = number(0, 50, '°C');
+const cardinalPH = number(0, 14, 'pH');
+
+const PROFILE_SCHEMA = {
+    temperature: {
+        min: cardinalTemperature,
+        optimal: cardinalTemperature,
+        max: cardinalTemperature,
+        width: number(0, 30, '°C', true),
+        culture: { min: cardinalTemperature, max: cardinalTemperature }
+    },
+    pH: {
+        min: cardinalPH,
+        optimal: cardinalPH,
+        max: cardinalPH,
+        width: number(0, 5, 'pH', true),
+        culture: { min: cardinalPH, max: cardinalPH }
+    },
+    light: {
+        saturation: number(0, 2000, 'μmol/m²/s', true),
+        inhibitionOnset: number(0, 3000, 'μmol/m²/s'),
+        inhibitionScale: number(0, 3000, 'μmol/m²/s', true),
+        max: number(0, 3000, 'μmol/m²/s', true)
+    },
+    growth: {
+        muMax: number(0, 0.2, 'h⁻¹', true),
+        maxRate: number(0, 0.3, 'h⁻¹', true)
+    },
+    biomass: {
+        initial: number(0, 1, 'g/L', true),
+        max: number(0, 10, 'g/L', true)
+    },
+    yields: {
+        nitrogen: number(1, 100, 'g biomasa/g N'),
+        phosphorus: number(10, 1000, 'g biomasa/g P'),
+        carbonFraction: number(0.2, 0.7, 'g C/g biomasa')
+    },
+    halfSaturation: {
+        nitrogen: number(0, 100, 'mg N/L', true),
+        phosphorus: number(0, 10, 'mg P/L', true),
+        carbon: number(0, 5, 'mmol DIC/L', true)
+    },
+    cellsPerGL: number(1e3, 1e10, 'células/mL por g/L'),
+    composition: {
+        protein: { base: number(0, 100, '%'), nitrogenReplete: number(0, 100, '%') },
+        lipid: { base: number(0, 100, '%'), nitrogenStarved: number(0, 100, '%') },
+        variability: number(0, 20, '%')
+    }
+};
+
+// Campos descriptivos (no entran en el modelo)
+const METADATA_FIELDS = {
+    id: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    strain: { type: 'string' },
+    description: { type: 'string' },
+    base: { type: 'string' },
+    references: { type: 'array' }
+};
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateNode(schema, value, field, errors) {
+    if (schema.type === 'number') {
+        const tooLow = schema.exclusiveMin ? value <= schema.min : value < schema.min;
+        if (!isNumber(value)) {
+            errors.push({ field, message: 'debe ser un número' });
+        } else if (tooLow || value > schema.max) {
+            const lower = schema.exclusiveMin ? `mayor que ${schema.min}` : `entre ${schema.min}`;
+            const upper = schema.exclusiveMin ? `y <= ${schema.max}` : `y ${schema.max}`;
+            errors.push({ field, message: `debe estar ${lower} ${upper} ${schema.unit}` });
+        }
+        return;
+    }
+
+    if (!isPlainObject(value)) {
+        errors.push({ field, message: 'debe ser un objeto' });
+        return;
+    }
+    Object.keys(value).forEach(key => {
+        if (!(key in schema)) errors.push({ field: `${field}.${key}`, message: 'campo desconocido' });
+    });
+    Object.entries(schema).forEach(([key, child]) => {
+        if (value[key] === undefined) {
+            errors.push({ field: `${field}.${key}`, message: 'campo obligatorio' });
+        } else {
+            validateNode(child, value[key], `${field}.${key}`, errors);
+        }
+    });
+}
+
+// Relaciones entre campos que el esquema por hoja no puede expresar
+function checkConsistency(profile, field, errors) {
+    const ordered = (group, unit) => {
+        const values = profile[group];
+        if (!(values.min < values.optimal && values.optimal < values.max)) {
+            errors.push({ field: `${field}.${group}`, message: 'debe cumplirse min < optimal < max' });
+        }
+        if (!(values.culture.min < values.culture.max)) {
+            errors.push({ field: `${field}.${group}.culture`, message: 'min debe ser menor que max' });
+        } else if (values.culture.min < values.min || values.culture.max > values.max) {
+            errors.push({
+                field: `${field}.${group}.culture`,
+                message: `debe quedar dentro del rango cardinal ${values.min}-${values.max} ${unit}`
+            });
+        }
+    };
+    ordered('temperature', '°C');
+    ordered('pH', 'pH');
+
+    if (profile.growth.muMax > profile.growth.maxRate) {
+        errors.push({ field: `${field}.growth.muMax`, message: 'no puede superar growth.maxRate' });
+    }
+    if (profile.biomass.initial >= profile.biomass.max) {
+        errors.push({ field: `${field}.biomass.initial`, message: 'debe ser menor que biomass.max' });
+    }
+
+    // Proteína + lípidos no pueden pasar del 100 % en ningún grado de limitación por N
+    const { protein, lipid, variability } = profile.composition;
+    const maxTotal = protein.base + lipid.base + 2 * variability +
+                     Math.max(protein.nitrogenReplete, lipid.nitrogenStarved);
+    if (maxTotal > 100) {
+        errors.push({
+            field: `${field}.composition`,
+            message: `proteína + lípidos pueden llegar al ${maxTotal} %: el máximo es 100 %`
+        });
+    }
+}
+
+// Validar un perfil completo (ya combinado con su `base`). Devuelve la lista de errores
+// { field, message } como el resto de configuraciones.
+function validateProfile(profile, field = 'profile') {
+    if (!isPlainObject(profile)) {
+        return [{ field, message: 'debe ser un objeto' }];
+    }
+
+    const errors = [];
+    Object.keys(profile).forEach(key => {
+        if (!(key in PROFILE_SCHEMA) && !(key in METADATA_FIELDS)) {
+            errors.push({ field: `${field}.${key}`, message: 'campo desconocido' });
+        }
+    });
+
+    Object.entries(METADATA_FIELDS).forEach(([key, rule]) => {
+        const value = profile[key];
+        if (value === undefined) {
+            if (rule.required) errors.push({ field: `${field}.${key}`, message: 'campo obligatorio' });
+        } else if (rule.type === 'array') {
+            if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+                errors.push({ field: `${field}.${key}`, message: 'debe ser una lista de textos' });
+            }
+        } else if (typeof value !== 'string' || !value.trim()) {
+            errors.push({ field: `${field}.${key}`, message: 'debe ser un texto no vacío' });
+        }
+    });
+    if (typeof profile.id === 'string' && !PROFILE_ID_PATTERN.test(profile.id)) {
+        errors.push({
+            field: `${field}.id`,
+            message: 'debe tener 3-64 caracteres: minúsculas, dígitos y "_", empezando por letra'
+        });
+    }
+
+    const modelErrors = [];
+    Object.entries(PROFILE_SCHEMA).forEach(([key, schema]) => {
+        if (profile[key] === undefined) {
+            modelErrors.push({ field: `${field}.${key}`, message: 'campo obligatorio' });
+        } else {
+            validateNode(schema, profile[key], `${field}.${key}`, modelErrors);
+        }
+    });
+    // Las relaciones solo se comprueban cuando todos los valores tienen la forma correcta
+    if (!modelErrors.length) checkConsistency(profile, field, modelErrors);
+
+    return [...errors, ...modelErrors];
+}
+
+// Combinar un perfil parcial con el perfil del que hereda (objetos en profundidad)
+function mergeProfile(base, overrides) {
+    const merged = JSON.parse(JSON.stringify(base));
+    Object.entries(overrides).forEach(([key, value]) => {
+        merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ? mergeProfile(merged[key], value) : value;
+    });
+    return merged;
+}
+
+// Parámetros del subsistema químico (ver src/chemistry.js) para un perfil
+function chemistryParams(profile) {
+    return {
+        ...CHEMISTRY_PARAMS,
+        yieldNitrogen: profile.yields.nitrogen,
+        yieldPhosphorus: profile.yields.phosphorus,
+        kNitrogen: profile.halfSaturation.nitrogen,
+        kPhosphorus: profile.halfSaturation.phosphorus,
+        kCarbon: profile.halfSaturation.carbon,
+        carbonContent: profile.yields.carbonFraction / 12.011 * 1000
+    };
+}
+
+// Rango cardinal conjunto de varios perfiles (para la validación científica del dataset)
+function cardinalRange(profiles, group) {
+    return {
+        min: Math.min(...profiles.map(profile => profile[group].min)),
+        max: Math.max(...profiles.map(profile => profile[group].max))
+    };
+}
+
+// === REGISTRO ===
+// Perfiles integrados más los subidos por el usuario, guardados en `dir` como <id>.json.
+// El directorio se crea con el primer perfil subido; sin `dir` el registro solo tiene los integrados.
+function createProfileRegistry(dir = null) {
+    const userProfiles = new Map();
+
+    function httpError(message, status) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+
+    function fileOf(id) {
+        return path.join(dir, `${id}.json`);
+    }
+
+    function isBuiltIn(id) {
+        return Object.prototype.hasOwnProperty.call(BUILT_IN_PROFILES, id);
+    }
+
+    function find(id) {
+        if (isBuiltIn(id)) return BUILT_IN_PROFILES[id];
+        return userProfiles.get(id) || null;
+    }
+
+    // Perfiles guardados de ejecuciones anteriores; los que ya no validan se ignoran con aviso
+    function load() {
+        if (!dir || !fs.existsSync(dir)) return;
+        fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort().forEach(name => {
+            try {
+                const profile = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+                const errors = validateProfile(profile);
+                if (errors.length || `${profile.id}.json` !== name || isBuiltIn(profile.id)) {
+                    console.warn(`⚠️ Perfil ${name} ignorado: ${errors.map(e => `${e.field} ${e.message}`).join('; ') || 'id no coincide'}`);
+                    return;
+                }
+                userProfiles.set(profile.id, profile);
+            } catch (error) {
+                console.warn(`⚠️ Perfil ${name} ignorado: ${error.message}`);
+            }
+        });
+    }
+
+    function describe(profile, source) {
+        return { source, ...JSON.parse(JSON.stringify(profile)) };
+    }
+
+    function list() {
+        return [
+            ...Object.values(BUILT_IN_PROFILES).map(profile => describe(profile, 'builtin')),
+            ...[...userProfiles.values()].map(profile => describe(profile, 'user'))
+        ];
+    }
+
+    function get(id) {
+        const profile = find(id);
+        if (!profile) return null;
+        return describe(profile, isBuiltIn(id) ? 'builtin' : 'user');
+    }
+
+    // Definiciones por id (copias), para resolver la configuración de los escenarios
+    function definitions() {
+        const all = {};
+        list().forEach(({ source, ...profile }) => { all[profile.id] = profile; });
+        return all;
+    }
+
+    // Registrar un perfil subido. Devuelve { profile, errors }; lanza un error 409 si el id
+    // ya existe (los perfiles no se sobrescriben: los datasets guardan el perfil que usaron).
+    function add(body) {
+        if (!isPlainObject(body)) {
+            return { profile: null, errors: [{ field: 'profile', message: 'debe ser un objeto' }] };
+        }
+
+        let profile = body;
+        if (body.base !== undefined) {
+            const base = typeof body.base === 'string' ? find(body.base) : null;
+            if (!base) {
+                return { profile: null, errors: [{ field: 'profile.base', message: 'perfil base desconocido' }] };
+            }
+            // De la base se heredan los parámetros del modelo, no la descripción
+            const { description, references, strain, ...model } = base;
+            profile = mergeProfile({ ...model, id: undefined, name: undefined }, body);
+        }
+
+        const errors = validateProfile(profile);
+        if (errors.length) return { profile: null, errors };
+
+        if (find(profile.id)) {
+            throw httpError(`Ya existe un perfil con id "${profile.id}"`, 409);
+        }
+        if (!dir) {
+            throw httpError('El registro no tiene carpeta de perfiles: no admite perfiles nuevos', 409);
+        }
+
+        // Descripción primero y parámetros después, en el orden del esquema
+        const ordered = {};
+        [...Object.keys(METADATA_FIELDS), ...Object.keys(PROFILE_SCHEMA)].forEach(key => {
+            if (profile[key] !== undefined) ordered[key] = profile[key];
+        });
+        profile = ordered;
+
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(fileOf(profile.id), JSON.stringify(profile, null, 2));
+        userProfiles.set(profile.id, profile);
+        return { profile: describe(profile, 'user'), errors: [] };
+    }
+
+    // Borrar un perfil subido. Devuelve false si no existe; los integrados no se pueden borrar (409).
+    function remove(id) {
+        if (isBuiltIn(id)) {
+            throw httpError('Los perfiles integrados no se pueden borrar', 409);
+        }
+        if (!userProfiles.has(id)) return false;
+        fs.rmSync(fileOf(id), { force: true });
+        userProfiles.delete(id);
+        return true;
+    }
+
+    load();
+
+    return {
+        list,
+        get,
+        definitions,
+        add,
+        remove
+    };
+}
+
+module.exports = {
+    DEFAULT_PROFILE,
+    BUILT_IN_PROFILES,
+    PROFILE_SCHEMA,
+    validateProfile,
+    mergeProfile,
+    chemistryParams,
+    cardinalRange,
+    createProfileRegistry
+};
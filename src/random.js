@@ -0,0 +1,165 @@
+// src/random.js - Generadores pseudoaleatorios deterministas (PRNG)
+//
+// Todo el pipeline de generación recibe un objeto `rng` creado aquí en lugar
+// de llamar a Math.random(), de modo que la misma semilla reproduce
+// exactamente el mismo dataset.
+
+// Convierte cualquier semilla (número o texto) en un entero de 32 bits
+function hashSeed(seed) {
+    const str = String(seed);
+    let h = 1779033703 ^ str.length;
+    for (let i = 0; i < str.length; i++) {
+        h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+        h = (h << 13) | (h >>> 19);
+    }
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    return (h ^= h >>> 16) >>> 0;
+}
+
+// === ALGORITMOS DISPONIBLES ===
+// Cada algoritmo recibe un entero de 32 bits y devuelve una función () => [0, 1)
+
+function mulberry32(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function sfc32(seed) {
+    let a = 0x9E3779B9;
+    let b = 0x243F6A88;
+    let c = 0xB7E15162;
+    let d = seed >>> 0;
+    const next = function () {
+        a >>>= 0; b >>>= 0; c >>>= 0; d >>>= 0;
+        let t = (a + b) | 0;
+        a = b ^ (b >>> 9);
+        b = (c + (c << 3)) | 0;
+        c = (c << 21) | (c >>> 11);
+        d = (d + 1) | 0;
+        t = (t + d) | 0;
+        c = (c + t) | 0;
+        return (t >>> 0) / 4294967296;
+    };
+    // Descartar los primeros valores para mezclar bien el estado inicial
+    for (let i = 0; i < 15; i++) next();
+    return next;
+}
+
+function xorshift128(seed) {
+    let x = seed >>> 0 || 123456789;
+    let y = 362436069;
+    let z = 521288629;
+    let w = 88675123;
+    return function () {
+        const t = x ^ (x << 11);
+        x = y; y = z; z = w;
+        w = (w ^ (w >>> 19) ^ (t ^ (t >>> 8))) >>> 0;
+        return w / 4294967296;
+    };
+}
+
+const PRNG_ALGORITHMS = {
+    mulberry32,
+    sfc32,
+    xorshift128
+};
+
+const DEFAULT_PRNG = 'mulberry32';
+
+// Permite añadir algoritmos propios sin tocar el generador
+function registerPRNG(name, factory) {
+    if (typeof factory !== 'function') {
+        throw new Error(`El PRNG "${name}" debe ser una función (seed) => () => número`);
+    }
+    PRNG_ALGORITHMS[name] = factory;
+}
+
+function listPRNGs() {
+    return Object.keys(PRNG_ALGORITHMS);
+}
+
+// Semilla aleatoria para cuando el usuario no indica ninguna
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+// Crear un generador con utilidades de muestreo
+function createRNG(seed, algorithm = DEFAULT_PRNG) {
+    const factory = PRNG_ALGORITHMS[algorithm];
+    if (!factory) {
+        throw new Error(`PRNG desconocido: ${algorithm}. Disponibles: ${listPRNGs().join(', ')}`);
+    }
+
+    const next = factory(hashSeed(seed));
+    let spareNormal = null;
+
+    const rng = {
+        seed,
+        algorithm,
+
+        // Uniforme en [0, 1) - sustituto directo de Math.random()
+        random: next,
+
+        // Uniforme en [min, max)
+        uniform(min, max) {
+            return min + (max - min) * next();
+        },
+
+        // Entero uniforme en [min, max]
+        int(min, max) {
+            return min + Math.floor(next() * (max - min + 1));
+        },
+
+        // Normal (Box-Muller)
+        normal(mean = 0, sd = 1) {
+            if (spareNormal !== null) {
+                const z = spareNormal;
+                spareNormal = null;
+                return mean + sd * z;
+            }
+            let u = 0;
+            while (u === 0) u = next();
+            const v = next();
+            const r = Math.sqrt(-2 * Math.log(u));
+            spareNormal = r * Math.sin(2 * Math.PI * v);
+            return mean + sd * r * Math.cos(2 * Math.PI * v);
+        },
+
+        // Elemento aleatorio de un array
+        pick(items) {
+            return items[Math.floor(next() * items.length)];
+        },
+
+        // Mezcla Fisher-Yates (in situ)
+        shuffle(items) {
+            for (let i = items.length - 1; i > 0; i--) {
+                const j = Math.floor(next() * (i + 1));
+                [items[i], items[j]] = [items[j], items[i]];
+            }
+            return items;
+        },
+
+        // Sub-generador independiente y reproducible (p. ej. uno por escenario)
+        fork(label) {
+            return createRNG(`${seed}:${label}`, algorithm);
+        }
+    };
+
+    return rng;
+}
+
+module.exports = {
+    createRNG,
+    registerPRNG,
+    listPRNGs,
+    randomSeed,
+    hashSeed,
+    DEFAULT_PRNG
+};
@@ -0,0 +1,252 @@
+// src/reactor.js - Modos de operación del reactor: batch, fed-batch, quimiostato y turbidostato
+//
+// Configuración (campo `reactor` de /generate-dataset):
+//   operationMode      modo fijo o mezcla de pesos por escenario { batch: 1, chemostat: 1 }
+//   initialVolume_L    volumen de trabajo inicial
+//   maxVolume_L        volumen máximo (el fed-batch deja de alimentar al alcanzarlo)
+//   dilutionRate       D (h⁻¹) como distribución: quimiostato = D; fed-batch = caudal D·V0;
+//                      turbidostato = D máxima del controlador
+//   feed               composición del medio de alimentación { nitrogen, phosphorus } (mg/L)
+//   harvestThreshold_g_L / harvestTarget_g_L   banda del turbidostato
+//   events             eventos programados [{ type: 'feed' | 'harvest', time_h, every_h, ... }]
+
+const { validateDistribution, validateMix, sampleParameter, sampleMix } = require('./scenarioConfig');
+const { CHEMISTRY_PARAMS } = require('./chemistry');
+
+const OPERATION_MODES = ['batch', 'fed-batch', 'chemostat', 'turbidostat'];
+const EVENT_TYPES = ['feed', 'harvest'];
+
+const DILUTION_LIMITS = { min: 0, max: 0.1, unit: 'h⁻¹' };
+
+// Eventos programados por escenario una vez expandidos los periódicos (cada uno reinicia el
+// integrador): el límite se comprueba con el horizonte al validar la petición
+const MAX_SCHEDULED_EVENTS = 100000;
+
+const REACTOR_DEFAULTS = {
+    operationMode: { batch: 1 },
+    initialVolume_L: 10,
+    maxVolume_L: 20,
+    dilutionRate: { value: 0.008 },
+    feed: {
+        nitrogen: CHEMISTRY_PARAMS.initialNitrogen,
+        phosphorus: CHEMISTRY_PARAMS.initialPhosphorus
+    },
+    harvestThreshold_g_L: 2.0,
+    harvestTarget_g_L: 1.5,
+    events: []
+};
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function validateEvent(event, index) {
+    const field = `reactor.events[${index}]`;
+    const errors = [];
+
+    if (!event || typeof event !== 'object' || Array.isArray(event)) {
+        return [{ field, message: 'debe ser un objeto' }];
+    }
+    if (!EVENT_TYPES.includes(event.type)) {
+        errors.push({ field: `${field}.type`, message: `debe ser uno de: ${EVENT_TYPES.join(', ')}` });
+    }
+    if (!isNumber(event.time_h) || event.time_h < 0) {
+        errors.push({ field: `${field}.time_h`, message: 'debe ser un número >= 0' });
+    }
+    if (event.every_h !== undefined && (!isNumber(event.every_h) || event.every_h <= 0)) {
+        errors.push({ field: `${field}.every_h`, message: 'debe ser un número > 0' });
+    }
+    if (event.type === 'feed' && (!isNumber(event.volume_L) || event.volume_L <= 0)) {
+        errors.push({ field: `${field}.volume_L`, message: 'debe ser un número > 0' });
+    }
+    if (event.type === 'harvest') {
+        if (!isNumber(event.fraction) || event.fraction <= 0 || event.fraction >= 1) {
+            errors.push({ field: `${field}.fraction`, message: 'debe estar entre 0 y 1 (exclusivo)' });
+        }
+        if (event.refill !== undefined && typeof event.refill !== 'boolean') {
+            errors.push({ field: `${field}.refill`, message: 'debe ser true o false' });
+        }
+    }
+    return errors;
+}
+
+// Combina los valores por defecto con la configuración del usuario.
+// Devuelve { config, errors } - config solo es válido si errors está vacío.
+function resolveReactorConfig(overrides = {}) {
+    const errors = [];
+
+    if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return { config: null, errors: [{ field: 'reactor', message: 'debe ser un objeto' }] };
+    }
+
+    const config = JSON.parse(JSON.stringify(REACTOR_DEFAULTS));
+
+    Object.entries(overrides).forEach(([name, value]) => {
+        const field = `reactor.${name}`;
+        switch (name) {
+            case 'operationMode':
+                errors.push(...validateMix(field, value, OPERATION_MODES));
+                config.operationMode = typeof value === 'string' ? { [value]: 1 } : value;
+                break;
+            case 'dilutionRate':
+                errors.push(...validateDistribution(field, value, DILUTION_LIMITS));
+                config.dilutionRate = isNumber(value) ? { value } : value;
+                break;
+            case 'initialVolume_L':
+            case 'maxVolume_L':
+            case 'harvestThreshold_g_L':
+            case 'harvestTarget_g_L':
+                if (!isNumber(value) || value <= 0) {
+                    errors.push({ field, message: 'debe ser un número > 0' });
+                }
+                config[name] = value;
+                break;
+            case 'feed':
+                if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                    errors.push({ field, message: 'debe ser un objeto { nitrogen, phosphorus }' });
+                    break;
+                }
+                Object.entries(value).forEach(([nutrient, concentration]) => {
+                    if (!['nitrogen', 'phosphorus'].includes(nutrient)) {
+                        errors.push({ field: `${field}.${nutrient}`, message: 'nutriente desconocido (nitrogen, phosphorus)' });
+                    } else if (!isNumber(concentration) || concentration < 0) {
+                        errors.push({ field: `${field}.${nutrient}`, message: 'debe ser un número >= 0 (mg/L)' });
+                    }
+                });
+                config.feed = { ...config.feed, ...value };
+                break;
+            case 'events':
+                if (!Array.isArray(value)) {
+                    errors.push({ field, message: 'debe ser un array de eventos' });
+                    break;
+                }
+                value.forEach((event, i) => errors.push(...validateEvent(event, i)));
+                config.events = value;
+                break;
+            default:
+                errors.push({ field, message: 'parámetro desconocido' });
+        }
+    });
+
+    if (!errors.length) {
+        if (config.maxVolume_L < config.initialVolume_L) {
+            errors.push({ field: 'reactor.maxVolume_L', message: 'no puede ser menor que initialVolume_L' });
+        }
+        if (config.harvestTarget_g_L >= config.harvestThreshold_g_L) {
+            errors.push({ field: 'reactor.harvestTarget_g_L', message: 'debe ser menor que harvestThreshold_g_L' });
+        }
+    }
+
+    return { config: errors.length ? null : config, errors };
+}
+
+// Parámetros de operación concretos de un escenario
+function sampleReactorParams(config, random) {
+    const limit = value => Math.max(DILUTION_LIMITS.min, Math.min(DILUTION_LIMITS.max, value));
+    return {
+        operationMode: sampleMix(config.operationMode, random),
+        dilutionRate: limit(sampleParameter(config.dilutionRate, random)),
+        initialVolume: config.initialVolume_L,
+        maxVolume: config.maxVolume_L,
+        feed: { ...config.feed },
+        harvestThreshold: config.harvestThreshold_g_L,
+        harvestTarget: config.harvestTarget_g_L,
+        events: config.events
+    };
+}
+
+// Caudales de entrada y salida (L/h) según el modo y el estado actual
+function flowRates(reactor, volume, biomass) {
+    let dilutionRate = 0;
+    let inflow = 0;
+    let outflow = 0;
+
+    switch (reactor.operationMode) {
+        case 'fed-batch':
+            // Caudal constante D·V0 hasta llenar el reactor
+            if (volume < reactor.maxVolume) {
+                inflow = reactor.dilutionRate * reactor.initialVolume;
+            }
+            dilutionRate = inflow / volume;
+            break;
+        case 'chemostat':
+            dilutionRate = reactor.dilutionRate;
+            inflow = outflow = dilutionRate * volume;
+            break;
+        case 'turbidostat': {
+            // Controlador proporcional: 0 por debajo del objetivo, D máxima al superar el umbral
+            const band = reactor.harvestThreshold - reactor.harvestTarget;
+            const opening = Math.max(0, Math.min(1, (biomass - reactor.harvestTarget) / band));
+            dilutionRate = reactor.dilutionRate * opening;
+            inflow = outflow = dilutionRate * volume;
+            break;
+        }
+        default:
+            // batch: sistema cerrado
+            break;
+    }
+
+    return { dilutionRate, inflow, outflow };
+}
+
+// Lista ordenada de eventos programados hasta `horizon` (h), expandiendo los periódicos
+function scheduleEvents(reactor, horizon) {
+    const schedule = [];
+    reactor.events.forEach((event, index) => {
+        for (let t = event.time_h; t <= horizon; t += event.every_h || Infinity) {
+            schedule.push({ ...event, time: t, index });
+            if (!event.every_h) break;
+        }
+    });
+    return schedule.sort((a, b) => a.time - b.time || a.index - b.index);
+}
+
+// Número de eventos que produce scheduleEvents hasta `horizon` sin construir la lista
+function scheduledEventCount(events, horizon) {
+    return events.reduce((count, event) => {
+        if (event.time_h > horizon) return count;
+        return count + (event.every_h ? Math.floor((horizon - event.time_h) / event.every_h) + 1 : 1);
+    }, 0);
+}
+
+// Aplicar un evento instantáneo sobre el estado (concentraciones, volumen y biomasa cosechada).
+// `feedMedium` contiene la composición completa del medio fresco.
+function applyEvent(event, state, reactor, feedMedium) {
+    const next = { ...state };
+
+    // Mezclar un volumen de medio fresco con el cultivo
+    const addMedium = volumeAdded => {
+        const total = next.volume + volumeAdded;
+        Object.keys(feedMedium).forEach(name => {
+            next[name] = (next[name] * next.volume + feedMedium[name] * volumeAdded) / total;
+        });
+        next.biomass = next.biomass * next.volume / total;
+        next.volume = total;
+    };
+
+    if (event.type === 'feed') {
+        const room = Math.max(0, reactor.maxVolume - next.volume);
+        const volumeAdded = Math.min(event.volume_L, room);
+        if (volumeAdded > 0) addMedium(volumeAdded);
+    } else if (event.type === 'harvest') {
+        const volumeRemoved = next.volume * event.fraction;
+        next.harvestedBiomass += volumeRemoved * next.biomass;
+        next.volume -= volumeRemoved;
+        // Semicontinuo: reponer con medio fresco hasta el volumen previo
+        if (event.refill) addMedium(volumeRemoved);
+    }
+
+    return next;
+}
+
+module.exports = {
+    OPERATION_MODES,
+    REACTOR_DEFAULTS,
+    MAX_SCHEDULED_EVENTS,
+    resolveReactorConfig,
+    sampleReactorParams,
+    flowRates,
+    scheduleEvents,
+    scheduledEventCount,
+    applyEvent
+};
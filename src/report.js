@@ -0,0 +1,180 @@
+// src/report.js - Informe HTML autocontenido del análisis de un dataset (ver src/analytics.js)
+//
+// Sin scripts ni recursos externos: tablas, histogramas en SVG y la matriz de correlaciones
+// coloreada, para abrir el fichero descargado sin conexión.
+
+const { PSI_LEVELS } = require('./analytics');
+
+function escapeHTML(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+function formatValue(value, digits = 4) {
+    if (value === null || value === undefined) return 'n/d';
+    if (typeof value !== 'number') return escapeHTML(value);
+    return Number.isInteger(value) ? value.toLocaleString('es-ES') : parseFloat(value.toFixed(digits)).toString();
+}
+
+function table(headers, rows) {
+    return `<table><thead><tr>${headers.map(h => `<th>${escapeHTML(h)}</th>`).join('')}</tr></thead>
+<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('\n')}</tbody></table>`;
+}
+
+// Color de una correlación: azul negativa, rojo positiva, intensidad según |r|
+function correlationColor(r) {
+    if (r === null) return '#eee';
+    const intensity = Math.round(255 * (1 - Math.abs(r)));
+    return r >= 0 ? `rgb(255,${intensity},${intensity})` : `rgb(${intensity},${intensity},255)`;
+}
+
+function histogramSVG({ edges, counts }) {
+    const width = 240;
+    const height = 60;
+    const max = Math.max(1, ...counts);
+    const barWidth = width / counts.length;
+    const bars = counts.map((count, i) => {
+        const barHeight = count / max * height;
+        return `<rect x="${(i * barWidth).toFixed(1)}" y="${(height - barHeight).toFixed(1)}" width="${Math.max(1, barWidth - 1).toFixed(1)}" height="${barHeight.toFixed(1)}"><title>${formatValue(edges[i])} – ${formatValue(edges[i + 1])}: ${count}</title></rect>`;
+    }).join('');
+    return `<svg class="hist" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${bars}</svg>`;
+}
+
+function summarySection(analysis) {
+    const rows = analysis.columns.numeric.map(name => {
+        const s = analysis.summary[name];
+        return [
+            `<code>${escapeHTML(name)}</code>`, formatValue(s.count), formatValue(s.missing),
+            formatValue(s.mean), formatValue(s.std), formatValue(s.min), formatValue(s.quantiles.p50), formatValue(s.max),
+            histogramSVG(analysis.histograms[name])
+        ];
+    });
+    return `<h2>Distribuciones</h2>
+${table(['Columna', 'N', 'Ausentes', 'Media', 'Desv.', 'Mín', 'Mediana', 'Máx', 'Histograma'], rows)}`;
+}
+
+function correlationSection(analysis) {
+    const { columns, matrix, strongest } = analysis.correlations;
+    const header = `<tr><th></th>${columns.map(name => `<th class="rot"><div>${escapeHTML(name)}</div></th>`).join('')}</tr>`;
+    const body = matrix.map((row, i) => `<tr><th>${escapeHTML(columns[i])}</th>${row.map(r =>
+        `<td class="cell" style="background:${correlationColor(r)}" title="${r === null ? 'n/d' : r}"></td>`).join('')}</tr>`).join('\n');
+    const pairs = strongest.map(({ a, b, r }) => [`<code>${escapeHTML(a)}</code>`, `<code>${escapeHTML(b)}</code>`, formatValue(r, 3)]);
+    return `<h2>Correlaciones (Pearson, todas las filas)</h2>
+<table class="heatmap">${header}\n${body}</table>
+<h3>Pares más correlacionados</h3>
+${table(['Variable A', 'Variable B', 'r'], pairs)}`;
+}
+
+function balanceRows(balance) {
+    return Object.entries(balance.counts).map(([name, count]) =>
+        [escapeHTML(name), formatValue(count), `${formatValue(balance.proportions[name] * 100, 1)} %`]);
+}
+
+function classBalanceSection(analysis) {
+    const { classBalance } = analysis;
+    const splits = Object.entries(classBalance.splits).map(([name, balance]) =>
+        `<h3>${escapeHTML(name)} (desbalance ${formatValue(balance.imbalanceRatio, 2)})</h3>${table(['Fase', 'Filas', 'Proporción'], balanceRows(balance))}`
+    ).join('\n');
+    const anomalies = classBalance.anomalyLabel ?
+        `<h3>Anomaly_Label</h3>${table(['Valor', 'Filas', 'Proporción'], balanceRows(classBalance.anomalyLabel))}` : '';
+    return `<h2>Balance de clases (${escapeHTML(classBalance.column)})</h2>
+<p>Cociente entre la clase más y la menos frecuente: <strong>${formatValue(classBalance.imbalanceRatio, 2)}</strong></p>
+${table(['Fase', 'Filas', 'Proporción'], balanceRows(classBalance))}
+${splits}
+${anomalies}`;
+}
+
+function scenarioSection(analysis) {
+    const variables = analysis.scenarios.length ? Object.keys(analysis.scenarios[0].variables) : [];
+    const rows = analysis.scenarios.map(s => [
+        formatValue(s.scenario), escapeHTML(s.profile), escapeHTML(s.operationMode), escapeHTML(s.lightRegime),
+        formatValue(s.rows), formatValue(s.duration_h), formatValue(s.initialBiomass), formatValue(s.finalBiomass),
+        ...variables.map(name => formatValue(s.variables[name].mean)),
+        formatValue(s.anomalyRows),
+        escapeHTML(Object.entries(s.phases).map(([phase, count]) => `${phase}: ${count}`).join(', '))
+    ]);
+    return `<h2>Escenarios</h2>
+${table(['Escenario', 'Perfil', 'Operación', 'Luz', 'Filas', 'Duración (h)', 'Biomasa inicial', 'Biomasa final',
+         ...variables.map(name => `Media ${name}`), 'Filas con fallo', 'Fases'], rows)}`;
+}
+
+function shiftSection(analysis) {
+    if (!analysis.splitShift) return '<h2>Desplazamiento entre conjuntos</h2><p>Sin conjunto de entrenamiento legible.</p>';
+    const sections = Object.entries(analysis.splitShift.splits).map(([name, split]) => {
+        const rows = Object.entries(split.columns).map(([column, c]) => [
+            `<code>${escapeHTML(column)}</code>`, formatValue(c.mean), formatValue(c.smd, 3), formatValue(c.psi, 3),
+            formatValue(c.ks, 3), `<span class="level-${c.level}">${c.level}</span>`
+        ]);
+        return `<h3>${escapeHTML(name)} frente a train (${formatValue(split.rows)} filas)</h3>
+<p>Distancia de variación total entre fases: <strong>${formatValue(split.phaseDistance, 3)}</strong>.
+Columnas con desplazamiento significativo: ${split.shifted.length ? split.shifted.map(c => `<code>${escapeHTML(c)}</code>`).join(', ') : 'ninguna'}.</p>
+${table(['Columna', 'Media', 'SMD', 'PSI', 'KS', 'Nivel'], rows)}`;
+    }).join('\n');
+    return `<h2>Desplazamiento entre conjuntos</h2>
+<p>PSI ≥ ${PSI_LEVELS.moderate}: moderado; PSI ≥ ${PSI_LEVELS.significant}: significativo. SMD es la diferencia de medias
+estandarizada y KS la máxima diferencia entre las distribuciones acumuladas (con los intervalos del histograma).</p>
+${sections}`;
+}
+
+function fidelitySection(analysis) {
+    const { scientificValidation, kinetics, sensors } = analysis.fidelity;
+    const checks = scientificValidation ?
+        table(['Comprobación', 'Resultado'], Object.entries(scientificValidation).map(([check, ok]) =>
+            [escapeHTML(check), ok ? '<span class="level-none">✔</span>' : '<span class="level-significant">✘</span>'])) :
+        '<p>Dataset sin manifiesto: no hay validación registrada.</p>';
+    const models = kinetics ? table(['Efecto', 'Modelo'], Object.entries(kinetics).map(([factor, model]) =>
+        [escapeHTML(factor), escapeHTML(model)])) : '';
+    const sensorRows = Object.entries(sensors).map(([name, s]) => [
+        `<code>${escapeHTML(name)}</code>`, formatValue(s.samples), `${formatValue(s.missingRate * 100, 2)} %`,
+        formatValue(s.bias), formatValue(s.mae), formatValue(s.rmse), formatValue(s.correlation, 4)
+    ]);
+    const sensorTable = sensorRows.length ?
+        `<h3>Sensores (lectura frente a valor real)</h3>${table(['Variable', 'Muestras', 'Ausentes', 'Sesgo', 'MAE', 'RMSE', 'r'], sensorRows)}` : '';
+    return `<h2>Fidelidad del modelo</h2>
+${checks}
+${models}
+${sensorTable}`;
+}
+
+function renderAnalysisReport(analysis) {
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>Análisis ${escapeHTML(analysis.id)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2em; color: #222; }
+h1 { color: #1e7e34; }
+table { border-collapse: collapse; margin: 0.5em 0 1.5em; font-size: 0.85em; }
+th, td { border: 1px solid #ddd; padding: 3px 6px; text-align: right; vertical-align: middle; }
+th { background: #f4f6f4; }
+td:first-child, th:first-child { text-align: left; }
+.hist rect { fill: #28a745; }
+.heatmap td.cell { width: 14px; height: 14px; padding: 0; }
+.heatmap th { font-weight: normal; font-size: 0.8em; }
+.heatmap th.rot { height: 140px; white-space: nowrap; vertical-align: bottom; }
+.heatmap th.rot div { transform: rotate(-90deg); width: 14px; }
+.level-none { color: #1e7e34; }
+.level-moderate { color: #b8860b; }
+.level-significant { color: #c82333; font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>Análisis del dataset ${escapeHTML(analysis.id)}</h1>
+<p>${formatValue(analysis.source.rows)} filas (${escapeHTML(analysis.source.format)}), ${analysis.scenarios.length} escenarios.
+Analizado el ${escapeHTML(analysis.analyzedAt)}.</p>
+${fidelitySection(analysis)}
+${classBalanceSection(analysis)}
+${shiftSection(analysis)}
+${summarySection(analysis)}
+${correlationSection(analysis)}
+${scenarioSection(analysis)}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    renderAnalysisReport
+};
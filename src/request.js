@@ -0,0 +1,186 @@
+// src/request.js - Petición de generación: validación y resolución de configuraciones
+//
+// Una petición (cuerpo de POST /generate-dataset o fichero de configuración de chlorella-gen)
+// se valida campo a campo y cada configuración anidada se resuelve con su módulo; el resultado
+// son los parámetros que recibe writeDataset (ver src/datasetWriter.js).
+
+const { randomSeed, listPRNGs, DEFAULT_PRNG } = require('./random');
+const { resolveScenarioConfig } = require('./scenarioConfig');
+const { resolveReactorConfig, scheduledEventCount, MAX_SCHEDULED_EVENTS } = require('./reactor');
+const { resolveSplitConfig } = require('./splits');
+const { resolveFaultConfig } = require('./faults');
+const { resolveSensorConfig } = require('./sensors');
+const { DEFAULT_PROFILE } = require('./profiles');
+const { resolveKineticsConfig, checkKinetics } = require('./kinetics');
+const { createDatasetSplitter } = require('./datasetWriter');
+const { resolveFormats } = require('./formats');
+const { resolveDesignConfig } = require('./design');
+const { resolveInputsConfig } = require('./inputs');
+const { validateBody } = require('./validation');
+
+// Intervalos de muestreo admitidos (minutos) - la dinámica no depende de ellos
+const SAMPLING_INTERVALS_MIN = [1, 2, 5, 10, 15, 20, 30, 60];
+
+// Límites por petición: la generación se escribe en streaming, el límite lo pone el disco
+const MAX_SCENARIOS = 1000;
+const MAX_DAYS = 365;
+const MAX_ROWS = 5000000;
+
+// Campos admitidos en una petición de generación (ver src/validation.js)
+const GENERATE_REQUEST_SCHEMA = {
+    scenarios: { type: 'integer', min: 1, max: MAX_SCENARIOS },
+    totalDays: { type: 'number', min: 1, max: MAX_DAYS },
+    variabilityLevel: { type: 'string' },
+    seed: { type: ['integer', 'string'] },
+    prng: { type: 'string', enum: listPRNGs() },
+    startDate: { type: 'string', format: 'date-time' },
+    samplingIntervalMin: { type: 'integer', enum: SAMPLING_INTERVALS_MIN },
+    scenarioConfig: { type: 'object' },
+    reactor: { type: 'object' },
+    faults: { type: 'object' },
+    sensors: { type: 'object' },
+    kinetics: { type: 'object' },
+    design: { type: 'object' },
+    inputs: { type: 'object' },
+    split: { type: 'object' },
+    format: { type: ['string', 'array'] }
+};
+
+// Error de petición (400) con los errores por campo en `details`
+function requestError(message, details) {
+    const error = new Error(message);
+    error.status = 400;
+    if (details) error.details = details;
+    return error;
+}
+
+// Validar el cuerpo de una generación y resolver sus configuraciones. `profiles` es el
+// registro de perfiles de especie (ver createProfileRegistry en src/profiles.js). Devuelve los
+// parámetros del trabajo o lanza un error con `status` y `details` (ver requestError).
+function resolveGenerateRequest(body, profiles) {
+    // Validaciones: tipos y rangos de cada campo, luego las configuraciones anidadas
+    const bodyErrors = validateBody(GENERATE_REQUEST_SCHEMA, body);
+    if (bodyErrors.length) {
+        throw requestError('Petición inválida', bodyErrors);
+    }
+    
+    const { 
+        scenarios: requestedScenarios = 10, 
+        totalDays = 15,
+        variabilityLevel = 'medium',
+        seed = randomSeed(),
+        prng = DEFAULT_PRNG,
+        startDate = new Date().toISOString(),
+        samplingIntervalMin = 60,
+        scenarioConfig: scenarioOverrides = {},
+        reactor: reactorOverrides = {},
+        faults: faultOverrides = {},
+        split: splitOverrides = {},
+        sensors: sensorOverrides,
+        kinetics: kineticsOverrides = {},
+        design: designOverrides,
+        inputs: inputsOverrides,
+        format = 'csv'
+    } = body;
+    
+    const { config: scenarioConfig, errors: configErrors } = resolveScenarioConfig(variabilityLevel, scenarioOverrides, 
+                                                                                   profiles.definitions());
+    if (configErrors.length) {
+        throw requestError('Configuración de escenarios inválida', configErrors);
+    }
+    
+    // Diseño de experimentos: el factorial y la lista fijan el número de escenarios
+    let scenarios = requestedScenarios;
+    let designConfig = null;
+    if (designOverrides !== undefined) {
+        const { config, errors: designErrors } = resolveDesignConfig(designOverrides, scenarioConfig);
+        if (!designErrors.length && config.size !== null) {
+            if (body.scenarios !== undefined && body.scenarios !== config.size) {
+                designErrors.push({ field: 'scenarios', message: `el diseño tiene ${config.size} escenarios (omite scenarios o usa ese valor)` });
+            } else if (config.size > MAX_SCENARIOS) {
+                designErrors.push({ field: 'design', message: `el diseño tiene ${config.size} escenarios (máximo ${MAX_SCENARIOS})` });
+            }
+        }
+        if (designErrors.length) {
+            throw requestError('Diseño de experimentos inválido', designErrors);
+        }
+        designConfig = config;
+        if (config.size !== null) scenarios = config.size;
+    }
+    
+    const expectedRows = scenarios * totalDays * 24 * 60 / samplingIntervalMin;
+    if (expectedRows > MAX_ROWS) {
+        throw requestError(`El dataset tendría ${expectedRows} filas (máximo ${MAX_ROWS}). Reduce escenarios o días, o aumenta samplingIntervalMin`);
+    }
+    
+    const { config: reactorConfig, errors: reactorErrors } = resolveReactorConfig(reactorOverrides);
+    if (reactorErrors.length) {
+        throw requestError('Configuración del reactor inválida', reactorErrors);
+    }
+    const eventCount = scheduledEventCount(reactorConfig.events, totalDays * 24);
+    if (eventCount > MAX_SCHEDULED_EVENTS) {
+        throw requestError('Configuración del reactor inválida', [{
+            field: 'reactor.events',
+            message: `los eventos periódicos suman ${eventCount} por escenario (máximo ${MAX_SCHEDULED_EVENTS}): aumenta every_h`
+        }]);
+    }
+    
+    const { config: faultConfig, errors: faultErrors } = resolveFaultConfig(faultOverrides);
+    if (faultErrors.length) {
+        throw requestError('Configuración de fallos inválida', faultErrors);
+    }
+    
+    const { config: sensorConfig, errors: sensorErrors } = resolveSensorConfig(sensorOverrides);
+    if (sensorErrors.length) {
+        throw requestError('Configuración de sensores inválida', sensorErrors);
+    }
+    
+    // Los modelos cinéticos se comprueban con los parámetros de cada perfil elegido
+    const { config: kineticsConfig, errors: kineticsErrors } = resolveKineticsConfig(kineticsOverrides);
+    if (!kineticsErrors.length) {
+        const chosen = scenarioConfig.profiles ? Object.values(scenarioConfig.profiles) : [profiles.get(DEFAULT_PROFILE)];
+        kineticsErrors.push(...checkKinetics(kineticsConfig, chosen));
+    }
+    if (kineticsErrors.length) {
+        throw requestError('Configuración de cinética inválida', kineticsErrors);
+    }
+    
+    const { config: inputsConfig, errors: inputsErrors } = resolveInputsConfig(inputsOverrides);
+    if (inputsErrors.length) {
+        throw requestError('Configuración de entradas inválida', inputsErrors);
+    }
+    
+    const { config: splitConfig, errors: splitErrors } = resolveSplitConfig(splitOverrides);
+    if (splitErrors.length) {
+        throw requestError('Configuración de partición inválida', splitErrors);
+    }
+    
+    const { formats, errors: formatErrors } = resolveFormats(format);
+    if (formatErrors.length) {
+        throw requestError('Formato de exportación inválido', formatErrors);
+    }
+    
+    const params = {
+        scenarios, totalDays, variabilityLevel, seed, prng, startDate, samplingIntervalMin, formats,
+        scenarioConfig, reactorConfig, faultConfig, splitConfig, sensorConfig, kineticsConfig, designConfig,
+        inputsConfig,
+        request: { scenarios, totalDays, variabilityLevel, seed, prng, startDate, samplingIntervalMin, 
+                   scenarioConfig: scenarioOverrides, reactor: reactorOverrides, faults: faultOverrides,
+                   split: splitOverrides, sensors: sensorOverrides, kinetics: kineticsOverrides, 
+                   design: designOverrides, inputs: inputsOverrides, format }
+    };
+    
+    // La partición se sortea antes de encolar: si no cabe en el dataset, se rechaza ya
+    createDatasetSplitter(params);
+    return params;
+}
+
+module.exports = {
+    SAMPLING_INTERVALS_MIN,
+    MAX_SCENARIOS,
+    MAX_DAYS,
+    MAX_ROWS,
+    GENERATE_REQUEST_SCHEMA,
+    requestError,
+    resolveGenerateRequest
+};
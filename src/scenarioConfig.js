@@ -0,0 +1,294 @@
+// src/scenarioConfig.js - Espacio de parámetros de los escenarios
+//
+// Cada parámetro del escenario se describe con una distribución:
+//   { min, max }                                  -> uniforme (por defecto)
+//   { distribution: 'normal', mean, sd, min, max } -> normal truncada
+//   { value }                                     -> valor fijo
+// `lightRegime` es una mezcla de pesos: { continuous: 0.5, cyclic: 0.5 }
+// `profile` elige el perfil de especie de cada escenario (ver src/profiles.js), también como
+// un id o una mezcla de pesos: { chlorella_vulgaris: 0.7, scenedesmus_obliquus: 0.3 }.
+// Los presets están centrados en Chlorella vulgaris; para otro perfil se desplazan al óptimo
+// de temperatura y pH del perfil y se escalan muMax y maxBiomass a sus valores de referencia.
+
+const { BUILT_IN_PROFILES, DEFAULT_PROFILE } = require('./profiles');
+const { normalQuantile, normalCDF } = require('./leastSquares');
+
+const LIGHT_REGIMES = ['continuous', 'cyclic'];
+
+// Límites físicos admitidos para cada parámetro numérico
+const PARAMETER_LIMITS = {
+    baseTemp: { min: 15, max: 40, unit: '°C' },
+    basePH: { min: 6.0, max: 11.0, unit: 'pH' },
+    maxPAR: { min: 0, max: 400, unit: 'μmol/m²/s' },
+    initialBiomass: { min: 0.01, max: 1.0, unit: 'g/L' },
+    maxBiomass: { min: 0.1, max: 5.0, unit: 'g/L' },
+    muMax: { min: 0.001, max: 0.1, unit: 'h⁻¹' }
+};
+
+const NUMERIC_PARAMETERS = Object.keys(PARAMETER_LIMITS);
+
+// Presets asociados a variabilityLevel
+const VARIABILITY_PRESETS = {
+    // Laboratorio: condiciones controladas cerca del óptimo
+    low: {
+        baseTemp: { min: 26.5, max: 29.5 },
+        basePH: { min: 7.7, max: 8.3 },
+        maxPAR: { min: 140, max: 220 },
+        initialBiomass: { min: 0.05, max: 0.07 },
+        maxBiomass: { min: 2.5, max: 3.5 },
+        muMax: { min: 0.022, max: 0.032 },
+        lightRegime: { continuous: 0.5, cyclic: 0.5 }
+    },
+    // Industrial: rangos históricos del generador
+    medium: {
+        baseTemp: { min: 24, max: 32 },
+        basePH: { min: 7.25, max: 8.75 },
+        maxPAR: { min: 100, max: 300 },
+        initialBiomass: { min: 0.05, max: 0.10 },
+        maxBiomass: { min: 1.5, max: 4.0 },
+        muMax: { min: 0.015, max: 0.04 },
+        lightRegime: { continuous: 0.5, cyclic: 0.5 }
+    },
+    // Desafiante: condiciones de estrés para pruebas fuera de distribución
+    high: {
+        baseTemp: { min: 20, max: 36 },
+        basePH: { min: 6.8, max: 9.2 },
+        maxPAR: { min: 50, max: 400 },
+        initialBiomass: { min: 0.02, max: 0.15 },
+        maxBiomass: { min: 0.8, max: 4.5 },
+        muMax: { min: 0.008, max: 0.05 },
+        lightRegime: { continuous: 0.3, cyclic: 0.7 }
+    }
+};
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Validar la especificación de un parámetro numérico; devuelve lista de errores
+function validateDistribution(field, spec, limits) {
+    const errors = [];
+
+    if (isNumber(spec)) {
+        spec = { value: spec };
+    }
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        return [{ field, message: 'debe ser un número o un objeto { min, max } / { distribution, ... }' }];
+    }
+
+    const inLimits = value => value >= limits.min && value <= limits.max;
+    const checkNumber = (key, value) => {
+        if (!isNumber(value)) {
+            errors.push({ field: `${field}.${key}`, message: 'debe ser un número' });
+        } else if (!inLimits(value)) {
+            errors.push({ field: `${field}.${key}`, message: `debe estar entre ${limits.min} y ${limits.max} ${limits.unit}` });
+        }
+    };
+
+    const distribution = spec.distribution || (spec.value !== undefined ? 'fixed' : 'uniform');
+
+    if (distribution === 'fixed') {
+        checkNumber('value', spec.value);
+    } else if (distribution === 'uniform') {
+        checkNumber('min', spec.min);
+        checkNumber('max', spec.max);
+        if (isNumber(spec.min) && isNumber(spec.max) && spec.min > spec.max) {
+            errors.push({ field, message: 'min no puede ser mayor que max' });
+        }
+    } else if (distribution === 'normal') {
+        checkNumber('mean', spec.mean);
+        if (!isNumber(spec.sd) || spec.sd <= 0) {
+            errors.push({ field: `${field}.sd`, message: 'debe ser un número > 0' });
+        }
+        if (spec.min !== undefined) checkNumber('min', spec.min);
+        if (spec.max !== undefined) checkNumber('max', spec.max);
+        if (isNumber(spec.min) && isNumber(spec.max) && spec.min > spec.max) {
+            errors.push({ field, message: 'min no puede ser mayor que max' });
+        }
+    } else {
+        errors.push({ field: `${field}.distribution`, message: 'debe ser "uniform", "normal" o "fixed"' });
+    }
+
+    return errors;
+}
+
+// Validar una mezcla categórica: un valor fijo o un objeto de pesos { opcion: peso }
+function validateMix(field, mix, options) {
+    if (typeof mix === 'string') {
+        return options.includes(mix) ? [] : [{ field, message: `debe ser uno de: ${options.join(', ')}` }];
+    }
+    if (!mix || typeof mix !== 'object' || Array.isArray(mix)) {
+        return [{ field, message: `debe ser una opción o un objeto de pesos { ${options.join(', ')} }` }];
+    }
+
+    const errors = [];
+    let total = 0;
+    Object.entries(mix).forEach(([option, weight]) => {
+        if (!options.includes(option)) {
+            errors.push({ field: `${field}.${option}`, message: `opción desconocida (${options.join(', ')})` });
+        } else if (!isNumber(weight) || weight < 0) {
+            errors.push({ field: `${field}.${option}`, message: 'el peso debe ser un número >= 0' });
+        } else {
+            total += weight;
+        }
+    });
+    if (!errors.length && total <= 0) {
+        errors.push({ field, message: 'la suma de pesos debe ser mayor que 0' });
+    }
+    return errors;
+}
+
+// Preset trasladado al perfil: desplazamiento de baseTemp y basePH al óptimo del perfil y
+// escala de muMax y maxBiomass respecto al perfil de referencia
+function presetForProfile(preset, profile) {
+    const reference = BUILT_IN_PROFILES[DEFAULT_PROFILE];
+    const adjust = {
+        baseTemp: value => value + profile.temperature.optimal - reference.temperature.optimal,
+        basePH: value => value + profile.pH.optimal - reference.pH.optimal,
+        muMax: value => value * profile.growth.muMax / reference.growth.muMax,
+        maxBiomass: value => value * profile.biomass.max / reference.biomass.max
+    };
+    const parameters = {};
+    Object.entries(adjust).forEach(([name, transform]) => {
+        const { min, max } = preset[name];
+        // Redondeo: sin él, el propio perfil de referencia arrastraría errores de coma flotante
+        parameters[name] = { min: parseFloat(transform(min).toFixed(6)), max: parseFloat(transform(max).toFixed(6)) };
+    });
+    return parameters;
+}
+
+// Combina el preset de variabilityLevel con las sobrescrituras del usuario.
+// `profiles` son las definiciones de perfil disponibles por id (por defecto las integradas).
+// Devuelve { config, errors } - config solo es válido si errors está vacío.
+// Sin `profile` la configuración no cambia respecto a la histórica (Chlorella vulgaris); con
+// él incluye la definición completa de cada perfil elegido en `profiles` y, en
+// `profileParameters`, los parámetros del preset trasladados a cada uno.
+function resolveScenarioConfig(variabilityLevel = 'medium', overrides = {}, profiles = BUILT_IN_PROFILES) {
+    const errors = [];
+
+    const preset = VARIABILITY_PRESETS[variabilityLevel];
+    if (!preset) {
+        errors.push({
+            field: 'variabilityLevel',
+            message: `debe ser uno de: ${Object.keys(VARIABILITY_PRESETS).join(', ')}`
+        });
+        return { config: null, errors };
+    }
+
+    if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        errors.push({ field: 'scenarioConfig', message: 'debe ser un objeto' });
+        return { config: null, errors };
+    }
+
+    const config = JSON.parse(JSON.stringify(preset));
+
+    Object.entries(overrides).forEach(([name, spec]) => {
+        const field = `scenarioConfig.${name}`;
+        if (name === 'lightRegime') {
+            errors.push(...validateMix(field, spec, LIGHT_REGIMES));
+            config.lightRegime = typeof spec === 'string' ? { [spec]: 1 } : spec;
+        } else if (name === 'profile') {
+            errors.push(...validateMix(field, spec, Object.keys(profiles)));
+            config.profile = typeof spec === 'string' ? { [spec]: 1 } : spec;
+        } else if (NUMERIC_PARAMETERS.includes(name)) {
+            errors.push(...validateDistribution(field, spec, PARAMETER_LIMITS[name]));
+            config[name] = isNumber(spec) ? { value: spec } : spec;
+        } else {
+            errors.push({ field, message: 'parámetro desconocido' });
+        }
+    });
+
+    if (!errors.length && config.profile) {
+        config.profiles = {};
+        config.profileParameters = {};
+        Object.keys(config.profile).forEach(id => {
+            config.profiles[id] = profiles[id];
+            // Los parámetros que fija el usuario valen igual para todos los perfiles
+            const parameters = presetForProfile(preset, profiles[id]);
+            Object.keys(overrides).forEach(name => { delete parameters[name]; });
+            config.profileParameters[id] = parameters;
+        });
+    }
+
+    return { config: errors.length ? null : config, errors };
+}
+
+// Normal truncada a [min, max] por inversión de la función de distribución: un solo sorteo
+// `u` uniforme en [0, 1) y ningún valor fuera del intervalo (ni acumulado en sus extremos).
+// Un intervalo en la cola derecha se refleja a la izquierda, donde Φ conserva la precisión.
+function truncatedNormal({ mean, sd, min = -Infinity, max = Infinity }, u) {
+    const flip = min - mean > 0;
+    const a = ((flip ? -max : min) - (flip ? -mean : mean)) / sd;
+    const b = ((flip ? -min : max) - (flip ? -mean : mean)) / sd;
+    const lower = normalCDF(a);
+    const upper = normalCDF(b);
+    // Intervalo tan alejado que Φ no lo distingue: el extremo más cercano a la media
+    let z = b;
+    if (upper > lower) {
+        const p = Math.min(1 - Number.EPSILON, Math.max(Number.MIN_VALUE, lower + u * (upper - lower)));
+        z = Math.min(b, Math.max(a, normalQuantile(p)));
+    }
+    return mean + (flip ? -z : z) * sd;
+}
+
+// Muestrear un valor a partir de su especificación
+function sampleParameter(spec, random) {
+    const distribution = spec.distribution || (spec.value !== undefined ? 'fixed' : 'uniform');
+
+    if (distribution === 'fixed') {
+        return spec.value;
+    }
+
+    if (distribution === 'normal') {
+        if (spec.min === undefined && spec.max === undefined) {
+            // Box-Muller con el generador del escenario
+            const u = 1 - random();
+            const v = random();
+            return spec.mean + spec.sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+        }
+        return truncatedNormal(spec, random());
+    }
+
+    return spec.min + random() * (spec.max - spec.min);
+}
+
+// Elegir una opción de una mezcla de pesos
+function sampleMix(mix, random) {
+    if (typeof mix === 'string') return mix;
+
+    const entries = Object.entries(mix);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let threshold = random() * total;
+    for (const [option, weight] of entries) {
+        threshold -= weight;
+        if (threshold < 0) return option;
+    }
+    return entries[entries.length - 1][0];
+}
+
+// Parámetros concretos de un escenario; `profileId` es el perfil ya elegido para él
+function sampleScenarioParams(config, random, profileId = null) {
+    const specs = profileId && config.profileParameters ? 
+                  { ...config, ...config.profileParameters[profileId] } : config;
+    const params = {};
+    NUMERIC_PARAMETERS.forEach(name => {
+        const limits = PARAMETER_LIMITS[name];
+        const value = sampleParameter(specs[name], random);
+        params[name] = Math.max(limits.min, Math.min(limits.max, value));
+    });
+    params.lightRegime = sampleMix(config.lightRegime, random);
+    return params;
+}
+
+module.exports = {
+    VARIABILITY_PRESETS,
+    PARAMETER_LIMITS,
+    LIGHT_REGIMES,
+    resolveScenarioConfig,
+    presetForProfile,
+    sampleScenarioParams,
+    validateDistribution,
+    validateMix,
+    sampleParameter,
+    sampleMix
+};
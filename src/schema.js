@@ -0,0 +1,136 @@
+// src/schema.js - Esquema de las columnas del dataset: tipo, unidad y descripción
+//
+// Lo usan los formatos tipados (Parquet, .npz) para declarar sus columnas.
+// Tipos: 'int', 'float', 'string' y 'timestamp' (ISO 8601 en CSV/JSON Lines).
+// Las columnas de la capa de medida (<Columna>_true, <Columna>_measured, ver src/sensors.js)
+// heredan tipo y unidad de la columna base.
+// Una columna que no esté aquí se tipa a partir de sus valores (ver columnType).
+
+const COLUMNS = [
+    // Identificación y tiempo
+    { name: 'Scenario', type: 'int', unit: null, description: 'Identificador del escenario' },
+    { name: 'Time_h', type: 'float', unit: 'h', description: 'Tiempo desde la inoculación' },
+    { name: 'Time_days', type: 'float', unit: 'd', description: 'Tiempo desde la inoculación' },
+    { name: 'DateTime', type: 'timestamp', unit: null, description: 'Fecha y hora de la muestra (UTC)' },
+    { name: 'Culture_Age_h', type: 'float', unit: 'h', description: 'Edad del cultivo' },
+    { name: 'Growth_Phase', type: 'string', unit: null, description: 'Fase de crecimiento' },
+
+    // Condiciones medidas
+    { name: 'Temperature_C', type: 'float', unit: '°C', description: 'Temperatura del cultivo' },
+    { name: 'pH', type: 'float', unit: null, description: 'pH del medio' },
+    { name: 'PAR_umol_m2_s', type: 'float', unit: 'µmol/m²/s', description: 'Radiación fotosintéticamente activa' },
+    { name: 'PAR_Average_umol_m2_s', type: 'float', unit: 'µmol/m²/s', description: 'PAR media en la profundidad del cultivo (Beer-Lambert)' },
+    { name: 'Dissolved_O2_mg_L', type: 'float', unit: 'mg/L', description: 'Oxígeno disuelto' },
+    { name: 'DO_Saturation_percent', type: 'float', unit: '%', description: 'Oxígeno disuelto respecto a saturación con aire' },
+
+    // Biomasa y crecimiento
+    { name: 'Biomass_g_L', type: 'float', unit: 'g/L', description: 'Biomasa seca' },
+    { name: 'Cell_Concentration_cells_mL', type: 'float', unit: 'células/mL', description: 'Concentración celular' },
+    { name: 'Cell_Density_10E6_mL', type: 'float', unit: '10⁶ células/mL', description: 'Densidad celular' },
+    { name: 'Specific_Growth_Rate_h', type: 'float', unit: 'h⁻¹', description: 'Tasa específica de crecimiento' },
+    { name: 'Growth_Rate_mu_h', type: 'float', unit: 'h⁻¹', description: 'Tasa de crecimiento (μ)' },
+    { name: 'Instantaneous_Productivity_g_L_d', type: 'float', unit: 'g/L/d', description: 'Productividad volumétrica instantánea' },
+
+    // Nutrientes y química del carbonato
+    { name: 'Nitrogen_mg_L', type: 'float', unit: 'mg/L', description: 'Nitrógeno (N-NO3)' },
+    { name: 'Phosphorus_mg_L', type: 'float', unit: 'mg/L', description: 'Fósforo (P-PO4)' },
+    { name: 'Nitrogen_Uptake_mg_L_h', type: 'float', unit: 'mg/L/h', description: 'Consumo de nitrógeno' },
+    { name: 'Phosphorus_Uptake_mg_L_h', type: 'float', unit: 'mg/L/h', description: 'Consumo de fósforo' },
+    { name: 'Nitrogen_Quota_g_g', type: 'float', unit: 'g N/g', description: 'Cuota celular de nitrógeno (modelo de Droop)' },
+    { name: 'DIC_mmol_L', type: 'float', unit: 'mmol/L', description: 'Carbono inorgánico disuelto' },
+    { name: 'CO2_aq_mmol_L', type: 'float', unit: 'mmol/L', description: 'CO2 disuelto' },
+    { name: 'HCO3_mmol_L', type: 'float', unit: 'mmol/L', description: 'Bicarbonato' },
+    { name: 'CO3_mmol_L', type: 'float', unit: 'mmol/L', description: 'Carbonato' },
+    { name: 'Alkalinity_meq_L', type: 'float', unit: 'meq/L', description: 'Alcalinidad total' },
+    { name: 'CO2_Transfer_mmol_L_h', type: 'float', unit: 'mmol/L/h', description: 'Transferencia de CO2 desde el gas' },
+    { name: 'O2_Production_mg_L_h', type: 'float', unit: 'mg/L/h', description: 'Producción fotosintética de O2' },
+    { name: 'O2_Consumption_mg_L_h', type: 'float', unit: 'mg/L/h', description: 'Consumo respiratorio de O2' },
+
+    // Composición bioquímica
+    { name: 'Protein_Content_percent', type: 'float', unit: '%', description: 'Proteína (peso seco)' },
+    { name: 'Lipid_Content_percent', type: 'float', unit: '%', description: 'Lípidos (peso seco)' },
+    { name: 'Carbohydrate_Content_percent', type: 'float', unit: '%', description: 'Carbohidratos (peso seco)' },
+
+    // Factores limitantes del modelo cinético (0-1)
+    { name: 'Temperature_Effect', type: 'float', unit: null, description: 'Factor de temperatura' },
+    { name: 'pH_Effect', type: 'float', unit: null, description: 'Factor de pH' },
+    { name: 'Light_Effect', type: 'float', unit: null, description: 'Factor de luz' },
+    { name: 'Nutrient_Effect', type: 'float', unit: null, description: 'Factor de nutrientes (mínimo de N, P y C)' },
+    { name: 'Density_Effect', type: 'float', unit: null, description: 'Factor de densidad' },
+    { name: 'Nitrogen_Effect', type: 'float', unit: null, description: 'Factor de nitrógeno' },
+    { name: 'Phosphorus_Effect', type: 'float', unit: null, description: 'Factor de fósforo' },
+    { name: 'Carbon_Effect', type: 'float', unit: null, description: 'Factor de carbono inorgánico' },
+
+    // Operación del reactor
+    { name: 'Operation_Mode', type: 'string', unit: null, description: 'Modo de operación del reactor' },
+    { name: 'Volume_L', type: 'float', unit: 'L', description: 'Volumen de trabajo' },
+    { name: 'Dilution_Rate_h', type: 'float', unit: 'h⁻¹', description: 'Tasa de dilución' },
+    { name: 'Harvested_Biomass_g', type: 'float', unit: 'g', description: 'Biomasa cosechada acumulada' },
+    { name: 'Reactor_Event', type: 'string', unit: null, description: 'Eventos de alimentación o cosecha en el intervalo' },
+    { name: 'Temperature_Setpoint_C', type: 'float', unit: '°C', description: 'Consigna de temperatura (perfil de entradas o lazo de calefacción)' },
+    { name: 'PAR_Setpoint_umol_m2_s', type: 'float', unit: 'µmol/m²/s', description: 'Consigna de intensidad máxima de las lámparas' },
+    { name: 'pH_Setpoint', type: 'float', unit: null, description: 'Consigna de pH del lazo de CO2' },
+    { name: 'CO2_Gas_Fraction', type: 'float', unit: 'mol/mol', description: 'Fracción de CO2 en el gas de aireación fijada por el controlador' },
+    { name: 'Heating_Rate_C_h', type: 'float', unit: '°C/h', description: 'Acción del lazo de calefacción' },
+    { name: 'Light_Regime', type: 'string', unit: null, description: 'Régimen de iluminación' },
+    { name: 'Profile', type: 'string', unit: null, description: 'Perfil de especie/cepa del escenario' },
+
+    // Calidad y etiquetas de anomalía
+    { name: 'Data_Quality_Score', type: 'float', unit: null, description: 'Calidad de la muestra (0-1)' },
+    { name: 'Anomaly_Label', type: 'int', unit: null, description: '1 si hay algún fallo activo' },
+    { name: 'Anomaly_Type', type: 'string', unit: null, description: 'Tipos de fallo activos' },
+    { name: 'Anomaly_ID', type: 'string', unit: null, description: 'Identificadores de los fallos activos' }
+];
+
+const COLUMNS_BY_NAME = new Map(COLUMNS.map(column => [column.name, column]));
+
+const DERIVED_SUFFIXES = {
+    _true: 'valor real del modelo',
+    _measured: 'lectura del sensor; vacío sin muestra'
+};
+
+// Columna del esquema, incluidas las derivadas de la capa de medida (o undefined)
+function findColumn(name) {
+    if (COLUMNS_BY_NAME.has(name)) return COLUMNS_BY_NAME.get(name);
+    const suffix = Object.keys(DERIVED_SUFFIXES).find(ending => name.endsWith(ending));
+    const base = suffix && COLUMNS_BY_NAME.get(name.slice(0, -suffix.length));
+    if (!base) return undefined;
+    return { ...base, name, description: `${base.description} (${DERIVED_SUFFIXES[suffix]})` };
+}
+
+// Tipo de una columna: el declarado o, si no está en el esquema, el de sus valores
+function columnType(name, values = []) {
+    const known = findColumn(name);
+    if (known) return known.type;
+    const sample = values.find(value => value !== null && value !== undefined);
+    return typeof sample === 'string' ? 'string' : 'float';
+}
+
+// Esquema de un conjunto de columnas, infiriendo las desconocidas a partir de `rows`
+function describeColumns(names, rows = []) {
+    return names.map(name => {
+        const known = findColumn(name);
+        return known ? { ...known } : {
+            name,
+            type: columnType(name, rows.map(row => row[name])),
+            unit: null,
+            description: null
+        };
+    });
+}
+
+// Convertir el texto de un campo CSV al tipo de su columna
+function parseField(name, text) {
+    if (text === '') return null;
+    const known = findColumn(name);
+    if (known && (known.type === 'string' || known.type === 'timestamp')) return text;
+    const value = Number(text);
+    return Number.isNaN(value) ? text : value;
+}
+
+module.exports = {
+    COLUMNS,
+    columnType,
+    describeColumns,
+    parseField
+};
@@ -0,0 +1,345 @@
+// src/sensors.js - Capa de medida: sondas en línea y análisis fuera de línea
+//
+// Separa el estado real del proceso de lo que registraría la instrumentación. Por cada
+// sensor activo se añaden dos columnas junto a las del dataset:
+//   <Columna>_true      estado del modelo, sin ruido
+//   <Columna>_measured  lectura del sensor (null cuando no hay muestra)
+//
+// Cadena de medida de cada lectura:
+//   estado real -> retardo de primer orden (tau_h) -> calibración (ganancia, offset, deriva)
+//   -> ruido -> calendario de muestreo -> fallos de sensor (ver src/faults.js) -> rango del
+//   instrumento -> resolución
+// Con la capa de medida activa, los fallos de sensor solo afectan a las columnas _measured:
+// la columna del dataset (y la validación científica, que la usa) sigue siendo el estado real.
+//
+// Sondas en línea (temperatura, pH, O2 disuelto, PAR): una lectura cada `interval_min`
+// (0 = en cada muestra del dataset). El retardo se integra sobre la rejilla de salida, así que
+// solo se aprecia con samplingIntervalMin del orden de tau_h.
+// Análisis fuera de línea (peso seco, recuento celular, N, P): a las horas del día de
+// `timesOfDay_h`, con probabilidad `missingProbability` de perder la muestra.
+//
+// Configuración (campo `sensors` de /generate-dataset): { <sensor>: { ...parámetros } | false }.
+// Sin el campo no se añade ninguna columna; `{}` activa todos los sensores con sus valores por defecto.
+
+const { SENSOR_COLUMNS: FAULT_SENSOR_COLUMNS, applySensorFaults, createSensorMemory } = require('./faults');
+
+// Columna del dataset que mide cada sensor, tipo y decimales de la columna _true
+const SENSOR_CHANNELS = {
+    temperature: { column: 'Temperature_C', kind: 'online', decimals: 4 },
+    pH: { column: 'pH', kind: 'online', decimals: 4 },
+    dissolvedO2: { column: 'Dissolved_O2_mg_L', kind: 'online', decimals: 4 },
+    par: { column: 'PAR_umol_m2_s', kind: 'online', decimals: 2 },
+    biomass: { column: 'Biomass_g_L', kind: 'offline', decimals: 5 },
+    cells: { column: 'Cell_Concentration_cells_mL', kind: 'offline', decimals: 0 },
+    nitrogen: { column: 'Nitrogen_mg_L', kind: 'offline', decimals: 3 },
+    phosphorus: { column: 'Phosphorus_mg_L', kind: 'offline', decimals: 4 }
+};
+const SENSOR_NAMES = Object.keys(SENSOR_CHANNELS);
+
+const NOISE_MODELS = ['gaussian', 'uniform'];
+
+// Paso de cuantificación más fino admitido: las lecturas se redondean con toFixed(), que
+// acepta como mucho 100 decimales
+const MIN_RESOLUTION = 1e-6;
+
+// Valores por defecto por sensor: sondas industriales típicas y métodos analíticos de laboratorio.
+//   noise        { model, sd, relativeSd } - desviación típica absoluta y relativa al valor
+//   offsetSd     desviación del error de calibración (offset fijo por escenario)
+//   gainSd       desviación del error de ganancia (fracción, fijo por escenario)
+//   driftPerDay  deriva de la calibración (unidades/día)
+//   tau_h        constante de tiempo de la sonda (h)
+//   resolution   paso de cuantificación (0 = sin cuantificar; si no, >= MIN_RESOLUTION)
+//   range        { min, max } del instrumento (null = sin límite)
+const SENSOR_DEFAULTS = {
+    temperature: {
+        noise: { model: 'gaussian', sd: 0.05, relativeSd: 0 },
+        offsetSd: 0.2, gainSd: 0, driftPerDay: 0, tau_h: 0.05,
+        resolution: 0.01, range: { min: 0, max: 60 }, interval_min: 0
+    },
+    pH: {
+        noise: { model: 'gaussian', sd: 0.02, relativeSd: 0 },
+        offsetSd: 0.05, gainSd: 0.01, driftPerDay: 0.01, tau_h: 0.02,
+        resolution: 0.01, range: { min: 0, max: 14 }, interval_min: 0
+    },
+    dissolvedO2: {
+        noise: { model: 'gaussian', sd: 0.05, relativeSd: 0.01 },
+        offsetSd: 0.1, gainSd: 0.02, driftPerDay: -0.02, tau_h: 0.015,
+        resolution: 0.01, range: { min: 0, max: 20 }, interval_min: 0
+    },
+    par: {
+        noise: { model: 'gaussian', sd: 1, relativeSd: 0.02 },
+        offsetSd: 0, gainSd: 0.05, driftPerDay: 0, tau_h: 0,
+        resolution: 1, range: { min: 0, max: 2500 }, interval_min: 0
+    },
+    biomass: {
+        noise: { model: 'gaussian', sd: 0.005, relativeSd: 0.05 },
+        offsetSd: 0, gainSd: 0, driftPerDay: 0, tau_h: 0,
+        resolution: 0.001, range: { min: 0, max: null }, timesOfDay_h: [9, 17], missingProbability: 0.05
+    },
+    cells: {
+        noise: { model: 'gaussian', sd: 0, relativeSd: 0.1 },
+        offsetSd: 0, gainSd: 0, driftPerDay: 0, tau_h: 0,
+        resolution: 10000, range: { min: 0, max: null }, timesOfDay_h: [9], missingProbability: 0.05
+    },
+    nitrogen: {
+        noise: { model: 'gaussian', sd: 0.5, relativeSd: 0.03 },
+        offsetSd: 0, gainSd: 0, driftPerDay: 0, tau_h: 0,
+        resolution: 0.1, range: { min: 0, max: null }, timesOfDay_h: [9], missingProbability: 0.1
+    },
+    phosphorus: {
+        noise: { model: 'gaussian', sd: 0.05, relativeSd: 0.05 },
+        offsetSd: 0, gainSd: 0, driftPerDay: 0, tau_h: 0,
+        resolution: 0.01, range: { min: 0, max: null }, timesOfDay_h: [9], missingProbability: 0.1
+    }
+};
+
+const COMMON_PARAMS = ['noise', 'offsetSd', 'gainSd', 'driftPerDay', 'tau_h', 'resolution', 'range'];
+const KIND_PARAMS = {
+    online: ['interval_min'],
+    offline: ['timesOfDay_h', 'missingProbability']
+};
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateSensor(name, params) {
+    const errors = [];
+    const field = `sensors.${name}`;
+    const kind = SENSOR_CHANNELS[name].kind;
+    const allowed = [...COMMON_PARAMS, ...KIND_PARAMS[kind]];
+
+    Object.keys(params).forEach(param => {
+        if (!allowed.includes(param)) {
+            const hint = Object.values(KIND_PARAMS).flat().includes(param) ? ` (no aplica a sensores ${kind === 'online' ? 'en línea' : 'fuera de línea'})` : '';
+            errors.push({ field: `${field}.${param}`, message: `parámetro desconocido${hint}` });
+        }
+    });
+
+    const { noise, range } = params;
+    if (!isObject(noise)) {
+        errors.push({ field: `${field}.noise`, message: 'debe ser { model, sd, relativeSd }' });
+    } else {
+        if (!NOISE_MODELS.includes(noise.model)) {
+            errors.push({ field: `${field}.noise.model`, message: `debe ser uno de: ${NOISE_MODELS.join(', ')}` });
+        }
+        ['sd', 'relativeSd'].forEach(key => {
+            if (!isNumber(noise[key]) || noise[key] < 0) {
+                errors.push({ field: `${field}.noise.${key}`, message: 'debe ser un número >= 0' });
+            }
+        });
+    }
+
+    ['offsetSd', 'tau_h'].forEach(key => {
+        if (!isNumber(params[key]) || params[key] < 0) {
+            errors.push({ field: `${field}.${key}`, message: 'debe ser un número >= 0' });
+        }
+    });
+    if (!isNumber(params.resolution) || (params.resolution !== 0 && params.resolution < MIN_RESOLUTION)) {
+        errors.push({ field: `${field}.resolution`, message: `debe ser 0 (sin cuantificar) o un número >= ${MIN_RESOLUTION}` });
+    }
+    if (!isNumber(params.gainSd) || params.gainSd < 0 || params.gainSd > 0.5) {
+        errors.push({ field: `${field}.gainSd`, message: 'debe estar entre 0 y 0.5' });
+    }
+    if (!isNumber(params.driftPerDay)) {
+        errors.push({ field: `${field}.driftPerDay`, message: 'debe ser un número' });
+    }
+
+    if (!isObject(range) || (range.min !== null && !isNumber(range.min)) || (range.max !== null && !isNumber(range.max)) ||
+        (range.min !== null && range.max !== null && range.min >= range.max)) {
+        errors.push({ field: `${field}.range`, message: 'debe ser { min, max } con min < max (null = sin límite)' });
+    }
+
+    if (kind === 'online') {
+        if (!isNumber(params.interval_min) || params.interval_min < 0) {
+            errors.push({ field: `${field}.interval_min`, message: 'debe ser un número >= 0 (0 = en cada muestra)' });
+        }
+    } else {
+        const times = params.timesOfDay_h;
+        if (!Array.isArray(times) || !times.length || times.some(time => !isNumber(time) || time < 0 || time >= 24)) {
+            errors.push({ field: `${field}.timesOfDay_h`, message: 'debe ser una lista no vacía de horas en [0, 24)' });
+        }
+        if (!isNumber(params.missingProbability) || params.missingProbability < 0 || params.missingProbability > 1) {
+            errors.push({ field: `${field}.missingProbability`, message: 'debe estar entre 0 y 1' });
+        }
+    }
+
+    return errors;
+}
+
+// Valida el campo `sensors`. Devuelve { config, errors }; config es null sin errores si la capa
+// de medida no se ha pedido, o { <sensor>: parámetros } con los sensores activos.
+function resolveSensorConfig(overrides) {
+    if (overrides === undefined || overrides === null) {
+        return { config: null, errors: [] };
+    }
+    if (!isObject(overrides)) {
+        return { config: null, errors: [{ field: 'sensors', message: 'debe ser un objeto { <sensor>: parámetros | false }' }] };
+    }
+
+    const errors = [];
+    const config = {};
+
+    Object.keys(overrides).forEach(name => {
+        if (!SENSOR_NAMES.includes(name)) {
+            errors.push({ field: `sensors.${name}`, message: `sensor desconocido. Disponibles: ${SENSOR_NAMES.join(', ')}` });
+        } else if (overrides[name] !== false && !isObject(overrides[name])) {
+            errors.push({ field: `sensors.${name}`, message: 'debe ser un objeto de parámetros o false' });
+        }
+    });
+    if (errors.length) return { config: null, errors };
+
+    SENSOR_NAMES.forEach(name => {
+        if (overrides[name] === false) return;
+        const defaults = SENSOR_DEFAULTS[name];
+        const custom = overrides[name] || {};
+        // noise y range se combinan campo a campo con los valores por defecto
+        const merge = key => isObject(custom[key]) ? { ...defaults[key], ...custom[key] } : (custom[key] ?? defaults[key]);
+        const params = { ...defaults, ...custom, noise: merge('noise'), range: merge('range') };
+        errors.push(...validateSensor(name, params));
+        config[name] = params;
+    });
+
+    return { config: errors.length ? null : config, errors };
+}
+
+// Columnas añadidas por la capa de medida, en el orden en que se escriben
+function sensorColumns(config) {
+    if (!config) return [];
+    return Object.keys(config).flatMap(name => {
+        const { column } = SENSOR_CHANNELS[name];
+        return [`${column}_true`, `${column}_measured`];
+    });
+}
+
+function decimalsOf(step) {
+    return step > 0 ? Math.max(0, Math.ceil(-Math.log10(step) - 1e-9)) : null;
+}
+
+// Instrumentación de un escenario. `rng` es un generador propio del escenario (ver src/random.js):
+// la capa de medida no altera los números que consume el resto del modelo.
+// `dt` es el intervalo de muestreo del dataset en horas.
+function createSensorBank(config, rng, dt) {
+    const names = Object.keys(config || {});
+
+    // Calibración fija del escenario y estado de cada sonda
+    const sensors = names.map(name => {
+        const params = config[name];
+        const random = rng.fork(`sensor-${name}`);
+        return {
+            name,
+            params,
+            channel: SENSOR_CHANNELS[name],
+            random,
+            offset: params.offsetSd > 0 ? random.normal(0, params.offsetSd) : 0,
+            gain: params.gainSd > 0 ? random.normal(0, params.gainSd) : 0,
+            lagged: null,
+            decimals: decimalsOf(params.resolution)
+        };
+    });
+
+    // Los fallos de sensor (ver src/faults.js) afectan también a la lectura medida
+    const faultColumns = {};
+    sensors.forEach(sensor => {
+        if (sensor.name in FAULT_SENSOR_COLUMNS) {
+            faultColumns[sensor.name] = `${sensor.channel.column}_measured`;
+        }
+    });
+    const faultMemory = createSensorMemory();
+
+    function noise(sensor, value) {
+        const { model, sd, relativeSd } = sensor.params.noise;
+        const sigma = Math.sqrt(sd * sd + Math.pow(relativeSd * value, 2));
+        // Distribución uniforme con la misma desviación típica: semiancho sigma·√3
+        const draw = model === 'uniform' ? (sensor.random.random() * 2 - 1) * Math.sqrt(3) : sensor.random.normal();
+        return sigma * draw;
+    }
+
+    // ¿Hay una lectura en el intervalo (t - dt, t]?
+    function isSampled(sensor, t) {
+        const { params, channel } = sensor;
+        if (channel.kind === 'online') {
+            if (params.interval_min <= 0) return true;
+            const interval = params.interval_min / 60;
+            return Math.floor(t / interval + 1e-9) * interval > t - dt + 1e-9;
+        }
+        return params.timesOfDay_h.some(hour => {
+            const time = Math.floor((t - hour) / 24 + 1e-9) * 24 + hour;
+            return time >= 0 && time > t - dt + 1e-9;
+        });
+    }
+
+    // `truth` { <sensor>: valor real } en el instante `t` (h); `faults` los del escenario.
+    // Devuelve las columnas _true y _measured de la fila y las etiquetas de los fallos de
+    // sensor que han afectado a las lecturas (ver applySensorFaults). Los fallos solo se
+    // aplican a lecturas que existen: un pico que cae en un instante sin muestra (o con la
+    // muestra perdida) pasa a la siguiente lectura.
+    function measure(truth, t, faults) {
+        const columns = {};
+        const measured = {};
+
+        sensors.forEach(sensor => {
+            const { params, channel } = sensor;
+            const value = truth[sensor.name];
+
+            // Retardo de primer orden de la sonda
+            if (sensor.lagged === null || params.tau_h <= 0) {
+                sensor.lagged = value;
+            } else {
+                sensor.lagged += (value - sensor.lagged) * (1 - Math.exp(-dt / params.tau_h));
+            }
+
+            const reading = sensor.lagged * (1 + sensor.gain) + sensor.offset + params.driftPerDay * t / 24;
+            measured[`${channel.column}_measured`] = reading + noise(sensor, sensor.lagged);
+        });
+
+        // Calendario de muestreo; la pérdida de la muestra se sortea siempre, para no desplazar
+        // la secuencia del sensor
+        sensors.forEach(sensor => {
+            const { params, channel } = sensor;
+            const lost = channel.kind === 'offline' && sensor.random.random() < params.missingProbability;
+            if (lost || !isSampled(sensor, t)) measured[`${channel.column}_measured`] = null;
+        });
+
+        const labels = applySensorFaults(measured, faults.filter(fault => fault.category !== 'process'),
+            t, faultMemory, faultColumns);
+
+        sensors.forEach(sensor => {
+            const { params, channel } = sensor;
+            const name = `${channel.column}_measured`;
+            let reading = measured[name];
+
+            if (reading !== null) {
+                if (params.range.min !== null) reading = Math.max(params.range.min, reading);
+                if (params.range.max !== null) reading = Math.min(params.range.max, reading);
+                if (params.resolution > 0) {
+                    reading = parseFloat((Math.round(reading / params.resolution) * params.resolution).toFixed(sensor.decimals));
+                } else {
+                    reading = parseFloat(reading.toFixed(channel.decimals));
+                }
+            }
+
+            columns[`${channel.column}_true`] = parseFloat(truth[sensor.name].toFixed(channel.decimals));
+            columns[name] = reading;
+        });
+
+        return { columns, active: labels.active };
+    }
+
+    // Los fallos de estos sensores (ver src/faults.js) se aplican a su columna _measured; las
+    // columnas del dataset conservan el estado real
+    return { measure, faultSensors: Object.keys(faultColumns) };
+}
+
+module.exports = {
+    SENSOR_NAMES,
+    SENSOR_CHANNELS,
+    SENSOR_DEFAULTS,
+    resolveSensorConfig,
+    sensorColumns,
+    createSensorBank
+};
@@ -0,0 +1,346 @@
+// src/splits.js - Estrategias de partición train/validación/test sin fuga de información
+//
+// Configuración (campo `split` de /generate-dataset):
+//   strategy     'scenario'       - partición por grupos: cada escenario completo va a un solo conjunto
+//                'chronological'  - dentro de cada escenario, el pasado a train y el futuro a test
+//                'blocked'        - bloques temporales contiguos asignados aleatoriamente
+//                'rolling-origin' - partición cronológica + folds de origen móvil (ventana creciente)
+//                'random'         - sorteo independiente de cada fila (histórico, con fuga entre vecinos)
+//   ratios       { train, validation, test } - deben sumar 1
+//   folds        k folds de validación cruzada: k-fold por grupos (escenarios) sobre train+validación,
+//                o número de orígenes en 'rolling-origin'
+//   blockSize_h  tamaño de bloque para 'blocked'
+//   gap_h        horas descartadas tras cada frontera temporal entre conjuntos (purga)
+
+const SPLIT_STRATEGIES = ['scenario', 'chronological', 'blocked', 'rolling-origin', 'random'];
+
+const SPLIT_DEFAULTS = {
+    strategy: 'scenario',
+    ratios: { train: 0.7, validation: 0.15, test: 0.15 },
+    folds: 0,
+    blockSize_h: 24,
+    gap_h: 0
+};
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Valida la configuración de partición. Devuelve { config, errors }.
+function resolveSplitConfig(overrides = {}) {
+    const errors = [];
+
+    if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return { config: null, errors: [{ field: 'split', message: 'debe ser un objeto' }] };
+    }
+
+    const config = {
+        ...SPLIT_DEFAULTS,
+        ...overrides,
+        ratios: { ...SPLIT_DEFAULTS.ratios, ...(overrides.ratios || {}) }
+    };
+
+    Object.keys(overrides).forEach(name => {
+        if (!(name in SPLIT_DEFAULTS)) {
+            errors.push({ field: `split.${name}`, message: 'parámetro desconocido' });
+        }
+    });
+
+    if (!SPLIT_STRATEGIES.includes(config.strategy)) {
+        errors.push({ field: 'split.strategy', message: `debe ser uno de: ${SPLIT_STRATEGIES.join(', ')}` });
+    }
+
+    const ratioNames = ['train', 'validation', 'test'];
+    Object.keys(config.ratios).forEach(name => {
+        if (!ratioNames.includes(name)) {
+            errors.push({ field: `split.ratios.${name}`, message: 'conjunto desconocido (train, validation, test)' });
+        }
+    });
+    ratioNames.forEach(name => {
+        const value = config.ratios[name];
+        if (!isNumber(value) || value < 0 || value >= 1) {
+            errors.push({ field: `split.ratios.${name}`, message: 'debe ser un número en [0, 1)' });
+        }
+    });
+    if (!errors.length) {
+        const total = ratioNames.reduce((sum, name) => sum + config.ratios[name], 0);
+        if (Math.abs(total - 1) > 1e-6) {
+            errors.push({ field: 'split.ratios', message: `las proporciones deben sumar 1 (suman ${total.toFixed(3)})` });
+        }
+        if (config.ratios.train === 0) {
+            errors.push({ field: 'split.ratios.train', message: 'debe ser mayor que 0' });
+        }
+    }
+
+    if (!Number.isInteger(config.folds) || config.folds < 0 || config.folds > 20) {
+        errors.push({ field: 'split.folds', message: 'debe ser un entero entre 0 y 20' });
+    } else if (config.folds === 1) {
+        errors.push({ field: 'split.folds', message: 'se necesitan al menos 2 folds (0 = sin validación cruzada)' });
+    }
+    if (!isNumber(config.blockSize_h) || config.blockSize_h <= 0) {
+        errors.push({ field: 'split.blockSize_h', message: 'debe ser un número > 0' });
+    }
+    if (!isNumber(config.gap_h) || config.gap_h < 0) {
+        errors.push({ field: 'split.gap_h', message: 'debe ser un número >= 0' });
+    }
+
+    return { config: errors.length ? null : config, errors };
+}
+
+// Número de elementos por conjunto: al menos uno en cada conjunto con proporción > 0
+function allocateCounts(n, ratios, unit) {
+    const test = ratios.test > 0 ? Math.max(1, Math.round(n * ratios.test)) : 0;
+    const validation = ratios.validation > 0 ? Math.max(1, Math.round(n * ratios.validation)) : 0;
+    if (n - validation - test < 1) {
+        const error = new Error(`No hay suficientes ${unit} (${n}) para repartir entre train, validación y test`);
+        error.status = 400;
+        throw error;
+    }
+    return { train: n - validation - test, validation, test };
+}
+
+// Conjunto de la posición i tras barajar, según los tamaños asignados
+function setAt(i, counts) {
+    return i < counts.train ? 'train' : i < counts.train + counts.validation ? 'validation' : 'test';
+}
+
+// Partición por escenario (grupos): cada escenario completo a un solo conjunto
+function scenarioAssigner(ids, config, rng) {
+    const shuffled = rng.shuffle([...ids]);
+    const counts = allocateCounts(shuffled.length, config.ratios, 'escenarios');
+
+    const assignment = {
+        train: shuffled.slice(0, counts.train).sort((a, b) => a - b),
+        validation: shuffled.slice(counts.train, counts.train + counts.validation).sort((a, b) => a - b),
+        test: shuffled.slice(counts.train + counts.validation).sort((a, b) => a - b)
+    };
+    const setOfScenario = new Map();
+    Object.entries(assignment).forEach(([set, list]) => list.forEach(id => setOfScenario.set(id, set)));
+
+    return {
+        setOf: row => setOfScenario.get(row.Scenario),
+        details: { scenarios: assignment }
+    };
+}
+
+// Partición cronológica dentro de cada escenario, con purga de `gap_h` tras cada frontera.
+// Todos los escenarios comparten la rejilla temporal, así que los cortes son comunes.
+function chronologicalAssigner(config, horizon) {
+    const trainEnd = horizon * config.ratios.train;
+    const validationEnd = trainEnd + horizon * config.ratios.validation;
+
+    const setOf = row => {
+        const t = row.Time_h;
+        if (t < trainEnd) return 'train';
+        if (t < trainEnd + config.gap_h) return null;
+        if (t < validationEnd || config.ratios.test === 0) return 'validation';
+        if (t < validationEnd + config.gap_h && config.ratios.validation > 0) return null;
+        return 'test';
+    };
+
+    return { setOf, details: { cutoffs: { trainEnd_h: trainEnd, validationEnd_h: validationEnd } } };
+}
+
+// Bloques temporales contiguos asignados al azar a cada conjunto (sorteo propio por escenario)
+function blockedAssigner(ids, config, horizon, rng) {
+    const blockCount = Math.floor(horizon / config.blockSize_h) + 1;
+    const counts = allocateCounts(blockCount, config.ratios, 'bloques por escenario');
+    const setsOfScenario = new Map();
+    const blocks = {};
+
+    ids.forEach(id => {
+        const sets = new Array(blockCount);
+        rng.shuffle([...Array(blockCount).keys()]).forEach((block, i) => {
+            sets[block] = setAt(i, counts);
+        });
+        setsOfScenario.set(id, sets);
+        blocks[id] = Object.fromEntries(sets.map((set, block) => [block, set]));
+    });
+
+    const setOf = row => {
+        const sets = setsOfScenario.get(row.Scenario);
+        const block = Math.floor(row.Time_h / config.blockSize_h);
+        const set = sets[block];
+        const previous = sets[block - 1];
+        // Purga al inicio de un bloque que cambia de conjunto
+        if (previous && previous !== set && row.Time_h - block * config.blockSize_h < config.gap_h) {
+            return null;
+        }
+        return set;
+    };
+
+    return { setOf, details: { blockSize_h: config.blockSize_h, blocks } };
+}
+
+// Partición aleatoria por filas (comportamiento histórico, con fuga entre vecinos).
+// Sin el dataset completo no se puede barajar: cada fila se sortea por separado,
+// así que los tamaños se ajustan a las proporciones solo en promedio.
+function randomAssigner(config, rng) {
+    const streams = new Map();
+    const setOf = row => {
+        if (!streams.has(row.Scenario)) streams.set(row.Scenario, rng.fork(`random-${row.Scenario}`));
+        const u = streams.get(row.Scenario).random();
+        if (u < config.ratios.train) return 'train';
+        return u < config.ratios.train + config.ratios.validation ? 'validation' : 'test';
+    };
+    return { setOf, details: {} };
+}
+
+// k-fold por grupos (escenarios) sobre las filas de train + validación
+function groupKFold(developmentIds, k, rng) {
+    const ids = rng.shuffle([...developmentIds]);
+    if (ids.length < k) {
+        const error = new Error(`k-fold por grupos necesita al menos ${k} escenarios fuera de test (hay ${ids.length})`);
+        error.status = 400;
+        throw error;
+    }
+
+    const foldOfScenario = new Map(ids.map((id, j) => [id, j % k]));
+    const folds = [];
+    for (let i = 0; i < k; i++) {
+        folds.push({
+            name: `fold_${i + 1}`,
+            type: 'group-kfold',
+            validationScenarios: ids.filter((_, j) => j % k === i).sort((a, b) => a - b)
+        });
+    }
+
+    return {
+        folds,
+        setOf: (row, i) => foldOfScenario.get(row.Scenario) === i ? 'validation' : 'train'
+    };
+}
+
+// Folds de origen móvil: la zona previa a test se divide en k+1 tramos iguales;
+// el fold i entrena con los tramos 0..i y valida con el tramo i+1
+function rollingOriginFolds(k, developmentEnd, gap) {
+    const chunk = developmentEnd / (k + 1);
+    const folds = [];
+    for (let i = 0; i < k; i++) {
+        folds.push({ name: `fold_${i + 1}`, type: 'rolling-origin', origin_h: chunk * (i + 1) });
+    }
+
+    return {
+        folds,
+        setOf: (row, i) => {
+            const origin = folds[i].origin_h;
+            if (row.Time_h < origin) return 'train';
+            if (row.Time_h >= origin + gap && row.Time_h < origin + chunk) return 'validation';
+            return null;
+        }
+    };
+}
+
+// Partidor incremental: decide el conjunto de cada fila sin tener el dataset completo en memoria.
+// `layout` describe la rejilla común a todos los escenarios: { scenarioIds, horizon_h }
+// (las filas van de Time_h = 0 a horizon_h). Los sorteos se hacen al crearlo, de modo que
+// los errores de configuración (pocos escenarios o bloques) aparecen antes de generar nada.
+// Devuelve { strategy, assign(rows), summary() } - `summary()` se guarda en split.json
+function createSplitter(config, layout, rng) {
+    const ids = layout.scenarioIds;
+    const horizon = layout.horizon_h;
+    let strategy = config.strategy;
+    let note = null;
+
+    // Con menos de 3 escenarios no hay grupos suficientes para train/validación/test
+    if (strategy === 'scenario' && ids.length < 3) {
+        strategy = 'chronological';
+        note = `Solo ${ids.length} escenario(s): se usa partición cronológica en lugar de por escenario`;
+    }
+
+    let assigner;
+    switch (strategy) {
+        case 'scenario':
+            assigner = scenarioAssigner(ids, config, rng);
+            break;
+        case 'chronological':
+        case 'rolling-origin':
+            assigner = chronologicalAssigner(config, horizon);
+            break;
+        case 'blocked':
+            assigner = blockedAssigner(ids, config, horizon, rng);
+            break;
+        default:
+            assigner = randomAssigner(config, rng);
+    }
+
+    let cv = { folds: [], setOf: null };
+    if (config.folds > 0) {
+        if (strategy === 'rolling-origin') {
+            const developmentEnd = config.ratios.test === 0 ? horizon : assigner.details.cutoffs.validationEnd_h;
+            cv = rollingOriginFolds(config.folds, developmentEnd, config.gap_h);
+        } else {
+            const scenarios = assigner.details.scenarios;
+            const developmentIds = scenarios ? [...scenarios.train, ...scenarios.validation] : ids;
+            cv = groupKFold(developmentIds, config.folds, rng);
+        }
+    }
+
+    const sizes = { train: 0, validation: 0, test: 0 };
+    const foldSizes = cv.folds.map(() => ({ train: 0, validation: 0 }));
+    let purged = 0;
+
+    // Repartir un lote de filas. Devuelve { train, validation, test, folds: [{ train, validation }] }
+    function assign(rows) {
+        const parts = {
+            train: [],
+            validation: [],
+            test: [],
+            folds: cv.folds.map(() => ({ train: [], validation: [] }))
+        };
+
+        rows.forEach(row => {
+            const set = assigner.setOf(row);
+            if (!set) {
+                purged++;
+                return;
+            }
+            parts[set].push(row);
+            sizes[set]++;
+
+            if (set === 'test') return;
+            parts.folds.forEach((fold, i) => {
+                const foldSet = cv.setOf(row, i);
+                if (!foldSet) return;
+                fold[foldSet].push(row);
+                foldSizes[i][foldSet]++;
+            });
+        });
+
+        return parts;
+    }
+
+    function summary() {
+        return {
+            strategy,
+            requestedStrategy: config.strategy,
+            note,
+            ratios: config.ratios,
+            gap_h: config.gap_h,
+            sizes: { ...sizes },
+            ...assigner.details,
+            ...(strategy === 'scenario' || strategy === 'random' ? {} : { purgedRows: purged }),
+            folds: cv.folds.map(({ name, type, ...extra }, i) => ({
+                name,
+                type,
+                trainRows: foldSizes[i].train,
+                validationRows: foldSizes[i].validation,
+                ...extra
+            }))
+        };
+    }
+
+    return {
+        strategy,
+        folds: cv.folds.map(fold => fold.name),
+        assign,
+        summary
+    };
+}
+
+module.exports = {
+    SPLIT_STRATEGIES,
+    SPLIT_DEFAULTS,
+    resolveSplitConfig,
+    createSplitter
+};
@@ -0,0 +1,45 @@
+// src/stats.js - Estadísticas incrementales de columnas numéricas
+//
+// Acumulan mínimo, máximo, media y varianza (Welford) sin guardar los valores, para poder
+// resumir datasets de millones de filas mientras se escriben o se leen.
+
+function createRunningStats() {
+    let count = 0;
+    let sum = 0;
+    let mean = 0;
+    let m2 = 0;
+    let min = Infinity;
+    let max = -Infinity;
+
+    return {
+        // Los valores ausentes (muestras perdidas por fallos de sensor) no cuentan
+        add(value) {
+            if (typeof value !== 'number' || Number.isNaN(value)) return;
+            count++;
+            sum += value;
+            const delta = value - mean;
+            mean += delta / count;
+            m2 += delta * (value - mean);
+            if (value < min) min = value;
+            if (value > max) max = value;
+        },
+        range() {
+            return count ? { min, max, mean: sum / count } : { min: null, max: null, mean: null };
+        },
+        // Desviación típica muestral (null con menos de dos valores)
+        std() {
+            return count > 1 ? Math.sqrt(m2 / (count - 1)) : null;
+        },
+        // Todos los valores dentro de [low, high] (sin valores se cumple, como Array.every)
+        within(low, high) {
+            return !count || (min >= low && max <= high);
+        },
+        get count() {
+            return count;
+        }
+    };
+}
+
+module.exports = {
+    createRunningStats
+};
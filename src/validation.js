@@ -0,0 +1,111 @@
+// src/validation.js - Validación de peticiones: cuerpo JSON y parámetros de ruta
+//
+// Los cuerpos se validan contra un esquema plano { campo: regla } y los errores se devuelven
+// por campo, con la misma forma que las configuraciones ({ field, message }):
+//
+//   type     'integer' | 'number' | 'string' | 'boolean' | 'object' | 'array', o una lista de ellos
+//   min/max  límites para números
+//   enum     valores admitidos
+//   format   'date-time' (fecha ISO 8601 válida)
+//
+// Los objetos anidados (scenarioConfig, reactor...) solo se comprueban aquí como objetos;
+// su contenido lo validan sus propios módulos.
+//
+// Los ficheros servidos se limitan a una lista cerrada de nombres: ninguna parte de la ruta
+// en disco sale directamente de la URL.
+
+const { FORMATS, formatOf } = require('./formats');
+
+// Conjuntos del dataset y, dentro de folds/, los de validación cruzada
+const DATASET_FILES = ['complete_dataset', 'training_data', 'validation_data', 'test_data'];
+const FOLD_FILE_PATTERN = /^fold_\d{1,2}_(train|validation)$/;
+const METADATA_FILES = ['manifest.json', 'seed.json', 'split.json', 'anomalies.json', 'scenarios.csv'];
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function describeRule(rule) {
+    if (rule.enum) return `uno de: ${rule.enum.join(', ')}`;
+    const types = [].concat(rule.type);
+    const names = { integer: 'un entero', number: 'un número', string: 'un texto', boolean: 'un booleano',
+                    object: 'un objeto', array: 'una lista' };
+    return types.map(type => names[type] || type).join(' o ');
+}
+
+// Errores de `body` frente a `schema`. Los campos ausentes no se comprueban (toman su valor
+// por defecto); los que no están en el esquema son un error.
+function validateBody(schema, body) {
+    if (typeOf(body) !== 'object') {
+        return [{ field: 'body', message: 'el cuerpo debe ser un objeto JSON' }];
+    }
+
+    const errors = [];
+    Object.keys(body).forEach(field => {
+        const rule = schema[field];
+        const value = body[field];
+        if (!rule) {
+            errors.push({ field, message: 'parámetro desconocido' });
+            return;
+        }
+        if (value === undefined) return;
+
+        if (rule.type && ![].concat(rule.type).some(type => matchesType(value, type))) {
+            errors.push({ field, message: `debe ser ${describeRule({ type: rule.type })} (recibido: ${JSON.stringify(value)})` });
+            return;
+        }
+        if (rule.enum && !rule.enum.includes(value)) {
+            errors.push({ field, message: `debe ser ${describeRule(rule)}` });
+            return;
+        }
+        if (typeof value === 'number') {
+            if (!Number.isFinite(value) || (rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+                errors.push({ field, message: `debe estar entre ${rule.min ?? '-∞'} y ${rule.max ?? '∞'}` });
+                return;
+            }
+        }
+        if (rule.format === 'date-time' && isNaN(new Date(value).getTime())) {
+            errors.push({ field, message: 'debe ser una fecha ISO 8601 válida' });
+        }
+    });
+    return errors;
+}
+
+// Fichero servible de un dataset a partir del nombre pedido en la URL. Devuelve
+// { path, format, baseName } (rutas relativas a la carpeta del dataset; format null para
+// los metadatos, que se sirven tal cual) o null si el nombre no está permitido. `format`, si se indica,
+// sustituye al de la extensión (`training_data.csv` + parquet -> training_data.parquet);
+// sin extensión es obligatorio. Los folds se piden sin carpeta: fold_1_train.csv.
+function resolveDatasetFile(fileName, format = null) {
+    if (METADATA_FILES.includes(fileName)) {
+        return { path: fileName, format: null, baseName: null };
+    }
+
+    const extensionFormat = formatOf(fileName);
+    const baseName = extensionFormat ? fileName.slice(0, -FORMATS[extensionFormat].extension.length) : fileName;
+    const target = format || extensionFormat;
+    if (!target) return null;
+
+    if (DATASET_FILES.includes(baseName)) {
+        return { path: baseName + FORMATS[target].extension, format: target, baseName };
+    }
+    if (FOLD_FILE_PATTERN.test(baseName)) {
+        return { path: `folds/${baseName}${FORMATS[target].extension}`, format: target, baseName: `folds/${baseName}` };
+    }
+    return null;
+}
+
+module.exports = {
+    DATASET_FILES,
+    METADATA_FILES,
+    validateBody,
+    resolveDatasetFile
+};
@@ -0,0 +1,72 @@
+// test/faults.test.js - Fallos de sensor sobre muestras perdidas o no muestreadas
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateRows } = require('./helpers');
+const { applySensorFaults, createSensorMemory } = require('../src/faults');
+
+const missing = { id: 'f1', category: 'sensor', type: 'missing', target: 'pH', start_h: 0, end_h: 1, magnitude: 0 };
+const spike = { id: 'f2', category: 'sensor', type: 'spike', target: 'pH', start_h: 0, end_h: 0, magnitude: 2 };
+const drift = { id: 'f3', category: 'sensor', type: 'sensor_drift', target: 'pH', start_h: 0, end_h: 2, magnitude: 0.5 };
+
+test('un pico sobre una muestra perdida pasa a la siguiente muestra con valor', () => {
+    const memory = createSensorMemory();
+    const lost = { pH: 7 };
+    applySensorFaults(lost, [missing, spike], 0.5, memory);
+    assert.equal(lost.pH, null);
+
+    const next = { pH: 7 };
+    const { active } = applySensorFaults(next, [missing, spike], 1, memory);
+    assert.equal(next.pH, 9);
+    assert.deepEqual(active.map(fault => fault.id), ['f2']);
+
+    const after = { pH: 7 };
+    applySensorFaults(after, [missing, spike], 1.5, memory);
+    assert.equal(after.pH, 7);
+});
+
+test('la deriva no da valor a una muestra perdida', () => {
+    const row = { pH: 7 };
+    applySensorFaults(row, [missing, drift], 0.5, createSensorMemory());
+    assert.equal(row.pH, null);
+});
+
+test('el resultado no depende del orden: un pico anterior a una pérdida que se solapa no se consume', () => {
+    const earlySpike = { ...spike, id: 'a', start_h: 0.2 };
+    const dropout = { ...missing, id: 'b', start_h: 0.5, end_h: 1.5 };
+    const memory = createSensorMemory();
+
+    const lost = { pH: 7 };
+    const { active } = applySensorFaults(lost, [earlySpike, dropout], 1, memory);
+    assert.equal(lost.pH, null);
+    assert.deepEqual(active.map(fault => fault.id), ['b']);
+
+    const next = { pH: 7 };
+    assert.deepEqual(applySensorFaults(next, [earlySpike, dropout], 2, memory).active.map(fault => fault.id), ['a']);
+    assert.equal(next.pH, 9);
+});
+
+test('un sensor bloqueado durante una pérdida retiene la primera lectura con valor', () => {
+    const dropout = { ...missing, start_h: 0.5, end_h: 1.5 };
+    const stuck = { id: 'f4', category: 'sensor', type: 'stuck_sensor', target: 'pH', start_h: 1, end_h: 4, magnitude: 0 };
+    const memory = createSensorMemory();
+    const readings = [[1, 7.1], [2, 7.2], [3, 7.3]].map(([t, pH]) => {
+        const row = { pH };
+        applySensorFaults(row, [dropout, stuck], t, memory);
+        return row.pH;
+    });
+    assert.deepEqual(readings, [null, 7.2, 7.2]);
+});
+
+test('con la capa de medida, un pico entre muestras pasa a la siguiente lectura y no toca el estado real', () => {
+    const { rows } = generateRows({
+        seed: 1, scenarios: 1, totalDays: 1, sensors: { biomass: {} },
+        faults: { events: [{ type: 'spike', start_h: 1, target: 'biomass', magnitude: 5 }] }
+    });
+    const sampled = rows.filter(row => row.Biomass_g_L_measured !== null);
+    assert.ok(sampled[0].Time_h > 1);
+    assert.ok(sampled[0].Biomass_g_L_measured - sampled[0].Biomass_g_L_true > 4);
+    assert.equal(sampled[0].Anomaly_Type, 'spike');
+    assert.deepEqual(rows.filter(row => row.Anomaly_Label === 1), [sampled[0]]);
+    rows.forEach(row => assert.ok(Math.abs(row.Biomass_g_L - row.Biomass_g_L_true) < 1e-3, `t = ${row.Time_h}`));
+});
@@ -0,0 +1,114 @@
+// test/generator.test.js - Invariantes del modelo cinético con semillas y configuraciones aleatorias
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fc = require('fast-check');
+const { generateRows } = require('./helpers');
+const { BUILT_IN_PROFILES, DEFAULT_PROFILE } = require('../src/profiles');
+const { OPERATION_MODES } = require('../src/reactor');
+
+// Pocas ejecuciones y escenarios cortos: cada una integra el modelo completo
+const RUNS = Number(process.env.PROPERTY_RUNS) || 40;
+
+// Peticiones válidas de /generate-dataset sin fallos ni sensores (los valores son los reales)
+const requestArbitrary = fc.record({
+    seed: fc.integer({ min: 0, max: 2 ** 31 - 1 }),
+    scenarios: fc.integer({ min: 1, max: 2 }),
+    totalDays: fc.integer({ min: 1, max: 4 }),
+    variabilityLevel: fc.constantFrom('low', 'medium', 'high'),
+    samplingIntervalMin: fc.constantFrom(30, 60),
+    operationMode: fc.constantFrom(...OPERATION_MODES),
+    profile: fc.constantFrom(...Object.keys(BUILT_IN_PROFILES))
+}).map(({ operationMode, profile, ...body }) => ({
+    ...body,
+    reactor: { operationMode },
+    scenarioConfig: { profile }
+}));
+
+function composition(row) {
+    return row.Protein_Content_percent + row.Lipid_Content_percent + row.Carbohydrate_Content_percent;
+}
+
+test('la biomasa queda entre 0.01 g/L y la máxima del perfil', () => {
+    fc.assert(fc.property(requestArbitrary, body => {
+        const { rows } = generateRows(body);
+        const max = BUILT_IN_PROFILES[body.scenarioConfig.profile].biomass.max;
+        rows.forEach(row => {
+            assert.ok(row.Biomass_g_L >= 0.01 && row.Biomass_g_L <= max,
+                `Biomass_g_L ${row.Biomass_g_L} fuera de [0.01, ${max}] (escenario ${row.Scenario}, ${row.Time_h} h)`);
+        });
+    }), { numRuns: RUNS });
+});
+
+test('proteínas, lípidos y carbohidratos suman 100 % (salvo redondeo a un decimal)', () => {
+    fc.assert(fc.property(requestArbitrary, body => {
+        generateRows(body).rows.forEach(row => {
+            assert.ok(Math.abs(composition(row) - 100) <= 0.15, `la composición suma ${composition(row)}`);
+            ['Protein_Content_percent', 'Lipid_Content_percent', 'Carbohydrate_Content_percent'].forEach(column => {
+                assert.ok(row[column] >= 0, `${column} negativo`);
+            });
+        });
+    }), { numRuns: RUNS });
+});
+
+test('temperatura, pH y μ dentro de los rangos de la validación científica', () => {
+    fc.assert(fc.property(requestArbitrary, body => {
+        const profile = BUILT_IN_PROFILES[body.scenarioConfig.profile];
+        generateRows(body).rows.forEach(row => {
+            assert.ok(row.Temperature_C >= profile.temperature.min && row.Temperature_C <= profile.temperature.max,
+                `Temperature_C ${row.Temperature_C}`);
+            assert.ok(row.pH >= profile.pH.min && row.pH <= profile.pH.max, `pH ${row.pH}`);
+            assert.ok(row.Specific_Growth_Rate_h >= 0 && row.Specific_Growth_Rate_h <= 0.1,
+                `Specific_Growth_Rate_h ${row.Specific_Growth_Rate_h}`);
+        });
+    }), { numRuns: RUNS });
+});
+
+test('nutrientes y oxígeno no negativos y factores limitantes en [0, 1]', () => {
+    fc.assert(fc.property(requestArbitrary, body => {
+        generateRows(body).rows.forEach(row => {
+            assert.ok(row.Nitrogen_mg_L >= 0 && row.Phosphorus_mg_L >= 0, 'nutriente negativo');
+            assert.ok(row.Dissolved_O2_mg_L >= 0, 'oxígeno disuelto negativo');
+            Object.keys(row).filter(name => name.endsWith('_Effect')).forEach(name => {
+                assert.ok(row[name] >= 0 && row[name] <= 1, `${name} = ${row[name]}`);
+            });
+        });
+    }), { numRuns: RUNS });
+});
+
+test('cada escenario cubre la rejilla temporal completa en orden', () => {
+    fc.assert(fc.property(requestArbitrary, body => {
+        const { rows, params } = generateRows(body);
+        const samples = Math.round(params.totalDays * 24 * 60 / params.samplingIntervalMin);
+        assert.equal(rows.length, samples * params.scenarios);
+        for (let s = 1; s <= params.scenarios; s++) {
+            const times = rows.filter(row => row.Scenario === s).map(row => row.Time_h);
+            assert.equal(times.length, samples);
+            assert.equal(times[0], 0);
+            times.slice(1).forEach((time, i) => assert.ok(time > times[i], `Time_h no crece en ${time}`));
+        }
+    }), { numRuns: RUNS });
+});
+
+test('la misma semilla da exactamente las mismas filas', () => {
+    fc.assert(fc.property(requestArbitrary, body => {
+        assert.deepEqual(generateRows(body).rows, generateRows(body).rows);
+    }), { numRuns: Math.ceil(RUNS / 3) });
+});
+
+test('semillas distintas dan escenarios distintos', () => {
+    const body = { scenarios: 1, totalDays: 1, scenarioConfig: { profile: DEFAULT_PROFILE } };
+    const a = generateRows({ ...body, seed: 1 }).rows;
+    const b = generateRows({ ...body, seed: 2 }).rows;
+    assert.notDeepEqual(a.map(row => row.Biomass_g_L), b.map(row => row.Biomass_g_L));
+});
+
+test('un fotoperiodo 16:8 con los valores por defecto reproduce el ciclo de luz del modelo', () => {
+    const body = { seed: 5, scenarios: 1, totalDays: 2, scenarioConfig: { lightRegime: 'cyclic' } };
+    const base = generateRows(body).rows;
+    const photoperiod = generateRows({ ...body, inputs: { photoperiod: { light_h: 16 } } }).rows;
+    base.forEach((row, i) => {
+        assert.ok(Math.abs(row.PAR_umol_m2_s - photoperiod[i].PAR_umol_m2_s) < 0.01, `t = ${row.Time_h}`);
+        assert.ok(Math.abs(row.Biomass_g_L - photoperiod[i].Biomass_g_L) < 1e-3, `t = ${row.Time_h}`);
+    });
+});
@@ -0,0 +1,134 @@
+// test/golden.test.js - Salida sembrada comparada byte a byte con los ficheros de referencia
+//
+// Cualquier cambio en el modelo, el orden de los sorteos o el formato de las columnas cambia
+// estos ficheros. Si el cambio es intencionado, regenerarlos y revisar el diff:
+//   UPDATE_GOLDEN=1 npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, removeDir, readCSV, START_DATE } = require('./helpers');
+const parquet = require('parquetjs-lite');
+const { generateDataset } = require('../src/index');
+
+const GOLDEN_DIR = path.join(__dirname, 'fixtures', 'golden');
+const GOLDEN_FILES = ['complete_dataset.csv', 'scenarios.csv', 'split.json'];
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+
+const CONFIGS = {
+    // Configuración por defecto: el modelo histórico sin capas opcionales
+    default: { scenarios: 3, totalDays: 2, seed: 42, startDate: START_DATE },
+    // Sensores, fallos aleatorios, fed-batch, consigna de temperatura con calefacción PID
+    features: {
+        scenarios: 1,
+        totalDays: 2,
+        seed: 'golden-features',
+        startDate: START_DATE,
+        samplingIntervalMin: 30,
+        sensors: {},
+        faults: { random: { ratePerDay: 1 } },
+        reactor: { operationMode: 'fed-batch' },
+        inputs: {
+            temperature: { setpoints: [{ time_h: 0, value: 25 }, { time_h: 24, value: 30 }] },
+            control: { heating: true }
+        }
+    }
+};
+
+Object.entries(CONFIGS).forEach(([name, config]) => {
+    test(`salida sembrada "${name}" igual a la de referencia`, async () => {
+        const dir = tempDir(`golden-${name}`);
+        try {
+            const stats = await generateDataset(config, path.join(dir, name));
+            GOLDEN_FILES.forEach(file => {
+                const actual = fs.readFileSync(path.join(stats.outputDir, file), 'utf8');
+                const goldenPath = path.join(GOLDEN_DIR, name, file);
+                if (UPDATE) {
+                    fs.mkdirSync(path.dirname(goldenPath), { recursive: true });
+                    fs.writeFileSync(goldenPath, actual);
+                    return;
+                }
+                assert.ok(fs.existsSync(goldenPath), `falta ${path.relative(process.cwd(), goldenPath)} (UPDATE_GOLDEN=1)`);
+                assert.equal(actual, fs.readFileSync(goldenPath, 'utf8'), `${name}/${file} difiere de la referencia`);
+            });
+        } finally {
+            removeDir(dir);
+        }
+    });
+});
+
+test('train, validación y test escritos contienen cada fila de complete_dataset una sola vez', async () => {
+    const dir = tempDir('golden-split');
+    try {
+        const stats = await generateDataset({ ...CONFIGS.default, split: { strategy: 'blocked', blockSize_h: 12 } },
+            path.join(dir, 'dataset'));
+        const key = row => `${row.Scenario}@${row.Time_h}`;
+        const complete = (await readCSV(path.join(stats.outputDir, 'complete_dataset.csv'))).map(key);
+        const seen = new Map();
+        for (const file of ['training_data.csv', 'validation_data.csv', 'test_data.csv']) {
+            (await readCSV(path.join(stats.outputDir, file))).forEach(row => seen.set(key(row), (seen.get(key(row)) || 0) + 1));
+        }
+        assert.equal(seen.size, complete.length);
+        complete.forEach(id => assert.equal(seen.get(id), 1, `fila ${id}`));
+        assert.equal(stats.trainingPoints + stats.validationPoints + stats.testPoints, stats.totalPoints);
+    } finally {
+        removeDir(dir);
+    }
+});
+
+test('generateDataset no escribe en la consola: el progreso va a `log`', async () => {
+    const dir = tempDir('golden-log');
+    const printed = [];
+    const consoleLog = console.log;
+    console.log = (...args) => printed.push(args.join(' '));
+    try {
+        const messages = [];
+        await generateDataset({ ...CONFIGS.default, scenarios: 1 }, path.join(dir, 'silent'));
+        await generateDataset({ ...CONFIGS.default, scenarios: 1 }, path.join(dir, 'logged'), { log: message => messages.push(message) });
+        assert.deepEqual(printed, []);
+        assert.ok(messages.some(message => message.includes('Escenario 1')));
+    } finally {
+        console.log = consoleLog;
+        removeDir(dir);
+    }
+});
+
+test('si la generación falla, la carpeta de salida que ya existía se conserva vacía', async () => {
+    const dir = tempDir('golden-failure');
+    try {
+        const failing = { onProgress: () => { throw new Error('interrumpido'); } };
+        await assert.rejects(generateDataset({ ...CONFIGS.default, scenarios: 1 }, dir, failing), /interrumpido/);
+        assert.deepEqual(fs.readdirSync(dir), []);
+
+        const created = path.join(dir, 'nueva');
+        await assert.rejects(generateDataset({ ...CONFIGS.default, scenarios: 1 }, created, failing), /interrumpido/);
+        assert.ok(!fs.existsSync(created));
+    } finally {
+        removeDir(dir);
+    }
+});
+
+test('un conjunto vacío lleva el mismo esquema que los demás ficheros del dataset', async () => {
+    const dir = tempDir('golden-schema');
+    try {
+        const stats = await generateDataset({
+            ...CONFIGS.default, sensors: { pH: {} }, format: ['csv', 'parquet', 'npz'],
+            split: { strategy: 'chronological', ratios: { train: 0.8, validation: 0.2, test: 0 } }
+        }, path.join(dir, 'dataset'));
+        assert.equal(stats.testPoints, 0);
+
+        const header = file => fs.readFileSync(path.join(stats.outputDir, file), 'utf8').split('\r\n')[0];
+        assert.equal(header('test_data.csv'), header('training_data.csv'));
+
+        const parquetColumns = async file => {
+            const reader = await parquet.ParquetReader.openFile(path.join(stats.outputDir, file));
+            const names = reader.getSchema().fieldList.map(field => field.name);
+            await reader.close();
+            return names;
+        };
+        assert.deepEqual(await parquetColumns('test_data.parquet'), await parquetColumns('training_data.parquet'));
+    } finally {
+        removeDir(dir);
+    }
+});
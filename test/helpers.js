@@ -0,0 +1,64 @@
+// test/helpers.js - Utilidades comunes de las pruebas (node --test)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveGenerateRequest } = require('../src/request');
+const { createProfileRegistry } = require('../src/profiles');
+const { generateRealisticData } = require('../src/generator');
+const { createRNG } = require('../src/random');
+const { readCSVRows } = require('../src/csv');
+
+// Fecha fija: sin ella DateTime depende del reloj y la salida no es reproducible
+const START_DATE = '2024-01-01T00:00:00.000Z';
+
+// Las rutas de server.js informan con console.log; en las pruebas de la API solo ensucia la salida.
+// El resto de pruebas usa la opción `log` del generador (mudo en generateRows y generateDataset).
+function silenceConsole() {
+    console.log = () => {};
+}
+
+// Filas de una petición de /generate-dataset generadas en memoria, igual que en writeDataset
+function generateRows(body) {
+    const params = resolveGenerateRequest({ startDate: START_DATE, ...body }, createProfileRegistry());
+    const rows = [];
+    const batches = generateRealisticData(params.scenarios, params.totalDays, {
+        rng: createRNG(params.seed, params.prng),
+        startDate: params.startDate,
+        scenarioConfig: params.scenarioConfig,
+        reactorConfig: params.reactorConfig,
+        faultConfig: params.faultConfig,
+        sensorConfig: params.sensorConfig,
+        kineticsConfig: params.kineticsConfig,
+        designConfig: params.designConfig,
+        inputsConfig: params.inputsConfig,
+        samplingIntervalMin: params.samplingIntervalMin,
+        log: () => {}
+    });
+    for (const batch of batches) rows.push(...batch.rows);
+    return { params, rows };
+}
+
+// Carpeta temporal propia de una prueba (se borra con removeDir)
+function tempDir(label) {
+    return fs.mkdtempSync(path.join(os.tmpdir(), `chlorella-${label}-`));
+}
+
+function removeDir(dir) {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+async function readCSV(filePath) {
+    const rows = [];
+    for await (const row of readCSVRows(filePath)) rows.push(row);
+    return rows;
+}
+
+module.exports = {
+    START_DATE,
+    silenceConsole,
+    generateRows,
+    tempDir,
+    removeDir,
+    readCSV
+};
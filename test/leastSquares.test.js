@@ -0,0 +1,32 @@
+// test/leastSquares.test.js - Cuantiles de la t de Student de los intervalos de confianza de /calibrate
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { studentTQuantile, studentTCDF } = require('../src/leastSquares');
+
+// Valores de tablas (cuantil bilateral: p = (1 + confianza) / 2)
+const TABLE = [
+    [0.9995, 2, 31.5991],
+    [0.995, 2, 9.9248],
+    [0.975, 1, 12.7062],
+    [0.975, 3, 3.1824],
+    [0.975, 10, 2.2281],
+    [0.95, 30, 1.6973],
+    [0.75, 5, 0.7267]
+];
+
+test('studentTQuantile coincide con las tablas también con pocos grados de libertad', () => {
+    TABLE.forEach(([p, v, expected]) => {
+        assert.ok(Math.abs(studentTQuantile(p, v) - expected) < 1e-4, `t(${p}, ${v}) = ${studentTQuantile(p, v)}`);
+    });
+    assert.equal(studentTQuantile(0.5, 4), 0);
+    assert.ok(Math.abs(studentTQuantile(0.025, 4) + studentTQuantile(0.975, 4)) < 1e-9);
+});
+
+test('studentTQuantile es la inversa de studentTCDF', () => {
+    [1, 2, 7, 50, 5000].forEach(v => {
+        [0.6, 0.9, 0.99, 0.9995].forEach(p => {
+            assert.ok(Math.abs(studentTCDF(studentTQuantile(p, v), v) - p) < 1e-10, `v = ${v}, p = ${p}`);
+        });
+    });
+});
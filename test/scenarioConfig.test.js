@@ -0,0 +1,37 @@
+// test/scenarioConfig.test.js - Muestreo de las distribuciones de los parámetros de escenario
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sampleParameter } = require('../src/scenarioConfig');
+const { createRNG } = require('../src/random');
+
+const DRAWS = 20000;
+
+function draws(spec, seed) {
+    const { random } = createRNG(seed);
+    return Array.from({ length: DRAWS }, () => sampleParameter(spec, random));
+}
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+test('la normal truncada queda dentro de [min, max] sin acumular sorteos en los extremos', () => {
+    const spec = { distribution: 'normal', mean: 28, sd: 2, min: 27, max: 29 };
+    const values = draws(spec, 'truncada');
+    assert.ok(values.every(value => value >= spec.min && value <= spec.max));
+    assert.ok(values.filter(value => value === spec.min || value === spec.max).length < 3);
+    assert.ok(Math.abs(mean(values) - 28) < 0.02);
+});
+
+test('la normal truncada en una cola tiene la media teórica', () => {
+    // N(28, 1) truncada a [35, 36]: media 35.1344 (φ y Φ en los extremos tipificados 7 y 8)
+    const values = draws({ distribution: 'normal', mean: 28, sd: 1, min: 35, max: 36 }, 'cola');
+    assert.ok(values.every(value => value >= 35 && value <= 36));
+    assert.ok(Math.abs(mean(values) - 35.1344) < 0.005, `media ${mean(values)}`);
+
+    // Solo con mínimo: N(0.03, 0.01) truncada en 0.025 tiene media 0.03509
+    const lower = draws({ distribution: 'normal', mean: 0.03, sd: 0.01, min: 0.025 }, 'minimo');
+    assert.ok(lower.every(value => value >= 0.025));
+    assert.ok(Math.abs(mean(lower) - 0.03509) < 0.0003, `media ${mean(lower)}`);
+});
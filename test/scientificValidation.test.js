@@ -0,0 +1,111 @@
+// test/scientificValidation.test.js - Criterios de scientificValidation y su cálculo en los datasets escritos
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { tempDir, removeDir, readCSV, START_DATE } = require('./helpers');
+const { scientificValidation } = require('../src/datasetWriter');
+const { createRunningStats } = require('../src/stats');
+const { BUILT_IN_PROFILES, DEFAULT_PROFILE } = require('../src/profiles');
+const { generateDataset, validationPassed, readManifest } = require('../src/index');
+
+const chlorella = BUILT_IN_PROFILES[DEFAULT_PROFILE];
+
+function statsOf(values) {
+    const stats = createRunningStats();
+    values.forEach(value => stats.add(value));
+    return stats;
+}
+
+// Estadísticas de las cuatro columnas con valores dentro de los rangos de Chlorella
+function realisticColumns(overrides = {}) {
+    return {
+        biomass: statsOf([0.05, 1.2, 3.9]),
+        temperature: statsOf([18, 25, 32]),
+        pH: statsOf([6.8, 7.5, 8.9]),
+        growthRate: statsOf([0, 0.02, 0.05]),
+        ...overrides
+    };
+}
+
+test('todos los criterios se cumplen con valores realistas', () => {
+    assert.deepEqual(scientificValidation(realisticColumns(), [chlorella]), {
+        biomassRealistic: true,
+        temperatureRealistic: true,
+        pHRealistic: true,
+        growthRateRealistic: true
+    });
+});
+
+test('cada criterio falla solo con su columna fuera de rango', () => {
+    const cases = {
+        biomassRealistic: { biomass: statsOf([0.005, 1]) },
+        temperatureRealistic: { temperature: statsOf([25, chlorella.temperature.max + 0.1]) },
+        pHRealistic: { pH: statsOf([chlorella.pH.min - 0.01, 7]) },
+        growthRateRealistic: { growthRate: statsOf([-0.001, 0.02]) }
+    };
+    Object.entries(cases).forEach(([flag, override]) => {
+        const result = scientificValidation(realisticColumns(override), [chlorella]);
+        Object.entries(result).forEach(([name, ok]) => assert.equal(ok, name !== flag, `${flag}: ${name}`));
+    });
+    assert.equal(scientificValidation(realisticColumns({ biomass: statsOf([5.01]) }), [chlorella]).biomassRealistic, false);
+    assert.equal(scientificValidation(realisticColumns({ growthRate: statsOf([0.11]) }), [chlorella]).growthRateRealistic, false);
+});
+
+test('los límites son inclusivos y una columna sin valores no falla', () => {
+    const result = scientificValidation({
+        biomass: statsOf([0.01, 5.0]),
+        temperature: statsOf([chlorella.temperature.min, chlorella.temperature.max]),
+        pH: statsOf([null, NaN]),
+        growthRate: statsOf([0, 0.1])
+    }, [chlorella]);
+    assert.ok(Object.values(result).every(Boolean));
+});
+
+test('con varios perfiles el rango realista es la unión de sus cardinales', () => {
+    const profiles = Object.values(BUILT_IN_PROFILES);
+    const highest = Math.max(...profiles.map(profile => profile.temperature.max));
+    const lowest = Math.min(...profiles.map(profile => profile.pH.min));
+    const columns = realisticColumns({ temperature: statsOf([highest]), pH: statsOf([lowest]) });
+    const alone = profiles.find(profile => profile.temperature.max < highest);
+    assert.equal(scientificValidation(columns, profiles).temperatureRealistic, true);
+    assert.equal(scientificValidation(columns, profiles).pHRealistic, true);
+    if (alone) assert.equal(scientificValidation(columns, [alone]).temperatureRealistic, false);
+});
+
+test('el máximo realista de biomasa se escala con la capacidad de los perfiles', () => {
+    const dense = { ...chlorella, biomass: { ...chlorella.biomass, max: chlorella.biomass.max * 2 } };
+    const columns = realisticColumns({ biomass: statsOf([0.05, 9.9]) });
+    assert.equal(scientificValidation(columns, [dense]).biomassRealistic, true);
+    assert.equal(scientificValidation(columns, [chlorella, dense]).biomassRealistic, true);
+    assert.equal(scientificValidation(columns, [chlorella]).biomassRealistic, false);
+    assert.equal(scientificValidation(realisticColumns({ biomass: statsOf([10.01]) }), [dense]).biomassRealistic, false);
+});
+
+test('las banderas del dataset escrito coinciden con las recalculadas desde complete_dataset.csv', async () => {
+    const dir = tempDir('validation');
+    try {
+        const profiles = Object.keys(BUILT_IN_PROFILES).slice(0, 2);
+        const stats = await generateDataset({
+            scenarios: 4, totalDays: 3, seed: 2024, startDate: START_DATE,
+            scenarioConfig: { profile: Object.fromEntries(profiles.map(id => [id, 1])) }
+        }, path.join(dir, 'dataset'));
+        const rows = await readCSV(path.join(stats.outputDir, 'complete_dataset.csv'));
+        const used = [...new Set(rows.map(row => row.Profile))].map(id => BUILT_IN_PROFILES[id]);
+        const within = (column, min, max) => rows.every(row => row[column] >= min && row[column] <= max);
+
+        const expected = {
+            biomassRealistic: within('Biomass_g_L', 0.01,
+                Math.max(...used.map(p => 5.0 * p.biomass.max / chlorella.biomass.max))),
+            temperatureRealistic: within('Temperature_C',
+                Math.min(...used.map(p => p.temperature.min)), Math.max(...used.map(p => p.temperature.max))),
+            pHRealistic: within('pH', Math.min(...used.map(p => p.pH.min)), Math.max(...used.map(p => p.pH.max))),
+            growthRateRealistic: within('Specific_Growth_Rate_h', 0, 0.1)
+        };
+        assert.deepEqual(stats.scientificValidation, expected);
+        assert.deepEqual(readManifest(stats.outputDir).stats.scientificValidation, expected);
+        assert.equal(validationPassed(stats), Object.values(expected).every(Boolean));
+    } finally {
+        removeDir(dir);
+    }
+});
@@ -0,0 +1,41 @@
+// test/server.auth.test.js - Rutas protegidas con API keys (API_KEYS se lee al importar server.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { silenceConsole, tempDir, removeDir } = require('./helpers');
+
+silenceConsole();
+
+const root = tempDir('auth');
+process.env.DATASETS_DIR = path.join(root, 'datasets');
+process.env.PROFILES_DIR = path.join(root, 'profiles');
+process.env.API_KEYS = 'clave-de-pruebas:2';
+
+const request = require('supertest');
+const app = require('../server');
+
+test.after(() => removeDir(root));
+
+test('/health y /test no piden clave', async () => {
+    await request(app).get('/health').expect(200);
+    await request(app).get('/test').expect(200);
+});
+
+test('sin clave o con una clave desconocida: 401', async () => {
+    const missing = await request(app).get('/datasets').expect(401);
+    assert.equal(missing.body.error, 'API key requerida');
+    const unknown = await request(app).get('/datasets').set('X-API-Key', 'otra-clave-cualquiera').expect(401);
+    assert.equal(unknown.body.error, 'API key no válida');
+});
+
+test('con clave válida responde y al superar el límite por minuto: 429', async () => {
+    const first = await request(app).get('/datasets').set('X-API-Key', 'clave-de-pruebas').expect(200);
+    assert.equal(first.headers['x-ratelimit-limit'], '2');
+    assert.equal(first.headers['x-ratelimit-remaining'], '1');
+    await request(app).get('/profiles').set('Authorization', 'Bearer clave-de-pruebas').expect(200);
+
+    const limited = await request(app).get('/datasets?apiKey=clave-de-pruebas').expect(429);
+    assert.ok(Number(limited.headers['retry-after']) > 0);
+    assert.equal(limited.body.success, false);
+});
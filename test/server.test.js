@@ -0,0 +1,291 @@
+// test/server.test.js - Rutas HTTP de server.js (supertest, sin abrir puerto)
+//
+// La app se importa con carpetas temporales de datasets y perfiles, y genera de verdad un
+// dataset pequeño en un worker para las rutas de consulta, análisis y descarga.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { silenceConsole, tempDir, removeDir, START_DATE } = require('./helpers');
+
+silenceConsole();
+console.error = () => {};
+
+const root = tempDir('server');
+process.env.DATASETS_DIR = path.join(root, 'datasets');
+process.env.PROFILES_DIR = path.join(root, 'profiles');
+process.env.JOB_CONCURRENCY = '1';
+process.env.CALIBRATION_CONCURRENCY = '1';
+delete process.env.API_KEYS;
+
+const request = require('supertest');
+const app = require('../server');
+const { MODEL_VERSION } = require('../src/generator');
+const { DEFAULT_PROFILE } = require('../src/profiles');
+
+const GENERATE_BODY = { scenarios: 3, totalDays: 2, seed: 7, startDate: START_DATE };
+
+// Carpeta de dataset sin datos legibles ni manifiesto válido: las lecturas y conversiones
+// fallan con 500, pero el catálogo la lista como dataset sin manifiesto
+const CORRUPT_ID = 'chlorella_1';
+
+let submitted;
+let job;
+let folder;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function waitForJob(id, timeoutMs = 120000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const res = await request(app).get(`/jobs/${id}`).expect(200);
+        if (['completed', 'failed', 'cancelled'].includes(res.body.job.status)) return res.body.job;
+        await sleep(100);
+    }
+    throw new Error(`El trabajo ${id} no terminó en ${timeoutMs} ms`);
+}
+
+// El worker cancelado borra su carpeta al salir, un poco después de responder
+async function waitForRemoval(dir, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    while (fs.existsSync(dir) && Date.now() < deadline) await sleep(50);
+    return !fs.existsSync(dir);
+}
+
+// Respuestas binarias (zip) como Buffer
+function binaryParser(res, callback) {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+test.before(async () => {
+    submitted = (await request(app).post('/generate-dataset').send(GENERATE_BODY).expect(202)).body;
+    job = await waitForJob(submitted.jobId);
+    assert.equal(job.status, 'completed', JSON.stringify(job.error));
+    folder = job.folderName;
+
+    const corrupt = path.join(process.env.DATASETS_DIR, CORRUPT_ID);
+    fs.mkdirSync(corrupt);
+    fs.writeFileSync(path.join(corrupt, 'complete_dataset.parquet'), 'esto no es parquet');
+    fs.writeFileSync(path.join(corrupt, 'manifest.json'), '{"files": [');
+});
+
+test.after(() => removeDir(root));
+
+test('GET /health y /test', async () => {
+    const health = await request(app).get('/health').expect(200);
+    assert.equal(health.body.status, 'OK');
+    assert.equal(health.body.version, MODEL_VERSION);
+
+    const res = await request(app).get('/test').expect(200);
+    assert.equal(res.body.success, true);
+    assert.match(res.body.ranges.biomass, /g\/L$/);
+});
+
+test('GET / sirve la interfaz y las rutas desconocidas dan 404', async () => {
+    await request(app).get('/').expect(200).expect('Content-Type', /html/);
+    const res = await request(app).get('/no-existe').expect(404);
+    assert.equal(res.body.error, 'Ruta no encontrada');
+});
+
+test('GET /scenario-presets', async () => {
+    const res = await request(app).get('/scenario-presets').expect(200);
+    ['presets', 'limits', 'operationModes', 'splitStrategies', 'sensors', 'profiles', 'kinetics',
+     'designTypes', 'inputs', 'formats'].forEach(key => assert.ok(key in res.body, key));
+    assert.ok(res.body.profiles.includes(DEFAULT_PROFILE));
+    assert.deepEqual(res.body.inputs.photoperiod.lightRegimes, ['cyclic']);
+});
+
+test('perfiles: listar, consultar, subir y borrar', async () => {
+    const list = await request(app).get('/profiles').expect(200);
+    assert.equal(list.body.default, DEFAULT_PROFILE);
+    await request(app).get(`/profiles/${DEFAULT_PROFILE}`).expect(200);
+    await request(app).get('/profiles/no_existe').expect(404);
+
+    const invalid = await request(app).post('/profiles').send({ id: 'cepa_prueba', base: 'no_existe' }).expect(400);
+    assert.equal(invalid.body.details[0].field, 'profile.base');
+
+    const body = { id: 'cepa_prueba', name: 'Cepa de prueba', base: DEFAULT_PROFILE, biomass: { max: 3 } };
+    const created = await request(app).post('/profiles').send(body).expect(201);
+    assert.equal(created.body.profile.biomass.max, 3);
+    assert.ok(fs.existsSync(path.join(process.env.PROFILES_DIR, 'cepa_prueba.json')));
+    await request(app).post('/profiles').send(body).expect(409);
+
+    await request(app).delete(`/profiles/${DEFAULT_PROFILE}`).expect(409);
+    await request(app).delete('/profiles/cepa_prueba').expect(200);
+    await request(app).delete('/profiles/cepa_prueba').expect(404);
+});
+
+test('POST /generate-dataset rechaza peticiones inválidas con 400', async () => {
+    const malformed = await request(app).post('/generate-dataset')
+        .set('Content-Type', 'application/json').send('{"scenarios": 3,').expect(400);
+    assert.equal(malformed.body.error, 'JSON inválido');
+
+    const cases = [
+        [{ scenarios: 0 }, 'scenarios'],
+        [{ totalDays: 'diez' }, 'totalDays'],
+        [{ campo: 1 }, 'campo'],
+        [{ samplingIntervalMin: 7 }, 'samplingIntervalMin'],
+        [{ split: { strategy: 'kfold' } }, 'split.strategy'],
+        [{ reactor: { operationMode: 'continuo' } }, 'reactor.operationMode'],
+        [{ design: { type: 'factorial', factors: { baseTemp: { min: 20, max: 30, levels: 5e7 } } } },
+            'design.factors.baseTemp.levels'],
+        [{ reactor: { events: [{ type: 'feed', time_h: 0, every_h: 1e-9, volume_L: 0.01 }] } }, 'reactor.events'],
+        [{ inputs: { photoperiod: { light_h: 1e-10, period_h: 1e-9 } } }, 'inputs.photoperiod.period_h'],
+        [{ sensors: { temperature: { resolution: 1e-101 } } }, 'sensors.temperature.resolution'],
+        [{ scenarioConfig: { baseTemp: { distribution: 'normal', mean: 28, sd: 2, min: 30, max: 25 } } }, 'scenarioConfig.baseTemp'],
+        [{ scenarioConfig: { muMax: { distribution: 'normal', mean: 0.03, sd: 0 } } }, 'scenarioConfig.muMax.sd']
+    ];
+    for (const [body, field] of cases) {
+        const res = await request(app).post('/generate-dataset').send(body).expect(400);
+        assert.equal(res.body.success, false);
+        assert.ok(res.body.details.some(detail => detail.field.startsWith(field)),
+            `${JSON.stringify(body)}: ${JSON.stringify(res.body.details)}`);
+    }
+
+    // Configuración válida que no cabe en el dataset (k-fold con pocos escenarios)
+    await request(app).post('/generate-dataset').send({ scenarios: 3, totalDays: 1, split: { folds: 5 } }).expect(400);
+});
+
+test('POST /generate-dataset encola el trabajo y devuelve sus enlaces', () => {
+    assert.equal(submitted.success, true);
+    assert.deepEqual(submitted.links, {
+        status: `/jobs/${submitted.jobId}`,
+        events: `/jobs/${submitted.jobId}/events`,
+        cancel: `/jobs/${submitted.jobId}/cancel`
+    });
+    assert.equal(job.request.scenarios, GENERATE_BODY.scenarios);
+    assert.match(folder, /^chlorella_\d+$/);
+    assert.ok(job.stats.totalPoints > 0);
+});
+
+test('trabajos: lista, estado, eventos y cancelación', async () => {
+    const list = await request(app).get('/jobs').expect(200);
+    assert.ok(list.body.jobs.some(item => item.id === job.id));
+    assert.ok(list.body.counts.completed >= 1);
+    await request(app).get('/jobs?status=completed').expect(200);
+    await request(app).get('/jobs?status=perdido').expect(400);
+
+    await request(app).get('/jobs/no-existe').expect(404);
+    await request(app).get('/jobs/no-existe/events').expect(404);
+    await request(app).post('/jobs/no-existe/cancel').expect(404);
+
+    const events = await request(app).get(`/jobs/${job.id}/events`).expect(200).expect('Content-Type', /text\/event-stream/);
+    assert.match(events.text, /^event: completed\ndata: /);
+    await request(app).post(`/jobs/${job.id}/cancel`).expect(409);
+
+    const queued = await request(app).post('/generate-dataset').send({ scenarios: 200, totalDays: 60 }).expect(202);
+    const cancelled = await request(app).post(`/jobs/${queued.body.jobId}/cancel`).expect(200);
+    assert.equal(cancelled.body.job.status, 'cancelled');
+    assert.ok(await waitForRemoval(path.join(process.env.DATASETS_DIR, queued.body.job.folderName)));
+});
+
+test('catálogo de datasets', async () => {
+    const list = await request(app).get('/datasets').expect(200);
+    assert.ok(list.body.datasets.some(dataset => dataset.id === folder));
+    assert.equal(list.body.datasets.find(dataset => dataset.id === CORRUPT_ID).hasManifest, false);
+
+    const res = await request(app).get(`/datasets/${folder}`).expect(200);
+    assert.equal(res.body.dataset.manifest.stats.totalPoints, job.stats.totalPoints);
+
+    await request(app).get('/datasets/..%2Fprofiles').expect(400);
+    await request(app).get('/datasets/chlorella_999').expect(404);
+    await request(app).delete('/datasets/chlorella_999').expect(404);
+});
+
+test('GET /sample-data: muestra estratificada reproducible', async () => {
+    const res = await request(app).get(`/sample-data/${folder}?size=40`).expect(200);
+    assert.equal(res.body.sampleSize, 40);
+    assert.equal(res.body.totalRows, job.stats.totalPoints);
+    assert.equal(res.body.seed, GENERATE_BODY.seed);
+    const again = await request(app).get(`/sample-data/${folder}?size=40`).expect(200);
+    assert.deepEqual(again.body.data, res.body.data);
+
+    await request(app).get(`/sample-data/${folder}?size=0`).expect(400);
+    await request(app).get('/sample-data/chlorella_999').expect(404);
+    const broken = await request(app).get(`/sample-data/${CORRUPT_ID}`).expect(500);
+    assert.equal(broken.body.error, 'Error leyendo datos');
+});
+
+test('GET /analysis y su informe', async () => {
+    const res = await request(app).get(`/analysis/${folder}?bins=10`).expect(200);
+    assert.equal(res.body.source.rows, job.stats.totalPoints);
+    assert.deepEqual(res.body.fidelity.scientificValidation, job.stats.scientificValidation);
+    assert.equal(res.body.histograms.Biomass_g_L.counts.length, 10);
+
+    const html = await request(app).get(`/analysis/${folder}/report`).expect(200).expect('Content-Type', /html/);
+    assert.match(html.headers['content-disposition'], new RegExp(`analysis_${folder}\\.html`));
+    const json = await request(app).get(`/analysis/${folder}/report?format=json`).expect(200);
+    assert.equal(JSON.parse(json.text).id, folder);
+
+    await request(app).get(`/analysis/${folder}?bins=1`).expect(400);
+    await request(app).get(`/analysis/${folder}/report?format=pdf`).expect(400);
+    await request(app).get('/analysis/chlorella_999').expect(404);
+    await request(app).get('/analysis/dataset').expect(400);
+    const broken = await request(app).get(`/analysis/${CORRUPT_ID}`).expect(500);
+    assert.equal(broken.body.success, false);
+});
+
+test('GET /download: ficheros, conversión y zip', async () => {
+    const csv = await request(app).get(`/download/${folder}/complete_dataset.csv`).expect(200).expect('Content-Type', /text\/csv/);
+    const file = path.join(process.env.DATASETS_DIR, folder, 'complete_dataset.csv');
+    assert.equal(csv.text, fs.readFileSync(file, 'utf8'));
+
+    const jsonl = await request(app).get(`/download/${folder}/training_data?format=jsonl`).expect(200);
+    assert.equal(jsonl.text.trim().split('\n').length, job.stats.trainingPoints);
+    await request(app).get(`/download/${folder}/manifest.json`).expect(200).expect('Content-Type', /json/);
+
+    const zip = await request(app).get(`/download/${folder}/archive.zip`).buffer(true).parse(binaryParser)
+        .expect(200).expect('Content-Type', 'application/zip');
+    assert.equal(zip.body.subarray(0, 2).toString(), 'PK');
+
+    await request(app).get(`/download/${folder}/complete_dataset.csv?format=xls`).expect(400);
+    await request(app).get(`/download/${folder}/server.js`).expect(400);
+    await request(app).get(`/download/${folder}/archive.zip?format=xls`).expect(400);
+    await request(app).get(`/download/${folder}/folds_fold_1.csv`).expect(400);
+    await request(app).get('/download/chlorella_999/complete_dataset.csv').expect(404);
+    await request(app).get('/download/chlorella_999/archive.zip').expect(404);
+    // Sin validación cruzada no hay folds que servir ni convertir
+    await request(app).get(`/download/${folder}/fold_1_train.csv`).expect(404);
+    const broken = await request(app).get(`/download/${CORRUPT_ID}/complete_dataset?format=csv`).expect(500);
+    assert.equal(broken.body.error, 'Error interno');
+});
+
+test('POST /calibrate', async () => {
+    const csv = fs.readFileSync(path.join(process.env.DATASETS_DIR, folder, 'complete_dataset.csv'), 'utf8');
+    const res = await request(app).post('/calibrate?scenario=1&fit=muMax,maxBiomass')
+        .set('Content-Type', 'text/csv').send(csv).expect(200);
+    assert.equal(res.body.success, true);
+    assert.ok(res.body.goodnessOfFit.n > 0);
+    assert.equal(res.body.generation, null);
+
+    const withGeneration = await request(app).post('/calibrate')
+        .send({ csv, scenario: 2, generate: { scenarios: 1, totalDays: 1, seed: 3 } }).expect(200);
+    assert.equal(withGeneration.body.generation.job.request.scenarios, 1);
+    assert.equal((await waitForJob(withGeneration.body.generation.jobId)).status, 'completed');
+
+    const missing = await request(app).post('/calibrate').send({ scenario: 1 }).expect(400);
+    assert.equal(missing.body.details[0].field, 'csv');
+    await request(app).post('/calibrate').send({ csv, fit: ['noExiste'] }).expect(400);
+    const empty = await request(app).post('/calibrate').send({ csv: 'Time_h,Biomass_g_L\n' }).expect(400);
+    assert.equal(empty.body.error, 'Datos de calibración inválidos');
+});
+
+test('POST /calibrate con la calibración en curso en el worker: 503 y el servidor sigue respondiendo', async () => {
+    const csv = fs.readFileSync(path.join(process.env.DATASETS_DIR, folder, 'complete_dataset.csv'), 'utf8');
+    const send = () => request(app).post('/calibrate').send({ csv, scenario: 1 });
+    const [first, second] = await Promise.all([send(), send(), request(app).get('/health').expect(200)]);
+    assert.deepEqual([first.status, second.status].sort(), [200, 503]);
+    assert.equal([first, second].find(res => res.status === 503).body.success, false);
+});
+
+test('DELETE /datasets/:folder', async () => {
+    const res = await request(app).delete(`/datasets/${folder}`).expect(200);
+    assert.equal(res.body.id, folder);
+    assert.ok(!fs.existsSync(path.join(process.env.DATASETS_DIR, folder)));
+    await request(app).get(`/datasets/${folder}`).expect(404);
+});
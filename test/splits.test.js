@@ -0,0 +1,126 @@
+// test/splits.test.js - La partición reparte cada fila una sola vez y sin fugas entre conjuntos
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fc = require('fast-check');
+const { resolveGenerateRequest } = require('../src/request');
+const { createProfileRegistry } = require('../src/profiles');
+const { createDatasetSplitter } = require('../src/datasetWriter');
+const { SPLIT_STRATEGIES, resolveSplitConfig } = require('../src/splits');
+
+const RUNS = Number(process.env.PROPERTY_RUNS) || 40;
+const SETS = ['train', 'validation', 'test'];
+
+// Filas mínimas (Scenario, Time_h) con la misma rejilla que genera el modelo
+function gridRows(params) {
+    const dt = params.samplingIntervalMin / 60;
+    const samples = Math.round(params.totalDays * 24 / dt);
+    const rows = [];
+    for (let s = 1; s <= params.scenarios; s++) {
+        for (let i = 0; i < samples; i++) {
+            rows.push({ Scenario: s, Time_h: parseFloat((i * dt).toFixed(4)) });
+        }
+    }
+    return rows;
+}
+
+// Partir las filas por lotes de un escenario, como writeDataset
+function splitRows(body) {
+    const params = resolveGenerateRequest(body, createProfileRegistry());
+    const splitter = createDatasetSplitter(params);
+    const rows = gridRows(params);
+    const parts = { train: [], validation: [], test: [], folds: splitter.folds.map(() => ({ train: [], validation: [] })) };
+    for (let s = 1; s <= params.scenarios; s++) {
+        const batch = splitter.assign(rows.filter(row => row.Scenario === s));
+        SETS.forEach(set => parts[set].push(...batch[set]));
+        batch.folds.forEach((fold, i) => {
+            parts.folds[i].train.push(...fold.train);
+            parts.folds[i].validation.push(...fold.validation);
+        });
+    }
+    return { rows, parts, summary: splitter.summary() };
+}
+
+function countOccurrences(parts) {
+    const seen = new Map();
+    SETS.forEach(set => parts[set].forEach(row => seen.set(row, (seen.get(row) || 0) + 1)));
+    return seen;
+}
+
+const splitArbitrary = fc.record({
+    seed: fc.integer({ min: 0, max: 2 ** 31 - 1 }),
+    scenarios: fc.integer({ min: 3, max: 12 }),
+    totalDays: fc.integer({ min: 3, max: 10 }),
+    samplingIntervalMin: fc.constantFrom(15, 30, 60),
+    strategy: fc.constantFrom(...SPLIT_STRATEGIES),
+    validation: fc.constantFrom(0.1, 0.15, 0.2),
+    test: fc.constantFrom(0.1, 0.15, 0.2),
+    gap_h: fc.constantFrom(0, 0, 6)
+}).map(({ strategy, validation, test: testRatio, gap_h, ...body }) => ({
+    ...body,
+    split: { strategy, gap_h, ratios: { train: 1 - validation - testRatio, validation, test: testRatio } }
+}));
+
+test('sin purga, cada fila va exactamente a un conjunto', () => {
+    fc.assert(fc.property(splitArbitrary, body => {
+        const { rows, parts, summary } = splitRows({ ...body, split: { ...body.split, gap_h: 0 } });
+        const seen = countOccurrences(parts);
+        assert.equal(seen.size, rows.length);
+        rows.forEach(row => assert.equal(seen.get(row), 1, `fila repetida o perdida: ${JSON.stringify(row)}`));
+        SETS.forEach(set => assert.equal(summary.sizes[set], parts[set].length));
+        assert.ok(!summary.purgedRows);
+    }), { numRuns: RUNS });
+});
+
+test('con purga, las filas asignadas más las purgadas son todas, sin repeticiones', () => {
+    fc.assert(fc.property(splitArbitrary, body => {
+        const { rows, parts, summary } = splitRows(body);
+        const seen = countOccurrences(parts);
+        seen.forEach(count => assert.equal(count, 1));
+        assert.equal(seen.size + (summary.purgedRows || 0), rows.length);
+    }), { numRuns: RUNS });
+});
+
+test('la partición por escenario no comparte escenarios entre conjuntos', () => {
+    fc.assert(fc.property(splitArbitrary, body => {
+        const { parts } = splitRows({ ...body, split: { ...body.split, strategy: 'scenario' } });
+        const scenarioSets = SETS.map(set => new Set(parts[set].map(row => row.Scenario)));
+        scenarioSets.forEach((a, i) => scenarioSets.slice(i + 1).forEach(b => {
+            [...a].forEach(id => assert.ok(!b.has(id), `escenario ${id} en dos conjuntos`));
+        }));
+    }), { numRuns: RUNS });
+});
+
+test('la partición cronológica deja el pasado en train y el futuro en test', () => {
+    fc.assert(fc.property(splitArbitrary, body => {
+        const { parts } = splitRows({ ...body, split: { ...body.split, strategy: 'chronological' } });
+        const latest = set => Math.max(...parts[set].map(row => row.Time_h));
+        const earliest = set => Math.min(...parts[set].map(row => row.Time_h));
+        assert.ok(latest('train') < earliest('validation'));
+        assert.ok(latest('validation') < earliest('test'));
+    }), { numRuns: RUNS });
+});
+
+test('k-fold por grupos: cada fila de desarrollo valida en un solo fold', () => {
+    const { parts } = splitRows({
+        seed: 11, scenarios: 10, totalDays: 2, split: { strategy: 'scenario', folds: 4 }
+    });
+    const development = [...parts.train, ...parts.validation];
+    const validations = new Map();
+    parts.folds.forEach(fold => {
+        assert.equal(fold.train.length + fold.validation.length, development.length);
+        fold.validation.forEach(row => validations.set(row, (validations.get(row) || 0) + 1));
+    });
+    assert.equal(validations.size, development.length);
+    validations.forEach(count => assert.equal(count, 1));
+    parts.test.forEach(row => assert.ok(!validations.has(row), 'una fila de test entra en la validación cruzada'));
+});
+
+test('configuraciones de partición inválidas', () => {
+    assert.deepEqual(resolveSplitConfig({ strategy: 'kfold' }).errors.map(e => e.field), ['split.strategy']);
+    assert.deepEqual(resolveSplitConfig({ ratios: { train: 0.5, validation: 0.1, test: 0.1 } }).errors.map(e => e.field),
+        ['split.ratios']);
+    assert.deepEqual(resolveSplitConfig({ folds: 1 }).errors.map(e => e.field), ['split.folds']);
+    assert.throws(() => splitRows({ scenarios: 3, totalDays: 1, split: { strategy: 'scenario', folds: 5 } }),
+        error => error.status === 400);
+});